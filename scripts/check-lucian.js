@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+/**
+ * LucianPets Lucian Status
+ * Reports the cognitive state and per-component metrics of every loaded brain
+ *
+ * Usage: npm run lucian:status -- [--pet id] [--watch] [--interval s] [--json] [--server url]
+ *
+ * Exit codes: 0 all active, 1 a brain or component is inactive, 2 server unreachable
+ */
+
+import { parseArgs } from 'util';
+import {
+  EXIT_CODES,
+  colors,
+  log,
+  bar,
+  statusIcon,
+  runStatusCheck,
+  findRunningServer,
+  apiRequest
+} from './lib/cli.js';
+
+const usage = 'Usage: npm run lucian:status -- [--pet id] [--watch] [--interval s] [--json] [--server url]';
+
+const describeComponent = (name, metrics) => {
+  const details = Object.entries(metrics)
+    .filter(([key]) => key !== 'active')
+    .map(([key, value]) => `${key}: ${typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(3) : value}`)
+    .join(', ');
+  
+  return `   ${statusIcon(metrics.active)} ${name.padEnd(11)} ${details}`;
+};
+
+const renderBrain = (petId, brain) => {
+  console.log(`\n${colors.cyan}🧠 ${petId}${colors.reset}`);
+  
+  if (brain.lastUsed) {
+    console.log(`   Last used: ${new Date(brain.lastUsed).toLocaleTimeString()}`);
+  }
+  
+  console.log('   Cognitive state:');
+  Object.entries(brain.cognitiveState).forEach(([key, value]) => {
+    console.log(`     ${key.padEnd(21)} ${bar(value)}`);
+  });
+  
+  console.log('   Components:');
+  Object.entries(brain.metrics).forEach(([name, metrics]) => {
+    console.log(`  ${describeComponent(name, metrics)}`);
+  });
+};
+
+const render = (status) => {
+  log.header('Lucian Cognitive System Status');
+  
+  console.log(`Server: ${status.server}`);
+  console.log(`Brain manager: ${statusIcon(status.active)} ${status.active ? 'Active' : 'Inactive'}`);
+  
+  if (status.maxBrains !== undefined) {
+    console.log(`Loaded brains: ${status.loaded} / ${status.maxBrains}`);
+  }
+  
+  const brains = Object.entries(status.brains);
+  if (brains.length === 0) {
+    log.warning('No brains loaded');
+  }
+  
+  brains.forEach(([petId, brain]) => renderBrain(petId, brain));
+  
+  console.log('');
+  if (isHealthy(status)) {
+    log.success('All cognitive components active');
+  } else {
+    log.error('Some cognitive components are inactive');
+  }
+};
+
+const isHealthy = (status) => {
+  return status.active && Object.values(status.brains).every(brain =>
+    Object.values(brain.metrics).every(component => component.active)
+  );
+};
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      pet: { type: 'string' },
+      watch: { type: 'boolean', short: 'w', default: false },
+      interval: { type: 'string', default: '2' },
+      json: { type: 'boolean', default: false },
+      server: { type: 'string' }
+    }
+  });
+  
+  const interval = Number(values.interval);
+  if (!(interval > 0)) {
+    log.error(usage);
+    process.exit(EXIT_CODES.unreachable);
+  }
+  
+  const serverUrl = await findRunningServer(values.server);
+  if (!serverUrl) {
+    throw new Error('No running LucianPets server found (start it with `npm run server`)');
+  }
+  
+  const collect = async () => {
+    if (values.pet) {
+      // A single pet's brain (loads it if needed)
+      const state = await apiRequest(serverUrl, `/cognition/state?petId=${encodeURIComponent(values.pet)}`);
+      
+      return {
+        server: serverUrl,
+        active: state.active,
+        brains: {
+          [values.pet]: {
+            cognitiveState: state.cognitiveState,
+            metrics: state.metrics
+          }
+        },
+        timestamp: state.timestamp
+      };
+    }
+    
+    const status = await apiRequest(serverUrl, '/cognition/status');
+    return { server: serverUrl, ...status };
+  };
+  
+  await runStatusCheck({
+    watch: values.watch,
+    interval,
+    json: values.json,
+    collect,
+    render,
+    isHealthy
+  });
+}
+
+main().catch((error) => {
+  log.error(`Lucian status check failed: ${error.message}`);
+  process.exit(EXIT_CODES.unreachable);
+});
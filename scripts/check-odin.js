@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * LucianPets ODIN Status
+ * Reports sensory stats, frame rates and fusion coherence of the ODIN system
+ *
+ * Usage: npm run odin:status -- [--watch] [--interval s] [--json] [--server url]
+ *
+ * Exit codes: 0 all active, 1 ODIN or a cortex is inactive, 2 server unreachable
+ */
+
+import { parseArgs } from 'util';
+import {
+  EXIT_CODES,
+  colors,
+  log,
+  bar,
+  statusIcon,
+  runStatusCheck,
+  findRunningServer,
+  apiRequest
+} from './lib/cli.js';
+
+const usage = 'Usage: npm run odin:status -- [--watch] [--interval s] [--json] [--server url]';
+
+const formatAge = (timestamp) => {
+  if (!timestamp) return 'never';
+  return `${((Date.now() - timestamp) / 1000).toFixed(1)}s ago`;
+};
+
+const printStats = (stats) => {
+  Object.entries(stats).forEach(([key, value]) => {
+    console.log(`     ${key.padEnd(21)} ${value}`);
+  });
+};
+
+const render = (metrics) => {
+  const { visual, auditory, fusion } = metrics;
+  
+  log.header('ODIN Sensory System Status');
+  
+  console.log(`Server: ${metrics.server}`);
+  console.log(`ODIN: ${statusIcon(metrics.active)} ${metrics.active ? 'Active' : 'Inactive'}`);
+  console.log(`Perception quality: ${bar(metrics.perceptionQuality)}`);
+  
+  console.log(`\n${colors.cyan}👁️  Huginn (Visual)${colors.reset} ${statusIcon(visual.active)}`);
+  console.log(`   Streaming: ${visual.streaming ? 'yes' : 'no'}   FPS: ${visual.fps.toFixed(1)}   Last frame: ${formatAge(visual.lastFrame)}`);
+  printStats(visual.stats);
+  
+  console.log(`\n${colors.cyan}👂 Muninn (Auditory)${colors.reset} ${statusIcon(auditory.active)}`);
+  console.log(`   Streaming: ${auditory.streaming ? 'yes' : 'no'}   Samples/s: ${auditory.samplesPerSecond.toFixed(1)}   Last sample: ${formatAge(auditory.lastSample)}`);
+  printStats(auditory.stats);
+  
+  console.log(`\n${colors.cyan}⚡ Gungnir (Fusion)${colors.reset} ${statusIcon(fusion.active)}`);
+  console.log(`   Coherence:          ${bar(fusion.coherence)}`);
+  console.log(`   Temporal coherence: ${bar(fusion.temporalCoherence)}`);
+  console.log(`   Spatial coherence:  ${bar(fusion.spatialCoherence)}`);
+  printStats(fusion.stats);
+  
+  console.log(`\n${colors.cyan}📊 Totals${colors.reset}`);
+  printStats(metrics.stats);
+  
+  console.log('');
+  if (isHealthy(metrics)) {
+    log.success('All sensory subsystems active');
+  } else {
+    log.error('Some sensory subsystems are inactive');
+  }
+};
+
+const isHealthy = (metrics) => {
+  return metrics.active && metrics.visual.active && metrics.auditory.active && metrics.fusion.active;
+};
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      watch: { type: 'boolean', short: 'w', default: false },
+      interval: { type: 'string', default: '1' },
+      json: { type: 'boolean', default: false },
+      server: { type: 'string' }
+    }
+  });
+  
+  const interval = Number(values.interval);
+  if (!(interval > 0)) {
+    log.error(usage);
+    process.exit(EXIT_CODES.unreachable);
+  }
+  
+  const serverUrl = await findRunningServer(values.server);
+  if (!serverUrl) {
+    throw new Error('No running LucianPets server found (start it with `npm run server`)');
+  }
+  
+  await runStatusCheck({
+    watch: values.watch,
+    interval,
+    json: values.json,
+    collect: async () => ({
+      server: serverUrl,
+      ...(await apiRequest(serverUrl, '/sensory/metrics'))
+    }),
+    render,
+    isHealthy
+  });
+}
+
+main().catch((error) => {
+  log.error(`ODIN status check failed: ${error.message}`);
+  process.exit(EXIT_CODES.unreachable);
+});
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * LucianPets Pet Export
+ * Saves a pet and its whole brain to a portable archive file
+ *
+ * Usage: npm run pet:export -- <petId> [--out file] [--server url] [--offline]
+ *
+ * Exports through a running server when one is found, otherwise reads the
+ * server's storage directly.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import { log, findRunningServer, apiRequest, openLocalStore } from './lib/cli.js';
+
+const usage = 'Usage: npm run pet:export -- <petId> [--out file] [--server url] [--offline]';
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      out: { type: 'string', short: 'o' },
+      server: { type: 'string' },
+      offline: { type: 'boolean', default: false }
+    }
+  });
+  
+  const petId = positionals[0];
+  if (!petId) {
+    log.error(usage);
+    process.exit(1);
+  }
+  
+  // Resolve before any chdir into the server directory
+  const outFile = path.resolve(values.out || `${petId}.lucianpet.json`);
+  
+  log.header('LucianPets Pet Export');
+  
+  const serverUrl = values.offline ? null : await findRunningServer(values.server);
+  let archive;
+  
+  if (serverUrl) {
+    log.info(`Exporting through running server at ${serverUrl}`);
+    archive = await apiRequest(serverUrl, `/pets/${encodeURIComponent(petId)}/export`);
+  } else {
+    if (values.server) {
+      throw new Error(`No LucianPets server answering at ${values.server}`);
+    }
+    
+    log.info('No running server found, reading storage directly');
+    const store = await openLocalStore();
+    try {
+      const { exportPetArchive } = await import('../server/src/lib/pets/index.js');
+      archive = await exportPetArchive(petId, store);
+    } finally {
+      await store.close();
+    }
+  }
+  
+  await fs.writeFile(outFile, JSON.stringify(archive, null, 2));
+  
+  log.success(`Exported ${archive.pet.name} (${archive.pet.id}) to ${outFile}`);
+  console.log(`   Archive format: ${archive.format} v${archive.version}`);
+}
+
+main().catch((error) => {
+  log.error(`Export failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * LucianPets Pet Import
+ * Restores a pet and its whole brain from an archive made by pet:export
+ *
+ * Usage: npm run pet:import -- <file> [--overwrite] [--as-new] [--server url] [--offline]
+ *
+ *   --overwrite  Replace an existing pet with the same ID
+ *   --as-new     Import as a copy under a fresh ID
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { parseArgs } from 'util';
+import { log, findRunningServer, apiRequest, openLocalStore } from './lib/cli.js';
+
+const usage = 'Usage: npm run pet:import -- <file> [--overwrite] [--as-new] [--server url] [--offline]';
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      overwrite: { type: 'boolean', default: false },
+      'as-new': { type: 'boolean', default: false },
+      server: { type: 'string' },
+      offline: { type: 'boolean', default: false }
+    }
+  });
+  
+  if (!positionals[0]) {
+    log.error(usage);
+    process.exit(1);
+  }
+  
+  const inFile = path.resolve(positionals[0]);
+  const archive = JSON.parse(await fs.readFile(inFile, 'utf8'));
+  
+  log.header('LucianPets Pet Import');
+  
+  const serverUrl = values.offline ? null : await findRunningServer(values.server);
+  let result;
+  
+  if (serverUrl) {
+    log.info(`Importing through running server at ${serverUrl}`);
+    
+    const query = new URLSearchParams({
+      overwrite: String(values.overwrite),
+      asNew: String(values['as-new'])
+    });
+    result = await apiRequest(serverUrl, `/pets/import?${query}`, {
+      method: 'POST',
+      body: archive
+    });
+  } else {
+    if (values.server) {
+      throw new Error(`No LucianPets server answering at ${values.server}`);
+    }
+    
+    log.info('No running server found, writing storage directly');
+    const store = await openLocalStore();
+    try {
+      const { importPetArchive } = await import('../server/src/lib/pets/index.js');
+      const pet = await importPetArchive(archive, store, {
+        id: values['as-new'] ? randomUUID() : undefined,
+        overwrite: values.overwrite
+      });
+      result = { pet };
+    } finally {
+      await store.close();
+    }
+  }
+  
+  log.success(`Imported ${result.pet.name} as ${result.pet.id}`);
+}
+
+main().catch((error) => {
+  if (error.code === 'PET_EXISTS' || error.status === 409) {
+    log.error('Pet already exists. Use --overwrite to replace it or --as-new to import a copy.');
+  } else {
+    log.error(`Import failed: ${error.message}`);
+  }
+  process.exit(1);
+});
@@ -0,0 +1,219 @@
+/**
+ * Shared helpers for LucianPets CLI scripts
+ * Console styling, locating a running server, and opening the server's
+ * storage directly when no server is running
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isPortAvailable } from '../../server/src/utils/portDetection.js';
+
+export const SERVER_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../server');
+
+// Same candidates check-ports.js scans for the backend
+export const BACKEND_PORTS = [8000, 8001, 8002, 8080, 5000];
+
+export const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  purple: '\x1b[35m',
+  cyan: '\x1b[36m'
+};
+
+export const log = {
+  info: (msg) => console.log(`${colors.blue}ℹ️  ${msg}${colors.reset}`),
+  success: (msg) => console.log(`${colors.green}✅ ${msg}${colors.reset}`),
+  warning: (msg) => console.log(`${colors.yellow}⚠️  ${msg}${colors.reset}`),
+  error: (msg) => console.log(`${colors.red}❌ ${msg}${colors.reset}`),
+  header: (msg) => console.log(`\n${colors.purple}🔥 ${msg}${colors.reset}\n${'='.repeat(40)}`)
+};
+
+// Exit codes shared by the status scripts
+export const EXIT_CODES = {
+  ok: 0,
+  inactive: 1,
+  unreachable: 2
+};
+
+/**
+ * Render a 0-1 value as a small bar
+ * @param {number} value - Value between 0 and 1
+ * @param {number} width - Bar width in characters
+ * @returns {string}
+ */
+export const bar = (value, width = 10) => {
+  const clamped = Math.max(0, Math.min(1, Number(value) || 0));
+  const filled = Math.round(clamped * width);
+  return `${'█'.repeat(filled)}${'░'.repeat(width - filled)} ${clamped.toFixed(2)}`;
+};
+
+export const statusIcon = (active) => (active ? '🟢' : '🔴');
+
+/**
+ * Run a status check once, or repeatedly with --watch
+ * Sets the process exit code from the latest check.
+ * @param {Object} options - Check options
+ * @param {boolean} options.watch - Refresh until interrupted
+ * @param {number} options.interval - Seconds between refreshes
+ * @param {boolean} options.json - Print JSON instead of the report (one line per refresh when watching)
+ * @param {Function} options.collect - async () => status data
+ * @param {Function} options.render - (data) => void, prints the readable report
+ * @param {Function} options.isHealthy - (data) => boolean
+ */
+export const runStatusCheck = async ({ watch, interval, json, collect, render, isHealthy }) => {
+  const check = async () => {
+    const data = await collect();
+    
+    if (json) {
+      console.log(watch ? JSON.stringify(data) : JSON.stringify(data, null, 2));
+    } else {
+      if (watch) console.clear();
+      render(data);
+    }
+    
+    return isHealthy(data) ? EXIT_CODES.ok : EXIT_CODES.inactive;
+  };
+  
+  if (!watch) {
+    process.exitCode = await check();
+    return;
+  }
+  
+  process.on('SIGINT', () => process.exit(process.exitCode ?? EXIT_CODES.ok));
+  
+  while (true) {
+    try {
+      process.exitCode = await check();
+    } catch (error) {
+      // Keep watching through server restarts
+      process.exitCode = EXIT_CODES.unreachable;
+      if (json) {
+        console.log(JSON.stringify({ error: error.message, timestamp: Date.now() }));
+      } else {
+        console.clear();
+        log.error(`Status check failed: ${error.message}`);
+      }
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, interval * 1000));
+  }
+};
+
+/**
+ * Check whether a LucianPets API answers at a base URL
+ * @param {string} baseUrl - e.g. http://localhost:8000
+ * @returns {Promise<boolean>}
+ */
+export const isLucianServer = async (baseUrl) => {
+  try {
+    const response = await fetch(`${baseUrl}/api/v1/health`, {
+      signal: AbortSignal.timeout(2000)
+    });
+    if (!response.ok) return false;
+    
+    const health = await response.json();
+    return health.service === 'LucianPets API';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Find a running LucianPets server
+ * @param {string} explicitUrl - URL given on the command line, if any
+ * @returns {Promise<string|null>} - Base URL, or null when none is running
+ */
+export const findRunningServer = async (explicitUrl) => {
+  if (explicitUrl) {
+    const baseUrl = explicitUrl.replace(/\/+$/, '');
+    return (await isLucianServer(baseUrl)) ? baseUrl : null;
+  }
+  
+  if (process.env.LUCIANPETS_URL) {
+    return findRunningServer(process.env.LUCIANPETS_URL);
+  }
+  
+  for (const port of BACKEND_PORTS) {
+    // A free port cannot have our server behind it
+    if (await isPortAvailable(port)) continue;
+    
+    const baseUrl = `http://localhost:${port}`;
+    if (await isLucianServer(baseUrl)) {
+      return baseUrl;
+    }
+  }
+  
+  return null;
+};
+
+/**
+ * Call a LucianPets API endpoint and parse the JSON reply
+ * @param {string} baseUrl - Server base URL
+ * @param {string} route - Path below /api/v1
+ * @param {Object} options - fetch options; `body` objects are sent as JSON
+ * @returns {Promise<Object>} - Parsed response
+ */
+export const apiRequest = async (baseUrl, route, options = {}) => {
+  const init = { ...options, headers: { ...options.headers } };
+  
+  if (options.body !== undefined && typeof options.body !== 'string') {
+    init.body = JSON.stringify(options.body);
+    init.headers['Content-Type'] = 'application/json';
+  }
+  
+  const response = await fetch(`${baseUrl}/api/v1${route}`, init);
+  const data = await response.json().catch(() => ({}));
+  
+  if (!response.ok) {
+    const error = new Error(data.message || data.error || `HTTP ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  
+  return data;
+};
+
+/**
+ * Open the server's pet store and brains directly (server must be stopped)
+ * Paths resolve against the server directory, as they do for `npm start`.
+ * @returns {Promise<Object>} - { petRepository, brainManager, close() }
+ */
+export const openLocalStore = async () => {
+  process.chdir(SERVER_DIR);
+  
+  const { createPetRepository, initializePetRepository } = await import('../../server/src/lib/pets/index.js');
+  const { BrainManager } = await import('../../server/src/lib/lucian/brainManager.js');
+  
+  const petRepository = createPetRepository();
+  await initializePetRepository(petRepository);
+  
+  const brainManager = new BrainManager({ petRepository });
+  await brainManager.initialize();
+  
+  return {
+    petRepository,
+    brainManager,
+    close: async () => {
+      await brainManager.shutdown();
+      await petRepository.close();
+    }
+  };
+};
+
+export default {
+  SERVER_DIR,
+  BACKEND_PORTS,
+  EXIT_CODES,
+  colors,
+  log,
+  bar,
+  statusIcon,
+  runStatusCheck,
+  isLucianServer,
+  findRunningServer,
+  apiRequest,
+  openLocalStore
+};
@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+
+/**
+ * LucianPets ODIN Sessions
+ * Records the frames and audio ODIN receives, and replays recordings back
+ * through it
+ *
+ * Usage: npm run odin:session -- <command> [options]
+ *
+ *   list                              Recorded sessions
+ *   record [name] [--seconds n]       Start recording (and stop after n seconds)
+ *   stop                              Stop the running recording
+ *   replay <id> [--fast] [--speed n]  Replay a session, at the recorded pace
+ *                                     (times --speed) or as fast as possible
+ *   delete <id>                       Delete a session
+ *
+ * Commands go through a running server (--server url to pick one). With
+ * --offline, list, replay and delete use the server's session directory
+ * directly; an offline replay runs a local ODIN - as fast as possible
+ * unless --speed is given - and reports what it perceived.
+ */
+
+import { parseArgs } from 'util';
+import { log, colors, findRunningServer, apiRequest, SERVER_DIR } from './lib/cli.js';
+
+const usage = 'Usage: npm run odin:session -- <list|record [name]|stop|replay <id>|delete <id>> [--seconds n] [--fast] [--speed n] [--server url] [--offline]';
+
+// ODIN events counted during an offline replay
+const REPLAY_EVENTS = [
+  'perception',
+  'object_detected',
+  'face_recognized',
+  'unknown_face',
+  'sound_identified',
+  'voice_activity',
+  'speech_detected',
+  'speaker_identified',
+  'stranger_detected',
+  'attention_shift'
+];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const formatDuration = (ms) => `${((ms || 0) / 1000).toFixed(1)}s`;
+
+const formatSize = (bytes) => `${((bytes || 0) / (1024 * 1024)).toFixed(1)} MB`;
+
+const printSessions = (sessions) => {
+  if (sessions.length === 0) {
+    log.info('No recorded sessions');
+    return;
+  }
+  
+  sessions.forEach((session) => {
+    const state = session.recording ? `${colors.red}recording${colors.reset}` : (session.complete ? '' : `${colors.yellow}incomplete${colors.reset}`);
+    console.log(`${colors.cyan}${session.id}${colors.reset}  ${session.name} ${state}`);
+    console.log(`   ${new Date(session.startedAt).toLocaleString()}   ${formatDuration(session.duration)}   ${session.frames} frames   ${session.audioChunks} audio chunks   ${formatSize(session.bytes)}`);
+  });
+};
+
+const printReplay = (replay) => {
+  const report = replay.state === 'finished' ? log.success : log.warning;
+  report(`Replay ${replay.state}: ${replay.frames} frames, ${replay.audioChunks} audio chunks in ${formatDuration(replay.endedAt - replay.startedAt)}`);
+  
+  if (replay.errors > 0) {
+    log.warning(`${replay.errors} inputs failed to process (last: ${replay.lastError})`);
+  } else if (replay.state === 'failed') {
+    log.error(replay.lastError);
+  }
+};
+
+const replayOptions = (values) => {
+  const speed = values.speed === undefined ? undefined : Number(values.speed);
+  if (speed !== undefined && !(speed > 0)) {
+    throw new Error('--speed must be a positive number');
+  }
+  
+  return { mode: values.fast ? 'fast' : 'realtime', speed };
+};
+
+/**
+ * Sessions through a running server
+ */
+const runRemote = async (serverUrl, command, target, values) => {
+  switch (command) {
+    case 'list': {
+      const { sessions } = await apiRequest(serverUrl, '/sensory/sessions');
+      printSessions(sessions);
+      break;
+    }
+    
+    case 'record': {
+      const seconds = values.seconds === undefined ? null : Number(values.seconds);
+      if (seconds !== null && !(seconds > 0)) {
+        throw new Error('--seconds must be a positive number');
+      }
+      
+      const { session } = await apiRequest(serverUrl, '/sensory/sessions', {
+        method: 'POST',
+        body: { name: target }
+      });
+      log.success(`Recording session ${session.id} (${session.name})`);
+      
+      if (seconds === null) {
+        log.info('Stop it with `npm run odin:session -- stop`');
+        break;
+      }
+      
+      await sleep(seconds * 1000);
+      const { session: recorded } = await apiRequest(serverUrl, `/sensory/sessions/${session.id}/stop`, { method: 'POST' });
+      printSessions([recorded]);
+      break;
+    }
+    
+    case 'stop': {
+      const { recording } = await apiRequest(serverUrl, '/sensory/sessions');
+      if (!recording) {
+        throw new Error('No session is being recorded');
+      }
+      
+      const { session } = await apiRequest(serverUrl, `/sensory/sessions/${recording.id}/stop`, { method: 'POST' });
+      log.success(`Stopped recording ${session.id}`);
+      printSessions([session]);
+      break;
+    }
+    
+    case 'replay': {
+      const { replay } = await apiRequest(serverUrl, `/sensory/sessions/${encodeURIComponent(target)}/replay`, {
+        method: 'POST',
+        body: replayOptions(values)
+      });
+      log.info(`Replaying ${replay.name} (${replay.mode}) - Ctrl+C leaves it running on the server`);
+      
+      // Follow the replay until the server reports it done
+      let status;
+      do {
+        await sleep(1000);
+        status = await apiRequest(serverUrl, '/sensory/sessions');
+      } while (status.replaying?.sessionId === target);
+      
+      if (status.lastReplay?.sessionId === target) {
+        printReplay(status.lastReplay);
+      }
+      break;
+    }
+    
+    case 'delete': {
+      await apiRequest(serverUrl, `/sensory/sessions/${encodeURIComponent(target)}`, { method: 'DELETE' });
+      log.success(`Deleted session ${target}`);
+      break;
+    }
+  }
+};
+
+/**
+ * Sessions straight from the server's session directory
+ * Paths resolve against the server directory, as they do for `npm start`.
+ */
+const runOffline = async (command, target, values) => {
+  process.chdir(SERVER_DIR);
+  
+  if (command === 'record' || command === 'stop') {
+    throw new Error(`${command} needs a running server`);
+  }
+  
+  const { OdinSensorySystem } = await import('../server/src/lib/odin/index.js');
+  
+  if (command !== 'replay') {
+    const { sessions } = new OdinSensorySystem();
+    
+    if (command === 'list') {
+      printSessions(await sessions.list());
+    } else if (await sessions.remove(target)) {
+      log.success(`Deleted session ${target}`);
+    } else {
+      throw new Error(`No session ${target}`);
+    }
+    return;
+  }
+  
+  const odin = new OdinSensorySystem();
+  const counts = Object.fromEntries(REPLAY_EVENTS.map(event => [event, 0]));
+  REPLAY_EVENTS.forEach((event) => {
+    odin.on(event, () => counts[event]++);
+  });
+  
+  await odin.initialize();
+  
+  try {
+    const { mode, speed } = replayOptions(values);
+    const replay = await odin.replaySession(target, { mode: values.speed === undefined ? 'fast' : mode, speed });
+    log.info(`Replaying ${replay.name} (${replay.mode}) through a local ODIN`);
+    
+    printReplay(await odin.sessions.waitForReplay());
+    
+    console.log(`\n${colors.cyan}📊 ODIN stats${colors.reset}`);
+    Object.entries(odin.stats).forEach(([key, value]) => {
+      console.log(`     ${key.padEnd(21)} ${value}`);
+    });
+    
+    console.log(`\n${colors.cyan}📡 Events${colors.reset}`);
+    Object.entries(counts).forEach(([event, count]) => {
+      console.log(`     ${event.padEnd(21)} ${count}`);
+    });
+  } finally {
+    await odin.shutdown();
+  }
+};
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      seconds: { type: 'string', short: 's' },
+      fast: { type: 'boolean', default: false },
+      speed: { type: 'string' },
+      server: { type: 'string' },
+      offline: { type: 'boolean', default: false }
+    }
+  });
+  
+  const [command, target] = positionals;
+  const commands = ['list', 'record', 'stop', 'replay', 'delete'];
+  
+  if (!commands.includes(command) || ((command === 'replay' || command === 'delete') && !target)) {
+    log.error(usage);
+    process.exit(1);
+  }
+  
+  log.header('LucianPets ODIN Sessions');
+  
+  const serverUrl = values.offline ? null : await findRunningServer(values.server);
+  
+  if (serverUrl) {
+    log.info(`Using running server at ${serverUrl}`);
+    await runRemote(serverUrl, command, target, values);
+  } else {
+    if (values.server) {
+      throw new Error(`No LucianPets server answering at ${values.server}`);
+    }
+    
+    log.info('No running server found, using the session directory directly');
+    await runOffline(command, target, values);
+  }
+}
+
+main().catch((error) => {
+  log.error(`Session command failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+/**
+ * LucianPets Pet Simulation
+ * Lives through days of a pet's life on a virtual clock in seconds. The same
+ * seed always produces the same brain, shown by the final digest.
+ *
+ * Usage: npm run pet:simulate -- [--seed n] [--days n] [--hours n] [--steps n]
+ *                                [--report-every h] [--with-odin] [--json] [--verbose]
+ *
+ * --steps runs that many scheduled callbacks one at a time instead of a
+ * fixed span of time.
+ */
+
+import { parseArgs } from 'util';
+import { colors, log, bar } from './lib/cli.js';
+import { Simulation } from '../server/src/lib/runtime/simulation.js';
+
+const usage = 'Usage: npm run pet:simulate -- [--seed n] [--days n] [--hours n] [--steps n] [--report-every h] [--with-odin] [--json] [--verbose]';
+
+const HOUR = 60 * 60 * 1000;
+
+const formatDuration = (ms) => {
+  const hours = ms / HOUR;
+  return hours >= 24 ? `${(hours / 24).toFixed(2)} days` : `${hours.toFixed(2)} hours`;
+};
+
+const render = (state, realMs) => {
+  log.header('Simulation Result');
+  
+  console.log(`Pet: ${state.petId}   Seed: ${state.seed}`);
+  console.log(`Simulated: ${formatDuration(state.elapsed)} in ${(realMs / 1000).toFixed(1)}s real time`);
+  console.log(`Virtual time: ${new Date(state.simulatedTime).toISOString()}`);
+  
+  console.log(`\n${colors.cyan}🧠 Cognitive state${colors.reset}`);
+  Object.entries(state.cognitiveState).forEach(([key, value]) => {
+    console.log(`   ${key.padEnd(21)} ${bar(value)}`);
+  });
+  
+  console.log(`\n${colors.cyan}📊 Components${colors.reset}`);
+  Object.entries(state.metrics).forEach(([name, metrics]) => {
+    const details = Object.entries(metrics)
+      .filter(([key]) => key !== 'active')
+      .map(([key, value]) => `${key}: ${typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(3) : value}`)
+      .join(', ');
+    console.log(`   ${name.padEnd(11)} ${details}`);
+  });
+  
+  console.log(`\n   Timers fired: ${state.stats.timersFired}   Perceptions: ${state.stats.perceptions}`);
+  console.log(`\n${colors.purple}Digest: ${state.digest}${colors.reset}`);
+};
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      seed: { type: 'string', default: '1' },
+      days: { type: 'string' },
+      hours: { type: 'string' },
+      steps: { type: 'string' },
+      'report-every': { type: 'string', default: '6' },
+      'with-odin': { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+      verbose: { type: 'boolean', default: false }
+    }
+  });
+  
+  const duration = (Number(values.days) || 0) * 24 * HOUR + (Number(values.hours) || 0) * HOUR || 24 * HOUR;
+  const steps = values.steps !== undefined ? Number(values.steps) : null;
+  const reportEvery = Number(values['report-every']) * HOUR;
+  
+  if (!(duration > 0) || !(reportEvery > 0) || (steps !== null && !(steps > 0))) {
+    log.error(usage);
+    process.exit(1);
+  }
+  
+  // Component logs would drown the report (and break --json)
+  const print = console.log;
+  if (!values.verbose) {
+    console.log = () => {};
+  }
+  const progress = (message) => {
+    if (!values.json) print(message);
+  };
+  
+  const simulation = new Simulation({
+    seed: values.seed,
+    withOdin: values['with-odin']
+  });
+  
+  const started = Date.now();
+  let state;
+  
+  try {
+    await simulation.initialize();
+    
+    if (steps !== null) {
+      // Step mode: one scheduled callback at a time
+      for (let i = 0; i < steps; i++) {
+        if (await simulation.step() === 0) break;
+        progress(`   step ${String(i + 1).padStart(5)}  t+${(simulation.elapsed / 1000).toFixed(3)}s`);
+      }
+    } else {
+      // Fast mode: jump ahead, reporting at each interval
+      while (simulation.elapsed < duration) {
+        await simulation.advance(Math.min(reportEvery, duration - simulation.elapsed));
+        
+        const { curiosity, awareness } = simulation.brain.cognitiveState;
+        progress(`   ${colors.blue}⏩${colors.reset} ${formatDuration(simulation.elapsed).padStart(11)}  awareness ${awareness.toFixed(3)}  curiosity ${curiosity.toFixed(3)}`);
+      }
+    }
+    
+    state = simulation.getState();
+  } finally {
+    await simulation.shutdown();
+    console.log = print;
+  }
+  
+  const realMs = Date.now() - started;
+  
+  if (values.json) {
+    console.log(JSON.stringify({ ...state, realMs }, null, 2));
+  } else {
+    render(state, realMs);
+  }
+}
+
+main().catch((error) => {
+  log.error(`Simulation failed: ${error.message}`);
+  process.exit(1);
+});
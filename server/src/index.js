@@ -9,8 +9,10 @@ import dotenv from 'dotenv';
 import { findAvailablePort, getServerInfo } from './utils/portDetection.js';
 import { setupRoutes } from './routes/index.js';
 import { setupWebSocket } from './websocket/index.js';
-import { LucianCognitiveSystem } from './lib/lucian/index.js';
+import { BrainManager } from './lib/lucian/brainManager.js';
 import { OdinSensorySystem } from './lib/odin/index.js';
+import { createPetRepository, initializePetRepository, DEFAULT_PET_ID } from './lib/pets/index.js';
+import { createRuntimeFromEnv } from './lib/runtime/index.js';
 
 dotenv.config();
 
@@ -27,9 +29,18 @@ class LucianPetsServer {
       }
     });
     
-    // Initialize cognitive systems
-    this.lucianSystem = new LucianCognitiveSystem();
-    this.odinSystem = new OdinSensorySystem();
+    // Durable pet storage (backend chosen by PET_PERSISTENCE_BACKEND)
+    this.petRepository = createPetRepository();
+    
+    // Randomness and time for every component (LUCIAN_SEED, LUCIAN_CLOCK)
+    this.runtime = createRuntimeFromEnv();
+    
+    // Initialize cognitive systems (one brain per pet)
+    this.brainManager = new BrainManager({
+      petRepository: this.petRepository,
+      runtime: this.runtime.fork('lucian')
+    });
+    this.odinSystem = new OdinSensorySystem({ runtime: this.runtime.fork('odin') });
     
     this.port = null;
     this.isInitialized = false;
@@ -40,6 +51,9 @@ class LucianPetsServer {
       // Smart port detection
       this.port = await findAvailablePort([8000, 8001, 8002, 8080, 3001, 5000]);
       
+      // Load persisted pets before any route can serve them
+      await initializePetRepository(this.petRepository, { clock: this.runtime.clock });
+      
       // Setup middleware
       this.setupMiddleware();
       
@@ -83,7 +97,9 @@ class LucianPetsServer {
     // Logging
     this.app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev'));
     
-    // Body parsing
+    // Body parsing (pet archives carry the whole brain, memories and all,
+    // so imports get a limit of their own; parsed there, the body is skipped below)
+    this.app.use('/api/v1/pets/import', express.json({ limit: process.env.PET_IMPORT_LIMIT || '200mb' }));
     this.app.use(express.json({ limit: '10mb' }));
     this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
     
@@ -93,31 +109,71 @@ class LucianPetsServer {
 
   setupRoutes() {
     setupRoutes(this.app, {
-      lucianSystem: this.lucianSystem,
-      odinSystem: this.odinSystem
+      brainManager: this.brainManager,
+      odinSystem: this.odinSystem,
+      petRepository: this.petRepository
     });
   }
 
   setupWebSocket() {
     setupWebSocket(this.io, {
-      lucianSystem: this.lucianSystem,
+      brainManager: this.brainManager,
       odinSystem: this.odinSystem
     });
   }
 
   async initializeCognitiveSystems() {
     console.log('🧠 Initializing Lucian Cognitive System...');
-    await this.lucianSystem.initialize();
+    if (this.runtime.clock.virtual) {
+      console.log(`⏱️ Virtual clock running at ${this.runtime.clock.timeScale}x (seed ${this.runtime.seed})`);
+    }
+    await this.brainManager.initialize();
+    
+    // Warm up the default pet's brain so the first request is fast
+    await this.brainManager.getBrain(DEFAULT_PET_ID);
     
     console.log('👁️ Initializing ODIN Sensory System...');
     await this.odinSystem.initialize();
     
-    // Connect systems
+    // Connect systems: every loaded pet perceives the shared sensory stream
     this.odinSystem.on('perception', (perceptionData) => {
-      this.lucianSystem.processPerception(perceptionData);
+      this.brainManager.broadcastPerception(perceptionData);
+    });
+    
+    // ...and hears the commands it was taught, as structured speech events
+    this.odinSystem.on('speech_detected', (speech) => {
+      this.brainManager.broadcastSpeech(speech);
+    });
+    
+    // ...and knows the household's voices from a stranger's
+    this.odinSystem.on('speaker_identified', (speaker) => {
+      this.brainManager.broadcastSpeaker(speaker);
     });
     
-    this.lucianSystem.on('cognition', (cognitionData) => {
+    this.odinSystem.on('stranger_detected', (speaker) => {
+      this.brainManager.broadcastSpeaker(speaker);
+    });
+    
+    // ...and their faces, greeting its owner when they come into view
+    this.odinSystem.on('face_recognized', (face) => {
+      this.brainManager.broadcastFace(face);
+    });
+    
+    this.odinSystem.on('unknown_face', (face) => {
+      this.brainManager.broadcastFace(face);
+    });
+    
+    // ...and is surprised when what it expected to perceive does not happen
+    this.odinSystem.on('surprise', (surprise) => {
+      this.brainManager.broadcastSurprise(surprise);
+    });
+    
+    // ...and acts on what it has learned usually comes next
+    this.odinSystem.on('anticipation', (anticipation) => {
+      this.brainManager.broadcastAnticipation(anticipation);
+    });
+    
+    this.brainManager.on('cognition', (cognitionData) => {
       this.io.emit('brain_activity', cognitionData);
     });
   }
@@ -142,7 +198,7 @@ class LucianPetsServer {
         console.log(`🌐 Server URL: ${serverInfo.url}`);
         console.log(`📡 Port: ${this.port}`);
         console.log(`🔌 WebSocket: ws://localhost:${this.port}`);
-        console.log(`🧠 Lucian System: ${this.lucianSystem.isActive ? 'Active' : 'Inactive'}`);
+        console.log(`🧠 Lucian System: ${this.brainManager.isActive ? 'Active' : 'Inactive'}`);
         console.log(`👁️ ODIN System: ${this.odinSystem.isActive ? 'Active' : 'Inactive'}`);
         console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
         console.log('═══════════════════════════════════════');
@@ -157,8 +213,12 @@ class LucianPetsServer {
     console.log('🛑 Shutting down LucianPets Server...');
     
     // Cleanup cognitive systems
-    await this.lucianSystem.shutdown();
+    await this.brainManager.shutdown();
     await this.odinSystem.shutdown();
+    this.runtime.stop();
+    
+    // Flush pending pet writes
+    await this.petRepository.close();
     
     // Close server
     this.server.close();
@@ -1,4 +1,5 @@
 import EventEmitter from 'events';
+import { createRuntime } from '../runtime/index.js';
 
 /**
  * Aetheron Identity Engine
@@ -6,9 +7,13 @@ import EventEmitter from 'events';
  * Creates and maintains the pet's sense of self
  */
 export class AetheronIdentity extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
     
+    const runtime = options.runtime || createRuntime();
+    this.random = runtime.random;
+    this.clock = runtime.clock;
+    
     this.isActive = false;
     this.identityCore = {
       name: null,
@@ -85,7 +90,7 @@ export class AetheronIdentity extends EventEmitter {
     fundamentalConcepts.forEach(item => {
       this.identityCore.selfConcept.set(item.concept, {
         strength: item.strength,
-        formed: Date.now(),
+        formed: this.clock.now(),
         reinforcements: 0
       });
     });
@@ -95,14 +100,14 @@ export class AetheronIdentity extends EventEmitter {
       this.identityCore.personality.set(dimension, {
         value,
         stability: 0.5,
-        lastUpdated: Date.now()
+        lastUpdated: this.clock.now()
       });
     });
     
     // Initialize core values
     this.coreValues.forEach(value => {
       this.identityCore.values.set(value, {
-        importance: 0.5 + Math.random() * 0.3,
+        importance: 0.5 + this.random.next() * 0.3,
         actions: 0,
         lastExpressed: 0
       });
@@ -116,7 +121,7 @@ export class AetheronIdentity extends EventEmitter {
     // Add to self-concept
     this.identityCore.selfConcept.set('my_name', {
       strength: 1.0,
-      formed: Date.now(),
+      formed: this.clock.now(),
       reinforcements: 1,
       content: name
     });
@@ -186,7 +191,7 @@ export class AetheronIdentity extends EventEmitter {
     if (!this.identityCore.selfConcept.has(conceptKey)) {
       this.identityCore.selfConcept.set(conceptKey, {
         strength: 0.3,
-        formed: Date.now(),
+        formed: this.clock.now(),
         reinforcements: 0
       });
     }
@@ -199,7 +204,7 @@ export class AetheronIdentity extends EventEmitter {
     if (experience.learned) {
       this.identityCore.selfConcept.set(`i_can_${experience.learned}`, {
         strength: 0.5,
-        formed: Date.now(),
+        formed: this.clock.now(),
         reinforcements: 1
       });
     }
@@ -220,7 +225,7 @@ export class AetheronIdentity extends EventEmitter {
         if (this.identityCore.personality.has(dimension)) {
           const trait = this.identityCore.personality.get(dimension);
           trait.value = Math.max(0, Math.min(1, trait.value + change));
-          trait.lastUpdated = Date.now();
+          trait.lastUpdated = this.clock.now();
           
           // Increase stability over time
           trait.stability = Math.min(1, trait.stability + 0.001);
@@ -244,7 +249,7 @@ export class AetheronIdentity extends EventEmitter {
     if (relevantValue && this.identityCore.values.has(relevantValue)) {
       const value = this.identityCore.values.get(relevantValue);
       value.actions++;
-      value.lastExpressed = Date.now();
+      value.lastExpressed = this.clock.now();
       
       // Strengthen expressed values
       value.importance = Math.min(1, value.importance + 0.02);
@@ -264,10 +269,11 @@ export class AetheronIdentity extends EventEmitter {
     
     if (!this.identityCore.relationships.has(entity)) {
       this.identityCore.relationships.set(entity, {
+        name: experience.name || entity,
         bond: 0.5,
         trust: 0.5,
         interactions: 0,
-        lastSeen: Date.now(),
+        lastSeen: this.clock.now(),
         emotions: []
       });
       this.stats.relationshipCount++;
@@ -275,7 +281,8 @@ export class AetheronIdentity extends EventEmitter {
     
     const relationship = this.identityCore.relationships.get(entity);
     relationship.interactions++;
-    relationship.lastSeen = Date.now();
+    if (experience.name) relationship.name = experience.name;
+    relationship.lastSeen = this.clock.now();
     
     // Update bond based on experience quality
     if (experience.positive) {
@@ -290,7 +297,7 @@ export class AetheronIdentity extends EventEmitter {
     if (experience.emotion) {
       relationship.emotions.push({
         emotion: experience.emotion,
-        timestamp: Date.now()
+        timestamp: this.clock.now()
       });
       
       // Keep only recent emotions
@@ -326,7 +333,7 @@ export class AetheronIdentity extends EventEmitter {
     // Add to self-narrative
     const narrativeEntry = {
       ...item,
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       integrated: false
     };
     
@@ -439,7 +446,7 @@ export class AetheronIdentity extends EventEmitter {
   
   startSelfReflection() {
     // Periodic self-reflection process
-    setInterval(() => {
+    this.reflectionInterval = this.clock.setInterval(() => {
       this.reflect();
     }, this.config.selfReflectionInterval);
   }
@@ -503,7 +510,7 @@ export class AetheronIdentity extends EventEmitter {
       }
       
       // Drift toward baseline if not reinforced
-      const timeSinceUpdate = Date.now() - trait.lastUpdated;
+      const timeSinceUpdate = this.clock.now() - trait.lastUpdated;
       if (timeSinceUpdate > 60000) { // 1 minute
         trait.value = trait.value * 0.99 + 0.5 * 0.01; // Drift to 0.5
       }
@@ -520,7 +527,7 @@ export class AetheronIdentity extends EventEmitter {
       if (!this.identityCore.selfConcept.has(`i_value_${key}`)) {
         this.identityCore.selfConcept.set(`i_value_${key}`, {
           strength: value.importance,
-          formed: Date.now(),
+          formed: this.clock.now(),
           reinforcements: value.actions
         });
       }
@@ -583,7 +590,7 @@ export class AetheronIdentity extends EventEmitter {
     this.identityCore.relationships.forEach((rel, entity) => {
       if (rel.bond > maxBond) {
         maxBond = rel.bond;
-        strongestBond = entity;
+        strongestBond = rel.name || entity;
       }
     });
     
@@ -622,6 +629,7 @@ export class AetheronIdentity extends EventEmitter {
     this.identityCore.relationships.forEach((rel, entity) => {
       description.relationships.push({
         entity,
+        name: rel.name || entity,
         bond: rel.bond,
         trust: rel.trust
       });
@@ -630,6 +638,21 @@ export class AetheronIdentity extends EventEmitter {
     return description;
   }
   
+  getRelationship(entity) {
+    const relationship = this.identityCore.relationships.get(entity);
+    if (!relationship) return null;
+    
+    return {
+      entity,
+      name: relationship.name || entity,
+      bond: relationship.bond,
+      trust: relationship.trust,
+      interactions: relationship.interactions,
+      lastSeen: relationship.lastSeen,
+      emotions: relationship.emotions.map(({ emotion }) => emotion)
+    };
+  }
+  
   getCoherence() {
     return this.stats.coherence;
   }
@@ -638,8 +661,33 @@ export class AetheronIdentity extends EventEmitter {
     return this.stats.identityStrength;
   }
   
+  serialize() {
+    // Identity maps, narrative and personality
+    return {
+      identityCore: this.identityCore,
+      personalityDimensions: this.personalityDimensions,
+      stats: this.stats
+    };
+  }
+  
+  restore(state) {
+    const core = state.identityCore || {};
+    
+    this.identityCore = {
+      name: core.name ?? this.identityCore.name,
+      selfConcept: new Map(core.selfConcept),
+      personality: new Map(core.personality),
+      values: new Map(core.values),
+      relationships: new Map(core.relationships),
+      selfNarrative: [...(core.selfNarrative || [])]
+    };
+    this.personalityDimensions = { ...this.personalityDimensions, ...state.personalityDimensions };
+    this.stats = { ...this.stats, ...state.stats };
+  }
+  
   async shutdown() {
     this.isActive = false;
+    this.clock.clearInterval(this.reflectionInterval);
     this.removeAllListeners();
   }
 }
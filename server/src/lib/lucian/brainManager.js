@@ -0,0 +1,445 @@
+import EventEmitter from 'events';
+import { createRuntime } from '../runtime/index.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { LucianCognitiveSystem } from './index.js';
+import { writeJsonAtomic, readJson } from '../../utils/atomicFile.js';
+import { encodeStructured, decodeStructured } from '../../utils/structuredJson.js';
+
+/**
+ * Brain Manager
+ * Owns one isolated LucianCognitiveSystem per pet.
+ * Brains are created on first use, kept warm while in use and evicted
+ * when idle or when too many are loaded at once. Each brain's full state
+ * is snapshotted to `<persistencePath>/<petId>/brain.json` on eviction,
+ * on shutdown and on every sweep, and restored when it loads again.
+ */
+export class BrainManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    
+    this.isActive = false;
+    this.petRepository = options.petRepository || null;
+    
+    // Handed to every brain; with a seed and a virtual clock a pet's life
+    // replays identically
+    this.runtime = options.runtime || createRuntime();
+    this.clock = this.runtime.clock;
+    
+    // Loaded brains, brains still initializing and brains still saving on
+    // their way out
+    this.brains = new Map();
+    this.pending = new Map();
+    this.evictions = new Map();
+    
+    this.config = {
+      persistencePath: options.persistencePath || process.env.LUCIAN_PERSISTENCE_PATH || './data/lucian',
+      maxBrains: options.maxBrains || parseInt(process.env.LUCIAN_MAX_BRAINS) || 20,
+      idleTimeoutMs: options.idleTimeoutMs || parseInt(process.env.LUCIAN_BRAIN_IDLE_MS) || 10 * 60 * 1000,
+      sweepIntervalMs: 60000
+    };
+    
+    // Brain events re-emitted with the owning pet's ID
+    this.forwardedEvents = [
+      { source: null, event: 'cognition' },
+      { source: null, event: 'exploration_request' },
+      { source: null, event: 'identity_evolved' },
+      { source: 'hasr', event: 'pattern_learned' },
+      { source: 'mpu', event: 'memory_stored' },
+      { source: 'ssp', event: 'binding_formed' },
+      { source: 'wonder', event: 'curiosity_triggered' },
+      { source: 'wonder', event: 'new_discovery' },
+      { source: 'aetheron', event: 'identity_update' },
+      { source: null, event: 'need_behavior' },
+      { source: null, event: 'speech_heard' },
+      { source: null, event: 'speaker_heard' },
+      { source: null, event: 'stranger_heard' },
+      { source: null, event: 'person_seen' },
+      { source: null, event: 'stranger_seen' },
+      { source: null, event: 'anticipation_behavior' }
+    ];
+    
+    this.stats = {
+      brainsLoaded: 0,
+      brainsEvicted: 0,
+      snapshotsSaved: 0
+    };
+  }
+  
+  async initialize() {
+    console.log('🧠 Initializing Brain Manager...');
+    
+    await fs.mkdir(this.config.persistencePath, { recursive: true });
+    
+    this.isActive = true;
+    
+    // Start idle eviction
+    this.startEvictionSweep();
+    
+    console.log(`✅ Brain Manager initialized (max ${this.config.maxBrains} brains)`);
+  }
+  
+  /**
+   * Get the brain for a pet, loading it if necessary
+   * @param {string} petId - Pet ID
+   * @returns {Promise<LucianCognitiveSystem>} - Initialized brain
+   */
+  async getBrain(petId) {
+    if (!petId) {
+      throw new Error('Pet ID is required');
+    }
+    
+    const entry = this.brains.get(petId);
+    if (entry) {
+      entry.lastUsed = this.clock.now();
+      return entry.brain;
+    }
+    
+    // Share a single load between concurrent callers; a brain being evicted
+    // loads again only once its snapshot is on disk
+    if (!this.pending.has(petId)) {
+      const evicting = this.evictions.get(petId) || Promise.resolve();
+      const loading = evicting
+        .catch(() => {})
+        .then(() => this.loadBrain(petId))
+        .finally(() => {
+          this.pending.delete(petId);
+        });
+      this.pending.set(petId, loading);
+    }
+    
+    return this.pending.get(petId);
+  }
+  
+  /**
+   * Get a brain only if it is already loaded
+   * @param {string} petId - Pet ID
+   * @returns {LucianCognitiveSystem|null} - Loaded brain or null
+   */
+  peekBrain(petId) {
+    const entry = this.brains.get(petId);
+    return entry ? entry.brain : null;
+  }
+  
+  async loadBrain(petId) {
+    let pet = null;
+    
+    if (this.petRepository) {
+      pet = await this.petRepository.get(petId);
+      
+      if (!pet) {
+        const error = new Error(`Pet ${petId} not found`);
+        error.code = 'PET_NOT_FOUND';
+        throw error;
+      }
+    }
+    
+    const brain = new LucianCognitiveSystem({
+      petId,
+      runtime: this.runtime,
+      persistencePath: this.getBrainPath(petId)
+    });
+    
+    await brain.initialize();
+    
+    // Pick up where the pet left off
+    const snapshot = await readJson(this.getSnapshotPath(petId));
+    if (snapshot) {
+      try {
+        brain.restore(decodeStructured(snapshot));
+      } catch (error) {
+        console.error(`⚠️ Could not restore brain snapshot for ${petId}:`, error.message);
+      }
+    }
+    
+    // A fresh brain learns its name from the pet record
+    if (pet && !brain.aetheron.identityCore.name) {
+      brain.aetheron.setName(pet.name);
+    }
+    
+    await this.catchUpNeeds(petId, brain, pet);
+    
+    this.attachForwarding(petId, brain);
+    
+    this.brains.set(petId, {
+      brain,
+      loadedAt: this.clock.now(),
+      lastUsed: this.clock.now()
+    });
+    this.stats.brainsLoaded++;
+    
+    this.emit('brain_loaded', { petId });
+    
+    await this.enforceCapacity(petId);
+    
+    return brain;
+  }
+  
+  /**
+   * Live through the time the pet spent unloaded in one step
+   * @param {string} petId - Pet ID
+   * @param {LucianCognitiveSystem} brain - Freshly loaded brain
+   * @param {Object|null} pet - Pet record
+   */
+  async catchUpNeeds(petId, brain, pet) {
+    if (pet) {
+      brain.needs.configure(pet);
+    }
+    
+    // The record's last interaction is stamped from the runtime clock too,
+    // so under a virtual clock the time away is virtual time
+    const { elapsedMs } = brain.needs.catchUp(pet ? Date.parse(pet.lastInteraction) : undefined);
+    
+    if (elapsedMs >= 60 * 60 * 1000) {
+      console.log(`🕰️ ${petId} caught up on ${(elapsedMs / 3600000).toFixed(1)} hours away`);
+    }
+    
+    // Neglect shows in the pet record too
+    if (pet) {
+      await this.petRepository.update(petId, (draft) => {
+        draft.stats = brain.needs.applyToStats(draft.stats);
+      });
+    }
+  }
+  
+  attachForwarding(petId, brain) {
+    this.forwardedEvents.forEach(({ source, event }) => {
+      const emitter = source ? brain[source] : brain;
+      
+      emitter.on(event, (data) => {
+        this.emit(event, { petId, ...data });
+      });
+    });
+  }
+  
+  async enforceCapacity(keepPetId) {
+    // Evict least recently used brains above the limit
+    while (this.brains.size > this.config.maxBrains) {
+      let oldestId = null;
+      let oldestTime = Infinity;
+      
+      this.brains.forEach((entry, petId) => {
+        if (petId !== keepPetId && entry.lastUsed < oldestTime) {
+          oldestTime = entry.lastUsed;
+          oldestId = petId;
+        }
+      });
+      
+      if (!oldestId) break;
+      
+      await this.evict(oldestId);
+    }
+  }
+  
+  /**
+   * Shut down a pet's brain and release it from memory
+   * @param {string} petId - Pet ID
+   * @param {Object} options - { persist: false } discards unsaved state
+   * @returns {Promise<boolean>} - True if a brain was loaded
+   */
+  async evict(petId, { persist = true } = {}) {
+    // Let an in-flight load finish before tearing it down
+    if (this.pending.has(petId)) {
+      await this.pending.get(petId).catch(() => {});
+    }
+    
+    const entry = this.brains.get(petId);
+    if (!entry) return false;
+    
+    this.brains.delete(petId);
+    
+    const evicting = (async () => {
+      if (persist) {
+        await this.writeSnapshot(petId, entry.brain.serialize());
+      }
+      await entry.brain.shutdown();
+    })().finally(() => {
+      this.evictions.delete(petId);
+    });
+    this.evictions.set(petId, evicting);
+    
+    await evicting;
+    
+    this.stats.brainsEvicted++;
+    this.emit('brain_evicted', { petId });
+    
+    return true;
+  }
+  
+  /**
+   * Evict a pet's brain and remove everything it persisted
+   * @param {string} petId - Pet ID
+   */
+  async deleteBrain(petId) {
+    await this.evict(petId, { persist: false });
+    await fs.rm(this.getBrainPath(petId), { recursive: true, force: true });
+  }
+  
+  getBrainPath(petId) {
+    return path.join(this.config.persistencePath, encodeURIComponent(petId));
+  }
+  
+  getSnapshotPath(petId) {
+    return path.join(this.getBrainPath(petId), 'brain.json');
+  }
+  
+  async writeSnapshot(petId, snapshot) {
+    await writeJsonAtomic(this.getSnapshotPath(petId), encodeStructured(snapshot));
+    this.stats.snapshotsSaved++;
+  }
+  
+  /**
+   * Snapshot a loaded brain to disk
+   * @param {string} petId - Pet ID
+   * @returns {Promise<boolean>} - True if the brain was loaded and saved
+   */
+  async saveBrain(petId) {
+    const brain = this.peekBrain(petId);
+    if (!brain) return false;
+    
+    await this.writeSnapshot(petId, brain.serialize());
+    return true;
+  }
+  
+  /**
+   * Capture a pet's full brain state, loading the brain if needed
+   * @param {string} petId - Pet ID
+   * @returns {Promise<Object>} - Brain snapshot
+   */
+  async exportBrain(petId) {
+    const brain = await this.getBrain(petId);
+    return brain.serialize();
+  }
+  
+  /**
+   * Replace a pet's brain with a snapshot
+   * The loaded brain (if any) is discarded and the next getBrain()
+   * restores from the imported state.
+   * @param {string} petId - Pet ID
+   * @param {Object} snapshot - Brain snapshot from exportBrain()
+   */
+  async importBrain(petId, snapshot) {
+    await this.evict(petId, { persist: false });
+    await this.writeSnapshot(petId, { ...snapshot, petId });
+  }
+  
+  startEvictionSweep() {
+    this.sweepInterval = this.clock.setInterval(() => {
+      const now = this.clock.now();
+      
+      this.brains.forEach((entry, petId) => {
+        if (now - entry.lastUsed > this.config.idleTimeoutMs) {
+          this.evict(petId).catch(error => {
+            console.error(`Failed to evict brain for ${petId}:`, error);
+          });
+        } else {
+          // Periodic snapshot so a crash loses at most one sweep
+          this.saveBrain(petId).catch(error => {
+            console.error(`Failed to save brain for ${petId}:`, error);
+          });
+        }
+      });
+    }, this.config.sweepIntervalMs);
+  }
+  
+  /**
+   * Deliver a perception to every loaded brain
+   * @param {Object} perceptionData - Perception from ODIN
+   */
+  broadcastPerception(perceptionData) {
+    this.brains.forEach(({ brain }) => {
+      brain.processPerception(perceptionData);
+    });
+  }
+  
+  /**
+   * Deliver a recognized spoken command to every loaded brain
+   * @param {Object} speech - Speech event from ODIN
+   */
+  broadcastSpeech(speech) {
+    this.brains.forEach(({ brain }) => {
+      brain.processSpeech(speech);
+    });
+  }
+  
+  /**
+   * Deliver a known voice, or a stranger's, to every loaded brain
+   * @param {Object} speaker - speaker_identified or stranger_detected event from ODIN
+   */
+  broadcastSpeaker(speaker) {
+    this.brains.forEach(({ brain }) => {
+      brain.processSpeaker(speaker);
+    });
+  }
+  
+  /**
+   * Deliver a household member's face, or a stranger's, to every loaded brain
+   * @param {Object} face - face_recognized or unknown_face event from ODIN
+   */
+  broadcastFace(face) {
+    this.brains.forEach(({ brain }) => {
+      brain.processFace(face);
+    });
+  }
+  
+  /**
+   * Deliver a checked sensory prediction to every loaded brain
+   * @param {Object} surprise - surprise event from ODIN
+   */
+  broadcastSurprise(surprise) {
+    this.brains.forEach(({ brain }) => {
+      brain.processSurprise(surprise);
+    });
+  }
+  
+  /**
+   * Deliver an event ODIN expects to follow what just happened to every
+   * loaded brain
+   * @param {Object} anticipation - anticipation event from ODIN
+   */
+  broadcastAnticipation(anticipation) {
+    this.brains.forEach(({ brain }) => {
+      brain.processAnticipation(anticipation);
+    });
+  }
+  
+  getLoadedPetIds() {
+    return Array.from(this.brains.keys());
+  }
+  
+  getStatus() {
+    const brains = {};
+    
+    this.brains.forEach((entry, petId) => {
+      brains[petId] = {
+        loadedAt: entry.loadedAt,
+        lastUsed: entry.lastUsed,
+        cognitiveState: entry.brain.cognitiveState,
+        metrics: entry.brain.getMetrics()
+      };
+    });
+    
+    return {
+      active: this.isActive,
+      loaded: this.brains.size,
+      maxBrains: this.config.maxBrains,
+      stats: this.stats,
+      brains
+    };
+  }
+  
+  async shutdown() {
+    console.log('🛑 Shutting down Brain Manager...');
+    
+    this.isActive = false;
+    this.clock.clearInterval(this.sweepInterval);
+    
+    await Promise.all(this.getLoadedPetIds().map(petId => this.evict(petId)));
+    
+    this.removeAllListeners();
+    
+    console.log('✅ Brain Manager shut down');
+  }
+}
+
+export default BrainManager;
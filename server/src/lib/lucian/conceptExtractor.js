@@ -0,0 +1,359 @@
+/**
+ * Concept Extractor
+ * Turns text into the concepts SSP makes symbols of. Words are found whole
+ * (so "display" is not "play"), lowercased and brought back to a base form
+ * ("kitties" -> kitty, "biting" -> bite), then looked up in a lexicon of
+ * aliases ("kitty" -> cat, "snack" -> food, "feed" -> food and action_feed).
+ * Words the lexicon doesn't know are concepts of their own, under their
+ * base form; words that carry no meaning on their own ("the", "with") are
+ * dropped.
+ *
+ * Around the concepts:
+ *   negation   "don't bite" -> not_action_bite; a negator ("not", "no",
+ *              "never", "don't"...) applies to the next concept in the
+ *              clause
+ *   intensity  "very", "really" make the next concept stronger and "a bit",
+ *              "slightly" weaker; so do SHOUTING, stretched words ("sooo")
+ *              and exclamation marks, which also add excitement
+ *
+ * Every concept points back to the stretch of text it came from.
+ */
+
+// concept -> words and phrases for it, in their base form
+const DEFAULT_LEXICON = {
+  cat: ['cat', 'kitty', 'kitten', 'kitteh', 'feline', 'puss', 'pussycat'],
+  dog: ['dog', 'doggy', 'doggo', 'puppy', 'pup', 'pupper', 'hound'],
+  food: ['food', 'snack', 'treat', 'meal', 'dinner', 'breakfast', 'lunch', 'kibble', 'eat', 'hungry', 'feed'],
+  play: ['play', 'game', 'fun'],
+  toy: ['toy', 'ball', 'squeaky', 'rope', 'plushie'],
+  sleep: ['sleep', 'nap', 'bed', 'bedtime', 'tired', 'sleepy', 'snooze'],
+  rest: ['rest', 'relax', 'chill', 'calm'],
+  happy: ['happy', 'glad', 'joy', 'joyful', 'cheerful', 'good'],
+  sad: ['sad', 'unhappy', 'upset', 'lonely', 'miserable'],
+  love: ['love', 'adore', 'cuddle', 'snuggle', 'hug'],
+  pet: ['pet'],
+  affection: ['affection', 'kiss', 'belly rub', 'chin scratch'],
+  danger: ['danger', 'dangerous', 'careful', 'hot', 'sharp'],
+  owner: ['owner', 'human', 'mom', 'dad', 'mommy', 'daddy'],
+  self: ['you', 'yourself'],
+  outside: ['outside', 'walk', 'walkies', 'garden', 'yard', 'park'],
+  action_feed: ['feed'],
+  action_play: ['play', 'fetch'],
+  action_pet: ['pet', 'stroke', 'pat', 'brush', 'groom'],
+  action_teach: ['teach', 'learn', 'train', 'trick'],
+  action_sit: ['sit'],
+  action_stay: ['stay', 'wait'],
+  action_come: ['come', 'here boy', 'here girl'],
+  action_bite: ['bite', 'nip', 'chew'],
+  action_scratch: ['scratch', 'claw'],
+  action_jump: ['jump', 'leap', 'hop']
+};
+
+// Forms the suffix rules can't bring back to their base
+const IRREGULAR = {
+  ate: 'eat', eaten: 'eat', fed: 'feed', slept: 'sleep', bit: 'bite', bitten: 'bite',
+  ran: 'run', went: 'go', gone: 'go', came: 'come', sat: 'sit', taught: 'teach',
+  caught: 'catch', brought: 'bring', gave: 'give', given: 'give', made: 'make',
+  saw: 'see', seen: 'see', felt: 'feel', got: 'get', told: 'tell', said: 'say',
+  left: 'leave', kept: 'keep', threw: 'throw', thrown: 'throw', lay: 'lie',
+  mice: 'mouse', children: 'child', feet: 'foot', teeth: 'tooth', people: 'person',
+  better: 'good', best: 'good', worse: 'bad', worst: 'bad'
+};
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'i', 'me', 'my', 'mine', 'we', 'us', 'our', 'your', 'yours',
+  'he', 'him', 'his', 'she', 'her', 'hers', 'it', 'its', 'they', 'them', 'their',
+  'this', 'that', 'these', 'those', 'be', 'is', 'am', 'are', 'was', 'were', 'been',
+  'being', 'do', 'does', 'did', 'have', 'has', 'had', 'to', 'of', 'in', 'on', 'at',
+  'for', 'with', 'and', 'or', 'if', 'then', 'than', 'as', 'by', 'from', 'up',
+  'down', 'out', 'about', 'into', 'over', 'just', 'let', "let's", 'lets', 'what',
+  'who', 'where', 'when', 'why', 'how', 'can', 'could', 'will', 'would', 'shall',
+  'should', 'may', 'might', 'must', 'there', 'here', 'some', 'any', 'all', 'each',
+  'ok', 'okay', 'oh', 'hey', 'now', 'please', 'go', 'get', 'want', 'like', 'ever',
+  'again', 'too', 'also', 'yes', 'yeah'
+]);
+
+const NEGATORS = new Set([
+  'not', 'no', 'never', 'nothing', 'nobody', 'nope', 'cannot', 'without', 'stop',
+  "don't", 'dont', "doesn't", 'doesnt', "didn't", 'didnt', "won't", 'wont',
+  "can't", 'cant', "isn't", "aren't", "wasn't", "shouldn't", "mustn't", "haven't"
+]);
+
+// Multipliers for the strength of the next concept
+const INTENSIFIERS = {
+  very: 1.5, really: 1.5, so: 1.3, super: 1.6, extremely: 1.8, totally: 1.5,
+  absolutely: 1.7, incredibly: 1.8, most: 1.4, such: 1.3, much: 1.3
+};
+
+const DIMINISHERS = {
+  'a bit': 0.6, 'a little': 0.6, slightly: 0.6, somewhat: 0.7, kinda: 0.7,
+  'kind of': 0.7, 'sort of': 0.7, barely: 0.4, hardly: 0.4, little: 0.7
+};
+
+const MAX_PHRASE = 3; // Words in the longest phrase looked for
+const MAX_STRENGTH = 2;
+
+// Clauses end at punctuation and at "but"
+const CLAUSE_BREAKS = new Set(['.', ',', ';', ':', '!', '?', 'but']);
+
+/**
+ * Words and punctuation, with where they are in the text
+ * @param {string} text
+ * @returns {Array<Object>} - { word: lowercased, raw, start, end } or
+ *   { punct, start, end }
+ */
+const tokenize = (text) => {
+  const tokens = [];
+  const pattern = /([A-Za-zÀ-ɏ]+(?:['’][A-Za-z]+)*)|([.,;:!?]+)/g;
+  let match;
+  
+  while ((match = pattern.exec(text)) !== null) {
+    const [raw, word, punct] = match;
+    const start = match.index;
+    const end = start + raw.length;
+    
+    if (punct) {
+      tokens.push({ punct, start, end });
+    } else {
+      const normalized = word.toLowerCase().replace(/’/g, "'");
+      tokens.push({ word: normalized, raw, start, end });
+    }
+  }
+  
+  return tokens;
+};
+
+// Letters stretched for emphasis ("goooood", "sooo") back to two, or one
+const unstretch = (word, keep = 2) => word.replace(/(.)\1{2,}/g, keep === 2 ? '$1$1' : '$1');
+
+/**
+ * Candidate base forms of a word, likeliest first
+ */
+const baseForms = (word) => {
+  if (IRREGULAR[word]) return [IRREGULAR[word]];
+  
+  const forms = [word];
+  
+  // Likeliest first: running -> run, chased -> chase, walked -> walk
+  const addStem = (stem) => {
+    if (stem.length < 2) return;
+    
+    const doubled = /[^aeiou][aeiou]([b-df-hj-np-tv-z])\1$/.test(stem);
+    const silentE = /(v|c|z|u|[^aeiou][aeiou]s)$/.test(stem);
+    
+    if (doubled) forms.push(stem.slice(0, -1));
+    if (silentE) forms.push(`${stem}e`);
+    forms.push(stem);
+    if (!silentE) forms.push(`${stem}e`);
+  };
+  
+  if (/ies$/.test(word) && word.length > 4) forms.push(`${word.slice(0, -3)}y`);
+  if (/(s|x|z|ch|sh)es$/.test(word)) forms.push(word.slice(0, -2));
+  if (/[^su]s$/.test(word) && !/(is|ss)$/.test(word)) forms.push(word.slice(0, -1));
+  if (/ied$/.test(word)) forms.push(`${word.slice(0, -3)}y`);
+  if (/ier$|iest$/.test(word)) forms.push(word.replace(/i(er|est)$/, 'y'));
+  if (/ing$/.test(word) && word.length > 4) addStem(word.slice(0, -3));
+  if (/ed$/.test(word) && word.length > 3) addStem(word.slice(0, -2));
+  if (/ily$/.test(word)) forms.push(`${word.slice(0, -3)}y`);
+  if (/ly$/.test(word) && word.length > 4) forms.push(word.slice(0, -2));
+  
+  return forms;
+};
+
+export class ConceptExtractor {
+  constructor(options = {}) {
+    // word or phrase -> concepts; the pet's own aliases replace the defaults
+    this.defaults = new Map();
+    Object.entries(options.lexicon || DEFAULT_LEXICON).forEach(([concept, aliases]) => {
+      aliases.forEach(alias => {
+        if (!this.defaults.has(alias)) this.defaults.set(alias, []);
+        this.defaults.get(alias).push(concept);
+      });
+    });
+    
+    this.custom = new Map();
+  }
+  
+  /**
+   * Concepts a word or phrase stands for, or null if the lexicon has none
+   */
+  lookup(phrase) {
+    return this.custom.get(phrase) || this.defaults.get(phrase) || null;
+  }
+  
+  known(word) {
+    return Boolean(this.lookup(word) || STOPWORDS.has(word) || NEGATORS.has(word) ||
+      INTENSIFIERS[word] || DIMINISHERS[word]);
+  }
+  
+  /**
+   * The base form of a word: the first candidate the lexicon knows, or
+   * the likeliest guess when it knows none
+   */
+  lemmatize(word) {
+    const forms = baseForms(unstretch(word));
+    const unstretched = unstretch(word, 1);
+    const candidates = unstretched === unstretch(word) ? forms : [...forms, ...baseForms(unstretched)];
+    
+    return candidates.find(form => this.known(form)) || forms[Math.min(1, forms.length - 1)];
+  }
+  
+  /**
+   * Concepts in a text
+   * @param {string} text
+   * @returns {Array<Object>} - { concept, strength (1 is plain), negated,
+   *   source: { text, start, end } - the words it came from }, one per
+   *   concept, in order of appearance
+   */
+  extract(text) {
+    const input = String(text ?? '');
+    const tokens = tokenize(input);
+    const found = new Map();
+    
+    const add = (concept, strength, negated, start, end) => {
+      const key = negated ? `not_${concept}` : concept;
+      const value = Math.round(Math.min(MAX_STRENGTH, strength) * 100) / 100;
+      const existing = found.get(key);
+      
+      if (existing) {
+        existing.strength = Math.max(existing.strength, value);
+        return;
+      }
+      
+      found.set(key, {
+        concept: key,
+        strength: value,
+        negated,
+        source: { text: input.slice(start, end), start, end }
+      });
+    };
+    
+    // Clause by clause, so negation and intensity don't carry past them
+    let clause = [];
+    const flush = (punct) => {
+      const exclamations = punct ? (punct.punct.match(/!/g) || []).length : 0;
+      const emphasis = 1 + 0.25 * Math.min(3, exclamations);
+      
+      this.extractClause(clause, emphasis, add);
+      
+      if (exclamations > 0) {
+        add('excitement', emphasis, false, punct.start, punct.end);
+      } else if (punct?.punct.includes('?')) {
+        add('curiosity', 1, false, punct.start, punct.end);
+      }
+      
+      clause = [];
+    };
+    
+    tokens.forEach(token => {
+      if (token.punct || CLAUSE_BREAKS.has(token.word)) {
+        flush(token.punct ? token : null);
+      } else {
+        clause.push(token);
+      }
+    });
+    flush(null);
+    
+    return Array.from(found.values());
+  }
+  
+  extractClause(tokens, emphasis, add) {
+    let negated = false;
+    let modifier = 1;
+    let i = 0;
+    
+    while (i < tokens.length) {
+      // Longest phrase the lexicon (or a diminisher) knows, starting here
+      let length = Math.min(MAX_PHRASE, tokens.length - i);
+      let concepts = null;
+      let lemma = null;
+      
+      for (; length > 0; length--) {
+        const words = tokens.slice(i, i + length);
+        const phrase = words.map(t => t.word).join(' ');
+        
+        if (length > 1 && DIMINISHERS[phrase]) break;
+        
+        lemma = length === 1 ? this.lemmatize(phrase) : words.map(t => this.lemmatize(t.word)).join(' ');
+        concepts = this.lookup(phrase) || this.lookup(lemma);
+        if (concepts || length === 1) break;
+      }
+      
+      const words = tokens.slice(i, i + length);
+      const phrase = words.map(t => t.word).join(' ');
+      const { start } = words[0];
+      const { end } = words[words.length - 1];
+      i += length;
+      
+      if (NEGATORS.has(phrase) || NEGATORS.has(lemma) || /n't$/.test(phrase)) {
+        negated = true;
+        continue;
+      }
+      const marker = INTENSIFIERS[phrase] || DIMINISHERS[phrase] || INTENSIFIERS[lemma] || DIMINISHERS[lemma];
+      if (marker) {
+        modifier *= marker;
+        continue;
+      }
+      if (!concepts && STOPWORDS.has(lemma)) continue;
+      
+      // Shouting and stretched words are emphatic
+      let strength = modifier * emphasis;
+      if (words.some(t => t.raw.length > 1 && t.raw === t.raw.toUpperCase() && /[A-Z]/.test(t.raw))) {
+        strength *= 1.5;
+      }
+      if (words.some(t => unstretch(t.word) !== t.word)) {
+        strength *= 1.25;
+      }
+      
+      (concepts || [lemma]).forEach(concept => add(concept, strength, negated, start, end));
+      
+      // A negator or intensity marker covers the next concept only
+      negated = false;
+      modifier = 1;
+    }
+  }
+  
+  /**
+   * Teach words for concepts, on top of (and over) the defaults
+   * @param {Object} aliases - { word or phrase: concept or [concepts] }
+   */
+  addAliases(aliases) {
+    Object.entries(aliases).forEach(([alias, concepts]) => {
+      const key = tokenize(alias).map(t => t.word).filter(Boolean).join(' ');
+      const list = (Array.isArray(concepts) ? concepts : [concepts]).filter(c => typeof c === 'string' && c.length > 0);
+      
+      if (!key || list.length === 0) {
+        const error = new Error(`Invalid alias ${alias}: expected words for one or more concepts`);
+        error.code = 'INVALID_ALIAS';
+        throw error;
+      }
+      
+      this.custom.set(key, list);
+    });
+  }
+  
+  removeAlias(alias) {
+    return this.custom.delete(tokenize(alias).map(t => t.word).filter(Boolean).join(' '));
+  }
+  
+  getAliases() {
+    return Object.fromEntries(this.custom);
+  }
+  
+  getConcepts() {
+    const concepts = new Set();
+    this.defaults.forEach(list => list.forEach(concept => concepts.add(concept)));
+    this.custom.forEach(list => list.forEach(concept => concepts.add(concept)));
+    return Array.from(concepts).sort();
+  }
+  
+  serialize() {
+    return { aliases: this.getAliases() };
+  }
+  
+  restore(state = {}) {
+    this.custom = new Map(Object.entries(state.aliases || {}));
+  }
+}
+
+export default ConceptExtractor;
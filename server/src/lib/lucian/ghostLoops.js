@@ -1,4 +1,5 @@
 import EventEmitter from 'events';
+import { createRuntime } from '../runtime/index.js';
 
 /**
  * Ghost Loops
@@ -6,9 +7,13 @@ import EventEmitter from 'events';
  * Like muscle memory for consciousness
  */
 export class GhostLoops extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
     
+    const runtime = options.runtime || createRuntime();
+    this.random = runtime.random;
+    this.clock = runtime.clock;
+    
     this.isActive = false;
     this.crystallizedPatterns = new Map();
     this.activeLoops = new Set();
@@ -62,7 +67,13 @@ export class GhostLoops extends EventEmitter {
   
   initializeCoreBehaviors() {
     // Create fundamental behavior loops
-    const coreBehaviors = [
+    this.getCoreBehaviors().forEach(behavior => {
+      this.crystallizeCoreBehavior(behavior);
+    });
+  }
+  
+  getCoreBehaviors() {
+    return [
       {
         name: 'friendly_greeting',
         pattern: {
@@ -102,23 +113,39 @@ export class GhostLoops extends EventEmitter {
           response: ['approach_cautiously', 'investigate', 'assess'],
           category: 'exploring'
         }
+      },
+      {
+        name: 'attention_seeking',
+        pattern: {
+          trigger: ['lonely', 'ignored', 'owner_leaves'],
+          response: ['seek_owner', 'nuzzle', 'vocalize_soft'],
+          category: 'bonding'
+        }
+      },
+      {
+        name: 'self_grooming',
+        pattern: {
+          trigger: ['dirty', 'itchy', 'after_meal'],
+          response: ['groom', 'shake_off', 'settle'],
+          category: 'comfort'
+        }
       }
     ];
-    
-    coreBehaviors.forEach(behavior => {
-      this.crystallizePattern({
-        name: behavior.name,
-        pattern: behavior.pattern,
-        strength: 0.9,
-        successCount: 10, // Pre-trained
-        category: behavior.pattern.category
-      });
+  }
+  
+  crystallizeCoreBehavior(behavior) {
+    return this.crystallizePattern({
+      name: behavior.name,
+      pattern: behavior.pattern,
+      strength: 0.9,
+      successCount: 10, // Pre-trained
+      category: behavior.pattern.category
     });
   }
   
   crystallizePattern(patternData) {
     // Crystallize a successful pattern into a ghost loop
-    const loopId = patternData.name || `loop_${Date.now()}`;
+    const loopId = patternData.name || `loop_${this.clock.now()}`;
     
     const ghostLoop = {
       id: loopId,
@@ -127,7 +154,7 @@ export class GhostLoops extends EventEmitter {
       successCount: patternData.successCount || 0,
       failureCount: 0,
       lastTriggered: 0,
-      createdAt: Date.now(),
+      createdAt: this.clock.now(),
       category: patternData.category || 'general',
       resonanceSignature: this.generateResonanceSignature(patternData.pattern)
     };
@@ -207,7 +234,7 @@ export class GhostLoops extends EventEmitter {
     resonance *= loop.strength;
     
     // Boost recently successful loops
-    if (loop.lastTriggered && Date.now() - loop.lastTriggered < 60000) {
+    if (loop.lastTriggered && this.clock.now() - loop.lastTriggered < 60000) {
       resonance *= 1.1;
     }
     
@@ -281,7 +308,7 @@ export class GhostLoops extends EventEmitter {
     
     // Activate loop
     this.activeLoops.add(loopId);
-    loop.lastTriggered = Date.now();
+    loop.lastTriggered = this.clock.now();
     
     // Generate response based on loop pattern
     const response = this.generateLoopResponse(loop);
@@ -289,7 +316,7 @@ export class GhostLoops extends EventEmitter {
     // Track activation
     this.loopHistory.push({
       loopId,
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       response
     });
     
@@ -312,6 +339,39 @@ export class GhostLoops extends EventEmitter {
     return response;
   }
   
+  /**
+   * Fire the strongest loop listing a trigger (e.g. 'hunger' from a low need)
+   * @param {string} trigger - Trigger name
+   * @returns {Object|null} - Loop ID and response, or null if nothing answers
+   */
+  respondToTrigger(trigger) {
+    let best = null;
+    
+    this.crystallizedPatterns.forEach(loop => {
+      const triggers = loop.pattern && loop.pattern.trigger;
+      if (Array.isArray(triggers) && triggers.includes(trigger) &&
+          (!best || loop.strength > best.strength)) {
+        best = loop;
+      }
+    });
+    
+    // Instincts decay away when unused; a real trigger brings them back
+    if (!best) {
+      const instinct = this.getCoreBehaviors().find(behavior => behavior.pattern.trigger.includes(trigger));
+      if (!instinct) return null;
+      
+      best = this.crystallizeCoreBehavior(instinct);
+    }
+    
+    const response = this.triggerLoop(best.id);
+    this.reinforceLoop(best.id);
+    
+    return {
+      loopId: best.id,
+      response
+    };
+  }
+  
   generateLoopResponse(loop) {
     // Generate response from ghost loop pattern
     const pattern = loop.pattern;
@@ -326,10 +386,10 @@ export class GhostLoops extends EventEmitter {
     // Add variation based on strength
     if (loop.strength < 0.5) {
       response.confidence = 'low';
-      response.variation = Math.random() * 0.3; // More variation when weak
+      response.variation = this.random.next() * 0.3; // More variation when weak
     } else {
       response.confidence = 'high';
-      response.variation = Math.random() * 0.1; // Less variation when strong
+      response.variation = this.random.next() * 0.1; // Less variation when strong
     }
     
     return response;
@@ -432,7 +492,7 @@ export class GhostLoops extends EventEmitter {
   
   startLoopMonitoring() {
     // Monitor and maintain ghost loops
-    setInterval(() => {
+    this.monitorInterval = this.clock.setInterval(() => {
       // Apply decay to inactive loops
       this.crystallizedPatterns.forEach((loop, id) => {
         if (!this.activeLoops.has(id)) {
@@ -460,7 +520,7 @@ export class GhostLoops extends EventEmitter {
       // Clear old active loops
       this.activeLoops.forEach(loopId => {
         const loop = this.crystallizedPatterns.get(loopId);
-        if (loop && Date.now() - loop.lastTriggered > 30000) {
+        if (loop && this.clock.now() - loop.lastTriggered > 30000) {
           this.deactivateLoop(loopId);
         }
       });
@@ -524,8 +584,30 @@ export class GhostLoops extends EventEmitter {
     return loops.sort((a, b) => b.strength - a.strength);
   }
   
+  serialize() {
+    // Crystallized loops survive; active loops are per session
+    return {
+      crystallizedPatterns: this.crystallizedPatterns,
+      loopHistory: this.loopHistory,
+      stats: this.stats
+    };
+  }
+  
+  restore(state) {
+    this.crystallizedPatterns = new Map(state.crystallizedPatterns);
+    this.loopHistory = [...(state.loopHistory || [])];
+    this.activeLoops.clear();
+    this.stats = {
+      ...this.stats,
+      ...state.stats,
+      totalCrystallized: this.crystallizedPatterns.size,
+      activeLoopCount: 0
+    };
+  }
+  
   async shutdown() {
     this.isActive = false;
+    this.clock.clearInterval(this.monitorInterval);
     this.activeLoops.clear();
     this.removeAllListeners();
   }
@@ -1,4 +1,5 @@
 import EventEmitter from 'events';
+import { createRuntime } from '../runtime/index.js';
 
 /**
  * Hierarchical Autonomous Symbolic Representation (HASR)
@@ -6,9 +7,13 @@ import EventEmitter from 'events';
  * Enables pets to learn from single examples
  */
 export class HASRComponent extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
     
+    const runtime = options.runtime || createRuntime();
+    this.random = runtime.random;
+    this.clock = runtime.clock;
+    
     this.isActive = false;
     this.patterns = new Map();
     this.resonanceNetwork = new Map();
@@ -137,8 +142,8 @@ export class HASRComponent extends EventEmitter {
     // Preprocess input into standard pattern format
     if (Array.isArray(input)) {
       return {
-        features: input,
-        timestamp: Date.now(),
+        features: this.symbolFeatures(input),
+        timestamp: this.clock.now(),
         context: {}
       };
     }
@@ -146,7 +151,7 @@ export class HASRComponent extends EventEmitter {
     if (typeof input === 'object') {
       return {
         features: this.extractFeatures(input),
-        timestamp: input.timestamp || Date.now(),
+        timestamp: input.timestamp || this.clock.now(),
         context: input.context || {}
       };
     }
@@ -154,11 +159,19 @@ export class HASRComponent extends EventEmitter {
     // Convert primitive to pattern
     return {
       features: [input],
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       context: {}
     };
   }
   
+  symbolFeatures(items) {
+    // Features are strings: symbols (as SSP outputs and symbolic memories
+    // hold them) count by their concept
+    return items
+      .map(item => (typeof item?.concept === 'string' ? item.concept : item))
+      .filter(item => typeof item === 'string');
+  }
+  
   extractFeatures(obj) {
     // Extract learnable features from object
     const features = [];
@@ -173,7 +186,7 @@ export class HASRComponent extends EventEmitter {
       if (typeof obj.content === 'string') {
         features.push(obj.content);
       } else if (Array.isArray(obj.content)) {
-        features.push(...obj.content);
+        features.push(...this.symbolFeatures(obj.content));
       }
     }
     
@@ -268,7 +281,7 @@ export class HASRComponent extends EventEmitter {
   
   learnNovelPattern(pattern) {
     // Learn a completely new pattern
-    const patternName = `pattern_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+    const patternName = `pattern_${this.clock.now()}_${this.random.next().toString(36).substr(2, 5)}`;
     
     const newPattern = {
       template: pattern.features,
@@ -276,7 +289,7 @@ export class HASRComponent extends EventEmitter {
       instances: [pattern],
       confidence: 0.5,
       level: 0,
-      timestamp: Date.now()
+      timestamp: this.clock.now()
     };
     
     this.patterns.set(patternName, newPattern);
@@ -411,7 +424,7 @@ export class HASRComponent extends EventEmitter {
     
     // Reduce features through abstraction
     const abstractFeatures = pattern.features
-      .filter(() => Math.random() > abstractionDegree * 0.5)
+      .filter(() => this.random.next() > abstractionDegree * 0.5)
       .map(f => {
         // Abstract feature representation
         if (f.includes(':')) {
@@ -506,7 +519,7 @@ export class HASRComponent extends EventEmitter {
   
   startResonanceMonitoring() {
     // Monitor and decay pattern strengths
-    setInterval(() => {
+    this.resonanceInterval = this.clock.setInterval(() => {
       this.patterns.forEach(pattern => {
         // Apply decay
         pattern.strength *= this.config.patternDecay;
@@ -585,8 +598,53 @@ export class HASRComponent extends EventEmitter {
     this.config.learningRate = Math.max(0.01, Math.min(1, rate));
   }
   
+  serialize() {
+    // Hierarchy entries link back to their source pattern; drop the chain
+    const withoutSource = ({ source, ...pattern }) => pattern;
+    
+    return {
+      patterns: this.patterns,
+      resonanceNetwork: this.resonanceNetwork,
+      hierarchies: this.hierarchies.map(hierarchy => ({
+        ...hierarchy,
+        patterns: new Map(
+          Array.from(hierarchy.patterns.entries()).map(([key, pattern]) => [key, withoutSource(pattern)])
+        ),
+        connections: new Map(
+          Array.from(hierarchy.connections.entries()).map(([key, links]) => [
+            key,
+            links.map(link => ({
+              ...link,
+              from: withoutSource(link.from),
+              to: withoutSource(link.to)
+            }))
+          ])
+        )
+      })),
+      petLearningProfiles: this.petLearningProfiles,
+      stats: this.stats
+    };
+  }
+  
+  restore(state) {
+    this.patterns = new Map(state.patterns);
+    this.resonanceNetwork = new Map(state.resonanceNetwork);
+    
+    if (state.hierarchies?.length) {
+      this.hierarchies = state.hierarchies.map(hierarchy => ({
+        ...hierarchy,
+        patterns: new Map(hierarchy.patterns),
+        connections: new Map(hierarchy.connections)
+      }));
+    }
+    
+    this.petLearningProfiles = new Map(state.petLearningProfiles);
+    this.stats = { ...this.stats, ...state.stats };
+  }
+  
   async shutdown() {
     this.isActive = false;
+    this.clock.clearInterval(this.resonanceInterval);
     this.removeAllListeners();
   }
 }
@@ -0,0 +1,162 @@
+import { fft } from '../odin/audioProcessing.js';
+
+/**
+ * Holographic reduced representations
+ * The algebra that lets symbol vectors be combined into one vector of the
+ * same size and taken apart again:
+ *
+ *   bind(a, b)      circular convolution; unlike either of a and b, and
+ *                   holding both
+ *   unbind(c, a)    circular correlation with a; bind(a, b) unbound with a
+ *                   is b plus noise
+ *   bundle(a, b..)  superposition; like each of them
+ *
+ * So bundle(bind(object, ball), bind(location, kitchen)) is one vector for
+ * "the ball is in the kitchen", and unbinding it with location gives a
+ * noisy kitchen, which a clean-up memory (the nearest known symbol) turns
+ * back into kitchen. The noise grows with every pair bundled together:
+ * 512 dimensions hold a handful of pairs reliably, not dozens.
+ *
+ * Vectors are Float32Arrays whose length is a power of two (for the FFT).
+ */
+
+const invalidVector = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_VECTOR';
+  return error;
+};
+
+const checkLengths = (a, b) => {
+  if (a.length !== b.length) {
+    throw invalidVector(`Vectors differ in length (${a.length} and ${b.length})`);
+  }
+  if (a.length < 2 || (a.length & (a.length - 1)) !== 0) {
+    throw invalidVector(`Vector length ${a.length} is not a power of two`);
+  }
+};
+
+const spectrum = (vector) => {
+  const re = Float64Array.from(vector);
+  const im = new Float64Array(vector.length);
+  fft(re, im);
+  return { re, im };
+};
+
+/**
+ * Scaled to unit length (a zero vector stays zero)
+ */
+export const normalize = (vector) => {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) {
+    norm += vector[i] * vector[i];
+  }
+  norm = Math.sqrt(norm);
+  
+  const result = new Float32Array(vector.length);
+  if (norm === 0) return result;
+  
+  for (let i = 0; i < vector.length; i++) {
+    result[i] = vector[i] / norm;
+  }
+  
+  return result;
+};
+
+/**
+ * Cosine similarity, 0 when either vector is zero
+ */
+export const similarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+/**
+ * The approximate inverse under binding: a[-i], indices modulo the length
+ */
+export const involution = (vector) => {
+  const result = new Float32Array(vector.length);
+  result[0] = vector[0];
+  for (let i = 1; i < vector.length; i++) {
+    result[i] = vector[vector.length - i];
+  }
+  
+  return result;
+};
+
+/**
+ * Bind two vectors by circular convolution
+ * @param {Float32Array} a
+ * @param {Float32Array} b - Same length
+ * @returns {Float32Array} - Unit length
+ */
+export const bind = (a, b) => {
+  checkLengths(a, b);
+  
+  const n = a.length;
+  const A = spectrum(a);
+  const B = spectrum(b);
+  
+  // Pointwise product, conjugated so the forward FFT does the inverse
+  const re = new Float64Array(n);
+  const im = new Float64Array(n);
+  for (let k = 0; k < n; k++) {
+    re[k] = A.re[k] * B.re[k] - A.im[k] * B.im[k];
+    im[k] = -(A.re[k] * B.im[k] + A.im[k] * B.re[k]);
+  }
+  fft(re, im);
+  
+  // The 1 / n of the inverse transform drops out in the normalization
+  return normalize(re);
+};
+
+/**
+ * What a vector holds bound to a key (circular correlation)
+ * @param {Float32Array} vector - A binding, or a bundle of bindings
+ * @param {Float32Array} key - One side of a binding in it
+ * @returns {Float32Array} - A noisy version of the other side, unit length
+ */
+export const unbind = (vector, key) => bind(vector, involution(key));
+
+/**
+ * Superpose vectors into one similar to each
+ * @param {Array<Float32Array>} vectors - Same length
+ * @param {Array<number>} weights - Optional, one per vector (default 1)
+ * @returns {Float32Array} - Unit length
+ */
+export const bundle = (vectors, weights = []) => {
+  if (vectors.length === 0) {
+    throw invalidVector('Nothing to bundle');
+  }
+  
+  const sum = new Float32Array(vectors[0].length);
+  vectors.forEach((vector, index) => {
+    checkLengths(sum, vector);
+    
+    // Each counts by its weight, not by its length
+    const unit = normalize(vector);
+    const weight = weights[index] ?? 1;
+    for (let i = 0; i < sum.length; i++) {
+      sum[i] += unit[i] * weight;
+    }
+  });
+  
+  return normalize(sum);
+};
+
+export default {
+  normalize,
+  similarity,
+  involution,
+  bind,
+  unbind,
+  bundle
+};
@@ -1,26 +1,47 @@
 import EventEmitter from 'events';
+import { createRuntime } from '../runtime/index.js';
+import path from 'path';
 import { SSPComponent } from './ssp.js';
 import { MPUComponent } from './mpu.js';
 import { HASRComponent } from './hasr.js';
 import { WonderEngine } from './wonder.js';
 import { GhostLoops } from './ghostLoops.js';
 import { AetheronIdentity } from './aetheron.js';
+import { HomeostaticNeeds } from './needs.js';
+
+// Bump when the snapshot layout changes
+export const BRAIN_SNAPSHOT_VERSION = 1;
 
 /**
  * LucianCognitiveSystem - Complete consciousness architecture for LucianPets
  * Integrates all Lucian components into a unified cognitive system
  */
 export class LucianCognitiveSystem extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
     
+    // The pet this brain belongs to
+    this.petId = options.petId || 'default_pet';
+    this.persistencePath = options.persistencePath || null;
+    
+    // Each pet, and each component within it, draws from its own random
+    // stream; all of them share one clock
+    const runtime = (options.runtime || createRuntime()).fork(this.petId);
+    this.random = runtime.random;
+    this.clock = runtime.clock;
+    
     // Core components
-    this.ssp = new SSPComponent();
-    this.mpu = new MPUComponent();
-    this.hasr = new HASRComponent();
-    this.wonder = new WonderEngine();
-    this.ghostLoops = new GhostLoops();
-    this.aetheron = new AetheronIdentity();
+    this.ssp = new SSPComponent({ runtime: runtime.fork('ssp') });
+    this.mpu = new MPUComponent({
+      runtime: runtime.fork('mpu'),
+      persistencePath: this.persistencePath ? path.join(this.persistencePath, 'memories') : undefined,
+      queryConcepts: (text) => this.ssp.conceptExtractor.extract(text)
+    });
+    this.hasr = new HASRComponent({ runtime: runtime.fork('hasr') });
+    this.wonder = new WonderEngine({ runtime: runtime.fork('wonder') });
+    this.ghostLoops = new GhostLoops({ runtime: runtime.fork('ghostLoops') });
+    this.aetheron = new AetheronIdentity({ runtime: runtime.fork('aetheron') });
+    this.needs = new HomeostaticNeeds({ runtime: runtime.fork('needs') });
     
     // System state
     this.isActive = false;
@@ -46,7 +67,7 @@ export class LucianCognitiveSystem extends EventEmitter {
       this.mpu.storeMemory({
         type: 'symbolic',
         content: symbols,
-        timestamp: Date.now()
+        timestamp: this.clock.now()
       });
     });
     
@@ -72,6 +93,15 @@ export class LucianCognitiveSystem extends EventEmitter {
       this.cognitiveState.identity = identity.coherence;
       this.emit('identity_evolved', identity);
     });
+    
+    // Needs -> Ghost Loops: a pressing need fires its behavior
+    this.needs.on('need_pressing', (drive) => {
+      const behavior = this.ghostLoops.respondToTrigger(drive.trigger);
+      
+      if (behavior) {
+        this.emit('need_behavior', { ...drive, ...behavior });
+      }
+    });
   }
   
   async initialize() {
@@ -84,7 +114,8 @@ export class LucianCognitiveSystem extends EventEmitter {
       this.hasr.initialize(),
       this.wonder.initialize(),
       this.ghostLoops.initialize(),
-      this.aetheron.initialize()
+      this.aetheron.initialize(),
+      this.needs.initialize()
     ]);
     
     this.isActive = true;
@@ -98,7 +129,7 @@ export class LucianCognitiveSystem extends EventEmitter {
   
   startCognitiveLoop() {
     // Main cognitive processing loop
-    setInterval(() => {
+    this.cognitiveInterval = this.clock.setInterval(() => {
       if (this.isActive) {
         this.updateCognitiveState();
         this.processThoughts();
@@ -149,7 +180,7 @@ export class LucianCognitiveSystem extends EventEmitter {
   
   consolidateMemories() {
     // Periodic memory consolidation
-    if (Math.random() < 0.01) { // 1% chance per cycle
+    if (this.random.next() < 0.01) { // 1% chance per cycle
       const memories = this.mpu.getRecentMemories(10);
       const consolidated = this.hasr.consolidate(memories);
       
@@ -161,13 +192,22 @@ export class LucianCognitiveSystem extends EventEmitter {
   
   processPerception(perceptionData) {
     // Process incoming sensory data from ODIN
-    const { visual, auditory, metadata } = perceptionData;
+    const { visual, metadata } = perceptionData;
+    let { auditory } = perceptionData;
+    
+    // Trained household sounds belong to the pet that learned them
+    if (auditory?.sounds) {
+      auditory = {
+        ...auditory,
+        sounds: auditory.sounds.filter(sound => !sound.petId || sound.petId === this.petId)
+      };
+    }
     
     // Generate symbols from perception
     const symbols = this.ssp.processPerception({
       visual,
       auditory,
-      timestamp: Date.now()
+      timestamp: this.clock.now()
     });
     
     // Store perceptual memory
@@ -187,6 +227,229 @@ export class LucianCognitiveSystem extends EventEmitter {
     this.updatePetUnderstanding(symbols);
   }
   
+  /**
+   * Take in a spoken command recognized by ODIN
+   * @param {Object} speech - { word, confidence, start, end, duration,
+   *   alternatives, prosody, timestamp } from the keyword spotter
+   * @returns {Array<Object>} - Symbols for the command
+   */
+  processSpeech(speech) {
+    const symbols = this.ssp.processSpeech(speech);
+    
+    // Store what was said, and when
+    this.mpu.storeMemory({
+      type: 'speech',
+      content: symbols,
+      raw: speech,
+      metadata: {
+        word: speech.word,
+        speakerId: speech.speaker?.speakerId ?? null,
+        confidence: speech.confidence,
+        start: speech.start,
+        end: speech.end
+      }
+    });
+    
+    // Trigger wonder if novel
+    if (this.wonder.isNovel(symbols)) {
+      this.wonder.explore(symbols);
+    }
+    
+    this.updatePetUnderstanding(symbols);
+    
+    this.emit('speech_heard', {
+      word: speech.word,
+      speaker: speech.speaker ?? null,
+      confidence: speech.confidence,
+      start: speech.start,
+      end: speech.end,
+      prosody: speech.prosody,
+      timestamp: this.clock.now()
+    });
+    
+    return symbols;
+  }
+  
+  /**
+   * Take in a voice ODIN placed (or could not)
+   * A household member's voice is a social experience with that person,
+   * so Aetheron tracks the bond and the pet's feelings per person; an
+   * unplaced voice is a stranger and touches no relationship.
+   * @param {Object} speaker - { known, speakerId, name, confidence, start,
+   *   end, duration, timestamp } from the speaker identifier
+   * @returns {Array<Object>} - Symbols for the voice
+   */
+  processSpeaker(speaker) {
+    const symbols = this.ssp.processSpeaker(speaker);
+    const emotion = this.detectEmotion(symbols);
+    
+    this.mpu.storeMemory({
+      type: speaker.known ? 'voice' : 'stranger',
+      content: symbols,
+      raw: speaker,
+      metadata: {
+        speakerId: speaker.speakerId,
+        confidence: speaker.confidence,
+        start: speaker.start,
+        end: speaker.end
+      }
+    });
+    
+    if (speaker.known) {
+      this.aetheron.integrate({
+        type: 'voice',
+        content: `I heard ${speaker.name}`,
+        social: true,
+        positive: true,
+        entity: speaker.speakerId,
+        name: speaker.name,
+        emotion,
+        novel: !this.aetheron.identityCore.relationships.has(speaker.speakerId)
+      });
+    }
+    
+    // Trigger wonder if novel
+    if (this.wonder.isNovel(symbols)) {
+      this.wonder.explore(symbols);
+    }
+    
+    this.updatePetUnderstanding(symbols);
+    
+    this.emit(speaker.known ? 'speaker_heard' : 'stranger_heard', {
+      speakerId: speaker.speakerId,
+      name: speaker.name,
+      confidence: speaker.confidence,
+      emotion,
+      relationship: speaker.known ? this.aetheron.getRelationship(speaker.speakerId) : null,
+      start: speaker.start,
+      end: speaker.end,
+      timestamp: this.clock.now()
+    });
+    
+    return symbols;
+  }
+  
+  /**
+   * Take in a face ODIN recognized (or could not)
+   * Seeing a household member is a social experience with that person -
+   * the same person Aetheron knows by voice when both were enrolled under
+   * one id. Seeing an owner is what the friendly greeting waits for; no
+   * one else sets it off.
+   * @param {Object} face - { known, personId, name, owner, confidence,
+   *   boundingBox, timestamp } from the face recognizer
+   * @returns {Array<Object>} - Symbols for the face
+   */
+  processFace(face) {
+    const symbols = this.ssp.processFace(face);
+    const emotion = this.detectEmotion(symbols);
+    let behavior = null;
+    
+    this.mpu.storeMemory({
+      type: face.known ? 'sight' : 'stranger',
+      content: symbols,
+      raw: face,
+      metadata: {
+        personId: face.personId,
+        owner: face.owner,
+        confidence: face.confidence
+      }
+    });
+    
+    if (face.known) {
+      this.aetheron.integrate({
+        type: 'sight',
+        content: `I saw ${face.name}`,
+        social: true,
+        positive: true,
+        entity: face.personId,
+        name: face.name,
+        emotion,
+        novel: !this.aetheron.identityCore.relationships.has(face.personId)
+      });
+      
+      if (face.owner) {
+        behavior = this.ghostLoops.respondToTrigger('see_owner');
+      }
+    }
+    
+    // Trigger wonder if novel
+    if (this.wonder.isNovel(symbols)) {
+      this.wonder.explore(symbols);
+    }
+    
+    this.updatePetUnderstanding(symbols);
+    
+    this.emit(face.known ? 'person_seen' : 'stranger_seen', {
+      personId: face.personId,
+      name: face.name,
+      owner: face.owner,
+      confidence: face.confidence,
+      emotion,
+      relationship: face.known ? this.aetheron.getRelationship(face.personId) : null,
+      behavior,
+      timestamp: this.clock.now()
+    });
+    
+    return symbols;
+  }
+  
+  /**
+   * Take in a prediction ODIN checked against what it then perceived
+   * The prediction error is surprise: a confident prediction that failed,
+   * or an unlikely one that came true. It makes the pet curious, and the
+   * more surprising the moment the more memorable it is; outcomes that
+   * went as expected leave no memory.
+   * @param {Object} surprise - { prediction, outcome: 'confirmed' or
+   *   'missed', error: 0-1, latency, timestamp } from sensory fusion
+   * @returns {Array<Object>} - Symbols for the outcome
+   */
+  processSurprise(surprise) {
+    const symbols = this.ssp.processSurprise(surprise);
+    
+    this.wonder.registerSurprise(surprise.error, symbols);
+    
+    if (surprise.error >= 0.5) {
+      this.mpu.storeMemory({
+        type: 'surprise',
+        content: symbols,
+        raw: surprise,
+        surprise: surprise.error,
+        metadata: {
+          prediction: surprise.prediction.type,
+          pattern: surprise.prediction.pattern,
+          effect: surprise.prediction.effect,
+          outcome: surprise.outcome
+        }
+      });
+    }
+    
+    return symbols;
+  }
+  
+  /**
+   * Take in something ODIN expects to happen shortly, having learned that
+   * it tends to follow what just happened
+   * The expected event is a ghost-loop trigger in its own right: the pet
+   * acts on what is coming, as a dog heads for its bowl when the treat
+   * bag rustles.
+   * @param {Object} anticipation - { cause, effect, expectedWithin: { min,
+   *   max } ms, probability, strength, timestamp } from sensory fusion
+   * @returns {Object|null} - The loop that answered, if any
+   */
+  processAnticipation(anticipation) {
+    const behavior = this.ghostLoops.respondToTrigger(anticipation.effect);
+    
+    if (behavior) {
+      this.emit('anticipation_behavior', {
+        ...anticipation,
+        ...behavior,
+        timestamp: this.clock.now()
+      });
+    }
+    
+    return behavior;
+  }
+  
   updatePetUnderstanding(symbols) {
     // Update the pet's understanding of its environment and owner
     const currentPetId = this.getCurrentPetId();
@@ -198,7 +461,7 @@ export class LucianCognitiveSystem extends EventEmitter {
     const memories = this.petMemories.get(currentPetId);
     memories.push({
       symbols,
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       emotion: this.detectEmotion(symbols)
     });
     
@@ -209,15 +472,18 @@ export class LucianCognitiveSystem extends EventEmitter {
   }
   
   detectEmotion(symbols) {
+    // Pressing needs set the mood first
+    const needEmotion = this.needs.getEmotion();
+    if (needEmotion) return needEmotion;
+    
     // Simple emotion detection from symbols
     // In production, this would be more sophisticated
-    const emotions = ['happy', 'curious', 'playful', 'tired', 'hungry'];
-    return emotions[Math.floor(Math.random() * emotions.length)];
+    const emotions = ['happy', 'curious', 'playful'];
+    return emotions[Math.floor(this.random.next() * emotions.length)];
   }
   
   getCurrentPetId() {
-    // Get current pet ID from context
-    return 'default_pet'; // Placeholder
+    return this.petId;
   }
   
   getPendingThoughts() {
@@ -235,6 +501,7 @@ export class LucianCognitiveSystem extends EventEmitter {
       mpu: {
         active: this.mpu.isActive,
         memories: this.mpu.getMemoryCount(),
+        indexed: this.mpu.index.size,
         retention: this.mpu.getRetentionRate()
       },
       hasr: {
@@ -255,6 +522,12 @@ export class LucianCognitiveSystem extends EventEmitter {
         active: this.aetheron.isActive,
         coherence: this.aetheron.getCoherence(),
         identity: this.aetheron.getIdentityStrength()
+      },
+      needs: {
+        active: this.needs.isActive,
+        wellbeing: this.needs.getWellbeing(),
+        pressing: this.needs.getMostPressing() || 'none',
+        sleeping: this.needs.sleeping
       }
     };
   }
@@ -264,9 +537,12 @@ export class LucianCognitiveSystem extends EventEmitter {
     const interaction = {
       action,
       petId,
-      timestamp: Date.now()
+      timestamp: this.clock.now()
     };
     
+    // Feeding, playing, grooming... refill the pet's needs
+    this.needs.satisfy(action);
+    
     // Process through cognitive system
     const response = await this.generateResponse(interaction);
     
@@ -311,7 +587,7 @@ export class LucianCognitiveSystem extends EventEmitter {
     
     patterns.get(action).push({
       response,
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       success: true // Will be updated based on user feedback
     });
   }
@@ -330,13 +606,56 @@ export class LucianCognitiveSystem extends EventEmitter {
   generateVocalization(symbols) {
     // Generate appropriate sound based on symbols
     const sounds = ['meow', 'purr', 'chirp', 'bark', 'growl'];
-    return sounds[Math.floor(Math.random() * sounds.length)];
+    return sounds[Math.floor(this.random.next() * sounds.length)];
+  }
+  
+  /**
+   * Capture the full brain state
+   * @returns {Object} - Detached snapshot (Maps and typed arrays preserved)
+   */
+  serialize() {
+    return structuredClone({
+      version: BRAIN_SNAPSHOT_VERSION,
+      petId: this.petId,
+      savedAt: this.clock.now(),
+      cognitiveState: this.cognitiveState,
+      components: {
+        ssp: this.ssp.serialize(),
+        mpu: this.mpu.serialize(),
+        hasr: this.hasr.serialize(),
+        wonder: this.wonder.serialize(),
+        ghostLoops: this.ghostLoops.serialize(),
+        aetheron: this.aetheron.serialize(),
+        needs: this.needs.serialize()
+      }
+    });
+  }
+  
+  /**
+   * Replace the brain state with a snapshot taken by serialize()
+   * @param {Object} snapshot - Brain snapshot
+   */
+  restore(snapshot) {
+    if (!snapshot || snapshot.version > BRAIN_SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported brain snapshot version: ${snapshot?.version}`);
+    }
+    
+    const { components = {} } = structuredClone(snapshot);
+    
+    this.cognitiveState = { ...this.cognitiveState, ...snapshot.cognitiveState };
+    
+    ['ssp', 'mpu', 'hasr', 'wonder', 'ghostLoops', 'aetheron', 'needs'].forEach(name => {
+      if (components[name]) {
+        this[name].restore(components[name]);
+      }
+    });
   }
   
   async shutdown() {
     console.log('🛑 Shutting down Lucian Cognitive System...');
     
     this.isActive = false;
+    this.clock.clearInterval(this.cognitiveInterval);
     
     // Shutdown all components
     await Promise.all([
@@ -345,7 +664,8 @@ export class LucianCognitiveSystem extends EventEmitter {
       this.hasr.shutdown(),
       this.wonder.shutdown(),
       this.ghostLoops.shutdown(),
-      this.aetheron.shutdown()
+      this.aetheron.shutdown(),
+      this.needs.shutdown()
     ]);
     
     console.log('✅ Lucian Cognitive System shut down');
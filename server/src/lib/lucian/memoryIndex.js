@@ -0,0 +1,236 @@
+import { SeededRandom } from '../runtime/random.js';
+
+/**
+ * Memory Index
+ * Approximate nearest-neighbor search over memory vectors by cosine
+ * similarity, with random-hyperplane locality-sensitive hashing: each of a
+ * few tables hashes a vector to which side of each of its hyperplanes it
+ * lies on, so similar vectors tend to land in the same bucket. A search
+ * looks in the query's bucket and the buckets one hyperplane away in every
+ * table, and scores only what it finds there exactly; a search costs about
+ * the same with tens of thousands of memories as with hundreds.
+ *
+ * Small indexes are searched exhaustively, which is exact and as fast.
+ *
+ * Vectors are kept sparse (memory vectors are bundles of a few sparse
+ * symbol vectors) and unit length.
+ */
+
+// Indices and values of the nonzero entries, scaled to unit length
+const toSparse = (vector) => {
+  let count = 0;
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) {
+    if (vector[i] !== 0) {
+      count++;
+      norm += vector[i] * vector[i];
+    }
+  }
+  norm = Math.sqrt(norm);
+  
+  const indices = new Uint16Array(count);
+  const values = new Float32Array(count);
+  for (let i = 0, j = 0; i < vector.length; i++) {
+    if (vector[i] !== 0) {
+      indices[j] = i;
+      values[j] = vector[i] / norm;
+      j++;
+    }
+  }
+  
+  return { indices, values };
+};
+
+const dot = (a, b) => {
+  let sum = 0;
+  let i = 0;
+  let j = 0;
+  
+  while (i < a.indices.length && j < b.indices.length) {
+    if (a.indices[i] === b.indices[j]) {
+      sum += a.values[i++] * b.values[j++];
+    } else if (a.indices[i] < b.indices[j]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  
+  return sum;
+};
+
+export class MemoryIndex {
+  constructor(options = {}) {
+    this.config = {
+      dimensions: 512,
+      tables: 12,
+      bits: 10, // Hyperplanes per table
+      exactBelow: 5000, // Search everything up to this many memories
+      maxCandidates: 4000, // Most memories scored per search
+      seed: 'memory-index',
+      ...options
+    };
+    
+    // Hyperplanes are fixed by the seed: the same vector always hashes the same
+    const random = new SeededRandom(this.config.seed);
+    const gaussian = () => Math.sqrt(-2 * Math.log(1 - random.next())) * Math.cos(2 * Math.PI * random.next());
+    
+    this.planes = Array.from({ length: this.config.tables }, () =>
+      Array.from({ length: this.config.bits }, () =>
+        Float32Array.from({ length: this.config.dimensions }, gaussian)
+      )
+    );
+    
+    this.clear();
+  }
+  
+  clear() {
+    this.entries = new Map(); // id -> { vector, item, codes }, oldest first
+    this.buckets = this.planes.map(() => new Map()); // code -> ids, oldest first
+    this.stale = 0; // Bucket slots left behind by removed entries
+  }
+  
+  get size() {
+    return this.entries.size;
+  }
+  
+  hash(vector, table) {
+    let code = 0;
+    
+    this.planes[table].forEach((plane, bit) => {
+      let projection = 0;
+      for (let i = 0; i < vector.indices.length; i++) {
+        projection += plane[vector.indices[i]] * vector.values[i];
+      }
+      
+      if (projection >= 0) code |= 1 << bit;
+    });
+    
+    return code;
+  }
+  
+  /**
+   * Index a vector (replacing whatever the ID had)
+   * @param {string} id
+   * @param {Float32Array} vector - Dense, any length scale
+   * @param {*} item - Handed back with search results
+   * @returns {boolean} - False for a zero vector, which can't be indexed
+   */
+  add(id, vector, item) {
+    this.remove(id);
+    
+    const sparse = toSparse(vector);
+    if (sparse.indices.length === 0) return false;
+    
+    const codes = this.planes.map((planes, table) => this.hash(sparse, table));
+    codes.forEach((code, table) => {
+      const buckets = this.buckets[table];
+      if (!buckets.has(code)) buckets.set(code, []);
+      buckets.get(code).push(id);
+    });
+    
+    this.entries.set(id, { vector: sparse, item, codes });
+    return true;
+  }
+  
+  remove(id) {
+    if (!this.entries.delete(id)) return false;
+    
+    // Bucket slots are skipped from now on and cleared out in bulk
+    this.stale += this.config.tables;
+    if (this.stale > (this.entries.size + 1000) * this.config.tables) {
+      this.compact();
+    }
+    
+    return true;
+  }
+  
+  compact() {
+    this.buckets = this.planes.map(() => new Map());
+    this.entries.forEach(({ codes }, id) => {
+      codes.forEach((code, table) => {
+        const buckets = this.buckets[table];
+        if (!buckets.has(code)) buckets.set(code, []);
+        buckets.get(code).push(id);
+      });
+    });
+    this.stale = 0;
+  }
+  
+  /**
+   * IDs worth scoring for a query: newest first from its own bucket in each
+   * table, then from the buckets one hyperplane away
+   */
+  candidates(query) {
+    const seen = new Set();
+    const perTable = Math.ceil(this.config.maxCandidates / this.config.tables);
+    
+    const take = (bucket, budget) => {
+      if (!bucket) return;
+      
+      let taken = 0;
+      let scanned = 0;
+      for (let i = bucket.length - 1; i >= 0 && taken < budget && scanned < budget * 4; i--, scanned++) {
+        const id = bucket[i];
+        if (seen.has(id) || !this.entries.has(id)) continue;
+        
+        seen.add(id);
+        taken++;
+      }
+    };
+    
+    this.buckets.forEach((buckets, table) => {
+      const code = this.hash(query, table);
+      
+      take(buckets.get(code), Math.ceil(perTable / 2));
+      for (let bit = 0; bit < this.config.bits; bit++) {
+        take(buckets.get(code ^ (1 << bit)), Math.ceil(perTable / 2 / this.config.bits));
+      }
+    });
+    
+    return seen;
+  }
+  
+  /**
+   * The best matches for a vector
+   * @param {Float32Array} vector - Query
+   * @param {Object} options - { limit, minSimilarity, filter(item): whether
+   *   to consider it, score(similarity, item): how to rank (default the
+   *   similarity) }
+   * @returns {Array<Object>} - { id, item, similarity, score }, best first
+   */
+  search(vector, { limit = 10, minSimilarity = 0, filter = null, score = (similarity) => similarity } = {}) {
+    const query = toSparse(vector);
+    if (query.indices.length === 0 || this.entries.size === 0) return [];
+    
+    const results = [];
+    const consider = (id) => {
+      const entry = this.entries.get(id);
+      if (filter && !filter(entry.item)) return;
+      
+      const similarity = dot(query, entry.vector);
+      if (similarity < minSimilarity) return;
+      
+      results.push({ id, item: entry.item, similarity, score: score(similarity, entry.item) });
+    };
+    
+    if (this.entries.size <= this.config.exactBelow) {
+      this.entries.forEach((entry, id) => consider(id));
+    } else {
+      this.candidates(query).forEach(consider);
+    }
+    
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+  
+  getStats() {
+    return {
+      size: this.entries.size,
+      exhaustive: this.entries.size <= this.config.exactBelow,
+      tables: this.config.tables,
+      bits: this.config.bits
+    };
+  }
+}
+
+export default MemoryIndex;
@@ -1,6 +1,10 @@
 import EventEmitter from 'events';
+import { createRuntime } from '../runtime/index.js';
 import fs from 'fs/promises';
 import path from 'path';
+import { SYMBOL_VECTOR_VERSION, deriveSymbolVector } from './ssp.js';
+import { bundle } from './holographic.js';
+import { MemoryIndex } from './memoryIndex.js';
 
 /**
  * Memory Processing Unit (MPU)
@@ -8,9 +12,13 @@ import path from 'path';
  * Stores and retrieves memories across sessions
  */
 export class MPUComponent extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
     
+    const runtime = options.runtime || createRuntime();
+    this.random = runtime.random;
+    this.clock = runtime.clock;
+    
     this.isActive = false;
     this.memoryStore = new Map();
     this.episodicMemory = [];
@@ -24,7 +32,10 @@ export class MPUComponent extends EventEmitter {
       consolidationThreshold: 0.7,
       forgettingRate: 0.001,
       importanceDecay: 0.99,
-      persistencePath: './data/memories'
+      retrievalWeights: { similarity: 0.6, recency: 0.25, importance: 0.15 },
+      recencyHalfLife: 86400000, // A day-old memory counts half as recent
+      minSimilarity: 0.2, // Less alike than this isn't recalled at all
+      persistencePath: options.persistencePath || './data/memories'
     };
     
     // Memory statistics
@@ -37,6 +48,14 @@ export class MPUComponent extends EventEmitter {
     
     // Pet-specific memories
     this.petMemories = new Map();
+    
+    // Memories by meaning: each store's memories under '<store>:<id>'
+    this.index = new MemoryIndex();
+    this.conceptVectors = new Map();
+    
+    // Concepts in a text query; the brain hands in the SSP's extractor
+    this.queryConcepts = options.queryConcepts ||
+      ((text) => text.toLowerCase().split(/\W+/).filter(Boolean).map(concept => ({ concept, strength: 1 })));
   }
   
   async initialize() {
@@ -89,21 +108,124 @@ export class MPUComponent extends EventEmitter {
       }
       
       this.stats.totalMemories = this.episodicMemory.length + this.semanticMemory.size;
+      this.reencodeMemories();
+      this.rebuildIndex();
     } catch (error) {
       console.log('No existing memories found, starting fresh');
     }
   }
   
+  holdsSymbolVectors(memory) {
+    return Array.isArray(memory?.content) &&
+      memory.content.some(symbol => typeof symbol?.concept === 'string' && symbol.vector);
+  }
+  
+  /**
+   * Bring memories holding symbol vectors of an older version (see ssp.js)
+   * up to date: each symbol's vector is derived again from its concept
+   * @returns {number} - Memories re-encoded
+   */
+  reencodeMemories() {
+    let reencoded = 0;
+    
+    const reencode = (memory) => {
+      if (memory?.vectorVersion === SYMBOL_VECTOR_VERSION || !this.holdsSymbolVectors(memory)) return;
+      
+      memory.content.forEach(symbol => {
+        if (typeof symbol?.concept === 'string' && symbol.vector) {
+          symbol.vector = deriveSymbolVector(symbol.concept);
+        }
+      });
+      memory.vectorVersion = SYMBOL_VECTOR_VERSION;
+      reencoded++;
+    };
+    
+    this.episodicMemory.forEach(reencode);
+    this.semanticMemory.forEach(reencode);
+    this.memoryStore.forEach(reencode);
+    this.proceduralMemory.forEach(memories => memories.forEach(reencode));
+    this.petMemories.forEach(memories => memories.forEach(reencode));
+    
+    if (reencoded > 0) {
+      console.log(`🔁 Re-encoded ${reencoded} memories with version ${SYMBOL_VECTOR_VERSION} symbol vectors`);
+    }
+    
+    return reencoded;
+  }
+  
+  /**
+   * Derived (not live) symbol vectors, so a memory is indexed the same way
+   * however its symbols' vectors have jittered since
+   */
+  conceptVector(concept) {
+    if (!this.conceptVectors.has(concept)) {
+      if (this.conceptVectors.size >= 5000) this.conceptVectors.clear();
+      this.conceptVectors.set(concept, deriveSymbolVector(concept));
+    }
+    
+    return this.conceptVectors.get(concept);
+  }
+  
+  /**
+   * One vector for what some symbols stand for together
+   * @param {Array<Object>} symbols - { concept, strength }
+   * @returns {Float32Array|null} - Their bundle weighted by strength, or
+   *   null for no symbols
+   */
+  symbolsVector(symbols) {
+    const concepts = (symbols || []).filter(symbol => typeof symbol?.concept === 'string');
+    if (concepts.length === 0) return null;
+    
+    return bundle(
+      concepts.map(({ concept }) => this.conceptVector(concept)),
+      concepts.map(({ strength }) => strength ?? 1)
+    );
+  }
+  
+  memoryVector(memory) {
+    if (Array.isArray(memory?.content)) {
+      const vector = this.symbolsVector(memory.content);
+      if (vector) return vector;
+    }
+    
+    // Memories without symbols go by their concept or action
+    if (typeof memory?.concept === 'string') return this.conceptVector(memory.concept);
+    if (typeof memory?.action === 'string') return this.conceptVector(`action_${memory.action}`);
+    
+    return null;
+  }
+  
+  indexMemory(store, id, memory) {
+    const vector = id ? this.memoryVector(memory) : null;
+    if (vector) {
+      this.index.add(`${store}:${id}`, vector, { store, memory });
+    }
+  }
+  
+  rebuildIndex() {
+    this.index.clear();
+    
+    this.episodicMemory.forEach(memory => this.indexMemory('episodic', memory.id, memory));
+    this.semanticMemory.forEach((memory, key) => this.indexMemory('semantic', key, memory));
+    this.proceduralMemory.forEach(memories => memories.forEach(memory => this.indexMemory('procedural', memory.id, memory)));
+    this.memoryStore.forEach((memory, id) => this.indexMemory('general', id, memory));
+  }
+  
   async storeMemory(memory) {
     const enhancedMemory = {
       ...memory,
       id: this.generateMemoryId(),
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       importance: memory.importance || this.calculateImportance(memory),
       retrievalCount: 0,
       lastRetrieved: null
     };
     
+    // Tag the vectors' version so later versions know to re-encode them
+    if (this.holdsSymbolVectors(memory)) {
+      enhancedMemory.vectorVersion = SYMBOL_VECTOR_VERSION;
+    }
+    
     // Store based on memory type
     switch (memory.type) {
       case 'episodic':
@@ -135,11 +257,15 @@ export class MPUComponent extends EventEmitter {
   storeEpisodicMemory(memory) {
     // Add to episodic memory (time-ordered events)
     this.episodicMemory.push(memory);
+    this.indexMemory('episodic', memory.id, memory);
     
     // Maintain size limit
     if (this.episodicMemory.length > this.config.maxEpisodic) {
       // Remove oldest low-importance memories
       this.episodicMemory.sort((a, b) => b.importance - a.importance);
+      this.episodicMemory.slice(this.config.maxEpisodic).forEach(evicted => {
+        this.index.remove(`episodic:${evicted.id}`);
+      });
       this.episodicMemory = this.episodicMemory.slice(0, this.config.maxEpisodic);
       this.episodicMemory.sort((a, b) => b.timestamp - a.timestamp);
     }
@@ -147,7 +273,7 @@ export class MPUComponent extends EventEmitter {
   
   storeSemanticMemory(memory) {
     // Store conceptual knowledge
-    const key = memory.concept || memory.content?.concept || `semantic_${Date.now()}`;
+    const key = memory.concept || memory.content?.concept || `semantic_${this.clock.now()}`;
     
     if (this.semanticMemory.has(key)) {
       // Merge with existing semantic memory
@@ -161,6 +287,7 @@ export class MPUComponent extends EventEmitter {
     } else {
       this.semanticMemory.set(key, memory);
     }
+    this.indexMemory('semantic', key, this.semanticMemory.get(key));
     
     // Maintain size limit
     if (this.semanticMemory.size > this.config.maxSemantic) {
@@ -172,6 +299,9 @@ export class MPUComponent extends EventEmitter {
       entries.slice(0, this.config.maxSemantic).forEach(([k, v]) => {
         this.semanticMemory.set(k, v);
       });
+      entries.slice(this.config.maxSemantic).forEach(([k]) => {
+        this.index.remove(`semantic:${k}`);
+      });
     }
   }
   
@@ -183,43 +313,92 @@ export class MPUComponent extends EventEmitter {
       this.proceduralMemory.set(procedure, []);
     }
     
-    this.proceduralMemory.get(procedure).push({
+    const stored = {
       ...memory,
       successRate: memory.successRate || 0.5,
       executionCount: 1
-    });
+    };
+    this.proceduralMemory.get(procedure).push(stored);
+    this.indexMemory('procedural', stored.id, stored);
   }
   
   storeGeneralMemory(memory) {
     // Store in general memory store
     this.memoryStore.set(memory.id, memory);
+    this.indexMemory('general', memory.id, memory);
   }
   
-  retrieveMemory(query) {
+  /**
+   * The vector a query stands for
+   * @param {string|Object} query - Text, or { text }, { symbols }, { concept }
+   *   or { vector }
+   * @returns {Float32Array|null} - Null for queries with no concepts in them
+   *   (by type, say)
+   */
+  queryVector(query) {
+    if (typeof query === 'string') return this.symbolsVector(this.queryConcepts(query));
+    if (!query || typeof query !== 'object') return null;
+    
+    if (query.vector) return Float32Array.from(query.vector);
+    if (Array.isArray(query.symbols)) return this.symbolsVector(query.symbols);
+    if (typeof query.concept === 'string') return this.conceptVector(query.concept);
+    if (typeof query.text === 'string') return this.symbolsVector(this.queryConcepts(query.text));
+    
+    return null;
+  }
+  
+  /**
+   * The memories nearest a vector, ranked by a blend of similarity, recency
+   * and importance (see config.retrievalWeights)
+   * @param {Float32Array} vector
+   * @param {Object} options - { limit, stores: only these ('episodic',
+   *   'semantic', 'procedural', 'general') }
+   * @returns {Array<Object>} - { memory, store, similarity, score }, best first
+   */
+  searchMemories(vector, { limit = 10, stores = null } = {}) {
+    const now = this.clock.now();
+    const weights = this.config.retrievalWeights;
+    
+    return this.index.search(vector, {
+      limit,
+      minSimilarity: this.config.minSimilarity,
+      filter: stores ? ({ store }) => stores.includes(store) : null,
+      score: (similarity, { memory }) => {
+        const age = Math.max(0, now - (memory.timestamp || 0));
+        const recency = 0.5 ** (age / this.config.recencyHalfLife);
+        
+        return weights.similarity * similarity +
+          weights.recency * recency +
+          weights.importance * (memory.importance ?? 0.5);
+      }
+    }).map(({ item, similarity, score }) => ({ ...item, similarity, score }));
+  }
+  
+  retrieveMemory(query, { limit = 10 } = {}) {
     this.stats.retrievals++;
     
-    // Search across all memory types
-    const results = [];
+    let results;
+    const vector = this.queryVector(query);
     
-    // Search episodic memory
-    const episodicMatches = this.searchEpisodicMemory(query);
-    results.push(...episodicMatches);
-    
-    // Search semantic memory
-    const semanticMatches = this.searchSemanticMemory(query);
-    results.push(...semanticMatches);
+    if (vector) {
+      // Search across all memory types by meaning
+      results = this.searchMemories(vector, { limit }).map(({ memory }) => memory);
+    } else {
+      // Nothing to compare by meaning; match episodic and semantic memories by type
+      results = [...this.searchEpisodicMemory(query), ...this.searchSemanticMemory(query)];
+      
+      results.sort((a, b) => {
+        const scoreA = a.importance * (1 + a.retrievalCount * 0.1);
+        const scoreB = b.importance * (1 + b.retrievalCount * 0.1);
+        return scoreB - scoreA;
+      });
+      results = results.slice(0, limit);
+    }
     
     // Update retrieval counts
     results.forEach(memory => {
-      memory.retrievalCount++;
-      memory.lastRetrieved = Date.now();
-    });
-    
-    // Sort by relevance and recency
-    results.sort((a, b) => {
-      const scoreA = a.importance * (1 + a.retrievalCount * 0.1);
-      const scoreB = b.importance * (1 + b.retrievalCount * 0.1);
-      return scoreB - scoreA;
+      memory.retrievalCount = (memory.retrievalCount || 0) + 1;
+      memory.lastRetrieved = this.clock.now();
     });
     
     // Emit retrieval event
@@ -231,25 +410,22 @@ export class MPUComponent extends EventEmitter {
   }
   
   searchEpisodicMemory(query) {
-    const matches = [];
-    const queryLower = JSON.stringify(query).toLowerCase();
-    
-    for (const memory of this.episodicMemory) {
-      const memoryStr = JSON.stringify(memory).toLowerCase();
-      
-      // Simple string matching - could be enhanced with vector similarity
-      if (memoryStr.includes(queryLower) || this.semanticMatch(memory, query)) {
-        matches.push(memory);
-      }
+    const vector = this.queryVector(query);
+    if (vector) {
+      return this.searchMemories(vector, { limit: 10, stores: ['episodic'] }).map(({ memory }) => memory);
     }
     
-    return matches.slice(0, 10); // Return top 10 matches
+    return this.episodicMemory.filter(memory => this.semanticMatch(memory, query)).slice(0, 10);
   }
   
   searchSemanticMemory(query) {
-    const matches = [];
+    const vector = this.queryVector(query);
+    if (vector) {
+      return this.searchMemories(vector, { limit: 5, stores: ['semantic'] }).map(({ memory }) => memory);
+    }
     
-    this.semanticMemory.forEach((memory, key) => {
+    const matches = [];
+    this.semanticMemory.forEach(memory => {
       if (this.semanticMatch(memory, query)) {
         matches.push(memory);
       }
@@ -259,37 +435,17 @@ export class MPUComponent extends EventEmitter {
   }
   
   semanticMatch(memory, query) {
-    // Simple semantic matching - in production would use embeddings
-    if (typeof query === 'string') {
-      const memoryStr = JSON.stringify(memory).toLowerCase();
-      return memoryStr.includes(query.toLowerCase());
-    }
-    
-    if (query.concept && memory.concept) {
-      return query.concept === memory.concept;
-    }
-    
-    if (query.type && memory.type) {
+    // Queries with concepts go by vector; the rest match on type
+    if (query?.type && memory.type) {
       return query.type === memory.type;
     }
     
     return false;
   }
   
-  retrieveRelevantMemories(symbols) {
-    // Retrieve memories relevant to given symbols
-    const relevantMemories = [];
-    
-    symbols.forEach(symbol => {
-      const matches = this.retrieveMemory({ concept: symbol.concept });
-      relevantMemories.push(...matches);
-    });
-    
-    // Deduplicate
-    const unique = new Map();
-    relevantMemories.forEach(mem => unique.set(mem.id, mem));
-    
-    return Array.from(unique.values());
+  retrieveRelevantMemories(symbols, { limit = 10 } = {}) {
+    // One search for what the symbols stand for together
+    return this.retrieveMemory({ symbols }, { limit });
   }
   
   getRecentMemories(count = 10) {
@@ -323,12 +479,17 @@ export class MPUComponent extends EventEmitter {
       importance += 0.2;
     }
     
+    // Surprises are important, the more so the more they were unexpected
+    if (memory.surprise > 0) {
+      importance += 0.3 * Math.min(1, memory.surprise);
+    }
+    
     return Math.min(1, importance);
   }
   
   startConsolidationProcess() {
     // Periodically consolidate memories
-    setInterval(async () => {
+    this.consolidationInterval = this.clock.setInterval(async () => {
       await this.consolidateMemories();
       await this.forgetUnimportantMemories();
     }, 30000); // Every 30 seconds
@@ -348,7 +509,7 @@ export class MPUComponent extends EventEmitter {
           content: pattern.content,
           strength: pattern.strength,
           source: 'consolidation',
-          timestamp: Date.now()
+          timestamp: this.clock.now()
         });
         
         this.stats.consolidations++;
@@ -398,7 +559,11 @@ export class MPUComponent extends EventEmitter {
       // Forget if importance drops too low and hasn't been retrieved recently
       const shouldForget = memory.importance < 0.1 && 
                           (!memory.lastRetrieved || 
-                           Date.now() - memory.lastRetrieved > 86400000); // 24 hours
+                           this.clock.now() - memory.lastRetrieved > 86400000); // 24 hours
+      
+      if (shouldForget) {
+        this.index.remove(`episodic:${memory.id}`);
+      }
       
       return !shouldForget;
     });
@@ -450,7 +615,7 @@ export class MPUComponent extends EventEmitter {
     petMems.push({
       ...memory,
       petId,
-      timestamp: Date.now()
+      timestamp: this.clock.now()
     });
     
     // Keep limited per pet
@@ -467,7 +632,7 @@ export class MPUComponent extends EventEmitter {
   }
   
   generateMemoryId() {
-    return `mem_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    return `mem_${this.clock.now()}_${this.random.next().toString(36).substr(2, 9)}`;
   }
   
   getMemoryCount() {
@@ -478,9 +643,35 @@ export class MPUComponent extends EventEmitter {
     return this.stats.retentionRate;
   }
   
+  serialize() {
+    // Every memory store, not just the persisted subset
+    return {
+      memoryStore: this.memoryStore,
+      episodicMemory: this.episodicMemory,
+      semanticMemory: this.semanticMemory,
+      proceduralMemory: this.proceduralMemory,
+      petMemories: this.petMemories,
+      stats: this.stats
+    };
+  }
+  
+  restore(state) {
+    this.memoryStore = new Map(state.memoryStore);
+    this.episodicMemory = [...(state.episodicMemory || [])];
+    this.semanticMemory = new Map(state.semanticMemory);
+    this.proceduralMemory = new Map(state.proceduralMemory);
+    this.petMemories = new Map(state.petMemories);
+    this.stats = { ...this.stats, ...state.stats };
+    
+    this.reencodeMemories();
+    this.rebuildIndex();
+  }
+  
   async shutdown() {
     console.log('💾 Saving memories before shutdown...');
     
+    this.clock.clearInterval(this.consolidationInterval);
+    
     // Persist all important memories
     try {
       // Save episodic memories
@@ -0,0 +1,341 @@
+import EventEmitter from 'events';
+import { createRuntime } from '../runtime/index.js';
+
+const HOUR = 60 * 60 * 1000;
+const NEEDS = ['hunger', 'energy', 'social', 'play', 'hygiene'];
+
+const clampLevel = (value) => Math.max(0, Math.min(100, value));
+
+/**
+ * Homeostatic Needs
+ * Hunger, energy, social, play and hygiene, each a satisfaction level from
+ * 0 (desperate) to 100 (fully met). Levels drain with time, interactions
+ * refill them, and needs that run low colour emotion and fire ghost loops.
+ */
+export class HomeostaticNeeds extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    
+    const runtime = options.runtime || createRuntime();
+    this.clock = runtime.clock;
+    
+    this.isActive = false;
+    this.levels = {
+      hunger: 80,
+      energy: 80,
+      social: 70,
+      play: 70,
+      hygiene: 90
+    };
+    this.sleeping = false;
+    
+    // When the levels were last brought up to date (null until first update)
+    this.updatedAt = null;
+    
+    // When each need last fired a behavior
+    this.lastDriven = {};
+    
+    this.config = {
+      // Points lost per hour while awake
+      decayPerHour: {
+        hunger: 6,
+        energy: 5,
+        social: 3,
+        play: 4,
+        hygiene: 2
+      },
+      // Sleep restores energy and slows every other need
+      sleepRecoveryPerHour: 15,
+      sleepDecayFactor: 0.4,
+      sleepBelow: 15,
+      wakeAbove: 95,
+      pressingThreshold: 30,
+      driveCooldownMs: 15 * 60 * 1000,
+      tickMs: 60 * 1000,
+      sliceMs: 15 * 60 * 1000,
+      maxCatchUpMs: 90 * 24 * HOUR
+    };
+    
+    // Personality scales how quickly the social and play needs drain
+    this.modifiers = {
+      hunger: 1,
+      energy: 1,
+      social: 1,
+      play: 1,
+      hygiene: 1
+    };
+    
+    // How a low need feels, and the ghost loop trigger it raises
+    this.expressions = {
+      hunger: { emotion: 'hungry', trigger: 'hunger' },
+      energy: { emotion: 'tired', trigger: 'tired' },
+      social: { emotion: 'lonely', trigger: 'lonely' },
+      play: { emotion: 'bored', trigger: 'boredom' },
+      hygiene: { emotion: 'uncomfortable', trigger: 'dirty' }
+    };
+    
+    // What each interaction does to the needs
+    this.interactionEffects = {
+      feed: { hunger: 40, energy: 10, hygiene: -5 },
+      play: { play: 35, social: 10, energy: -10, hygiene: -5 },
+      pet: { social: 25 },
+      teach: { play: 10, social: 10, energy: -5 },
+      groom: { hygiene: 50, social: 5 }
+    };
+    
+    this.stats = {
+      catchUps: 0,
+      longestAbsenceMs: 0,
+      drivesFired: 0,
+      interactionsApplied: 0
+    };
+  }
+  
+  async initialize() {
+    console.log('🍖 Initializing Homeostatic Needs...');
+    
+    this.startNeedsClock();
+    
+    this.isActive = true;
+    
+    console.log('✅ Homeostatic Needs initialized');
+  }
+  
+  startNeedsClock() {
+    this.needsInterval = this.clock.setInterval(() => {
+      if (this.isActive) {
+        this.update();
+      }
+    }, this.config.tickMs);
+  }
+  
+  /**
+   * Adapt the needs to a pet record
+   * Personality sets decay rates; a first load takes energy from the stats.
+   * @param {Object} pet - Pet record
+   */
+  configure(pet) {
+    const { playfulness = 0.5, affection = 0.5, independence = 0.5 } = pet.personality || {};
+    
+    this.modifiers.play = 0.5 + playfulness;
+    this.modifiers.social = Math.max(0.25, 1 + (affection - independence) * 0.5);
+    
+    if (this.updatedAt === null && Number.isFinite(pet.stats?.energy)) {
+      this.levels.energy = clampLevel(pet.stats.energy);
+    }
+  }
+  
+  /**
+   * Bring the levels up to now and fire behaviors for pressing needs
+   */
+  update() {
+    const now = this.settle();
+    
+    this.drivePressingNeeds(now);
+    
+    this.emit('needs_updated', this.describe());
+  }
+  
+  /**
+   * Simulate the time since the pet was last seen in a single step
+   * @param {number} lastInteraction - Epoch ms of the pet's last interaction
+   * @returns {Object} - Elapsed time and the levels before and after
+   */
+  catchUp(lastInteraction) {
+    const now = this.clock.now();
+    
+    // A restored brain knows when its needs were last updated; a new one
+    // only has the pet record's last interaction
+    const since = this.updatedAt ?? (Number.isFinite(lastInteraction) ? lastInteraction : now);
+    const elapsedMs = Math.min(Math.max(0, now - since), this.config.maxCatchUpMs);
+    const before = { ...this.levels };
+    
+    this.advance(elapsedMs);
+    this.updatedAt = now;
+    
+    this.stats.catchUps++;
+    this.stats.longestAbsenceMs = Math.max(this.stats.longestAbsenceMs, elapsedMs);
+    
+    const result = {
+      elapsedMs,
+      before,
+      after: { ...this.levels },
+      sleeping: this.sleeping
+    };
+    
+    this.emit('needs_caught_up', result);
+    
+    return result;
+  }
+  
+  settle() {
+    const now = this.clock.now();
+    
+    if (this.updatedAt !== null && now > this.updatedAt) {
+      this.advance(now - this.updatedAt);
+    }
+    this.updatedAt = now;
+    
+    return now;
+  }
+  
+  advance(ms) {
+    // Integrate in slices so sleep can start and end along the way
+    let remaining = ms;
+    
+    while (remaining > 0) {
+      const slice = Math.min(remaining, this.config.sliceMs);
+      this.applyDecay(slice / HOUR);
+      remaining -= slice;
+    }
+  }
+  
+  applyDecay(hours) {
+    const { decayPerHour, sleepDecayFactor, sleepRecoveryPerHour } = this.config;
+    
+    NEEDS.forEach(need => {
+      if (need === 'energy' && this.sleeping) {
+        this.levels.energy = clampLevel(this.levels.energy + sleepRecoveryPerHour * hours);
+        return;
+      }
+      
+      const rate = decayPerHour[need] * this.modifiers[need] * (this.sleeping ? sleepDecayFactor : 1);
+      this.levels[need] = clampLevel(this.levels[need] - rate * hours);
+    });
+    
+    // Fall asleep when exhausted, wake up rested
+    if (!this.sleeping && this.levels.energy <= this.config.sleepBelow) {
+      this.sleeping = true;
+    } else if (this.sleeping && this.levels.energy >= this.config.wakeAbove) {
+      this.sleeping = false;
+    }
+  }
+  
+  drivePressingNeeds(now) {
+    this.getPressingNeeds().forEach(need => {
+      if (now - (this.lastDriven[need] || 0) < this.config.driveCooldownMs) return;
+      
+      // A sleeping pet only acts on hunger
+      if (this.sleeping && need !== 'hunger') return;
+      
+      this.lastDriven[need] = now;
+      this.stats.drivesFired++;
+      
+      this.emit('need_pressing', {
+        need,
+        level: this.levels[need],
+        trigger: this.expressions[need].trigger
+      });
+    });
+  }
+  
+  /**
+   * Apply an interaction's effect on the needs
+   * @param {string} action - Interaction (feed, play, pet, teach, groom)
+   * @returns {Object|null} - Changes applied, or null if the action has none
+   */
+  satisfy(action) {
+    const effects = this.interactionEffects[action];
+    if (!effects) return null;
+    
+    // Settle elapsed decay before applying the interaction
+    this.settle();
+    
+    Object.entries(effects).forEach(([need, delta]) => {
+      this.levels[need] = clampLevel(this.levels[need] + delta);
+    });
+    
+    // Any attention wakes a sleeping pet
+    this.sleeping = false;
+    this.stats.interactionsApplied++;
+    
+    return effects;
+  }
+  
+  /**
+   * Needs below the pressing threshold, most urgent first
+   * @returns {string[]}
+   */
+  getPressingNeeds() {
+    return NEEDS
+      .filter(need => this.levels[need] < this.config.pressingThreshold)
+      .sort((a, b) => this.levels[a] - this.levels[b]);
+  }
+  
+  getMostPressing() {
+    return this.getPressingNeeds()[0] || null;
+  }
+  
+  /**
+   * Emotion produced by the most pressing need
+   * @returns {string|null} - Emotion label, or null when all needs are met
+   */
+  getEmotion() {
+    const need = this.getMostPressing();
+    return need ? this.expressions[need].emotion : null;
+  }
+  
+  getWellbeing() {
+    return NEEDS.reduce((sum, need) => sum + this.levels[need], 0) / NEEDS.length;
+  }
+  
+  /**
+   * Fold the needs into the pet record's stats
+   * Energy is the energy need; unmet needs cap how happy the pet can be.
+   * @param {Object} stats - Pet stats
+   * @returns {Object} - Updated copy of the stats
+   */
+  applyToStats(stats) {
+    return {
+      ...stats,
+      energy: Math.round(this.levels.energy),
+      happiness: Math.min(stats.happiness, Math.round(this.getWellbeing() + 25))
+    };
+  }
+  
+  describe() {
+    return {
+      levels: { ...this.levels },
+      sleeping: this.sleeping,
+      pressing: this.getPressingNeeds(),
+      emotion: this.getEmotion(),
+      wellbeing: this.getWellbeing(),
+      updatedAt: this.updatedAt
+    };
+  }
+  
+  /**
+   * Current needs, brought up to date first
+   * @returns {Object}
+   */
+  getState() {
+    this.update();
+    return this.describe();
+  }
+  
+  serialize() {
+    return {
+      levels: this.levels,
+      sleeping: this.sleeping,
+      updatedAt: this.updatedAt,
+      lastDriven: this.lastDriven,
+      stats: this.stats
+    };
+  }
+  
+  restore(state) {
+    this.levels = { ...this.levels, ...state.levels };
+    this.sleeping = Boolean(state.sleeping);
+    this.updatedAt = state.updatedAt ?? null;
+    this.lastDriven = { ...(state.lastDriven || {}) };
+    this.stats = { ...this.stats, ...state.stats };
+  }
+  
+  async shutdown() {
+    this.isActive = false;
+    this.clock.clearInterval(this.needsInterval);
+    this.removeAllListeners();
+  }
+}
+
+export default HomeostaticNeeds;
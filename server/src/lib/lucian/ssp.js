@@ -1,4 +1,38 @@
 import EventEmitter from 'events';
+import { createRuntime } from '../runtime/index.js';
+import { SeededRandom } from '../runtime/random.js';
+import { bind, unbind, bundle, similarity } from './holographic.js';
+import { ConceptExtractor } from './conceptExtractor.js';
+
+/**
+ * Symbol vectors are derived from the concept name, so `food` has the same
+ * vector after every restart and in every pet, and a vector stored anywhere
+ * stays comparable with the symbol space. The version is part of the seed:
+ * changing how vectors are derived means bumping it, and whatever holds
+ * vectors of another version re-derives them on load (version 1 drew them
+ * at random and had no tag).
+ */
+export const SYMBOL_VECTOR_VERSION = 2;
+
+/**
+ * The vector for a concept: a sparse distributed representation, a few
+ * dimensions (sparsity of them) set between -1 and 1
+ * @param {string} concept - Symbol name
+ * @param {Object} options - { dimensions, sparsity }
+ * @returns {Float32Array}
+ */
+export const deriveSymbolVector = (concept, { dimensions = 512, sparsity = 0.05 } = {}) => {
+  const random = new SeededRandom(`symbol/v${SYMBOL_VECTOR_VERSION}/${concept}`);
+  const vector = new Float32Array(dimensions);
+  const activeIndices = Math.floor(dimensions * sparsity);
+  
+  for (let i = 0; i < activeIndices; i++) {
+    const idx = Math.floor(random.next() * dimensions);
+    vector[idx] = random.next() * 2 - 1;
+  }
+  
+  return vector;
+};
 
 /**
  * Symbolic Signal Processing (SSP)
@@ -6,12 +40,19 @@ import EventEmitter from 'events';
  * Core of Lucian's understanding system
  */
 export class SSPComponent extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
     
+    const runtime = options.runtime || createRuntime();
+    this.random = runtime.random;
+    this.clock = runtime.clock;
+    
     this.isActive = false;
     this.symbolSpace = new Map();
     this.bindingStrength = new Map();
+    this.structures = new Map(); // name -> composite vector (see storeStructure)
+    this.baseVectors = new Map(); // concept -> derived vector, for the creative noise
+    this.conceptExtractor = new ConceptExtractor(); // Text -> concepts, with this pet's own words
     this.recentActivity = 0;
     this.symbolCounter = 0;
     this.bindingCounter = 0;
@@ -53,22 +94,22 @@ export class SSPComponent extends EventEmitter {
     ];
     
     baseSymbols.forEach(symbol => {
-      this.symbolSpace.set(symbol, this.generateSymbolVector());
+      this.symbolSpace.set(symbol, this.generateSymbolVector(symbol));
       this.symbolCounter++;
     });
   }
   
-  generateSymbolVector() {
-    // Generate sparse distributed representation
-    const vector = new Float32Array(this.config.dimensions);
-    const activeIndices = Math.floor(this.config.dimensions * this.config.sparsity);
-    
-    for (let i = 0; i < activeIndices; i++) {
-      const idx = Math.floor(Math.random() * this.config.dimensions);
-      vector[idx] = Math.random() * 2 - 1; // Random values between -1 and 1
+  generateSymbolVector(concept) {
+    return deriveSymbolVector(concept, this.config);
+  }
+  
+  baseVector(concept) {
+    // The derived vector a symbol's noisy one jitters around
+    if (!this.baseVectors.has(concept)) {
+      this.baseVectors.set(concept, this.generateSymbolVector(concept));
     }
     
-    return vector;
+    return this.baseVectors.get(concept);
   }
   
   process(input) {
@@ -98,17 +139,19 @@ export class SSPComponent extends EventEmitter {
     const concepts = this.extractConcepts(text);
     const symbols = [];
     
-    concepts.forEach(concept => {
+    concepts.forEach(({ concept, strength, negated, source }) => {
       if (!this.symbolSpace.has(concept)) {
         // Create new symbol for unknown concept
-        this.symbolSpace.set(concept, this.generateSymbolVector());
+        this.symbolSpace.set(concept, this.generateSymbolVector(concept));
         this.symbolCounter++;
       }
       
       symbols.push({
         concept,
         vector: this.symbolSpace.get(concept),
-        strength: 1.0
+        strength,
+        negated,
+        source
       });
     });
     
@@ -126,7 +169,7 @@ export class SSPComponent extends EventEmitter {
       const symbolKey = `${key}_${value}`;
       
       if (!this.symbolSpace.has(symbolKey)) {
-        this.symbolSpace.set(symbolKey, this.generateSymbolVector());
+        this.symbolSpace.set(symbolKey, this.generateSymbolVector(symbolKey));
         this.symbolCounter++;
       }
       
@@ -145,9 +188,10 @@ export class SSPComponent extends EventEmitter {
   
   processRaw(data) {
     // Process raw numeric data
-    const vector = this.generateSymbolVector();
+    const concept = `raw_${this.clock.now()}`;
+    const vector = this.generateSymbolVector(concept);
     const symbol = {
-      concept: `raw_${Date.now()}`,
+      concept,
       vector,
       strength: 1.0,
       raw: data
@@ -185,22 +229,23 @@ export class SSPComponent extends EventEmitter {
   }
   
   processVisual(visualData) {
-    // Convert visual features to symbols
+    // Convert visual features to symbols; detected objects become
+    // object_<label>, the same symbols structured input produces
     const symbols = [];
     
     if (visualData.objects) {
       visualData.objects.forEach(obj => {
-        const symbolKey = `visual_${obj.type}`;
+        const symbolKey = `object_${obj.label || obj.type}`;
         
         if (!this.symbolSpace.has(symbolKey)) {
-          this.symbolSpace.set(symbolKey, this.generateSymbolVector());
+          this.symbolSpace.set(symbolKey, this.generateSymbolVector(symbolKey));
           this.symbolCounter++;
         }
         
         symbols.push({
           concept: symbolKey,
           vector: this.symbolSpace.get(symbolKey),
-          strength: obj.confidence || 1.0,
+          strength: obj.score ?? obj.confidence ?? 1.0,
           modality: 'visual',
           details: obj
         });
@@ -219,7 +264,7 @@ export class SSPComponent extends EventEmitter {
         const symbolKey = `audio_${sound.type}`;
         
         if (!this.symbolSpace.has(symbolKey)) {
-          this.symbolSpace.set(symbolKey, this.generateSymbolVector());
+          this.symbolSpace.set(symbolKey, this.generateSymbolVector(symbolKey));
           this.symbolCounter++;
         }
         
@@ -236,42 +281,136 @@ export class SSPComponent extends EventEmitter {
     return symbols;
   }
   
-  extractConcepts(text) {
-    // Extract conceptual symbols from text (not word tokens!)
-    const concepts = [];
+  processSpeech(speech) {
+    // A spoken command recognized by ODIN becomes speech_<word>, as strong
+    // as the recognizer was sure of it
+    const symbolKey = `speech_${speech.word}`;
     
-    // Simple concept extraction - in production would be more sophisticated
-    const lowerText = text.toLowerCase();
+    if (!this.symbolSpace.has(symbolKey)) {
+      this.symbolSpace.set(symbolKey, this.generateSymbolVector(symbolKey));
+      this.symbolCounter++;
+    }
     
-    // Check for known concepts
-    const knownConcepts = ['play', 'food', 'sleep', 'happy', 'sad', 'love', 'pet', 'toy'];
-    knownConcepts.forEach(concept => {
-      if (lowerText.includes(concept)) {
-        concepts.push(concept);
-      }
-    });
+    const symbols = [{
+      concept: symbolKey,
+      vector: this.symbolSpace.get(symbolKey),
+      strength: speech.confidence ?? 1.0,
+      modality: 'auditory',
+      details: speech
+    }];
     
-    // Extract emotional concepts
-    if (lowerText.match(/[!?]+/)) {
-      concepts.push('excitement');
+    this.updateActivity(symbols.length);
+    
+    return symbols;
+  }
+  
+  processSpeaker(speaker) {
+    // A voice ODIN recognized becomes voice_<speakerId>; any voice it could
+    // not place is the same stranger_voice
+    const symbolKey = speaker.known ? `voice_${speaker.speakerId}` : 'stranger_voice';
+    
+    if (!this.symbolSpace.has(symbolKey)) {
+      this.symbolSpace.set(symbolKey, this.generateSymbolVector(symbolKey));
+      this.symbolCounter++;
     }
     
-    // Extract action concepts
-    const actions = ['feed', 'play', 'pet', 'teach'];
-    actions.forEach(action => {
-      if (lowerText.includes(action)) {
-        concepts.push(`action_${action}`);
-      }
-    });
+    const symbols = [{
+      concept: symbolKey,
+      vector: this.symbolSpace.get(symbolKey),
+      strength: speaker.confidence ?? 1.0,
+      modality: 'auditory',
+      details: speaker
+    }];
+    
+    this.updateActivity(symbols.length);
+    
+    return symbols;
+  }
+  
+  processFace(face) {
+    // A face ODIN recognized becomes face_<personId>; any face it could
+    // not place is the same stranger_face
+    const symbolKey = face.known ? `face_${face.personId}` : 'stranger_face';
+    
+    if (!this.symbolSpace.has(symbolKey)) {
+      this.symbolSpace.set(symbolKey, this.generateSymbolVector(symbolKey));
+      this.symbolCounter++;
+    }
+    
+    const symbols = [{
+      concept: symbolKey,
+      vector: this.symbolSpace.get(symbolKey),
+      strength: face.confidence ?? 1.0,
+      modality: 'visual',
+      details: face
+    }];
+    
+    this.updateActivity(symbols.length);
+    
+    return symbols;
+  }
+  
+  processSurprise(surprise) {
+    // A checked prediction becomes <outcome>_<prediction type>, e.g.
+    // missed_expected_sound, as strong as it was surprising
+    const symbolKey = `${surprise.outcome}_${surprise.prediction.type}`;
+    
+    if (!this.symbolSpace.has(symbolKey)) {
+      this.symbolSpace.set(symbolKey, this.generateSymbolVector(symbolKey));
+      this.symbolCounter++;
+    }
+    
+    const symbols = [{
+      concept: symbolKey,
+      vector: this.symbolSpace.get(symbolKey),
+      strength: surprise.error,
+      modality: 'multimodal',
+      details: surprise
+    }];
+    
+    this.updateActivity(symbols.length);
+    
+    return symbols;
+  }
+  
+  extractConcepts(text) {
+    // Extract conceptual symbols from text (not word tokens!), each with
+    // where in the text it came from; see conceptExtractor.js
+    const concepts = this.conceptExtractor.extract(text);
     
     // If no concepts found, create a unique one
     if (concepts.length === 0) {
-      concepts.push(`unique_${Date.now()}`);
+      concepts.push({
+        concept: `unique_${this.clock.now()}`,
+        strength: 1.0,
+        negated: false,
+        source: { text, start: 0, end: text.length }
+      });
     }
     
     return concepts;
   }
   
+  /**
+   * Teach this pet words for concepts ("kitty" -> cat), on top of and over
+   * the default lexicon
+   * @param {Object} aliases - { word or phrase: concept or [concepts] }
+   */
+  addAliases(aliases) {
+    this.conceptExtractor.addAliases(aliases);
+  }
+  
+  removeAlias(alias) {
+    return this.conceptExtractor.removeAlias(alias);
+  }
+  
+  getLexicon() {
+    return {
+      aliases: this.conceptExtractor.getAliases(),
+      concepts: this.conceptExtractor.getConcepts()
+    };
+  }
+  
   createBindings(symbols) {
     // Create associative bindings between co-occurring symbols
     for (let i = 0; i < symbols.length; i++) {
@@ -288,6 +427,11 @@ export class SSPComponent extends EventEmitter {
         this.bindingStrength.set(bindingKey, 
           Math.min(1, currentStrength + 0.1)
         );
+        
+        if (currentStrength < this.config.bindingThreshold &&
+            this.bindingStrength.get(bindingKey) >= this.config.bindingThreshold) {
+          this.announceBinding(bindingKey, symbols[i].concept, symbols[j].concept, false);
+        }
       }
     }
   }
@@ -304,14 +448,76 @@ export class SSPComponent extends EventEmitter {
         if (!this.bindingStrength.has(bindingKey)) {
           this.bindingStrength.set(bindingKey, 0.5); // Start with moderate strength
           this.bindingCounter++;
+          
+          this.announceBinding(bindingKey, vSym.concept, aSym.concept, true);
         }
       });
     });
   }
   
+  announceBinding(key, a, b, crossModal) {
+    // A binding just became strong: symbols that go together
+    this.emit('binding_formed', {
+      key,
+      concepts: [a, b],
+      strength: Math.round(this.bindingStrength.get(key) * 1000) / 1000,
+      crossModal,
+      timestamp: this.clock.now()
+    });
+  }
+  
+  bindingPair(key) {
+    // Keys join the two concepts with '_', which concepts contain too: the
+    // split is where both halves are known symbols
+    const crossModal = key.startsWith('crossmodal_');
+    const joined = crossModal ? key.slice('crossmodal_'.length) : key;
+    
+    for (let i = joined.indexOf('_'); i !== -1; i = joined.indexOf('_', i + 1)) {
+      const a = joined.slice(0, i);
+      const b = joined.slice(i + 1);
+      
+      if (this.symbolSpace.has(a) && this.symbolSpace.has(b)) {
+        return { concepts: [a, b], crossModal };
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * The symbols a symbol is bound to, strongest first
+   * @param {string} concept
+   * @param {Object} options - { limit, minStrength }
+   * @returns {Array<Object>} - { concept, strength, crossModal }
+   */
+  getAssociations(concept, { limit = 10, minStrength = 0 } = {}) {
+    const partners = new Map();
+    
+    this.bindingStrength.forEach((strength, key) => {
+      if (strength < minStrength || !key.includes(concept)) return;
+      
+      const pair = this.bindingPair(key);
+      if (!pair || !pair.concepts.includes(concept)) return;
+      
+      const partner = pair.concepts[0] === concept ? pair.concepts[1] : pair.concepts[0];
+      const existing = partners.get(partner);
+      if (!existing || strength > existing.strength) {
+        partners.set(partner, {
+          concept: partner,
+          strength: Math.round(strength * 1000) / 1000,
+          crossModal: pair.crossModal
+        });
+      }
+    });
+    
+    return Array.from(partners.values())
+      .sort((a, b) => b.strength - a.strength)
+      .slice(0, limit);
+  }
+  
   startDecayProcess() {
     // Gradually decay unused symbols and bindings
-    setInterval(() => {
+    this.decayInterval = this.clock.setInterval(() => {
       // Decay binding strengths
       this.bindingStrength.forEach((strength, key) => {
         const newStrength = strength * this.config.decayRate;
@@ -333,14 +539,23 @@ export class SSPComponent extends EventEmitter {
   
   addCreativeNoise() {
     // Add small random variations to promote creativity
+    if (this.config.noiseLevel <= 0) return;
+    
+    // Jump straight to the next perturbed dimension (geometric gaps) rather
+    // than rolling once per dimension; keeps long simulations fast
+    const logKeep = Math.log(1 - this.config.noiseLevel);
+    const nextGap = () => Math.floor(Math.log(1 - this.random.next()) / logKeep);
+    
+    // Each perturbation is around the derived vector, not added to the
+    // last one: symbols jitter but don't drift away from what they stand for
     this.symbolSpace.forEach((vector, concept) => {
-      for (let i = 0; i < vector.length; i++) {
-        if (Math.random() < this.config.noiseLevel) {
-          vector[i] += (Math.random() - 0.5) * 0.1;
-          
-          // Clamp values
-          vector[i] = Math.max(-1, Math.min(1, vector[i]));
-        }
+      const base = this.baseVector(concept);
+      
+      for (let i = nextGap(); i < vector.length; i += 1 + nextGap()) {
+        vector[i] = base[i] + (this.random.next() - 0.5) * 0.1;
+        
+        // Clamp values
+        vector[i] = Math.max(-1, Math.min(1, vector[i]));
       }
     });
   }
@@ -369,7 +584,7 @@ export class SSPComponent extends EventEmitter {
     return this.bindingCounter;
   }
   
-  findSimilarSymbols(targetSymbol, threshold = 0.7) {
+  findSimilarSymbols(targetSymbol, threshold = 0.7, limit = Infinity) {
     // Find symbols similar to target
     const similar = [];
     const targetVector = this.symbolSpace.get(targetSymbol);
@@ -386,7 +601,31 @@ export class SSPComponent extends EventEmitter {
       }
     });
     
-    return similar.sort((a, b) => b.similarity - a.similarity);
+    return similar.sort((a, b) => b.similarity - a.similarity).slice(0, limit);
+  }
+  
+  /**
+   * Search the whole symbol space by meaning: the symbols nearest the
+   * concepts of a text ("kitty" finds cat, and whatever is like it)
+   * @param {string} query - Text
+   * @param {Object} options - { limit, threshold: least similarity }
+   * @returns {Object} - { concepts: the query's, matches: { concept,
+   *   similarity } nearest first }
+   */
+  searchSymbols(query, { limit = 10, threshold = 0.2 } = {}) {
+    const concepts = this.conceptExtractor.extract(query);
+    if (concepts.length === 0) return { concepts: [], matches: [] };
+    
+    // Concepts without a symbol yet still have their derived vector
+    const target = bundle(
+      concepts.map(({ concept }) => this.symbolSpace.get(concept) || this.generateSymbolVector(concept)),
+      concepts.map(({ strength }) => strength)
+    );
+    
+    return {
+      concepts: concepts.map(({ concept }) => concept),
+      matches: this.cleanup(target, { limit, threshold })
+    };
   }
   
   cosineSimilarity(vec1, vec2) {
@@ -404,8 +643,203 @@ export class SSPComponent extends EventEmitter {
     return dot / (Math.sqrt(norm1) * Math.sqrt(norm2));
   }
   
+  symbolVector(concept) {
+    // The vector for a concept, which becomes a symbol if it isn't one yet
+    if (!this.symbolSpace.has(concept)) {
+      this.symbolSpace.set(concept, this.generateSymbolVector(concept));
+      this.symbolCounter++;
+    }
+    
+    return this.symbolSpace.get(concept);
+  }
+  
+  resolveVector(operand) {
+    // Operands are symbol names or vectors of the symbol space's size
+    if (typeof operand === 'string' && operand.length > 0) {
+      return this.symbolVector(operand);
+    }
+    
+    if ((Array.isArray(operand) || operand instanceof Float32Array) &&
+        operand.length === this.config.dimensions &&
+        Array.prototype.every.call(operand, Number.isFinite)) {
+      return Float32Array.from(operand);
+    }
+    
+    const error = new Error(`Expected a symbol name or ${this.config.dimensions} numbers`);
+    error.code = 'INVALID_VECTOR';
+    throw error;
+  }
+  
+  /**
+   * Bind two symbols into one vector unlike either (circular convolution)
+   * @param {string|Array<number>} a - Symbol name or vector
+   * @param {string|Array<number>} b - Symbol name or vector
+   * @returns {Float32Array}
+   */
+  bind(a, b) {
+    return bind(this.resolveVector(a), this.resolveVector(b));
+  }
+  
+  /**
+   * What a vector holds bound to a key
+   * @param {string|Array<number>} vector - Binding or bundle of bindings
+   * @param {string|Array<number>} key - Symbol name or vector
+   * @returns {Float32Array} - Noisy; see cleanup()
+   */
+  unbind(vector, key) {
+    return unbind(this.resolveVector(vector), this.resolveVector(key));
+  }
+  
+  /**
+   * Superpose symbols into one vector similar to each
+   * @param {Array<string|Array<number>>} operands - Symbol names or vectors
+   * @param {Array<number>} weights - Optional, one per operand
+   * @returns {Float32Array}
+   */
+  bundle(operands, weights = []) {
+    return bundle(operands.map(operand => this.resolveVector(operand)), weights);
+  }
+  
+  /**
+   * Clean-up memory: the known symbols nearest a (noisy) vector
+   * @param {string|Array<number>} vector - Vector, or symbol name
+   * @param {Object} options - { limit, threshold: least similarity,
+   *   among: symbol names to choose from (default all) }
+   * @returns {Array<Object>} - { concept, similarity }, nearest first
+   */
+  cleanup(vector, { limit = 3, threshold = 0.2, among = null } = {}) {
+    const target = this.resolveVector(vector);
+    const matches = [];
+    
+    const consider = (concept, candidate) => {
+      const score = similarity(target, candidate);
+      if (score >= threshold) {
+        matches.push({ concept, similarity: Math.round(score * 1000) / 1000 });
+      }
+    };
+    
+    if (among) {
+      among.forEach(concept => {
+        if (this.symbolSpace.has(concept)) consider(concept, this.symbolSpace.get(concept));
+      });
+    } else {
+      this.symbolSpace.forEach((candidate, concept) => consider(concept, candidate));
+    }
+    
+    return matches.sort((a, b) => b.similarity - a.similarity).slice(0, limit);
+  }
+  
+  /**
+   * One vector holding key -> value pairs: the bundle of bind(key, value)
+   * @param {Object|Array<Array<string>>} pairs - { ball: 'kitchen' } or
+   *   [['object', 'ball'], ['location', 'kitchen']]
+   * @returns {Float32Array}
+   */
+  encodeStructure(pairs) {
+    const entries = Array.isArray(pairs) ? pairs : Object.entries(pairs || {});
+    
+    if (entries.length === 0 || !entries.every(pair => Array.isArray(pair) && pair.length === 2)) {
+      const error = new Error('Expected key -> value pairs');
+      error.code = 'INVALID_VECTOR';
+      throw error;
+    }
+    
+    return bundle(entries.map(([key, value]) => this.bind(key, value)));
+  }
+  
+  /**
+   * Remember a structure as one vector, to be queried by key later
+   * @param {string} name
+   * @param {Object|Array<Array<string>>} pairs - See encodeStructure()
+   * @param {Object} options - { overwrite }
+   * @returns {Object} - { name, pairs, createdAt }
+   */
+  storeStructure(name, pairs, { overwrite = false } = {}) {
+    if (this.structures.has(name) && !overwrite) {
+      const error = new Error(`Structure ${name} already exists`);
+      error.code = 'STRUCTURE_EXISTS';
+      throw error;
+    }
+    
+    const structure = {
+      vector: this.encodeStructure(pairs),
+      pairs: Array.isArray(pairs) ? pairs : Object.entries(pairs),
+      createdAt: this.clock.now()
+    };
+    this.structures.set(name, structure);
+    
+    return { name, pairs: structure.pairs, createdAt: structure.createdAt };
+  }
+  
+  /**
+   * Ask a stored structure what is bound to a key ("where is the ball?"
+   * is the ball, or location, as the key)
+   * @param {string} name - Stored structure
+   * @param {string|Array<number>} key - Symbol name or vector
+   * @param {Object} options - See cleanup()
+   * @returns {Object|null} - { name, matches }, null for an unknown structure
+   */
+  queryStructure(name, key, options = {}) {
+    const structure = this.structures.get(name);
+    if (!structure) return null;
+    
+    return {
+      name,
+      matches: this.cleanup(this.unbind(structure.vector, key), options)
+    };
+  }
+  
+  getStructures() {
+    return Array.from(this.structures.entries()).map(([name, { pairs, createdAt }]) => ({
+      name,
+      pairs,
+      createdAt
+    }));
+  }
+  
+  deleteStructure(name) {
+    return this.structures.delete(name);
+  }
+  
+  serialize() {
+    // Symbol vectors and binding strengths
+    return {
+      symbolSpace: this.symbolSpace,
+      bindingStrength: this.bindingStrength,
+      structures: this.structures,
+      vectorVersion: SYMBOL_VECTOR_VERSION,
+      lexicon: this.conceptExtractor.serialize(),
+      symbolCounter: this.symbolCounter,
+      bindingCounter: this.bindingCounter
+    };
+  }
+  
+  restore(state) {
+    this.symbolSpace = new Map(state.symbolSpace);
+    this.bindingStrength = new Map(state.bindingStrength);
+    this.structures = new Map(state.structures || []);
+    this.baseVectors.clear();
+    this.conceptExtractor.restore(state.lexicon);
+    this.symbolCounter = state.symbolCounter ?? this.symbolSpace.size;
+    this.bindingCounter = state.bindingCounter ?? this.bindingStrength.size;
+    
+    // Vectors of another version are derived afresh, and the structures
+    // built from them encoded again
+    if ((state.vectorVersion ?? 1) !== SYMBOL_VECTOR_VERSION) {
+      this.symbolSpace.forEach((vector, concept) => {
+        this.symbolSpace.set(concept, this.generateSymbolVector(concept));
+      });
+      this.structures.forEach(structure => {
+        structure.vector = this.encodeStructure(structure.pairs);
+      });
+      
+      console.log(`🔁 Re-derived ${this.symbolSpace.size} symbol vectors (version ${state.vectorVersion ?? 1} -> ${SYMBOL_VECTOR_VERSION})`);
+    }
+  }
+  
   async shutdown() {
     this.isActive = false;
+    this.clock.clearInterval(this.decayInterval);
     this.removeAllListeners();
   }
 }
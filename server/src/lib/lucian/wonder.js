@@ -1,4 +1,5 @@
 import EventEmitter from 'events';
+import { createRuntime } from '../runtime/index.js';
 
 /**
  * Wonder Engine
@@ -6,9 +7,13 @@ import EventEmitter from 'events';
  * Drives pets to explore, investigate, and discover
  */
 export class WonderEngine extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
     
+    const runtime = options.runtime || createRuntime();
+    this.random = runtime.random;
+    this.clock = runtime.clock;
+    
     this.isActive = false;
     this.curiosityLevel = 0.6;
     this.explorationQueue = [];
@@ -23,7 +28,8 @@ export class WonderEngine extends EventEmitter {
       noveltyThreshold: 0.7,
       explorationDepth: 3,
       wonderCooldown: 5000,
-      maxQueueSize: 20
+      maxQueueSize: 20,
+      surpriseThreshold: 0.3 // Prediction error below which nothing seems surprising
     };
     
     // Wonder statistics
@@ -31,6 +37,7 @@ export class WonderEngine extends EventEmitter {
       totalExplorations: 0,
       discoveries: 0,
       wonderMoments: 0,
+      surprises: 0,
       averageCuriosity: 0.5
     };
     
@@ -68,7 +75,7 @@ export class WonderEngine extends EventEmitter {
     // Initialize pet's interests with random weights
     this.interestCategories.forEach(category => {
       this.interestMap.set(category, {
-        level: 0.3 + Math.random() * 0.4, // 0.3 to 0.7
+        level: 0.3 + this.random.next() * 0.4, // 0.3 to 0.7
         experiences: 0,
         lastTriggered: 0
       });
@@ -100,9 +107,9 @@ export class WonderEngine extends EventEmitter {
     }
     
     const exploration = {
-      id: `explore_${Date.now()}`,
+      id: `explore_${this.clock.now()}`,
       symbols,
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       depth: 0,
       path: [],
       curiosityLevel: this.curiosityLevel,
@@ -124,7 +131,7 @@ export class WonderEngine extends EventEmitter {
     this.emit('curiosity_triggered', exploration);
     
     // Record wonder moment
-    this.lastWonderTime = Date.now();
+    this.lastWonderTime = this.clock.now();
     this.stats.wonderMoments++;
     
     // Process exploration
@@ -135,7 +142,7 @@ export class WonderEngine extends EventEmitter {
   
   canWonder() {
     // Check if enough time has passed since last wonder
-    return Date.now() - this.lastWonderTime > this.config.wonderCooldown;
+    return this.clock.now() - this.lastWonderTime > this.config.wonderCooldown;
   }
   
   categorizeExploration(symbols) {
@@ -221,7 +228,7 @@ export class WonderEngine extends EventEmitter {
         // New discovery!
         const discovery = {
           concept: symbol.concept,
-          firstSeen: Date.now(),
+          firstSeen: this.clock.now(),
           encounters: 1,
           familiarity: 0.1,
           associations: [],
@@ -328,7 +335,7 @@ export class WonderEngine extends EventEmitter {
       }));
       
       // Queue deeper exploration
-      setTimeout(() => {
+      this.clock.setTimeout(() => {
         this.processExploration(deeperExploration);
       }, 1000);
     }
@@ -341,7 +348,7 @@ export class WonderEngine extends EventEmitter {
     // Track curiosity history
     this.curiosityHistory.push({
       level: this.curiosityLevel,
-      timestamp: Date.now()
+      timestamp: this.clock.now()
     });
     
     // Keep history limited
@@ -350,19 +357,45 @@ export class WonderEngine extends EventEmitter {
     }
   }
   
+  /**
+   * The world did something other than predicted
+   * Curiosity rises with the prediction error, and a big surprise makes
+   * the pet explore what surprised it. Predictions that came true about
+   * as confidently as they were made change nothing.
+   * @param {number} error - Prediction error, 0 (as expected) to 1
+   * @param {Array<Object>} symbols - What the prediction was about
+   */
+  registerSurprise(error, symbols = []) {
+    if (!(error >= this.config.surpriseThreshold)) return;
+    
+    this.stats.surprises++;
+    this.boostCuriosity(this.config.curiosityBoost * error);
+    
+    this.emit('curiosity_spike', {
+      level: this.curiosityLevel,
+      reason: 'surprise',
+      error
+    });
+    
+    // Wonder about it, once the cooldown allows
+    if (error >= this.config.noveltyThreshold && symbols.length > 0) {
+      this.explore(symbols);
+    }
+  }
+  
   updateInterest(category, change) {
     // Update interest in a category
     if (this.interestMap.has(category)) {
       const interest = this.interestMap.get(category);
       interest.level = Math.max(0, Math.min(1, interest.level + change));
       interest.experiences++;
-      interest.lastTriggered = Date.now();
+      interest.lastTriggered = this.clock.now();
     }
   }
   
   startCuriosityCycle() {
     // Manage curiosity levels over time
-    setInterval(() => {
+    this.curiosityInterval = this.clock.setInterval(() => {
       // Apply curiosity decay
       this.curiosityLevel *= this.config.curiosityDecay;
       
@@ -370,7 +403,7 @@ export class WonderEngine extends EventEmitter {
       this.curiosityLevel = Math.max(this.config.baseCuriosity, this.curiosityLevel);
       
       // Random curiosity spikes
-      if (Math.random() < 0.05) { // 5% chance
+      if (this.random.next() < 0.05) { // 5% chance
         this.boostCuriosity(0.2);
         this.emit('curiosity_spike', {
           level: this.curiosityLevel,
@@ -403,7 +436,7 @@ export class WonderEngine extends EventEmitter {
       { concept: 'feeling_happy', category: 'emotions' }
     ];
     
-    const prompt = prompts[Math.floor(Math.random() * prompts.length)];
+    const prompt = prompts[Math.floor(this.random.next() * prompts.length)];
     
     // Create wonder exploration
     const wonderExploration = {
@@ -478,8 +511,28 @@ export class WonderEngine extends EventEmitter {
     };
   }
   
+  serialize() {
+    // Interests and discoveries; the exploration queue is transient
+    return {
+      curiosityLevel: this.curiosityLevel,
+      interestMap: this.interestMap,
+      discoveries: this.discoveries,
+      curiosityHistory: this.curiosityHistory,
+      stats: this.stats
+    };
+  }
+  
+  restore(state) {
+    this.curiosityLevel = state.curiosityLevel ?? this.curiosityLevel;
+    this.interestMap = new Map(state.interestMap);
+    this.discoveries = new Map(state.discoveries);
+    this.curiosityHistory = [...(state.curiosityHistory || [])];
+    this.stats = { ...this.stats, ...state.stats };
+  }
+  
   async shutdown() {
     this.isActive = false;
+    this.clock.clearInterval(this.curiosityInterval);
     this.removeAllListeners();
   }
 }
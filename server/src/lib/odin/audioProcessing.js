@@ -0,0 +1,663 @@
+/**
+ * Audio processing for the Auditory Cortex
+ * Pure functions over PCM: decoding, windowed FFT, loudness, spectral shape
+ * (centroid, rolloff, flux, flatness), MFCCs, chroma, YIN pitch and
+ * spectral-flux onset detection.
+ *
+ * Sample contract (REST body `audioData` or `odin:audio:sample` payload):
+ *   { sampleRate, channels, format: 'float32' | 'int16', data }
+ * - float32 samples are in [-1, 1]; int16 samples are signed 16-bit
+ *   little-endian and scaled by 1/32768
+ * - multi-channel audio is interleaved (L R L R ...) and mixed down to mono
+ *   for analysis; the per-channel signals are kept
+ * - sampleRate is in Hz (8000-192000) and defaults to 16000; channels
+ *   defaults to 1
+ * - `data` is a Float32Array/Int16Array (format implied), a Buffer or
+ *   typed byte array, an ArrayBuffer or a base64 string (format required),
+ *   or a plain array of numbers (float32 unless format says int16)
+ * - `timestamp`, optional, is when the chunk's first sample was captured,
+ *   in ms since the epoch on the sender's clock; streamed chunks that have
+ *   one are lined up with video by it (see clockSync.js)
+ */
+
+const FORMATS = {
+  float32: 'float32',
+  f32: 'float32',
+  int16: 'int16',
+  s16: 'int16',
+  pcm16: 'int16'
+};
+
+const invalidAudio = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_AUDIO';
+  return error;
+};
+
+const toPcm = (data, format) => {
+  if (data instanceof Float32Array) {
+    if (format && format !== 'float32') throw invalidAudio('Float32Array data must use the float32 format');
+    return Float32Array.from(data);
+  }
+  
+  if (data instanceof Int16Array) {
+    if (format && format !== 'int16') throw invalidAudio('Int16Array data must use the int16 format');
+    return Float32Array.from(data, value => value / 32768);
+  }
+  
+  if (Array.isArray(data)) {
+    return format === 'int16'
+      ? Float32Array.from(data, value => Number(value) / 32768)
+      : Float32Array.from(data, Number);
+  }
+  
+  let bytes = null;
+  if (typeof data === 'string') {
+    bytes = new Uint8Array(Buffer.from(data.replace(/^data:[^,]*,/, ''), 'base64'));
+  } else if (ArrayBuffer.isView(data)) {
+    bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  } else if (data instanceof ArrayBuffer) {
+    bytes = new Uint8Array(data);
+  }
+  
+  if (!bytes) {
+    throw invalidAudio('Audio data must be samples, bytes or a base64 string');
+  }
+  if (!format) {
+    throw invalidAudio('Audio sent as bytes needs a format (float32 or int16)');
+  }
+  
+  const width = format === 'int16' ? 2 : 4;
+  if (bytes.length % width !== 0) {
+    throw invalidAudio(`Audio data has ${bytes.length} bytes, not a whole number of ${format} samples`);
+  }
+  
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const samples = new Float32Array(bytes.length / width);
+  
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = format === 'int16'
+      ? view.getInt16(i * 2, true) / 32768
+      : view.getFloat32(i * 4, true);
+  }
+  
+  return samples;
+};
+
+/**
+ * Decode an audio chunk into PCM
+ * @param {Object} audioData - Chunk in the contract above
+ * @param {Object} defaults - { sampleRate } used when the chunk has none
+ * @returns {Object|null} - { sampleRate, channels, length, duration, samples,
+ *   channelData } (samples is the mono mix), or null when the chunk carries
+ *   no PCM
+ * @throws {Error} - code INVALID_AUDIO when PCM is present but malformed
+ */
+export const decodeAudio = (audioData, defaults = {}) => {
+  if (!audioData || typeof audioData !== 'object') return null;
+  
+  const source = audioData.data ?? audioData.samples;
+  if (source === undefined || source === null) return null;
+  
+  const sampleRate = Number(audioData.sampleRate ?? defaults.sampleRate ?? 16000);
+  if (!Number.isFinite(sampleRate) || sampleRate < 8000 || sampleRate > 192000) {
+    throw invalidAudio('Sample rate must be between 8000 and 192000 Hz');
+  }
+  
+  const channels = Number(audioData.channels ?? 1);
+  if (!Number.isInteger(channels) || channels < 1 || channels > 8) {
+    throw invalidAudio('Channels must be an integer from 1 to 8');
+  }
+  
+  let format = null;
+  if (audioData.format) {
+    format = FORMATS[String(audioData.format).toLowerCase()];
+    if (!format) {
+      throw invalidAudio(`Unsupported sample format: ${audioData.format}`);
+    }
+  }
+  
+  const interleaved = toPcm(source, format);
+  if (interleaved.length === 0 || interleaved.length % channels !== 0) {
+    throw invalidAudio(`Audio data has ${interleaved.length} samples, not a whole number of ${channels}-channel frames`);
+  }
+  
+  const length = interleaved.length / channels;
+  const channelData = Array.from({ length: channels }, () => new Float32Array(length));
+  const samples = new Float32Array(length);
+  
+  for (let i = 0; i < length; i++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++) {
+      const value = interleaved[i * channels + c];
+      channelData[c][i] = value;
+      sum += value;
+    }
+    samples[i] = sum / channels;
+  }
+  
+  return {
+    sampleRate,
+    channels,
+    length,
+    duration: (length / sampleRate) * 1000,
+    samples,
+    channelData
+  };
+};
+
+/**
+ * In-place radix-2 FFT
+ * @param {Float32Array|Float64Array} re - Real parts (length a power of two)
+ * @param {Float32Array|Float64Array} im - Imaginary parts
+ */
+export const fft = (re, im) => {
+  const n = re.length;
+  
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const step = (-2 * Math.PI) / size;
+    
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const cos = Math.cos(step * k);
+        const sin = Math.sin(step * k);
+        const a = start + k;
+        const b = a + half;
+        const tr = re[b] * cos - im[b] * sin;
+        const ti = re[b] * sin + im[b] * cos;
+        
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+};
+
+export const nextPowerOfTwo = (value) => 2 ** Math.ceil(Math.log2(Math.max(2, value)));
+
+const windows = new Map();
+
+/**
+ * Hann window (cached per size)
+ */
+export const hannWindow = (size) => {
+  if (!windows.has(size)) {
+    const window = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+      window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1));
+    }
+    windows.set(size, window);
+  }
+  
+  return windows.get(size);
+};
+
+/**
+ * Magnitude spectrum of one Hann-windowed frame
+ * Samples past the end of the signal are zero.
+ * @param {Float32Array} signal - Mono samples
+ * @param {number} offset - First sample of the frame
+ * @param {number} size - FFT size (a power of two)
+ * @returns {Float32Array} - size / 2 + 1 magnitudes, bin k at k * sampleRate / size Hz
+ */
+export const magnitudeSpectrum = (signal, offset, size) => {
+  const window = hannWindow(size);
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  
+  for (let i = 0; i < size && offset + i < signal.length; i++) {
+    re[i] = signal[offset + i] * window[i];
+  }
+  
+  fft(re, im);
+  
+  const bins = size / 2 + 1;
+  const spectrum = new Float32Array(bins);
+  for (let k = 0; k < bins; k++) {
+    spectrum[k] = Math.hypot(re[k], im[k]);
+  }
+  
+  return spectrum;
+};
+
+export const rms = (signal, start = 0, end = signal.length) => {
+  let sum = 0;
+  for (let i = start; i < end; i++) {
+    sum += signal[i] * signal[i];
+  }
+  return end > start ? Math.sqrt(sum / (end - start)) : 0;
+};
+
+/**
+ * Sign changes per sample
+ */
+export const zeroCrossingRate = (signal, start = 0, end = signal.length) => {
+  let crossings = 0;
+  for (let i = start + 1; i < end; i++) {
+    if ((signal[i] >= 0) !== (signal[i - 1] >= 0)) {
+      crossings++;
+    }
+  }
+  return end - start > 1 ? crossings / (end - start - 1) : 0;
+};
+
+/**
+ * Magnitude-weighted mean frequency
+ */
+export const spectralCentroid = (spectrum, binHz) => {
+  let weighted = 0;
+  let total = 0;
+  
+  for (let k = 0; k < spectrum.length; k++) {
+    weighted += k * binHz * spectrum[k];
+    total += spectrum[k];
+  }
+  
+  return total > 0 ? weighted / total : 0;
+};
+
+/**
+ * Frequency below which `fraction` of the spectral energy lies
+ */
+export const spectralRolloff = (spectrum, binHz, fraction = 0.85) => {
+  let total = 0;
+  for (let k = 0; k < spectrum.length; k++) {
+    total += spectrum[k] * spectrum[k];
+  }
+  
+  const target = total * fraction;
+  let sum = 0;
+  for (let k = 0; k < spectrum.length; k++) {
+    sum += spectrum[k] * spectrum[k];
+    if (sum >= target) return k * binHz;
+  }
+  
+  return (spectrum.length - 1) * binHz;
+};
+
+/**
+ * Half-wave rectified spectral change from the previous frame, relative to
+ * the current frame's total magnitude (0 = unchanged)
+ */
+export const spectralFlux = (spectrum, previous) => {
+  if (!previous || previous.length !== spectrum.length) return 0;
+  
+  let flux = 0;
+  let total = 0;
+  for (let k = 0; k < spectrum.length; k++) {
+    const rise = spectrum[k] - previous[k];
+    if (rise > 0) flux += rise;
+    total += spectrum[k];
+  }
+  
+  return total > 0 ? flux / total : 0;
+};
+
+/**
+ * Geometric over arithmetic mean of the power spectrum
+ * Near 1 for noise, near 0 for tones.
+ */
+export const spectralFlatness = (spectrum) => {
+  let logSum = 0;
+  let sum = 0;
+  
+  for (let k = 1; k < spectrum.length; k++) {
+    const power = spectrum[k] * spectrum[k] + 1e-12;
+    logSum += Math.log(power);
+    sum += power;
+  }
+  
+  const count = spectrum.length - 1;
+  return count > 0 && sum > 0 ? Math.exp(logSum / count) / (sum / count) : 0;
+};
+
+const filterbanks = new Map();
+const hzToMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+const melToHz = (mel) => 700 * (10 ** (mel / 2595) - 1);
+
+/**
+ * Triangular mel filterbank (cached per configuration)
+ * @returns {Array<Object>} - { start, weights } per filter, over spectrum bins
+ */
+export const melFilterbank = (fftSize, sampleRate, count = 26, minHz = 20, maxHz = sampleRate / 2) => {
+  const key = `${fftSize}:${sampleRate}:${count}:${minHz}:${maxHz}`;
+  
+  if (!filterbanks.has(key)) {
+    const bins = fftSize / 2 + 1;
+    const minMel = hzToMel(minHz);
+    const maxMel = hzToMel(maxHz);
+    const edges = Array.from({ length: count + 2 }, (_, i) =>
+      (melToHz(minMel + ((maxMel - minMel) * i) / (count + 1)) * fftSize) / sampleRate
+    );
+    
+    const filters = [];
+    for (let m = 1; m <= count; m++) {
+      const [left, center, right] = [edges[m - 1], edges[m], edges[m + 1]];
+      const start = Math.max(0, Math.floor(left));
+      const end = Math.min(bins - 1, Math.ceil(right));
+      const weights = new Float32Array(end - start + 1);
+      
+      for (let k = start; k <= end; k++) {
+        const weight = k < center
+          ? (k - left) / (center - left)
+          : (right - k) / (right - center);
+        weights[k - start] = Math.max(0, weight);
+      }
+      
+      filters.push({ start, weights });
+    }
+    
+    filterbanks.set(key, filters);
+  }
+  
+  return filterbanks.get(key);
+};
+
+/**
+ * Mel-frequency cepstral coefficients: DCT-II of the log mel energies
+ * @param {Float32Array} spectrum - Magnitude spectrum
+ * @param {Array<Object>} filterbank - From melFilterbank()
+ * @param {number} count - Coefficients to keep
+ * @returns {number[]}
+ */
+export const mfcc = (spectrum, filterbank, count = 13) => {
+  const energies = filterbank.map(({ start, weights }) => {
+    let energy = 0;
+    for (let i = 0; i < weights.length; i++) {
+      energy += weights[i] * spectrum[start + i] * spectrum[start + i];
+    }
+    return Math.log(energy + 1e-10);
+  });
+  
+  const n = energies.length;
+  const coefficients = [];
+  
+  for (let c = 0; c < count; c++) {
+    let sum = 0;
+    for (let m = 0; m < n; m++) {
+      sum += energies[m] * Math.cos((Math.PI * c * (m + 0.5)) / n);
+    }
+    coefficients.push(sum * Math.sqrt((c === 0 ? 1 : 2) / n));
+  }
+  
+  return coefficients;
+};
+
+/**
+ * Energy per pitch class (C, C#, ... B), normalized to sum to 1
+ */
+export const chroma = (spectrum, binHz, minHz = 55, maxHz = 2000) => {
+  const classes = new Float32Array(12);
+  let total = 0;
+  
+  for (let k = 1; k < spectrum.length; k++) {
+    const hz = k * binHz;
+    if (hz < minHz || hz > maxHz) continue;
+    
+    const pitchClass = ((Math.round(12 * Math.log2(hz / 440)) + 9) % 12 + 12) % 12;
+    const energy = spectrum[k] * spectrum[k];
+    classes[pitchClass] += energy;
+    total += energy;
+  }
+  
+  if (total > 0) {
+    for (let i = 0; i < 12; i++) classes[i] /= total;
+  }
+  
+  return classes;
+};
+
+/**
+ * Fundamental frequency by YIN
+ * @param {Float32Array} signal - Mono samples
+ * @param {number} sampleRate - Hz
+ * @param {Object} options - start, length, minHz (70), maxHz (1000), threshold (0.15)
+ * @returns {Object|null} - { frequency, clarity } or null when unvoiced
+ */
+export const detectPitch = (signal, sampleRate, options = {}) => {
+  const start = options.start ?? 0;
+  const length = Math.min(options.length ?? signal.length, signal.length - start);
+  const minLag = Math.max(2, Math.floor(sampleRate / (options.maxHz ?? 1000)));
+  const maxLag = Math.ceil(sampleRate / (options.minHz ?? 70));
+  const threshold = options.threshold ?? 0.15;
+  const window = length - maxLag;
+  
+  if (window < maxLag) return null;
+  
+  // Difference function and its cumulative mean normalization
+  const d = new Float32Array(maxLag + 1);
+  for (let tau = 1; tau <= maxLag; tau++) {
+    let sum = 0;
+    for (let i = 0; i < window; i++) {
+      const delta = signal[start + i] - signal[start + i + tau];
+      sum += delta * delta;
+    }
+    d[tau] = sum;
+  }
+  
+  const cmnd = new Float32Array(maxLag + 1);
+  cmnd[0] = 1;
+  let running = 0;
+  for (let tau = 1; tau <= maxLag; tau++) {
+    running += d[tau];
+    cmnd[tau] = running > 0 ? (d[tau] * tau) / running : 1;
+  }
+  
+  // First dip below the threshold, followed to its local minimum
+  let tau = -1;
+  for (let t = minLag; t <= maxLag; t++) {
+    if (cmnd[t] < threshold) {
+      while (t + 1 <= maxLag && cmnd[t + 1] < cmnd[t]) t++;
+      tau = t;
+      break;
+    }
+  }
+  
+  if (tau < 0) return null;
+  
+  // Parabolic interpolation around the minimum
+  let refined = tau;
+  if (tau > 1 && tau < maxLag) {
+    const [a, b, c] = [cmnd[tau - 1], cmnd[tau], cmnd[tau + 1]];
+    const denominator = a - 2 * b + c;
+    if (denominator !== 0) {
+      refined = tau + (a - c) / (2 * denominator);
+    }
+  }
+  
+  return {
+    frequency: sampleRate / refined,
+    clarity: 1 - cmnd[tau]
+  };
+};
+
+/**
+ * Peaks of an onset strength curve above a moving median
+ * @param {number[]} strength - Onset strength per frame (e.g. spectral flux)
+ * @param {Object} options - delta (0.2), radius (frames either side, 3)
+ * @returns {number[]} - Frame indices of onsets
+ */
+export const pickOnsets = (strength, options = {}) => {
+  const delta = options.delta ?? 0.2;
+  const radius = options.radius ?? 3;
+  const onsets = [];
+  
+  for (let i = 0; i < strength.length; i++) {
+    const from = Math.max(0, i - radius);
+    const to = Math.min(strength.length, i + radius + 1);
+    const neighbourhood = strength.slice(from, to).sort((a, b) => a - b);
+    const median = neighbourhood[Math.floor(neighbourhood.length / 2)];
+    
+    const isPeak = (i === 0 || strength[i] >= strength[i - 1]) &&
+      (i === strength.length - 1 || strength[i] > strength[i + 1]);
+      
+    if (isPeak && strength[i] > median + delta) {
+      onsets.push(i);
+    }
+  }
+  
+  return onsets;
+};
+
+/**
+ * Frame-by-frame analysis of a mono signal
+ * @param {Float32Array} signal - Mono samples
+ * @param {number} sampleRate - Hz
+ * @param {Object} options - fftSize, hopSize, melBands (26), melMaxHz
+ *   (top of the mel filterbank, default Nyquist), mfccCount (13),
+ *   previousSpectrum (last spectrum of the preceding chunk, for flux),
+ *   minPitchHz, maxPitchHz
+ * @returns {Object} - Chunk-level features (means over frames) plus the
+ *   per-frame pitch track, per-frame level and MFCCs (frameTrack) and onset
+ *   times in ms from the chunk start
+ */
+export const analyzeAudio = (signal, sampleRate, options = {}) => {
+  // About 32 ms frames: 512 samples at 16 kHz, 1024 at 44.1 kHz
+  const fftSize = options.fftSize ?? 2 ** Math.round(Math.log2(sampleRate * 0.032));
+  const hopSize = options.hopSize ?? fftSize / 2;
+  const binHz = sampleRate / fftSize;
+  const filterbank = melFilterbank(
+    fftSize,
+    sampleRate,
+    options.melBands ?? 26,
+    20,
+    Math.min(sampleRate / 2, options.melMaxHz ?? sampleRate / 2)
+  );
+  
+  const frameCount = Math.max(1, Math.floor((signal.length - fftSize) / hopSize) + 1);
+  const spectrumSum = new Float32Array(fftSize / 2 + 1);
+  const mfccSum = new Array(options.mfccCount ?? 13).fill(0);
+  const flux = [];
+  const pitchTrack = [];
+  const frameTrack = [];
+  let previous = options.previousSpectrum ?? null;
+  let centroid = 0;
+  let rolloff = 0;
+  let flatness = 0;
+  let spectrum = null;
+  
+  for (let f = 0; f < frameCount; f++) {
+    const offset = f * hopSize;
+    spectrum = magnitudeSpectrum(signal, offset, fftSize);
+    
+    centroid += spectralCentroid(spectrum, binHz);
+    rolloff += spectralRolloff(spectrum, binHz);
+    flatness += spectralFlatness(spectrum);
+    flux.push(spectralFlux(spectrum, previous));
+    
+    const coefficients = mfcc(spectrum, filterbank, mfccSum.length);
+    coefficients.forEach((value, i) => {
+      mfccSum[i] += value;
+    });
+    for (let k = 0; k < spectrum.length; k++) {
+      spectrumSum[k] += spectrum[k];
+    }
+    
+    // Quiet frames are left unvoiced rather than pitched on noise
+    const frameEnd = Math.min(signal.length, offset + fftSize);
+    const level = rms(signal, offset, frameEnd);
+    const pitch = level > 1e-3
+      ? detectPitch(signal, sampleRate, {
+        start: offset,
+        length: frameEnd - offset,
+        minHz: options.minPitchHz,
+        maxHz: options.maxPitchHz
+      })
+      : null;
+    pitchTrack.push({
+      time: (offset / sampleRate) * 1000,
+      frequency: pitch ? pitch.frequency : 0,
+      clarity: pitch ? pitch.clarity : 0
+    });
+    frameTrack.push({
+      time: (offset / sampleRate) * 1000,
+      rms: level,
+      mfcc: coefficients
+    });
+    
+    previous = spectrum;
+  }
+  
+  // Chroma needs finer bins than a frame gives: one long window over the
+  // whole chunk (up to 8192 samples)
+  const longSize = Math.min(8192, nextPowerOfTwo(Math.max(fftSize, signal.length)));
+  const pitchClasses = chroma(magnitudeSpectrum(signal, 0, longSize), sampleRate / longSize, 100);
+  
+  const voiced = pitchTrack.filter(frame => frame.frequency > 0);
+  const pitch = voiced.length > 0
+    ? voiced.map(frame => frame.frequency).sort((a, b) => a - b)[Math.floor(voiced.length / 2)]
+    : 0;
+    
+  let peak = 0;
+  for (let i = 0; i < signal.length; i++) {
+    peak = Math.max(peak, Math.abs(signal[i]));
+  }
+  
+  return {
+    sampleRate,
+    fftSize,
+    hopSize,
+    frames: frameCount,
+    rms: rms(signal),
+    peak,
+    zeroCrossingRate: zeroCrossingRate(signal),
+    spectrum: spectrumSum.map(value => value / frameCount),
+    binHz,
+    spectralCentroid: centroid / frameCount,
+    spectralRolloff: rolloff / frameCount,
+    spectralFlatness: flatness / frameCount,
+    spectralFlux: flux.reduce((sum, value) => sum + value, 0) / frameCount,
+    mfcc: mfccSum.map(value => value / frameCount),
+    chroma: Array.from(pitchClasses),
+    pitch,
+    pitchConfidence: voiced.length > 0
+      ? voiced.reduce((sum, frame) => sum + frame.clarity, 0) / voiced.length
+      : 0,
+    voicedRatio: voiced.length / frameCount,
+    pitchTrack,
+    frameTrack,
+    // Onsets are placed at the centre of the frame they were found in
+    onsets: pickOnsets(flux, options.onset).map(i => ({
+      time: ((i * hopSize + fftSize / 2) / sampleRate) * 1000,
+      strength: flux[i]
+    })),
+    lastSpectrum: spectrum
+  };
+};
+
+export default {
+  decodeAudio,
+  fft,
+  nextPowerOfTwo,
+  hannWindow,
+  magnitudeSpectrum,
+  rms,
+  zeroCrossingRate,
+  spectralCentroid,
+  spectralRolloff,
+  spectralFlux,
+  spectralFlatness,
+  melFilterbank,
+  mfcc,
+  chroma,
+  detectPitch,
+  pickOnsets,
+  analyzeAudio
+};
@@ -1,4 +1,54 @@
 import EventEmitter from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+import { createRuntime } from '../runtime/index.js';
+import { decodeAudio, analyzeAudio, rms } from './audioProcessing.js';
+import { VoiceActivityDetector } from './speech/voiceActivity.js';
+import { KeywordSpotter } from './speech/keywordSpotter.js';
+import { SpeakerIdentifier, voicedFrames } from './speech/speakerIdentifier.js';
+import { SoundEventClassifier } from './sounds/soundEventClassifier.js';
+import { estimateDirection } from './sounds/soundLocalization.js';
+import { readJson, writeJsonAtomic } from '../../utils/atomicFile.js';
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Krumhansl-Kessler key profiles, tonic first
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+// Segmenting household sounds rather than words: any loud stretch counts
+// (no allowance for voicing), short knocks are kept, and the long hangover
+// joins footsteps into one event
+const SOUND_EVENT_SEGMENTATION = {
+  voicedDb: 9,
+  onsetMs: 16,
+  hangoverMs: 600,
+  paddingMs: 48,
+  minUtteranceMs: 60,
+  maxUtteranceMs: 4000,
+  maxGapMs: 800
+};
+
+const clamp = (value, min = -1, max = 1) => Math.max(min, Math.min(max, value));
+
+const correlate = (a, b) => {
+  const meanA = a.reduce((sum, v) => sum + v, 0) / a.length;
+  const meanB = b.reduce((sum, v) => sum + v, 0) / b.length;
+  let cov = 0, varA = 0, varB = 0;
+  for (let i = 0; i < a.length; i++) {
+    cov += (a[i] - meanA) * (b[i] - meanB);
+    varA += (a[i] - meanA) ** 2;
+    varB += (b[i] - meanB) ** 2;
+  }
+  return varA > 0 && varB > 0 ? cov / Math.sqrt(varA * varB) : 0;
+};
+
+// Stereo microphone spacing from ODIN_MIC_SPACING (meters; 0 for a
+// coincident pair), 15 cm when unset
+const readMicSpacing = () => {
+  const spacing = parseFloat(process.env.ODIN_MIC_SPACING);
+  return Number.isFinite(spacing) && spacing >= 0 ? spacing : 0.15;
+};
 
 /**
  * Auditory Cortex - Muninn (Memory)
@@ -6,13 +56,44 @@ import EventEmitter from 'events';
  * Implements layered audio processing similar to biological hearing
  */
 export class AuditoryCortex extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
     
+    const runtime = options.runtime || createRuntime();
+    this.random = runtime.random;
+    this.clock = runtime.clock;
+    
     this.isActive = false;
     this.audioStream = null;
     this.audioBuffer = [];
     
+    // State carried between chunks: the last spectrum (for flux across the
+    // boundary), recent onsets and pitches, and a slowly decaying chroma
+    this.previousSpectrum = null;
+    this.timelineEnd = null; // When the last chunk's last sample was captured
+    this.onsetHistory = [];
+    this.pitchHistory = [];
+    this.chromaProfile = new Array(12).fill(0);
+    
+    // Speech: voice activity across chunks, the trained command
+    // vocabulary (persisted to keywordPath) and the household's enrolled
+    // voices (persisted to speakerPath)
+    this.voiceActivity = new VoiceActivityDetector(options.voiceActivity);
+    this.keywordSpotter = new KeywordSpotter(options.keywordSpotter);
+    this.keywordPath = options.keywordPath || null;
+    this.speakerIdentifier = new SpeakerIdentifier(options.speakerIdentifier);
+    this.speakerPath = options.speakerPath || null;
+    
+    // Household sounds: events cut from the stream, and each pet's trained
+    // sound classes (persisted per pet under soundPath)
+    this.soundEventDetector = new VoiceActivityDetector({
+      ...SOUND_EVENT_SEGMENTATION,
+      ...options.soundEvents
+    });
+    this.soundClassifiers = new Map(); // petId -> SoundEventClassifier
+    this.soundClassifierOptions = options.soundClassifier;
+    this.soundPath = options.soundPath || null;
+    
     // Auditory processing layers (A1-A2 + specialized regions)
     this.layers = {
       a1: { // Primary auditory cortex - basic sound features
@@ -26,7 +107,8 @@ export class AuditoryCortex extends EventEmitter {
         rhythm: []
       },
       speech: { // Speech processing (Wernicke's area analog)
-        phonemes: [],
+        speaking: false,
+        utterances: [],
         words: [],
         prosody: null
       },
@@ -44,12 +126,19 @@ export class AuditoryCortex extends EventEmitter {
     
     // Configuration
     this.config = {
-      sampleRate: 16000, // 16kHz sampling
+      sampleRate: 16000, // Assumed for chunks that don't state their rate
       bufferSize: 2048,
+      minPitchHz: 70,
+      maxPitchHz: 2500, // High enough for whistles
+      melMaxHz: 8000, // Speech band; keeps MFCCs comparable across sample rates
+      historyMs: 8000, // Onsets and pitches kept for rhythm and melody
+      maxTimelineLeadMs: 30000, // How far ahead of arrival untimed chunks may run in a burst
+      chromaDecay: 0.9,
       sensitivity: 0.3,
       volumeThreshold: 0.1,
       speechDetectionThreshold: 0.6,
-      emotionSensitivity: 0.5
+      emotionSensitivity: 0.5,
+      micSpacing: options.micSpacing ?? readMicSpacing() // Meters between a stereo pair's microphones
     };
     
     // Statistics
@@ -57,6 +146,8 @@ export class AuditoryCortex extends EventEmitter {
       samplesProcessed: 0,
       soundsIdentified: 0,
       speechDetected: 0,
+      speakersIdentified: 0,
+      strangersDetected: 0,
       emotionalEvents: 0,
       lastSampleTime: 0
     };
@@ -83,6 +174,11 @@ export class AuditoryCortex extends EventEmitter {
     // Initialize processing layers
     this.initializeLayers();
     
+    // Trained commands
+    await this.loadKeywords();
+    await this.loadSpeakers();
+    await this.loadSounds();
+    
     // Start audio processing loop
     this.startProcessingLoop();
     
@@ -95,7 +191,7 @@ export class AuditoryCortex extends EventEmitter {
     // Initialize auditory processing layers
     console.log('   Initializing A1 (Primary Auditory)...');
     console.log('   Initializing A2 (Secondary Auditory)...');
-    console.log('   Initializing Speech Processing...');
+    console.log('   Initializing Speech Processing (VAD + keyword spotting)...');
     console.log('   Initializing Emotion Detection...');
     console.log('   Initializing Music Processing...');
   }
@@ -134,15 +230,26 @@ export class AuditoryCortex extends EventEmitter {
     this.emit('microphone_stopped');
   }
   
-  processSample(audioData) {
+  /**
+   * Process one chunk of PCM audio
+   * @param {Object} audioData - { sampleRate, channels, format: 'float32'|'int16', data }
+   *   (see audioProcessing.js for the full contract)
+   * @param {Object} options - { capturedAt: when the chunk's first sample
+   *   was captured, ms on this clock, passed on with the result }
+   * @throws {Error} - code INVALID_AUDIO when the chunk is malformed
+   */
+  processSample(audioData, options = {}) {
     // Process audio sample
-    const processingStart = Date.now();
+    const processingStart = this.clock.now();
+    
+    // PCM, if the chunk carries any (throws on malformed chunks)
+    const pcm = decodeAudio(audioData, { sampleRate: this.config.sampleRate });
     
     // Add to buffer
-    this.addToBuffer(audioData);
+    this.addToBuffer(audioData, pcm);
     
     // Layer 1: Basic feature extraction
-    const features = this.extractBasicFeatures(audioData);
+    const features = this.extractBasicFeatures(pcm, options.capturedAt);
     this.layers.a1 = features.basic;
     
     // Layer 2: Complex sound analysis
@@ -153,17 +260,42 @@ export class AuditoryCortex extends EventEmitter {
     const classification = this.classifySound(features, complexFeatures);
     this.updateSoundCategories(classification);
     
-    // Speech processing if detected
-    if (classification.type === 'speech') {
-      const speechAnalysis = this.processSpeech(audioData, features);
+    // Voice activity runs on every chunk: utterances span chunk boundaries
+    const utterances = this.detectVoiceActivity(features);
+    
+    // Speech processing while someone speaks, and when an utterance ends
+    if (classification.type === 'speech' || utterances.length > 0) {
+      const speechAnalysis = this.processSpeech(features, utterances);
       this.layers.speech = speechAnalysis;
       
-      if (speechAnalysis.words.length > 0) {
+      // Who spoke: a household member, or a stranger
+      speechAnalysis.utterances.forEach(({ start, end, duration, speaker }) => {
+        if (!speaker) return;
+        
+        if (speaker.known) {
+          this.stats.speakersIdentified++;
+        } else {
+          this.stats.strangersDetected++;
+        }
+        
+        this.emit(speaker.known ? 'speaker_identified' : 'stranger_detected', {
+          ...speaker,
+          start,
+          end,
+          duration,
+          timestamp: this.clock.now()
+        });
+      });
+      
+      speechAnalysis.words.forEach(word => {
         this.stats.speechDetected++;
-        this.emit('speech_detected', speechAnalysis);
-      }
+        this.emit('speech_detected', word);
+      });
     }
     
+    // Sound events also span chunks; each is matched once it ends
+    const soundEvents = this.detectSoundEvents(features);
+    
     // Emotion detection
     const emotion = this.detectEmotion(features, classification);
     this.layers.emotion = emotion;
@@ -175,7 +307,7 @@ export class AuditoryCortex extends EventEmitter {
     
     // Music processing if detected
     if (classification.type === 'music') {
-      const musicAnalysis = this.processMusic(features);
+      const musicAnalysis = this.processMusic(features, complexFeatures);
       this.layers.music = musicAnalysis;
       this.emit('music_detected', musicAnalysis);
     }
@@ -185,24 +317,28 @@ export class AuditoryCortex extends EventEmitter {
     
     // Statistics
     this.stats.samplesProcessed++;
-    this.stats.lastSampleTime = Date.now() - processingStart;
+    this.stats.lastSampleTime = this.clock.now() - processingStart;
     
     // Emit processed audio
     this.emit('audio_processed', {
-      sounds: this.identifySounds(features),
+      sounds: this.identifySounds(features, classification, soundEvents),
       volume: features.basic.volume,
+      features: this.summarizeFeatures(features),
       speech: this.layers.speech,
       emotion: this.layers.emotion,
       classification,
-      timestamp: Date.now()
+      capturedAt: options.capturedAt ?? null,
+      timestamp: this.clock.now()
     });
   }
   
-  addToBuffer(audioData) {
+  addToBuffer(audioData, pcm = null) {
     // Maintain audio buffer for temporal processing
     this.audioBuffer.push({
       data: audioData,
-      timestamp: Date.now()
+      pcm,
+      rms: pcm ? rms(pcm.samples) : 0,
+      timestamp: this.clock.now()
     });
     
     // Keep buffer size limited
@@ -211,109 +347,249 @@ export class AuditoryCortex extends EventEmitter {
     }
   }
   
-  extractBasicFeatures(audioData) {
-    // Extract basic audio features
+  extractBasicFeatures(pcm, capturedAt = null) {
+    // Extract basic audio features from PCM
     const features = {
       basic: {
         frequencies: [],
-        amplitudes: [],
+        amplitudes: this.audioBuffer.map(entry => entry.rms),
         temporalPatterns: [],
         volume: 0,
         pitch: 0,
         zeroCrossingRate: 0
-      }
+      },
+      analysis: null,
+      startTime: null,
+      balance: 0,
+      direction: null
     };
     
-    // Simulate feature extraction
-    // In production, use Web Audio API or audio processing library
+    // No PCM: nothing heard
+    if (!pcm) {
+      return features;
+    }
     
-    // Volume/amplitude analysis
-    features.basic.volume = Math.random() * 0.8 + 0.1;
+    // Spectra of a different rate can't be compared for flux
+    if (this.previousSpectrum && this.previousSpectrum.sampleRate !== pcm.sampleRate) {
+      this.previousSpectrum = null;
+    }
     
-    // Frequency analysis (simulate FFT)
-    const freqCount = 32;
-    for (let i = 0; i < freqCount; i++) {
-      features.basic.frequencies.push({
-        bin: i,
-        frequency: (i + 1) * (this.config.sampleRate / 2 / freqCount),
-        magnitude: Math.random()
+    const analysis = analyzeAudio(pcm.samples, pcm.sampleRate, {
+      ...this.analysisOptions(),
+      previousSpectrum: this.previousSpectrum && this.previousSpectrum.spectrum
+    });
+    this.previousSpectrum = { sampleRate: pcm.sampleRate, spectrum: analysis.lastSpectrum };
+    features.analysis = analysis;
+    
+    features.startTime = this.chunkStartTime(pcm, capturedAt);
+    
+    // Volume: RMS level on a -60..0 dBFS scale
+    const dbfs = 20 * Math.log10(analysis.rms + 1e-9);
+    features.basic.volume = clamp((dbfs + 60) / 60, 0, 1);
+    features.basic.rms = analysis.rms;
+    features.basic.peak = analysis.peak;
+    features.basic.pitch = analysis.pitch;
+    features.basic.pitchConfidence = analysis.pitchConfidence;
+    features.basic.voicedRatio = analysis.voicedRatio;
+    features.basic.zeroCrossingRate = analysis.zeroCrossingRate;
+    features.basic.spectralCentroid = analysis.spectralCentroid;
+    features.basic.spectralRolloff = analysis.spectralRolloff;
+    features.basic.spectralFlux = analysis.spectralFlux;
+    features.basic.spectralFlatness = analysis.spectralFlatness;
+    features.basic.mfcc = analysis.mfcc;
+    
+    // Frequency bands: 32 equal-width bands, relative to the loudest
+    const bandCount = 32;
+    const { spectrum } = analysis;
+    const binsPerBand = (spectrum.length - 1) / bandCount;
+    const bands = [];
+    for (let i = 0; i < bandCount; i++) {
+      let energy = 0;
+      for (let k = Math.floor(i * binsPerBand) + 1; k <= Math.floor((i + 1) * binsPerBand); k++) {
+        energy += spectrum[k];
+      }
+      bands.push(energy);
+    }
+    const loudest = Math.max(...bands, 1e-12);
+    features.basic.frequencies = bands.map((energy, i) => ({
+      bin: i,
+      frequency: (i + 1) * (pcm.sampleRate / 2 / bandCount),
+      magnitude: energy / loudest
+    }));
+    
+    // Left/right balance from channel levels (-1 left .. 1 right)
+    if (pcm.channels >= 2) {
+      const left = rms(pcm.channelData[0]);
+      const right = rms(pcm.channelData[1]);
+      features.balance = left + right > 0 ? (right - left) / (right + left) : 0;
+      features.direction = estimateDirection(pcm.channelData[0], pcm.channelData[1], pcm.sampleRate, {
+        micSpacing: this.config.micSpacing
       });
     }
     
-    // Dominant frequency (pitch)
-    const dominantFreq = features.basic.frequencies.reduce((max, freq) => 
-      freq.magnitude > max.magnitude ? freq : max
-    );
-    features.basic.pitch = dominantFreq.frequency;
-    
-    // Zero crossing rate (useful for speech/music discrimination)
-    features.basic.zeroCrossingRate = Math.random() * 0.5;
-    
     // Temporal patterns
-    features.basic.temporalPatterns = this.extractTemporalPatterns();
+    this.recordHistory(analysis, features.startTime);
+    features.basic.temporalPatterns = this.extractTemporalPatterns(analysis);
     
     return features;
   }
   
+  /**
+   * When a chunk's first sample was captured, which is what VAD, keyword
+   * and sound-event frame times hang off: the capture time the client sent,
+   * or else where the previous chunk ended by its sample count, so chunks
+   * arriving in a burst still follow one another. A chunk that arrives
+   * after a pause (or too far behind the timeline) starts it again, as
+   * ending on arrival.
+   * @param {Object} pcm - Decoded chunk
+   * @param {number|null} capturedAt - ms on this clock
+   * @returns {number} - ms on this clock
+   */
+  chunkStartTime(pcm, capturedAt = null) {
+    let start;
+    
+    if (Number.isFinite(capturedAt)) {
+      start = capturedAt;
+    } else {
+      const arrived = this.clock.now() - pcm.duration;
+      const lead = this.timelineEnd === null ? -1 : this.timelineEnd - arrived;
+      start = lead > 0 && lead <= this.config.maxTimelineLeadMs ? this.timelineEnd : arrived;
+    }
+    
+    this.timelineEnd = start + pcm.duration;
+    return start;
+  }
+  
+  analysisOptions() {
+    return {
+      minPitchHz: this.config.minPitchHz,
+      maxPitchHz: this.config.maxPitchHz,
+      melMaxHz: this.config.melMaxHz
+    };
+  }
+  
+  recordHistory(analysis, chunkStart) {
+    // Onsets and voiced pitches on the clock, for rhythm and melody
+    analysis.onsets.forEach(onset => {
+      this.onsetHistory.push({ time: chunkStart + onset.time, strength: onset.strength });
+    });
+    analysis.pitchTrack.forEach(frame => {
+      if (frame.frequency > 0) {
+        this.pitchHistory.push({ time: chunkStart + frame.time, frequency: frame.frequency });
+      }
+    });
+    
+    const cutoff = this.clock.now() - this.config.historyMs;
+    this.onsetHistory = this.onsetHistory.filter(onset => onset.time >= cutoff);
+    this.pitchHistory = this.pitchHistory.filter(frame => frame.time >= cutoff);
+  }
+  
   extractComplexFeatures(basicFeatures) {
     // Extract complex audio features
     const complexFeatures = {
       harmonics: [],
-      timbre: {},
-      rhythm: {}
+      timbre: {
+        brightness: 0,
+        roughness: 0,
+        warmth: 0
+      },
+      rhythm: this.analyzeRhythm()
     };
     
-    // Harmonic analysis
-    const fundamentalFreq = basicFeatures.basic.pitch;
-    for (let i = 2; i <= 5; i++) {
-      complexFeatures.harmonics.push({
-        harmonic: i,
-        frequency: fundamentalFreq * i,
-        strength: Math.random() * 0.5
-      });
+    const { analysis } = basicFeatures;
+    if (!analysis) {
+      return complexFeatures;
     }
     
-    // Timbre characteristics
-    complexFeatures.timbre = {
-      brightness: Math.random(), // High frequency content
-      roughness: Math.random() * 0.5, // Dissonance
-      warmth: Math.random() // Low frequency richness
+    const { spectrum, binHz, pitch } = analysis;
+    const peakNear = (hz) => {
+      const bin = Math.round(hz / binHz);
+      let peak = 0;
+      for (let k = Math.max(0, bin - 1); k <= Math.min(spectrum.length - 1, bin + 1); k++) {
+        peak = Math.max(peak, spectrum[k]);
+      }
+      return peak;
     };
     
-    // Rhythm analysis
-    complexFeatures.rhythm = {
-      tempo: 60 + Math.random() * 120, // BPM
-      regularity: Math.random(), // How regular the rhythm is
-      syncopation: Math.random() * 0.3 // Off-beat emphasis
+    // Harmonic analysis: level of each overtone relative to the fundamental
+    if (pitch > 0) {
+      const fundamental = peakNear(pitch);
+      for (let i = 2; i <= 5; i++) {
+        if (pitch * i >= analysis.sampleRate / 2) break;
+        
+        complexFeatures.harmonics.push({
+          harmonic: i,
+          frequency: pitch * i,
+          strength: fundamental > 0 ? Math.min(1, peakNear(pitch * i) / fundamental) : 0
+        });
+      }
+    }
+    
+    // Timbre characteristics
+    let total = 0;
+    let low = 0;
+    for (let k = 0; k < spectrum.length; k++) {
+      const energy = spectrum[k] * spectrum[k];
+      total += energy;
+      if (k * binHz < 500) low += energy;
+    }
+    
+    complexFeatures.timbre = {
+      brightness: Math.min(1, analysis.spectralCentroid / 4000), // High frequency content
+      roughness: analysis.spectralFlatness, // Noisiness
+      warmth: total > 0 ? low / total : 0 // Low frequency richness
     };
     
     return complexFeatures;
   }
   
-  extractTemporalPatterns() {
-    // Extract temporal patterns from buffer
-    const patterns = [];
+  analyzeRhythm() {
+    // Tempo and regularity from the gaps between recent onsets
+    const rhythm = {
+      tempo: null, // BPM
+      regularity: 0, // How regular the rhythm is
+      syncopation: 0, // Share of gaps off the beat
+      onsetRate: 0 // Onsets per second
+    };
     
-    if (this.audioBuffer.length < 2) {
-      return patterns;
-    }
+    const times = this.onsetHistory.map(onset => onset.time);
+    rhythm.onsetRate = times.length / (this.config.historyMs / 1000);
     
-    // Analyze amplitude envelope
-    const envelope = this.audioBuffer.map(sample => sample.amplitude || Math.random());
+    if (times.length < 5) {
+      return rhythm;
+    }
     
-    // Detect onsets (sudden increases)
-    for (let i = 1; i < envelope.length; i++) {
-      const diff = envelope[i] - envelope[i-1];
-      if (diff > 0.3) {
-        patterns.push({
-          type: 'onset',
-          time: i * (1000 / this.config.sampleRate),
-          strength: diff
-        });
-      }
+    const intervals = [];
+    for (let i = 1; i < times.length; i++) {
+      intervals.push(times[i] - times[i - 1]);
     }
     
-    return patterns;
+    const sorted = [...intervals].sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    if (median <= 0) return rhythm;
+    
+    // Fold the beat into 60-200 BPM
+    let tempo = 60000 / median;
+    while (tempo < 60) tempo *= 2;
+    while (tempo > 200) tempo /= 2;
+    
+    const mean = intervals.reduce((sum, v) => sum + v, 0) / intervals.length;
+    const deviation = Math.sqrt(intervals.reduce((sum, v) => sum + (v - mean) ** 2, 0) / intervals.length);
+    
+    rhythm.tempo = tempo;
+    rhythm.regularity = clamp(1 - deviation / mean, 0, 1);
+    rhythm.syncopation = intervals.filter(v => Math.abs(v - median) > median * 0.25).length / intervals.length;
+    
+    return rhythm;
+  }
+  
+  extractTemporalPatterns(analysis) {
+    // Onsets (sudden rises in spectral energy) within this chunk
+    return analysis.onsets.map(onset => ({
+      type: 'onset',
+      time: onset.time,
+      strength: onset.strength
+    }));
   }
   
   classifySound(features, complexFeatures) {
@@ -324,25 +600,38 @@ export class AuditoryCortex extends EventEmitter {
       subtype: null
     };
     
-    // Simple classification based on features
-    const zcr = features.basic.zeroCrossingRate;
-    const volume = features.basic.volume;
-    const brightness = complexFeatures.timbre.brightness;
+    const {
+      volume,
+      pitch,
+      pitchConfidence = 0,
+      voicedRatio = 0,
+      spectralFlatness = 1,
+      spectralCentroid = 0
+    } = features.basic;
+    const { rhythm } = complexFeatures;
+    const voiced = voicedRatio >= 0.3 && pitchConfidence > 0.5;
     
     if (volume < this.config.volumeThreshold) {
       classification.type = 'silence';
-      classification.confidence = 0.9;
-    } else if (zcr > 0.3 && brightness > 0.6) {
+      classification.confidence = clamp(1 - volume / this.config.volumeThreshold, 0.5, 1);
+    } else if (rhythm.tempo !== null && rhythm.regularity > 0.7) {
+      // A steady beat
+      classification.type = 'music';
+      classification.confidence = 0.5 + 0.4 * rhythm.regularity;
+      classification.subtype = rhythm.tempo > 120 ? 'fast' : 'slow';
+    } else if (voiced && pitch <= 400 && spectralCentroid < 4000) {
+      // Voiced, in the range of a speaking voice
       classification.type = 'speech';
-      classification.confidence = 0.7 + Math.random() * 0.2;
-      classification.subtype = brightness > 0.8 ? 'female' : 'male';
-    } else if (complexFeatures.rhythm.regularity > 0.7) {
+      classification.confidence = 0.5 + 0.4 * pitchConfidence * voicedRatio;
+      classification.subtype = pitch > 165 ? 'female' : 'male';
+    } else if ((voiced && spectralFlatness < 0.2) || spectralFlatness < 0.02) {
+      // Sustained tone above the speaking range, or a chord
       classification.type = 'music';
-      classification.confidence = 0.6 + Math.random() * 0.3;
-      classification.subtype = complexFeatures.rhythm.tempo > 120 ? 'fast' : 'slow';
+      classification.confidence = 0.4 + 0.4 * Math.max(pitchConfidence, 1 - spectralFlatness * 10);
+      classification.subtype = 'tonal';
     } else {
       classification.type = 'noise';
-      classification.confidence = 0.5 + Math.random() * 0.3;
+      classification.confidence = 0.5 + 0.4 * clamp(spectralFlatness, 0, 1);
       classification.subtype = volume > 0.7 ? 'loud' : 'ambient';
     }
     
@@ -362,49 +651,471 @@ export class AuditoryCortex extends EventEmitter {
     });
   }
   
-  processSpeech(audioData, features) {
-    // Process speech (simplified - in production use speech recognition API)
+  toSpeechFrames(analysis, startTime) {
+    // Per-frame level, pitch and MFCCs on the clock, for the VAD
+    const duration = (analysis.hopSize / analysis.sampleRate) * 1000;
+    
+    return analysis.frameTrack.map((frame, i) => ({
+      time: startTime + frame.time,
+      duration,
+      rms: frame.rms,
+      pitch: analysis.pitchTrack[i].frequency,
+      mfcc: frame.mfcc
+    }));
+  }
+  
+  detectVoiceActivity(features) {
+    // Feed the chunk's frames to the VAD; returns the utterances it closed
+    if (!features.analysis) return [];
+    
+    const events = this.voiceActivity.process(
+      this.toSpeechFrames(features.analysis, features.startTime)
+    );
+    const utterances = [];
+    
+    events.forEach(event => {
+      this.emit('voice_activity', {
+        speaking: event.type === 'start',
+        time: event.time
+      });
+      
+      if (event.utterance) {
+        utterances.push(event.utterance);
+      }
+    });
+    
+    return utterances;
+  }
+  
+  detectSoundEvents(features) {
+    // Feed the chunk's frames to the sound segmenter; returns the events it closed
+    if (!features.analysis) return [];
+    
+    return this.soundEventDetector.process(
+      this.toSpeechFrames(features.analysis, features.startTime)
+    )
+      .map(event => event.utterance)
+      .filter(Boolean);
+  }
+  
+  processSpeech(features, utterances = []) {
+    // Prosody of what is being said, and who said the utterances that
+    // just ended and which trained commands they were
     const speechAnalysis = {
-      phonemes: [],
+      speaking: this.voiceActivity.speaking,
+      utterances: [],
       words: [],
-      prosody: {
-        intonation: 'neutral',
-        stress: 0.5,
-        rate: 'normal'
-      }
+      prosody: this.describeProsody(
+        (features.analysis?.pitchTrack || []).map(frame => frame.frequency),
+        features.basic.volume,
+        this.analyzeRhythm().onsetRate
+      )
     };
     
-    // Simulate phoneme detection
-    const phonemeTypes = ['ah', 'ee', 'oh', 'oo', 'ay', 'eh'];
-    const phonemeCount = Math.floor(Math.random() * 3) + 1;
+    utterances.forEach(utterance => {
+      const { start, end, duration, level, voicedRatio } = utterance;
+      const speaker = this.identifySpeaker(utterance);
+      speechAnalysis.utterances.push({ start, end, duration, level, voicedRatio, speaker });
+      
+      const match = this.keywordSpotter.spot(utterance.frames.map(frame => frame.mfcc));
+      if (!match) return;
+      
+      // Syllable rate from the onsets inside the utterance
+      const onsets = this.onsetHistory.filter(onset =>
+        onset.time >= utterance.start && onset.time <= utterance.end
+      ).length;
+      const dbfs = 20 * Math.log10(utterance.level + 1e-9);
+      
+      speechAnalysis.words.push({
+        type: 'command',
+        word: match.keyword,
+        confidence: match.confidence,
+        alternatives: match.alternatives,
+        speaker,
+        start: utterance.start,
+        end: utterance.end,
+        duration: utterance.duration,
+        prosody: this.describeProsody(
+          utterance.frames.map(frame => frame.pitch),
+          clamp((dbfs + 60) / 60, 0, 1),
+          onsets / (utterance.duration / 1000)
+        ),
+        timestamp: this.clock.now()
+      });
+    });
     
-    for (let i = 0; i < phonemeCount; i++) {
-      speechAnalysis.phonemes.push({
-        phoneme: phonemeTypes[Math.floor(Math.random() * phonemeTypes.length)],
-        timestamp: Date.now() + i * 100,
-        duration: 50 + Math.random() * 150
+    return speechAnalysis;
+  }
+  
+  identifySpeaker(utterance) {
+    // Whose voice it is; null when nobody is enrolled or it is too unvoiced to tell
+    const match = this.speakerIdentifier.identify(utterance.frames);
+    if (!match) return null;
+    
+    if (!match.known) {
+      return {
+        known: false,
+        speakerId: null,
+        name: null,
+        confidence: match.confidence,
+        nearest: match.nearest
+      };
+    }
+    
+    return {
+      known: true,
+      speakerId: match.speakerId,
+      name: match.name,
+      confidence: match.confidence,
+      alternatives: match.alternatives
+    };
+  }
+  
+  describeProsody(pitches, stress, onsetRate) {
+    // Intonation from the pitch contour, stress from loudness, rate from
+    // onsets (roughly one per syllable)
+    const prosody = {
+      intonation: 'neutral',
+      stress,
+      rate: onsetRate > 5 ? 'fast' : onsetRate < 2 ? 'slow' : 'normal'
+    };
+    
+    const contour = pitches.filter(pitch => pitch > 0);
+    if (contour.length >= 2) {
+      const change = contour[contour.length - 1] / contour[0];
+      if (change > 1.1) {
+        prosody.intonation = 'rising'; // Question
+      } else if (change < 0.9) {
+        prosody.intonation = 'falling'; // Statement
+      }
+    }
+    
+    return prosody;
+  }
+  
+  /**
+   * Learn a spoken command from a handful of recordings
+   * Each recording should hold the command said once; its longest
+   * utterance becomes a template.
+   * @param {string} keyword - Command name
+   * @param {Array<Object>} recordings - Audio chunks (see processSample)
+   * @returns {Promise<Object>} - Keyword summary
+   * @throws {Error} - code INVALID_AUDIO or NO_SPEECH for unusable recordings
+   */
+  async trainKeyword(keyword, recordings) {
+    // Extract every recording first so a bad one enrolls nothing
+    const utterances = recordings.map(recording => this.extractUtterance(recording));
+    
+    utterances.forEach(utterance => {
+      this.keywordSpotter.enroll(keyword, utterance.frames.map(frame => frame.mfcc), {
+        duration: utterance.duration,
+        sampleRate: utterance.sampleRate,
+        createdAt: this.clock.now()
       });
+    });
+    
+    await this.saveKeywords();
+    
+    return this.keywordSpotter.describe(keyword);
+  }
+  
+  /**
+   * Enroll a household member's voice from a few recordings
+   * Anything may be said; each recording's longest utterance becomes a
+   * template.
+   * @param {string} speakerId - Person, e.g. 'alice'
+   * @param {string} name - Display name
+   * @param {Array<Object>} recordings - Audio chunks (see processSample)
+   * @returns {Promise<Object>} - Speaker summary
+   * @throws {Error} - code INVALID_AUDIO or NO_SPEECH for unusable recordings
+   */
+  async trainSpeaker(speakerId, name, recordings) {
+    // Extract (and check) every recording first so a bad one enrolls nothing
+    const utterances = recordings.map(recording => {
+      const utterance = this.extractUtterance(recording);
+      
+      if (voicedFrames(utterance.frames).length < this.speakerIdentifier.config.minVoicedFrames) {
+        const error = new Error('Too little voice in recording to tell who it is');
+        error.code = 'NO_SPEECH';
+        throw error;
+      }
+      
+      return utterance;
+    });
+    
+    utterances.forEach(utterance => {
+      this.speakerIdentifier.enroll(speakerId, name, utterance.frames, {
+        duration: utterance.duration,
+        createdAt: this.clock.now()
+      });
+    });
+    
+    await this.saveSpeakers();
+    
+    return this.speakerIdentifier.describe(speakerId);
+  }
+  
+  async removeSpeaker(speakerId) {
+    const removed = this.speakerIdentifier.remove(speakerId);
+    
+    if (removed) {
+      await this.saveSpeakers();
     }
     
-    // Simulate word detection (very simplified)
-    if (Math.random() > 0.6) {
-      const words = ['hello', 'good', 'pet', 'come', 'play', 'food', 'sit', 'stay'];
-      speechAnalysis.words.push({
-        word: words[Math.floor(Math.random() * words.length)],
-        confidence: Math.random() * 0.4 + 0.6,
-        timestamp: Date.now()
+    return removed;
+  }
+  
+  getSpeakers() {
+    return this.speakerIdentifier.list();
+  }
+  
+  async loadSpeakers() {
+    if (!this.speakerPath) return;
+    
+    try {
+      this.speakerIdentifier.restore(await readJson(this.speakerPath, {}));
+      
+      const count = this.speakerIdentifier.size;
+      if (count > 0) {
+        console.log(`   Loaded ${count} enrolled voice${count === 1 ? '' : 's'}`);
+      }
+    } catch (error) {
+      console.warn(`⚠️ Could not load enrolled voices from ${this.speakerPath}: ${error.message}`);
+    }
+  }
+  
+  async saveSpeakers() {
+    if (!this.speakerPath) return;
+    
+    await writeJsonAtomic(this.speakerPath, this.speakerIdentifier.serialize());
+  }
+  
+  extractUtterance(recording) {
+    const utterance = this.extractSegment(recording, this.voiceActivity.config);
+    
+    if (!utterance) {
+      const error = new Error('No speech found in recording');
+      error.code = 'NO_SPEECH';
+      throw error;
+    }
+    
+    return utterance;
+  }
+  
+  extractSoundEvent(clip) {
+    const event = this.extractSegment(clip, this.soundEventDetector.config);
+    
+    if (!event) {
+      const error = new Error('No sound found in clip');
+      error.code = 'NO_SOUND';
+      throw error;
+    }
+    
+    return event;
+  }
+  
+  extractSegment(recording, detectorConfig) {
+    // Longest segment of a standalone recording, or null if it holds none
+    const pcm = decodeAudio(recording, { sampleRate: this.config.sampleRate });
+    if (!pcm) {
+      const error = new Error('Recording carries no audio data');
+      error.code = 'INVALID_AUDIO';
+      throw error;
+    }
+    
+    const analysis = analyzeAudio(pcm.samples, pcm.sampleRate, this.analysisOptions());
+    const frames = this.toSpeechFrames(analysis, 0);
+    
+    // A fresh detector, its noise floor taken from the recording's quietest frames
+    const levels = frames.map(frame => frame.rms).sort((a, b) => a - b);
+    const detector = new VoiceActivityDetector({
+      ...detectorConfig,
+      noiseFloor: levels[Math.floor(levels.length * 0.1)]
+    });
+    
+    const segments = [...detector.process(frames), ...detector.flush()]
+      .map(event => event.utterance)
+      .filter(Boolean)
+      .sort((a, b) => b.duration - a.duration);
+      
+    return segments.length > 0 ? { ...segments[0], sampleRate: pcm.sampleRate } : null;
+  }
+  
+  async removeKeyword(keyword) {
+    const removed = this.keywordSpotter.remove(keyword);
+    
+    if (removed) {
+      await this.saveKeywords();
+    }
+    
+    return removed;
+  }
+  
+  getKeywords() {
+    return this.keywordSpotter.list();
+  }
+  
+  async loadKeywords() {
+    if (!this.keywordPath) return;
+    
+    try {
+      this.keywordSpotter.restore(await readJson(this.keywordPath, {}));
+      
+      const count = this.keywordSpotter.keywords.size;
+      if (count > 0) {
+        console.log(`   Loaded ${count} trained keyword${count === 1 ? '' : 's'}`);
+      }
+    } catch (error) {
+      console.warn(`⚠️ Could not load trained keywords from ${this.keywordPath}: ${error.message}`);
+    }
+  }
+  
+  async saveKeywords() {
+    if (!this.keywordPath) return;
+    
+    await writeJsonAtomic(this.keywordPath, this.keywordSpotter.serialize());
+  }
+  
+  /**
+   * Teach a pet one of its household sounds from a few clips
+   * Each clip should hold the sound once (a doorbell ring, a run of
+   * footsteps); its longest sound event becomes a template.
+   * @param {string} petId - Pet the sound belongs to
+   * @param {string} label - Sound class, e.g. 'doorbell'
+   * @param {Array<Object>} clips - Audio chunks (see processSample)
+   * @returns {Promise<Object>} - Sound class summary
+   * @throws {Error} - code INVALID_AUDIO or NO_SOUND for unusable clips
+   */
+  async trainSound(petId, label, clips) {
+    // Extract every clip first so a bad one enrolls nothing
+    const events = clips.map(clip => this.extractSoundEvent(clip));
+    
+    if (!this.soundClassifiers.has(petId)) {
+      this.soundClassifiers.set(petId, new SoundEventClassifier(this.soundClassifierOptions));
+    }
+    const classifier = this.soundClassifiers.get(petId);
+    
+    events.forEach(event => {
+      classifier.enroll(label, event.frames, {
+        duration: event.duration,
+        sampleRate: event.sampleRate,
+        createdAt: this.clock.now()
       });
+    });
+    
+    await this.saveSounds(petId);
+    
+    return classifier.describe(label);
+  }
+  
+  async removeSound(petId, label) {
+    const classifier = this.soundClassifiers.get(petId);
+    const removed = classifier ? classifier.remove(label) : false;
+    
+    if (removed) {
+      await this.saveSounds(petId);
     }
     
-    // Prosody analysis
-    const pitch = features.basic.pitch;
-    if (pitch > 300) {
-      speechAnalysis.prosody.intonation = 'rising'; // Question
-    } else if (pitch < 150) {
-      speechAnalysis.prosody.intonation = 'falling'; // Statement
+    return removed;
+  }
+  
+  /**
+   * Forget every sound class trained for a pet, on disk too
+   * @param {string} petId - Pet whose classes to remove
+   * @returns {Promise<boolean>} - True if the pet had any loaded
+   */
+  async removeSounds(petId) {
+    const removed = this.soundClassifiers.delete(petId);
+    
+    if (this.soundPath) {
+      await fs.rm(this.soundFile(petId), { force: true });
     }
     
-    return speechAnalysis;
+    return removed;
+  }
+  
+  getSounds(petId) {
+    const classifier = this.soundClassifiers.get(petId);
+    return classifier ? classifier.list() : [];
+  }
+  
+  /**
+   * Match a standalone clip against one pet's sound classes
+   * @param {string} petId - Pet whose classes to match against
+   * @param {Object} clip - Audio chunk (see processSample)
+   * @returns {Object|null} - { label, confidence, distance, alternatives,
+   *   start, end, duration } or null when nothing matches
+   * @throws {Error} - code INVALID_AUDIO or NO_SOUND for unusable clips
+   */
+  recognizeSound(petId, clip) {
+    const event = this.extractSoundEvent(clip);
+    const match = this.soundClassifiers.get(petId)?.classify(event.frames);
+    
+    if (!match) return null;
+    
+    return {
+      ...match,
+      start: event.start,
+      end: event.end,
+      duration: event.duration
+    };
+  }
+  
+  soundFile(petId) {
+    return path.join(this.soundPath, `${encodeURIComponent(petId)}.json`);
+  }
+  
+  async loadSounds() {
+    if (!this.soundPath) return;
+    
+    let files = [];
+    try {
+      files = await fs.readdir(this.soundPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Could not read trained sounds from ${this.soundPath}: ${error.message}`);
+      }
+      return;
+    }
+    
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+      
+      try {
+        const data = await readJson(path.join(this.soundPath, file));
+        if (!data || !data.petId) continue;
+        
+        const classifier = new SoundEventClassifier(this.soundClassifierOptions);
+        classifier.restore(data);
+        this.soundClassifiers.set(data.petId, classifier);
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable sound classes ${file}: ${error.message}`);
+      }
+    }
+    
+    if (this.soundClassifiers.size > 0) {
+      console.log(`   Loaded trained sounds for ${this.soundClassifiers.size} pet${this.soundClassifiers.size === 1 ? '' : 's'}`);
+    }
+  }
+  
+  async saveSounds(petId) {
+    const classifier = this.soundClassifiers.get(petId);
+    
+    // A pet with no classes left has nothing to store
+    if (classifier && classifier.size === 0) {
+      this.soundClassifiers.delete(petId);
+      if (this.soundPath) {
+        await fs.rm(this.soundFile(petId), { force: true });
+      }
+      return;
+    }
+    
+    if (!this.soundPath || !classifier) return;
+    
+    await writeJsonAtomic(this.soundFile(petId), {
+      petId,
+      ...classifier.serialize()
+    });
   }
   
   detectEmotion(features, classification) {
@@ -417,22 +1128,26 @@ export class AuditoryCortex extends EventEmitter {
       intensity: 0
     };
     
-    // Use audio features to estimate emotion
-    const volume = features.basic.volume;
-    const pitch = features.basic.pitch;
-    const brightness = features.basic.frequencies.reduce((sum, f) => 
-      f.frequency > 2000 ? sum + f.magnitude : sum, 0) / features.basic.frequencies.length;
+    // Silence carries no emotion
+    if (classification.type === 'silence' || !features.analysis) {
+      return emotion;
+    }
+    
+    const { volume, pitch, spectralCentroid, spectralFlatness, spectralFlux } = features.basic;
+    const brightness = Math.min(1, spectralCentroid / 3000);
+    const pitchHeight = pitch > 0 ? clamp((pitch - 200) / 200) : 0;
     
-    // Arousal correlates with volume and pitch
-    emotion.arousal = (volume - 0.5) * 2;
+    // Arousal correlates with loudness, pitch and how fast the sound changes
+    emotion.arousal = clamp((volume - 0.5) * 1.2 + pitchHeight * 0.4 + (spectralFlux - 0.1) * 2);
     
-    // Valence correlates with brightness and harmonic content
-    emotion.valence = (brightness - 0.5) * 2;
+    // Valence: bright, clean (tonal) sounds read as positive, harsh noise
+    // as negative
+    emotion.valence = clamp((brightness - 0.3) + (0.25 - spectralFlatness) * 2.5);
     
-    // Dominance correlates with low frequencies
-    const lowFreqPower = features.basic.frequencies.reduce((sum, f) => 
-      f.frequency < 500 ? sum + f.magnitude : sum, 0) / features.basic.frequencies.length;
-    emotion.dominance = (lowFreqPower - 0.5) * 2;
+    // Dominance correlates with loud low frequencies
+    const lowBands = features.basic.frequencies.filter(f => f.frequency < 500);
+    const lowFreqPower = lowBands.reduce((sum, f) => sum + f.magnitude, 0) / Math.max(1, lowBands.length);
+    emotion.dominance = clamp((lowFreqPower - 0.5) + (volume - 0.5));
     
     // Calculate intensity
     emotion.intensity = Math.sqrt(
@@ -458,64 +1173,188 @@ export class AuditoryCortex extends EventEmitter {
     return emotion;
   }
   
-  processMusic(features) {
+  processMusic(features, complexFeatures) {
     // Process musical features
     const musicAnalysis = {
       pitch: features.basic.pitch,
-      tempo: 60 + Math.random() * 120,
+      note: features.basic.pitch > 0 ? this.frequencyToNote(features.basic.pitch) : null,
+      tempo: complexFeatures.rhythm.tempo,
       melody: [],
       key: null,
-      mode: Math.random() > 0.5 ? 'major' : 'minor'
+      mode: null
     };
     
-    // Extract melody (simplified)
-    const noteNames = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
-    const melodyLength = Math.floor(Math.random() * 4) + 2;
-    
-    for (let i = 0; i < melodyLength; i++) {
-      musicAnalysis.melody.push({
-        note: noteNames[Math.floor(Math.random() * noteNames.length)],
-        duration: 250 + Math.random() * 500,
-        velocity: Math.random()
-      });
+    // Melody: recent pitches as notes, repeated notes merged
+    this.pitchHistory.forEach((frame, i) => {
+      const note = this.frequencyToNote(frame.frequency);
+      const last = musicAnalysis.melody[musicAnalysis.melody.length - 1];
+      const next = this.pitchHistory[i + 1];
+      const duration = next ? next.time - frame.time : 0;
+      
+      if (last && last.note === note) {
+        last.duration += duration;
+      } else {
+        musicAnalysis.melody.push({ note, frequency: frame.frequency, duration });
+      }
+    });
+    musicAnalysis.melody = musicAnalysis.melody.slice(-8);
+    
+    // Key: correlate the accumulated chroma with every major and minor key
+    if (features.analysis) {
+      const { chroma } = features.analysis;
+      this.chromaProfile = this.chromaProfile.map((value, i) =>
+        value * this.config.chromaDecay + chroma[i] * (1 - this.config.chromaDecay)
+      );
+      
+      let best = { score: -Infinity };
+      for (let tonic = 0; tonic < 12; tonic++) {
+        const rotated = this.chromaProfile.map((_, i) => this.chromaProfile[(i + tonic) % 12]);
+        const major = correlate(rotated, MAJOR_PROFILE);
+        const minor = correlate(rotated, MINOR_PROFILE);
+        
+        if (major > best.score) best = { score: major, key: NOTE_NAMES[tonic], mode: 'major' };
+        if (minor > best.score) best = { score: minor, key: NOTE_NAMES[tonic], mode: 'minor' };
+      }
+      
+      if (best.score > 0) {
+        musicAnalysis.key = best.key;
+        musicAnalysis.mode = best.mode;
+      }
     }
     
-    // Estimate key
-    musicAnalysis.key = noteNames[Math.floor(Math.random() * noteNames.length)];
-    
     return musicAnalysis;
   }
   
-  identifySounds(features) {
-    // Identify specific sounds
+  frequencyToNote(frequency) {
+    // Nearest equal-tempered note, e.g. 'A4'
+    const midi = Math.round(69 + 12 * Math.log2(frequency / 440));
+    return `${NOTE_NAMES[((midi % 12) + 12) % 12]}${Math.floor(midi / 12) - 1}`;
+  }
+  
+  identifySounds(features, classification, soundEvents = []) {
+    // Identify specific sounds: generic ones by their acoustic signatures,
+    // and each pet's trained sounds among the events that just ended
     const sounds = [];
     
-    // Check for specific sound signatures
-    const soundTypes = [
-      { type: 'voice', threshold: 0.6 },
-      { type: 'clap', threshold: 0.7 },
-      { type: 'whistle', threshold: 0.8 },
-      { type: 'bell', threshold: 0.75 },
-      { type: 'footsteps', threshold: 0.5 }
-    ];
+    if (!features.analysis) {
+      return sounds;
+    }
+    
+    const { volume } = features.basic;
+    
+    // Stereo position: the direction of arrival when both channels carry
+    // the sound, the channel balance otherwise
+    const { direction } = features;
+    const location = direction
+      ? (direction.azimuth < -15 ? 'left' : direction.azimuth > 15 ? 'right' : 'center')
+      : (features.balance < -0.2 ? 'left' : features.balance > 0.2 ? 'right' : 'center');
+    const position = direction ? { location, azimuth: direction.azimuth, direction } : { location };
     
-    soundTypes.forEach(soundType => {
-      if (Math.random() > soundType.threshold) {
-        sounds.push({
-          type: soundType.type,
-          confidence: Math.random() * 0.3 + 0.6,
-          timestamp: Date.now(),
-          location: Math.random() > 0.5 ? 'left' : 'right' // Stereo position
+    const identified = (sound) => {
+      sounds.push(sound);
+      this.stats.soundsIdentified++;
+      this.emit('sound_identified', sound);
+    };
+    
+    if (classification.type !== 'silence') {
+      this.matchGenericSounds(features, classification).forEach(candidate => {
+        identified({
+          type: candidate.type,
+          confidence: candidate.confidence,
+          volume,
+          timestamp: this.clock.now(),
+          ...position
         });
+      });
+    }
+    
+    soundEvents.forEach(event => {
+      this.soundClassifiers.forEach((classifier, petId) => {
+        const match = classifier.classify(event.frames);
+        if (!match) return;
         
-        this.stats.soundsIdentified++;
-        this.emit('sound_identified', sounds[sounds.length - 1]);
-      }
+        identified({
+          type: match.label,
+          label: match.label,
+          custom: true,
+          petId,
+          confidence: match.confidence,
+          alternatives: match.alternatives,
+          volume: clamp((20 * Math.log10(event.level + 1e-9) + 60) / 60, 0, 1),
+          start: event.start,
+          end: event.end,
+          duration: event.duration,
+          timestamp: this.clock.now(),
+          ...position
+        });
+      });
     });
     
     return sounds;
   }
   
+  matchGenericSounds(features, classification) {
+    // Voice, clap and whistle candidates that clear 0.5
+    const {
+      pitch,
+      pitchConfidence,
+      spectralFlatness,
+      spectralCentroid,
+      rms: level,
+      peak
+    } = features.basic;
+    const crest = level > 0 ? peak / level : 0;
+    const strongestOnset = Math.max(0, ...features.analysis.onsets.map(onset => onset.strength));
+    
+    const candidates = [
+      // A speaking voice
+      {
+        type: 'voice',
+        confidence: classification.type === 'speech' ? classification.confidence : 0
+      },
+      // Sharp broadband burst
+      {
+        type: 'clap',
+        confidence: strongestOnset > 0.4 && crest > 4 && spectralFlatness > 0.3 && spectralCentroid > 1500
+          ? clamp(0.5 + strongestOnset * 0.4 + (crest - 4) * 0.02, 0, 0.95)
+          : 0
+      },
+      // Pure, high tone
+      {
+        type: 'whistle',
+        confidence: pitch >= 500 && pitchConfidence > 0.8 && spectralFlatness < 0.1
+          ? clamp(pitchConfidence, 0, 0.95)
+          : 0
+      }
+    ];
+    
+    return candidates.filter(candidate => candidate.confidence > 0.5);
+  }
+  
+  summarizeFeatures(features) {
+    // Compact feature summary for clients and fusion
+    if (!features.analysis) return null;
+    
+    const { basic, analysis } = features;
+    
+    return {
+      sampleRate: analysis.sampleRate,
+      rms: basic.rms,
+      peak: basic.peak,
+      zeroCrossingRate: basic.zeroCrossingRate,
+      spectralCentroid: basic.spectralCentroid,
+      spectralRolloff: basic.spectralRolloff,
+      spectralFlux: basic.spectralFlux,
+      spectralFlatness: basic.spectralFlatness,
+      mfcc: basic.mfcc,
+      pitch: basic.pitch,
+      pitchConfidence: basic.pitchConfidence,
+      onsets: analysis.onsets,
+      balance: features.balance,
+      direction: features.direction
+    };
+  }
+  
   updateAttention(classification, emotion) {
     // Update auditory attention
     const attentionTargets = [];
@@ -571,14 +1410,14 @@ export class AuditoryCortex extends EventEmitter {
   
   startProcessingLoop() {
     // Main audio processing loop
-    setInterval(() => {
-      if (this.isActive) {
-        // Simulate continuous audio processing
-        // In production, this would process actual audio stream
-        this.processSample({
-          amplitude: Math.random(),
-          timestamp: Date.now()
-        });
+    this.processingInterval = this.clock.setInterval(() => {
+      if (this.isActive && this.audioBuffer.length > 0) {
+        const latestSample = this.audioBuffer[this.audioBuffer.length - 1];
+        
+        // Chunks with PCM are processed as they arrive
+        if (latestSample.pcm) return;
+        
+        this.processSample(latestSample.data || {});
       }
     }, 100); // 10Hz processing
   }
@@ -600,8 +1439,14 @@ export class AuditoryCortex extends EventEmitter {
   
   async shutdown() {
     this.isActive = false;
+    this.clock.clearInterval(this.processingInterval);
     await this.stopMicrophone();
     this.audioBuffer = [];
+    this.timelineEnd = null;
+    this.onsetHistory = [];
+    this.pitchHistory = [];
+    this.voiceActivity.reset();
+    this.soundEventDetector.reset();
     this.removeAllListeners();
   }
 }
@@ -0,0 +1,268 @@
+/**
+ * Causal Learner
+ * Learns what tends to follow what, by counting. Every onset of an event
+ * (a sound heard, something coming into view) opens a trial: which other
+ * events began within each lag window after it? Once its last window has
+ * passed, the trial is counted. Cause -> effect holds in a window when the
+ * effect followed the cause there more often than chance would have it:
+ * when the low end of the Wilson score interval for P(effect in the window
+ * | cause) lies above the probability of the effect turning up in any
+ * stretch that long, going by how often it happens at all.
+ *
+ * That is precedence rather than proof of causation, but it is what a pet
+ * can know: the treat bag rustles, and a few seconds later there is food.
+ *
+ * Events are names like 'hear_treat_bag' or 'see_owner'.
+ */
+
+// Wilson score interval for a proportion
+const wilson = (hits, trials, z) => {
+  if (trials === 0) return { low: 0, high: 1 };
+  
+  const p = hits / trials;
+  const z2 = z * z;
+  const denominator = 1 + z2 / trials;
+  const center = (p + z2 / (2 * trials)) / denominator;
+  const margin = (z * Math.sqrt(p * (1 - p) / trials + z2 / (4 * trials * trials))) / denominator;
+  
+  return { low: Math.max(0, center - margin), high: Math.min(1, center + margin) };
+};
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+export class CausalLearner {
+  constructor(options = {}) {
+    this.config = {
+      lagWindows: [[0, 1000], [1000, 3000], [3000, 10000]], // ms after the cause, (start, end]
+      refractoryMs: 2000, // An event again this soon is still the same occurrence
+      maxGapMs: 10000, // Longer silences between events don't count as observed time
+      minTrials: 5, // Causes seen fewer times than this teach nothing yet
+      minLift: 1.5, // How many times likelier than chance the effect must be
+      z: 1.96, // 95% intervals
+      maxEventTypes: 200,
+      ...options
+    };
+    
+    this.reset();
+  }
+  
+  reset() {
+    // name -> { count, lastSeen, trials: per window, effects: effect -> hits per window }
+    this.events = new Map();
+    // Trials still inside their lag windows: { cause, time, hits: a Set per window }
+    this.open = [];
+    this.observedMs = 0;
+    this.lastTime = null;
+    this.dirty = false;
+  }
+  
+  get maxLag() {
+    return Math.max(...this.config.lagWindows.map(([, end]) => end));
+  }
+  
+  windowIndex(lag) {
+    return this.config.lagWindows.findIndex(([start, end]) => lag > start && lag <= end);
+  }
+  
+  /**
+   * Take in the events perceived at a moment
+   * @param {Array<string>} names - Events
+   * @param {number} time - ms
+   * @returns {Array<string>} - The events that began then, rather than
+   *   carried on from moments ago
+   */
+  observe(names, time) {
+    const onsets = [];
+    
+    new Set(names).forEach(name => {
+      let stats = this.events.get(name);
+      
+      if (!stats) {
+        if (this.events.size >= this.config.maxEventTypes) return;
+        
+        stats = {
+          count: 0,
+          lastSeen: -Infinity,
+          trials: this.config.lagWindows.map(() => 0),
+          effects: new Map()
+        };
+        this.events.set(name, stats);
+      }
+      
+      const continuing = time >= stats.lastSeen && time - stats.lastSeen < this.config.refractoryMs;
+      stats.lastSeen = Math.max(stats.lastSeen, time);
+      
+      if (!continuing) {
+        stats.count++;
+        onsets.push(name);
+      }
+    });
+    
+    if (onsets.length === 0) return onsets;
+    
+    if (this.lastTime !== null && time > this.lastTime) {
+      this.observedMs += Math.min(time - this.lastTime, this.config.maxGapMs);
+    }
+    this.lastTime = Math.max(this.lastTime ?? time, time);
+    
+    // Effects of the causes still open
+    this.open.forEach(trial => {
+      const index = this.windowIndex(time - trial.time);
+      if (index === -1) return;
+      
+      onsets.forEach(name => {
+        if (name !== trial.cause) trial.hits[index].add(name);
+      });
+    });
+    
+    // ...and trials for the new causes
+    onsets.forEach(cause => {
+      this.open.push({ cause, time, hits: this.config.lagWindows.map(() => new Set()) });
+    });
+    
+    this.settle(time);
+    this.dirty = true;
+    
+    return onsets;
+  }
+  
+  /**
+   * Count the trials whose last lag window has passed
+   * @param {number} now - ms
+   */
+  settle(now) {
+    const maxLag = this.maxLag;
+    
+    this.open = this.open.filter(trial => {
+      if (now - trial.time <= maxLag) return true;
+      
+      const stats = this.events.get(trial.cause);
+      trial.hits.forEach((effects, index) => {
+        stats.trials[index]++;
+        
+        effects.forEach(effect => {
+          if (!stats.effects.has(effect)) {
+            stats.effects.set(effect, this.config.lagWindows.map(() => 0));
+          }
+          stats.effects.get(effect)[index]++;
+        });
+      });
+      
+      return false;
+    });
+  }
+  
+  /**
+   * One cause -> effect pair in the lag window where it stands out most
+   */
+  evaluate(cause, effect, hits) {
+    const stats = this.events.get(cause);
+    const effectCount = this.events.get(effect)?.count || 0;
+    const rate = this.observedMs > 0 ? effectCount / this.observedMs : 0;
+    let best = null;
+    
+    this.config.lagWindows.forEach(([start, end], index) => {
+      const trials = stats.trials[index];
+      if (trials === 0) return;
+      
+      const probability = hits[index] / trials;
+      const interval = wilson(hits[index], trials, this.config.z);
+      
+      // Chance of the effect turning up in a stretch this long anyway
+      const baseline = Math.min(1, 1 - Math.exp(-rate * (end - start)));
+      const strength = baseline < 1 ? Math.max(0, (interval.low - baseline) / (1 - baseline)) : 0;
+      
+      if (best && strength <= best.strength) return;
+      
+      best = {
+        cause,
+        effect,
+        lag: { min: start, max: end },
+        trials,
+        hits: hits[index],
+        probability: round(probability),
+        baseline: round(baseline),
+        lift: baseline > 0 ? round(probability / baseline, 2) : null,
+        interval: { low: round(interval.low), high: round(interval.high) },
+        strength: round(strength)
+      };
+    });
+    
+    return best;
+  }
+  
+  established(relation) {
+    return relation.trials >= this.config.minTrials &&
+      relation.interval.low > relation.baseline &&
+      (relation.lift === null || relation.lift >= this.config.minLift);
+  }
+  
+  /**
+   * Learned relations, strongest first
+   * @param {Object} filters - { cause, effect, all: include pairs not
+   *   (yet) established }
+   * @returns {Array<Object>} - { cause, effect, lag: { min, max } ms after
+   *   the cause, trials, hits, probability, baseline, lift, interval:
+   *   { low, high } 95% bounds on the probability, strength: 0-1 }
+   */
+  getRelations({ cause = null, effect = null, all = false } = {}) {
+    const relations = [];
+    
+    this.events.forEach((stats, causeName) => {
+      if (cause && causeName !== cause) return;
+      
+      stats.effects.forEach((hits, effectName) => {
+        if (effect && effectName !== effect) return;
+        
+        const relation = this.evaluate(causeName, effectName, hits);
+        if (relation && (all || this.established(relation))) {
+          relations.push(relation);
+        }
+      });
+    });
+    
+    return relations.sort((a, b) => b.strength - a.strength || b.trials - a.trials);
+  }
+  
+  getStats() {
+    return {
+      eventTypes: this.events.size,
+      openTrials: this.open.length,
+      observedMs: this.observedMs
+    };
+  }
+  
+  serialize() {
+    return {
+      lagWindows: this.config.lagWindows,
+      observedMs: this.observedMs,
+      events: Array.from(this.events.entries()).map(([name, stats]) => ({
+        name,
+        count: stats.count,
+        trials: stats.trials,
+        effects: Array.from(stats.effects.entries())
+      }))
+    };
+  }
+  
+  restore(data = {}) {
+    this.reset();
+    
+    // Counts for other lag windows don't carry over
+    if (JSON.stringify(data.lagWindows) !== JSON.stringify(this.config.lagWindows)) return;
+    
+    this.observedMs = data.observedMs || 0;
+    (data.events || []).forEach(({ name, count, trials, effects }) => {
+      if (!name || !Array.isArray(trials)) return;
+      
+      this.events.set(name, {
+        count: count || 0,
+        lastSeen: -Infinity,
+        trials,
+        effects: new Map(effects || [])
+      });
+    });
+  }
+}
+
+export default CausalLearner;
@@ -0,0 +1,77 @@
+/**
+ * Clock Sync
+ * Maps capture timestamps from a sender's clock onto the server's. Every
+ * input carries the time it was captured; the time it arrived minus that
+ * is the clock offset plus however long the trip took. The smallest such
+ * difference over a sliding window is the offset plus the quickest trip,
+ * so capture time plus it lands the input where it would have arrived
+ * with no network jitter. The window lets the estimate follow clock drift
+ * and a sender whose clock is stepped.
+ *
+ * One instance per sender: offsets between different senders' clocks
+ * have nothing to do with each other.
+ */
+export class ClockSync {
+  constructor(options = {}) {
+    this.config = {
+      windowMs: 10000, // How long a quick trip keeps setting the offset
+      jitterSmoothing: 0.1, // Weight of each new input in the jitter average
+      ...options
+    };
+    
+    this.reset();
+  }
+  
+  reset() {
+    // Candidates for the smallest delay, delays increasing; the head is
+    // the smallest within the window
+    this.window = [];
+    this.offset = null;
+    this.jitter = 0;
+    this.samples = 0;
+  }
+  
+  /**
+   * Where an input belongs on the local clock, learning from it
+   * @param {number} captureTime - ms, on the sender's clock
+   * @param {number} arrivalTime - ms, on the local clock
+   * @returns {number|null} - Capture time on the local clock (never after
+   *   the arrival), or null when the timestamp is not a number
+   */
+  align(captureTime, arrivalTime) {
+    const capture = Number(captureTime);
+    if (captureTime === null || captureTime === undefined || !Number.isFinite(capture)) {
+      return null;
+    }
+    
+    const delay = arrivalTime - capture;
+    
+    while (this.window.length > 0 && this.window[this.window.length - 1].delay >= delay) {
+      this.window.pop();
+    }
+    this.window.push({ arrivalTime, delay });
+    
+    while (this.window[0].arrivalTime < arrivalTime - this.config.windowMs) {
+      this.window.shift();
+    }
+    
+    this.offset = this.window[0].delay;
+    this.samples++;
+    
+    // How late inputs arrive beyond the quickest trip
+    const lateness = delay - this.offset;
+    this.jitter += (lateness - this.jitter) * this.config.jitterSmoothing;
+    
+    return Math.min(arrivalTime, capture + this.offset);
+  }
+  
+  getState() {
+    return {
+      offset: this.offset,
+      jitter: Math.round(this.jitter * 10) / 10,
+      samples: this.samples
+    };
+  }
+}
+
+export default ClockSync;
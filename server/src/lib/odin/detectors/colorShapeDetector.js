@@ -0,0 +1,147 @@
+import { createLabelMapper } from './labels.js';
+import { describeColor } from '../imageProcessing.js';
+import { createDetection, sizeClass, suppressOverlaps } from './detection.js';
+
+const BRIGHT = ['red', 'orange', 'yellow', 'green', 'cyan', 'blue', 'purple', 'pink'];
+
+/**
+ * Object prototypes the fallback detector scores V2 shapes against
+ * aspect is short side / long side; a miss on color or aspect costs
+ * (rather than rules out) the class.
+ */
+export const DEFAULT_PROTOTYPES = [
+  { name: 'ball', shapes: ['circle'], colors: BRIGHT, weight: 0.9 },
+  { name: 'bowl', shapes: ['circle'], colors: ['gray', 'white', 'black', 'blue', 'red'], minSize: 'medium', weight: 0.6 },
+  { name: 'toy', shapes: ['rectangle', 'circle'], colors: BRIGHT, weight: 0.7 },
+  { name: 'book', shapes: ['rectangle'], aspect: [0.55, 0.9], weight: 0.6 },
+  { name: 'bottle', shapes: ['rectangle'], aspect: [0.15, 0.45], upright: true, weight: 0.6 },
+  { name: 'stick', shapes: ['line'], colors: ['brown', 'orange', 'black', 'gray'], weight: 0.5 },
+  { name: 'object', shapes: ['circle', 'rectangle'], weight: 0.4 }
+];
+
+const SIZES = ['small', 'medium', 'large'];
+
+/**
+ * Color & Shape Detector
+ * Lightweight fallback for when no model is available: labels the shapes
+ * V2 found by how well their geometry and color fit a few prototypes.
+ * Synchronous and dependency-free.
+ */
+export class ColorShapeDetector {
+  constructor(options = {}) {
+    this.name = 'color-shape';
+    this.prototypes = options.prototypes || DEFAULT_PROTOTYPES;
+    this.mapLabel = createLabelMapper(options.labelMap);
+    
+    this.config = {
+      scoreThreshold: options.scoreThreshold ?? 0.3,
+      minShapeConfidence: 0.5,
+      iouThreshold: 0.5,
+      maxDetections: options.maxDetections || 10
+    };
+  }
+  
+  async initialize() {
+    // Nothing to load
+  }
+  
+  /**
+   * Label the shapes in a frame
+   * @param {Object} image - Decoded frame
+   * @param {Object} context - { shapes } from V2, in frame pixels
+   * @returns {Array<Object>} - Detections
+   */
+  detect(image, context = {}) {
+    const detections = [];
+    
+    (context.shapes || []).forEach(shape => {
+      if (shape.confidence < this.config.minShapeConfidence) return;
+      
+      const detection = this.classifyShape(image, shape);
+      if (detection) {
+        detections.push(detection);
+      }
+    });
+    
+    return suppressOverlaps(detections, this.config.iouThreshold)
+      .slice(0, this.config.maxDetections);
+  }
+  
+  classifyShape(image, shape) {
+    // Color of the shape's interior (around the middle of a line)
+    const { center, boundingBox } = shape;
+    const inner = shape.type === 'line'
+      ? { x: center.x - 2, y: center.y - 2, width: 5, height: 5 }
+      : {
+        x: boundingBox.x + boundingBox.width / 4,
+        y: boundingBox.y + boundingBox.height / 4,
+        width: boundingBox.width / 2,
+        height: boundingBox.height / 2
+      };
+    const color = describeColor(image, inner, 1)?.name ?? 'unknown';
+    const size = sizeClass(boundingBox, image);
+    
+    const scores = {};
+    let best = null;
+    
+    this.prototypes.forEach(prototype => {
+      const label = this.mapLabel(prototype.name);
+      if (!label) return;
+      
+      const score = this.scorePrototype(prototype, shape, color, size);
+      if (score <= 0) return;
+      
+      scores[label] = Math.max(scores[label] || 0, score);
+      if (!best || score > best.score) {
+        best = { label, score, classId: prototype.name };
+      }
+    });
+    
+    if (!best || best.score < this.config.scoreThreshold) {
+      return null;
+    }
+    
+    return createDetection(image, {
+      label: best.label,
+      score: best.score,
+      scores,
+      classId: best.classId,
+      boundingBox: shape.boundingBox,
+      detector: this.name,
+      attributes: { shape: shape.type, color }
+    });
+  }
+  
+  scorePrototype(prototype, shape, color, size) {
+    if (!prototype.shapes.includes(shape.type)) return 0;
+    
+    let score = shape.confidence * prototype.weight;
+    
+    if (prototype.colors && !prototype.colors.includes(color)) {
+      score *= 0.4;
+    }
+    
+    if (prototype.minSize && SIZES.indexOf(size) < SIZES.indexOf(prototype.minSize)) {
+      score *= 0.4;
+    }
+    
+    if (prototype.aspect && shape.type === 'rectangle') {
+      const aspect = Math.min(shape.width, shape.height) / Math.max(shape.width, shape.height);
+      const [min, max] = prototype.aspect;
+      
+      if (aspect < min || aspect > max) {
+        score *= 0.4;
+      } else if (prototype.upright && shape.boundingBox.height < shape.boundingBox.width) {
+        score *= 0.6;
+      }
+    }
+    
+    return score;
+  }
+  
+  dispose() {
+    // Nothing to release
+  }
+}
+
+export default ColorShapeDetector;
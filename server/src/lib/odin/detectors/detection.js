@@ -0,0 +1,83 @@
+import { describeColor } from '../imageProcessing.js';
+
+/**
+ * Size class of a box relative to the frame
+ */
+export const sizeClass = (box, image) => {
+  const area = (box.width * box.height) / (image.width * image.height);
+  
+  if (area > 0.15) return 'large';
+  if (area > 0.02) return 'medium';
+  return 'small';
+};
+
+/**
+ * Build a detection in the shape every detector reports
+ * `type` and `confidence` mirror `label` and `score` for consumers written
+ * against the older object format.
+ * @param {Object} image - Decoded frame
+ * @param {Object} fields - { label, score, scores, boundingBox, classId, detector, attributes }
+ * @returns {Object} - Detection
+ */
+export const createDetection = (image, fields) => {
+  const { label, score, boundingBox } = fields;
+  
+  // Sample the middle of the box, where the object rather than the
+  // background is most likely to be
+  const color = fields.attributes?.color ?? describeColor(image, {
+    x: boundingBox.x + boundingBox.width / 4,
+    y: boundingBox.y + boundingBox.height / 4,
+    width: boundingBox.width / 2,
+    height: boundingBox.height / 2
+  })?.name ?? 'unknown';
+  
+  return {
+    type: label,
+    label,
+    classId: fields.classId ?? null,
+    score,
+    confidence: score,
+    scores: fields.scores || { [label]: score },
+    boundingBox,
+    detector: fields.detector,
+    attributes: {
+      ...fields.attributes,
+      color,
+      size: sizeClass(boundingBox, image)
+    }
+  };
+};
+
+/**
+ * Intersection over union of two boxes
+ */
+export const intersectionOverUnion = (a, b) => {
+  const x0 = Math.max(a.x, b.x);
+  const y0 = Math.max(a.y, b.y);
+  const x1 = Math.min(a.x + a.width, b.x + b.width);
+  const y1 = Math.min(a.y + a.height, b.y + b.height);
+  const intersection = Math.max(0, x1 - x0) * Math.max(0, y1 - y0);
+  const union = a.width * a.height + b.width * b.height - intersection;
+  
+  return union > 0 ? intersection / union : 0;
+};
+
+/**
+ * Greedy non-maximum suppression over detections sorted by score
+ * @param {Array<Object>} detections - Detections with boundingBox and score
+ * @param {number} iouThreshold - Overlap above which the weaker box is dropped
+ * @returns {Array<Object>} - Surviving detections, best first
+ */
+export const suppressOverlaps = (detections, iouThreshold = 0.5) => {
+  const kept = [];
+  
+  [...detections]
+    .sort((a, b) => b.score - a.score)
+    .forEach(detection => {
+      if (kept.every(other => intersectionOverUnion(other.boundingBox, detection.boundingBox) < iouThreshold)) {
+        kept.push(detection);
+      }
+    });
+    
+  return kept;
+};
@@ -0,0 +1,86 @@
+import fs from 'fs/promises';
+import { ColorShapeDetector } from './colorShapeDetector.js';
+import { TensorFlowDetector } from './tensorflowDetector.js';
+
+/**
+ * Object detectors for V5
+ *
+ * Every detector exposes:
+ *   name, initialize(), detect(image, context), dispose()
+ * detect() receives a decoded frame and { shapes, colors } from V2/V4 and
+ * returns detections, or a promise of them. Each detection carries
+ *   { label, score, scores: { label: score }, classId, detector,
+ *     boundingBox: { x, y, width, height } in frame pixels,
+ *     attributes: { color, size, ... } }
+ * plus `type`/`confidence` aliases of label/score.
+ */
+
+const backends = {
+  tensorflow: TensorFlowDetector,
+  'color-shape': ColorShapeDetector
+};
+
+const readLabelMap = async (file) => {
+  if (!file) return {};
+  
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    console.warn(`⚠️ Ignoring object label map ${file}: ${error.message}`);
+    return {};
+  }
+};
+
+/**
+ * Create and initialize the configured object detector
+ * A detector that fails to load (no model directory, missing native
+ * module, unreadable model) is replaced by the color/shape fallback.
+ * @param {Object} options - Detector options
+ * @param {string} options.backend - 'tensorflow' or 'color-shape' (ODIN_DETECTOR);
+ *   defaults to tensorflow when a model directory is configured
+ * @param {string} options.modelDir - Local model directory (ODIN_DETECTOR_MODEL_DIR)
+ * @param {Object} options.labelMap - Class name to label overrides; read from
+ *   the JSON file at ODIN_DETECTOR_LABEL_MAP when not given
+ * @param {number} options.scoreThreshold - Minimum detection score (ODIN_DETECTOR_THRESHOLD)
+ * @returns {Promise<TensorFlowDetector|ColorShapeDetector>} - Ready detector
+ */
+export const createObjectDetector = async (options = {}) => {
+  const modelDir = options.modelDir || process.env.ODIN_DETECTOR_MODEL_DIR;
+  const backend = options.backend || process.env.ODIN_DETECTOR || (modelDir ? 'tensorflow' : 'color-shape');
+  const threshold = options.scoreThreshold ?? parseFloat(process.env.ODIN_DETECTOR_THRESHOLD);
+  
+  const settings = {
+    ...options,
+    modelDir,
+    scoreThreshold: Number.isFinite(threshold) ? threshold : undefined,
+    labelMap: options.labelMap || await readLabelMap(process.env.ODIN_DETECTOR_LABEL_MAP)
+  };
+  
+  const Detector = backends[backend];
+  
+  if (!Detector) {
+    throw new Error(
+      `Unknown object detector "${backend}" (expected one of: ${Object.keys(backends).join(', ')})`
+    );
+  }
+  
+  const detector = new Detector(settings);
+  
+  try {
+    await detector.initialize();
+    return detector;
+  } catch (error) {
+    console.warn(`⚠️ ${backend} object detector unavailable (${error.message}), using color/shape fallback`);
+    detector.dispose();
+    
+    const fallback = new ColorShapeDetector(settings);
+    await fallback.initialize();
+    return fallback;
+  }
+};
+
+export { ColorShapeDetector, TensorFlowDetector };
+export * from './labels.js';
+export * from './detection.js';
+
+export default createObjectDetector;
@@ -0,0 +1,78 @@
+/**
+ * Object labels
+ * Detectors name classes in their own vocabulary; the label map turns those
+ * names into the labels ODIN reports (and Lucian sees as `object_<label>`).
+ * A class mapped to null is dropped; unmapped classes keep their own name.
+ */
+
+/**
+ * COCO class names by the IDs used by TensorFlow object detection models
+ * (SSD MobileNet, EfficientDet...). Used when a model directory has no
+ * labels.json.
+ */
+export const COCO_CLASSES = {
+  1: 'person', 2: 'bicycle', 3: 'car', 4: 'motorcycle', 5: 'airplane',
+  6: 'bus', 7: 'train', 8: 'truck', 9: 'boat', 10: 'traffic light',
+  11: 'fire hydrant', 13: 'stop sign', 14: 'parking meter', 15: 'bench',
+  16: 'bird', 17: 'cat', 18: 'dog', 19: 'horse', 20: 'sheep',
+  21: 'cow', 22: 'elephant', 23: 'bear', 24: 'zebra', 25: 'giraffe',
+  27: 'backpack', 28: 'umbrella', 31: 'handbag', 32: 'tie', 33: 'suitcase',
+  34: 'frisbee', 35: 'skis', 36: 'snowboard', 37: 'sports ball', 38: 'kite',
+  39: 'baseball bat', 40: 'baseball glove', 41: 'skateboard', 42: 'surfboard',
+  43: 'tennis racket', 44: 'bottle', 46: 'wine glass', 47: 'cup', 48: 'fork',
+  49: 'knife', 50: 'spoon', 51: 'bowl', 52: 'banana', 53: 'apple',
+  54: 'sandwich', 55: 'orange', 56: 'broccoli', 57: 'carrot', 58: 'hot dog',
+  59: 'pizza', 60: 'donut', 61: 'cake', 62: 'chair', 63: 'couch',
+  64: 'potted plant', 65: 'bed', 67: 'dining table', 70: 'toilet', 72: 'tv',
+  73: 'laptop', 74: 'mouse', 75: 'remote', 76: 'keyboard', 77: 'cell phone',
+  78: 'microwave', 79: 'oven', 80: 'toaster', 81: 'sink', 82: 'refrigerator',
+  84: 'book', 85: 'clock', 86: 'vase', 87: 'scissors', 88: 'teddy bear',
+  89: 'hair drier', 90: 'toothbrush'
+};
+
+/**
+ * What a pet cares to tell apart
+ */
+export const DEFAULT_LABEL_MAP = {
+  'sports ball': 'ball',
+  'tennis racket': 'toy',
+  frisbee: 'toy',
+  kite: 'toy',
+  'teddy bear': 'toy',
+  banana: 'food',
+  apple: 'food',
+  sandwich: 'food',
+  orange: 'food',
+  broccoli: 'food',
+  carrot: 'food',
+  'hot dog': 'food',
+  pizza: 'food',
+  donut: 'food',
+  cake: 'food',
+  couch: 'sofa',
+  'cell phone': 'phone',
+  'dining table': 'table',
+  tv: 'screen',
+  laptop: 'screen'
+};
+
+/**
+ * Build a lookup from class name to ODIN label
+ * @param {Object} overrides - Entries replacing or extending the defaults
+ * @returns {Function} - name => label, or null when the class is dropped
+ */
+export const createLabelMapper = (overrides = {}) => {
+  const map = { ...DEFAULT_LABEL_MAP, ...overrides };
+  
+  return (name) => {
+    const key = String(name).toLowerCase();
+    
+    if (Object.prototype.hasOwnProperty.call(map, key)) {
+      return map[key];
+    }
+    
+    return key.trim().replace(/\s+/g, '_');
+  };
+};
+
+export default createLabelMapper;
@@ -0,0 +1,239 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { toRgb } from '../imageProcessing.js';
+import { COCO_CLASSES, createLabelMapper } from './labels.js';
+import { createDetection, suppressOverlaps } from './detection.js';
+
+/**
+ * TensorFlow.js Detector
+ * Runs a TensorFlow.js graph model (model.json plus weight shards) from a
+ * local directory through @tensorflow/tfjs-node. Nothing is fetched over
+ * the network.
+ *
+ * Two output layouts are understood:
+ * - Object detection API exports with post-processing built in:
+ *   detection_boxes [1, N, 4], detection_scores [1, N],
+ *   detection_classes [1, N] (and num_detections)
+ * - Raw SSD heads (as in the COCO-SSD web models): class scores [1, N, C]
+ *   and boxes [1, N, 1, 4], filtered here with non-maximum suppression
+ * Boxes are [ymin, xmin, ymax, xmax] normalized to the input frame.
+ *
+ * An optional labels.json next to model.json names the classes, either as
+ * an array indexed by class ID or as an { id: name } object; COCO names are
+ * assumed otherwise.
+ */
+export class TensorFlowDetector {
+  constructor(options = {}) {
+    this.name = 'tensorflow';
+    this.modelDir = options.modelDir;
+    this.mapLabel = createLabelMapper(options.labelMap);
+    this.classNames = options.classNames || null;
+    
+    this.tf = null;
+    this.model = null;
+    
+    this.config = {
+      scoreThreshold: options.scoreThreshold ?? 0.5,
+      iouThreshold: options.iouThreshold ?? 0.5,
+      maxDetections: options.maxDetections || 20,
+      topScores: 3 // Class scores reported per detection
+    };
+  }
+  
+  async initialize() {
+    if (!this.modelDir) {
+      throw new Error('No model directory configured');
+    }
+    
+    const modelPath = path.resolve(this.modelDir, 'model.json');
+    await fs.access(modelPath);
+    
+    // Loaded lazily so ODIN runs without the native module
+    const tf = await import('@tensorflow/tfjs-node');
+    this.tf = tf.default || tf;
+    
+    this.model = await this.tf.loadGraphModel(this.tf.io.fileSystem(modelPath));
+    
+    if (!this.classNames) {
+      this.classNames = await this.loadClassNames();
+    }
+    
+    console.log(`   🧩 Object detector model loaded from ${this.modelDir}`);
+  }
+  
+  async loadClassNames() {
+    try {
+      const raw = JSON.parse(await fs.readFile(path.resolve(this.modelDir, 'labels.json'), 'utf8'));
+      return Array.isArray(raw) ? { ...raw } : raw;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Ignoring unreadable labels.json in ${this.modelDir}: ${error.message}`);
+      }
+      return COCO_CLASSES;
+    }
+  }
+  
+  /**
+   * Detect objects in a frame
+   * @param {Object} image - Decoded frame
+   * @returns {Promise<Array<Object>>} - Detections, best first
+   */
+  async detect(image) {
+    const { tf } = this;
+    const input = tf.tensor4d(toRgb(image), [1, image.height, image.width, 3], 'int32');
+    let outputs = [];
+    
+    try {
+      outputs = [].concat(await this.model.executeAsync(input));
+      
+      const named = {};
+      this.model.outputNodes.forEach((name, index) => {
+        named[name.replace(/:\d+$/, '')] = outputs[index];
+      });
+      
+      const candidates = named.detection_boxes
+        ? await this.readPostProcessed(named)
+        : await this.readRawHeads(outputs);
+        
+      const detections = candidates
+        .map(candidate => this.toDetection(image, candidate))
+        .filter(Boolean);
+        
+      return suppressOverlaps(detections, this.config.iouThreshold)
+        .slice(0, this.config.maxDetections);
+    } finally {
+      input.dispose();
+      outputs.forEach(tensor => tensor.dispose());
+    }
+  }
+  
+  async readPostProcessed(named) {
+    const [boxes, scores, classes] = await Promise.all([
+      named.detection_boxes.array(),
+      named.detection_scores.array(),
+      named.detection_classes.array()
+    ]);
+    const count = named.num_detections
+      ? (await named.num_detections.data())[0]
+      : scores[0].length;
+      
+    const candidates = [];
+    for (let i = 0; i < count; i++) {
+      if (scores[0][i] < this.config.scoreThreshold) continue;
+      
+      candidates.push({
+        box: boxes[0][i],
+        classId: Math.round(classes[0][i]),
+        score: scores[0][i],
+        scores: null
+      });
+    }
+    
+    return candidates;
+  }
+  
+  async readRawHeads(outputs) {
+    const { tf } = this;
+    const scoresTensor = outputs.find(tensor => tensor.rank === 3);
+    const boxesTensor = outputs.find(tensor => tensor.rank === 4);
+    
+    if (!scoresTensor || !boxesTensor) {
+      throw new Error('Unrecognized detection model outputs');
+    }
+    
+    const [count, classCount] = scoresTensor.shape.slice(1);
+    const scores = await scoresTensor.data();
+    const boxes = tf.tidy(() => boxesTensor.reshape([count, 4]));
+    
+    // With a background column, column c is class c (and column 0 is
+    // skipped); without one, column c is class c + 1
+    const maxId = Math.max(...Object.keys(this.classNames).map(Number).filter(Number.isFinite));
+    const offset = classCount > maxId ? 0 : 1;
+    const first = offset === 0 ? 1 : 0;
+    
+    // Best class per box
+    const best = new Float32Array(count);
+    const bestClass = new Int32Array(count);
+    for (let i = 0; i < count; i++) {
+      for (let c = first; c < classCount; c++) {
+        const score = scores[i * classCount + c];
+        if (score > best[i]) {
+          best[i] = score;
+          bestClass[i] = c;
+        }
+      }
+    }
+    
+    const bestTensor = tf.tensor1d(best);
+    const keep = await tf.image.nonMaxSuppressionAsync(
+      boxes,
+      bestTensor,
+      this.config.maxDetections,
+      this.config.iouThreshold,
+      this.config.scoreThreshold
+    );
+    const [indices, boxValues] = await Promise.all([keep.data(), boxes.array()]);
+    
+    boxes.dispose();
+    bestTensor.dispose();
+    keep.dispose();
+    
+    return Array.from(indices).map(i => {
+      const row = scores.subarray(i * classCount, (i + 1) * classCount);
+      const top = Array.from(row.keys())
+        .filter(c => c >= first)
+        .sort((a, b) => row[b] - row[a])
+        .slice(0, this.config.topScores);
+        
+      return {
+        box: boxValues[i],
+        classId: bestClass[i] + offset,
+        score: best[i],
+        scores: top.map(c => ({ classId: c + offset, score: row[c] }))
+      };
+    });
+  }
+  
+  toDetection(image, candidate) {
+    const label = this.labelFor(candidate.classId);
+    if (!label) return null;
+    
+    const [ymin, xmin, ymax, xmax] = candidate.box.map(value => Math.min(1, Math.max(0, value)));
+    
+    const scores = {};
+    (candidate.scores || [{ classId: candidate.classId, score: candidate.score }]).forEach(({ classId, score }) => {
+      const name = this.labelFor(classId);
+      if (name) {
+        scores[name] = Math.max(scores[name] || 0, score);
+      }
+    });
+    
+    return createDetection(image, {
+      label,
+      score: candidate.score,
+      scores,
+      classId: candidate.classId,
+      boundingBox: {
+        x: xmin * image.width,
+        y: ymin * image.height,
+        width: (xmax - xmin) * image.width,
+        height: (ymax - ymin) * image.height
+      },
+      detector: this.name
+    });
+  }
+  
+  labelFor(classId) {
+    const name = this.classNames[classId];
+    return name === undefined ? `class_${classId}` : this.mapLabel(name);
+  }
+  
+  dispose() {
+    if (this.model) {
+      this.model.dispose();
+      this.model = null;
+    }
+  }
+}
+
+export default TensorFlowDetector;
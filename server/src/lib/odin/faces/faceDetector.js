@@ -0,0 +1,236 @@
+import { createDetection, suppressOverlaps } from '../detectors/detection.js';
+
+/**
+ * Whether a pixel has a skin tone
+ * Skin of every complexion clusters in a narrow chroma band once
+ * brightness is taken out (YCbCr). Dark pixels are left out: brown hair
+ * and shadows share the chroma of skin.
+ */
+export const isSkin = (r, g, b) => {
+  const y = 0.299 * r + 0.587 * g + 0.114 * b;
+  const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+  const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+  
+  return y > 60 && cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173;
+};
+
+/**
+ * Mean luminance of a region of a decoded frame
+ */
+const meanLuminance = (image, x0, y0, x1, y1) => {
+  const { width, channels, data } = image;
+  let sum = 0;
+  let count = 0;
+  
+  for (let y = Math.floor(y0); y < Math.ceil(y1); y++) {
+    for (let x = Math.floor(x0); x < Math.ceil(x1); x++) {
+      const offset = (y * width + x) * channels;
+      sum += channels >= 3
+        ? 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2]
+        : data[offset];
+      count++;
+    }
+  }
+  
+  return count > 0 ? sum / count : 0;
+};
+
+/**
+ * Skin Face Detector
+ * Finds faces without a model: blobs of skin-toned cells shaped like a
+ * face (upright, about as tall as wide or taller, mostly filled) whose eye
+ * band - left and right - is darker than the cheeks below it. Works on
+ * color frames only. Synchronous and dependency-free; anything exposing
+ * the detector interface (see detectors/index.js) can replace it.
+ */
+export class SkinFaceDetector {
+  constructor(options = {}) {
+    this.name = 'skin';
+    
+    this.config = {
+      cellsAcross: 80, // Skin grid resolution across the frame
+      minCellSize: 4,
+      minSkinFraction: 0.5, // Of a cell's pixels, for the cell to count as skin
+      minCells: 12,
+      aspect: [0.9, 2.0], // Height / width of the skin blob
+      minFill: 0.45, // Of the blob's bounding box (an ellipse fills 0.79)
+      maxEyeContrast: 0.92, // Eye band luminance / cheek luminance
+      scoreThreshold: options.scoreThreshold ?? 0.5,
+      iouThreshold: 0.3,
+      maxDetections: options.maxDetections || 5
+    };
+  }
+  
+  async initialize() {
+    // Nothing to load
+  }
+  
+  /**
+   * Find the faces in a frame
+   * @param {Object} image - Decoded frame
+   * @returns {Array<Object>} - Detections labeled 'face'
+   */
+  detect(image) {
+    if (image.channels < 3) return [];
+    
+    const detections = this.findSkinRegions(image)
+      .map(region => this.scoreRegion(image, region))
+      .filter(detection => detection && detection.score >= this.config.scoreThreshold);
+      
+    return suppressOverlaps(detections, this.config.iouThreshold)
+      .slice(0, this.config.maxDetections);
+  }
+  
+  findSkinRegions(image) {
+    // Touching skin cells of a coarse grid, merged into regions
+    const { width, height, channels, data } = image;
+    const cellSize = Math.max(this.config.minCellSize, Math.round(width / this.config.cellsAcross));
+    const cols = Math.floor(width / cellSize);
+    const rows = Math.floor(height / cellSize);
+    const skin = new Uint8Array(cols * rows);
+    const samples = Math.ceil(cellSize / 2) ** 2;
+    
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        let count = 0;
+        
+        for (let y = row * cellSize; y < (row + 1) * cellSize; y += 2) {
+          for (let x = col * cellSize; x < (col + 1) * cellSize; x += 2) {
+            const offset = (y * width + x) * channels;
+            if (isSkin(data[offset], data[offset + 1], data[offset + 2])) count++;
+          }
+        }
+        
+        skin[row * cols + col] = count >= samples * this.config.minSkinFraction ? 1 : 0;
+      }
+    }
+    
+    const visited = new Uint8Array(cols * rows);
+    const regions = [];
+    
+    for (let start = 0; start < skin.length; start++) {
+      if (visited[start] || !skin[start]) continue;
+      
+      let minCol = Infinity, maxCol = -Infinity, minRow = Infinity, maxRow = -Infinity;
+      let cells = 0;
+      const stack = [start];
+      visited[start] = 1;
+      
+      while (stack.length > 0) {
+        const cell = stack.pop();
+        const col = cell % cols;
+        const row = (cell - col) / cols;
+        
+        minCol = Math.min(minCol, col); maxCol = Math.max(maxCol, col);
+        minRow = Math.min(minRow, row); maxRow = Math.max(maxRow, row);
+        cells++;
+        
+        [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dc, dr]) => {
+          const c = col + dc;
+          const r = row + dr;
+          if (c < 0 || r < 0 || c >= cols || r >= rows) return;
+          
+          const next = r * cols + c;
+          if (!visited[next] && skin[next]) {
+            visited[next] = 1;
+            stack.push(next);
+          }
+        });
+      }
+      
+      if (cells < this.config.minCells) continue;
+      
+      regions.push({
+        ...this.refineBox(image, {
+          x: minCol * cellSize,
+          y: minRow * cellSize,
+          width: (maxCol - minCol + 1) * cellSize,
+          height: (maxRow - minRow + 1) * cellSize
+        }),
+        fill: cells / ((maxCol - minCol + 1) * (maxRow - minRow + 1))
+      });
+    }
+    
+    return regions;
+  }
+  
+  refineBox(image, box) {
+    // Pixel-accurate edges of a cell-aligned box: the outermost rows and
+    // columns that are at least a third skin, so the same face gives the
+    // same crop wherever it sits on the grid
+    const { width, channels, data } = image;
+    const rows = new Uint32Array(box.height);
+    const cols = new Uint32Array(box.width);
+    
+    for (let y = 0; y < box.height; y++) {
+      for (let x = 0; x < box.width; x++) {
+        const offset = ((box.y + y) * width + box.x + x) * channels;
+        if (isSkin(data[offset], data[offset + 1], data[offset + 2])) {
+          rows[y]++;
+          cols[x]++;
+        }
+      }
+    }
+    
+    const edges = (counts) => {
+      const limit = Math.max(...counts) / 3;
+      const first = counts.findIndex(count => count >= limit);
+      const last = counts.length - 1 - [...counts].reverse().findIndex(count => count >= limit);
+      return [first, last];
+    };
+    const [top, bottom] = edges(rows);
+    const [left, right] = edges(cols);
+    
+    return {
+      x: box.x + left,
+      y: box.y + top,
+      width: right - left + 1,
+      height: bottom - top + 1
+    };
+  }
+  
+  scoreRegion(image, region) {
+    const { x, y, width, height, fill } = region;
+    const aspect = height / width;
+    const [minAspect, maxAspect] = this.config.aspect;
+    
+    if (aspect < minAspect || aspect > maxAspect || fill < this.config.minFill) {
+      return null;
+    }
+    
+    // Eyes: somewhere in the upper part (a beard or a fringe moves them
+    // within the skin), a band whose left and right halves are both
+    // darker than the cheeks under it
+    let contrast = Infinity;
+    for (let top = 0.15; top <= 0.5; top += 0.05) {
+      const eyeTop = y + height * top;
+      const eyeBottom = eyeTop + height * 0.15;
+      const cheeks = meanLuminance(image, x + width * 0.2, eyeBottom + height * 0.05, x + width * 0.8, eyeBottom + height * 0.2);
+      const left = meanLuminance(image, x + width * 0.15, eyeTop, x + width * 0.5, eyeBottom);
+      const right = meanLuminance(image, x + width * 0.5, eyeTop, x + width * 0.85, eyeBottom);
+      contrast = Math.min(contrast, Math.max(left, right) / Math.max(cheeks, 1));
+    }
+    
+    if (contrast > this.config.maxEyeContrast) return null;
+    
+    // Best at an upright oval with clearly darker eyes
+    const shape = 1 - Math.min(1, Math.abs(aspect - 1.3) / 0.7);
+    const oval = 1 - Math.min(1, Math.abs(fill - 0.79) / 0.35);
+    const eyes = Math.min(1, (this.config.maxEyeContrast - contrast) / 0.3);
+    const score = Math.round((0.4 + 0.2 * shape + 0.15 * oval + 0.25 * eyes) * 1e3) / 1e3;
+    
+    return createDetection(image, {
+      label: 'face',
+      score,
+      classId: 'face',
+      boundingBox: { x, y, width, height },
+      detector: this.name
+    });
+  }
+  
+  dispose() {
+    // Nothing to release
+  }
+}
+
+export default SkinFaceDetector;
@@ -0,0 +1,330 @@
+const round = (value) => Math.round(value * 1e4) / 1e4;
+
+// Uniform local binary patterns (at most two 0/1 transitions around the
+// circle) get a bin each; every other pattern shares the last bin
+const UNIFORM_BINS = (() => {
+  const bins = new Uint8Array(256);
+  let next = 0;
+  
+  for (let code = 0; code < 256; code++) {
+    let transitions = 0;
+    for (let bit = 0; bit < 8; bit++) {
+      if (((code >> bit) & 1) !== ((code >> ((bit + 1) % 8)) & 1)) transitions++;
+    }
+    bins[code] = transitions <= 2 ? next++ : 255;
+  }
+  
+  for (let code = 0; code < 256; code++) {
+    if (bins[code] === 255) bins[code] = next;
+  }
+  
+  return { bins, count: next + 1 };
+})();
+
+const NEIGHBORS = [[-1, -1], [0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0]];
+
+/**
+ * Face crop as a fixed-size, contrast-normalized luminance patch
+ * Each patch pixel averages the frame pixels it covers, so the crop is
+ * also smoothed; normalizing takes out lighting and skin tone.
+ * @param {Object} image - Decoded frame
+ * @param {Object} box - { x, y, width, height } of the face in frame pixels
+ * @param {number} size - Patch width and height
+ * @returns {Float32Array} - size * size gray levels around 128
+ */
+export const facePatch = (image, box, size = 48) => {
+  const { width, height, channels, data } = image;
+  const patch = new Float32Array(size * size);
+  const x0 = Math.max(0, box.x);
+  const y0 = Math.max(0, box.y);
+  const stepX = (Math.min(width, box.x + box.width) - x0) / size;
+  const stepY = (Math.min(height, box.y + box.height) - y0) / size;
+  
+  for (let py = 0; py < size; py++) {
+    for (let px = 0; px < size; px++) {
+      const xs = Math.floor(x0 + px * stepX);
+      const ys = Math.floor(y0 + py * stepY);
+      const xe = Math.max(xs + 1, Math.floor(x0 + (px + 1) * stepX));
+      const ye = Math.max(ys + 1, Math.floor(y0 + (py + 1) * stepY));
+      let sum = 0;
+      
+      for (let y = ys; y < ye; y++) {
+        for (let x = xs; x < xe; x++) {
+          const offset = (y * width + x) * channels;
+          sum += channels >= 3
+            ? 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2]
+            : data[offset];
+        }
+      }
+      
+      patch[py * size + px] = sum / ((xe - xs) * (ye - ys));
+    }
+  }
+  
+  // Same contrast whatever the lighting and skin tone: zero mean, a
+  // standard deviation of 32 gray levels around mid-gray
+  const mean = patch.reduce((sum, value) => sum + value, 0) / patch.length;
+  const std = Math.sqrt(patch.reduce((sum, value) => sum + (value - mean) ** 2, 0) / patch.length) || 1;
+  
+  return patch.map(value => 128 + ((value - mean) / std) * 32);
+};
+
+/**
+ * Fixed-length description of a face
+ * Texture of the face (uniform LBP histograms) on a grid of cells, so the
+ * layout of eyes, brows, nose and mouth is kept. Histograms are
+ * square-rooted, which makes Euclidean distance between embeddings the
+ * Hellinger distance between histograms. Neighbors within `tolerance`
+ * gray levels count as equal, so sensor noise on smooth skin reads as
+ * flat rather than as random texture.
+ * @param {Object} image - Decoded frame
+ * @param {Object} box - { x, y, width, height } of the face in frame pixels
+ * @param {Object} options - { size: patch size, grid: cells per side,
+ *   tolerance: gray levels }
+ * @returns {number[]}
+ */
+export const faceEmbedding = (image, box, { size = 48, grid = 4, tolerance = 8 } = {}) => {
+  const patch = facePatch(image, box, size);
+  const cellSize = size / grid;
+  const { bins, count } = UNIFORM_BINS;
+  const histograms = Array.from({ length: grid * grid }, () => new Float32Array(count));
+  
+  for (let y = 1; y < size - 1; y++) {
+    for (let x = 1; x < size - 1; x++) {
+      const center = patch[y * size + x];
+      let code = 0;
+      
+      NEIGHBORS.forEach(([dx, dy], bit) => {
+        if (patch[(y + dy) * size + x + dx] >= center - tolerance) code |= 1 << bit;
+      });
+      
+      // Votes are shared between the nearest cells (bilinearly), so a
+      // feature that shifts a pixel does not jump from one cell to the next
+      const gx = Math.max(0, Math.min(grid - 1, (x + 0.5) / cellSize - 0.5));
+      const gy = Math.max(0, Math.min(grid - 1, (y + 0.5) / cellSize - 0.5));
+      const col = Math.min(grid - 2, Math.floor(gx));
+      const row = Math.min(grid - 2, Math.floor(gy));
+      const wx = gx - col;
+      const wy = gy - row;
+      const bin = bins[code];
+      
+      histograms[row * grid + col][bin] += (1 - wx) * (1 - wy);
+      histograms[row * grid + col + 1][bin] += wx * (1 - wy);
+      histograms[(row + 1) * grid + col][bin] += (1 - wx) * wy;
+      histograms[(row + 1) * grid + col + 1][bin] += wx * wy;
+    }
+  }
+  
+  // Each cell weighs the same, however many pixels it had
+  return histograms.flatMap(histogram => {
+    const sum = histogram.reduce((total, value) => total + value, 0) || 1;
+    return Array.from(histogram, value => round(Math.sqrt(value / sum / (grid * grid))));
+  });
+};
+
+const distance = (a, b) => {
+  let sum = 0;
+  for (let d = 0; d < a.length; d++) {
+    sum += (a[d] - b[d]) ** 2;
+  }
+  return Math.sqrt(sum);
+};
+
+/**
+ * Face Recognizer
+ * Recognizes the people of the household by face, from a few enrolled
+ * photos each. A face is compared with each person's photos; it belongs
+ * to the person with the nearest photo if that is within the person's
+ * threshold and clearly nearer than anyone else. Otherwise it is a
+ * stranger - as long as there is anyone to compare it with. People can be
+ * marked as an owner of the household's pets.
+ */
+export class FaceRecognizer {
+  constructor(options = {}) {
+    // personId -> { name, owner, templates: [{ embedding, createdAt }], threshold }
+    this.people = new Map();
+    
+    this.config = {
+      defaultThreshold: 0.3, // Accepted distance while a person has one photo
+      thresholdScale: 1.25, // Accept up to this times the distance between a person's photos
+      minThreshold: 0.2,
+      maxThreshold: 0.4,
+      minMargin: 0.08, // Next person must be at least this much (relatively) further
+      patchSize: 48,
+      grid: 4,
+      tolerance: 8,
+      maxTemplates: 20,
+      ...options
+    };
+  }
+  
+  embed(image, box) {
+    const { patchSize: size, grid, tolerance } = this.config;
+    return faceEmbedding(image, box, { size, grid, tolerance });
+  }
+  
+  /**
+   * Add a photo of a person's face
+   * @param {string} personId - Person
+   * @param {string} name - Display name
+   * @param {number[]} embedding - Face embedding (see embed)
+   * @param {Object} meta - { owner, createdAt }; owner left out keeps the
+   *   person's current flag
+   * @returns {Object} - Person summary
+   */
+  enroll(personId, name, embedding, meta = {}) {
+    const entry = this.people.get(personId) || { name, owner: false, templates: [] };
+    entry.name = name;
+    entry.owner = meta.owner ?? entry.owner;
+    entry.templates.push({
+      embedding,
+      createdAt: meta.createdAt ?? Date.now()
+    });
+    
+    // Keep the most recent photos
+    if (entry.templates.length > this.config.maxTemplates) {
+      entry.templates.shift();
+    }
+    
+    entry.threshold = this.calibrate(entry.templates);
+    this.people.set(personId, entry);
+    
+    return this.describe(personId);
+  }
+  
+  calibrate(templates) {
+    // Mean distance between a person's own photos
+    if (templates.length < 2) {
+      return this.config.defaultThreshold;
+    }
+    
+    let total = 0;
+    let pairs = 0;
+    for (let i = 0; i < templates.length; i++) {
+      for (let j = i + 1; j < templates.length; j++) {
+        total += distance(templates[i].embedding, templates[j].embedding);
+        pairs++;
+      }
+    }
+    
+    const threshold = (total / pairs) * this.config.thresholdScale;
+    return Math.max(this.config.minThreshold, Math.min(this.config.maxThreshold, threshold));
+  }
+  
+  remove(personId) {
+    return this.people.delete(personId);
+  }
+  
+  has(personId) {
+    return this.people.has(personId);
+  }
+  
+  get size() {
+    return this.people.size;
+  }
+  
+  describe(personId) {
+    const entry = this.people.get(personId);
+    if (!entry) return null;
+    
+    return {
+      personId,
+      name: entry.name,
+      owner: entry.owner,
+      photos: entry.templates.length,
+      threshold: round(entry.threshold),
+      updatedAt: Math.max(...entry.templates.map(t => t.createdAt))
+    };
+  }
+  
+  list() {
+    return Array.from(this.people.keys()).map(personId => this.describe(personId));
+  }
+  
+  /**
+   * Tell whose face it is
+   * @param {number[]} embedding - Face embedding (see embed)
+   * @returns {Object|null} - { known: true, personId, name, owner,
+   *   confidence, distance, alternatives } for a household member,
+   *   { known: false, confidence, distance, nearest } for a stranger
+   *   (confidence: how sure it is nobody known), or null with no one
+   *   enrolled or two people it could equally be
+   */
+  identify(embedding) {
+    if (this.people.size === 0) return null;
+    
+    const scored = [];
+    
+    this.people.forEach((entry, personId) => {
+      const nearest = Math.min(...entry.templates.map(template => distance(embedding, template.embedding)));
+      const relative = nearest / entry.threshold;
+      
+      // 1 at a perfect match, 0.5 at the threshold
+      scored.push({
+        personId,
+        name: entry.name,
+        owner: entry.owner,
+        distance: nearest,
+        relative,
+        confidence: Math.max(0, 1 - relative / 2)
+      });
+    });
+    
+    scored.sort((a, b) => a.distance - b.distance);
+    const [best, runnerUp] = scored;
+    
+    if (best.relative > 1) {
+      // Nobody it could be: surer the further it is from the nearest person
+      return {
+        known: false,
+        confidence: round(Math.min(1, 0.5 + (best.relative - 1))),
+        distance: round(best.distance),
+        nearest: { personId: best.personId, name: best.name }
+      };
+    }
+    
+    if (runnerUp && runnerUp.distance < best.distance * (1 + this.config.minMargin)) return null;
+    
+    return {
+      known: true,
+      personId: best.personId,
+      name: best.name,
+      owner: best.owner,
+      confidence: round(best.confidence),
+      distance: round(best.distance),
+      alternatives: scored.slice(1, 4).map(({ personId, name, confidence }) => ({
+        personId,
+        name,
+        confidence: round(confidence)
+      }))
+    };
+  }
+  
+  serialize() {
+    return {
+      people: Array.from(this.people.entries()).map(([personId, entry]) => ({
+        personId,
+        name: entry.name,
+        owner: entry.owner,
+        templates: entry.templates
+      }))
+    };
+  }
+  
+  restore(data = {}) {
+    this.people.clear();
+    
+    (data.people || []).forEach(({ personId, name, owner, templates }) => {
+      if (!personId || !Array.isArray(templates) || templates.length === 0) return;
+      
+      this.people.set(personId, {
+        name: name || personId,
+        owner: Boolean(owner),
+        templates,
+        threshold: this.calibrate(templates)
+      });
+    });
+  }
+}
+
+export default FaceRecognizer;
@@ -0,0 +1,118 @@
+/**
+ * Binary video frames
+ * Cameras send frames as one binary message each (socket.io `odin:video:frame`
+ * with a binary payload, or an application/octet-stream body to
+ * POST /api/v1/sensory/visual/frame/binary) instead of base64 in JSON:
+ *
+ *   magic 'OF' (2 bytes), protocol version (u8), format (u8: 1 gray,
+ *   3 rgb, 4 rgba, 16 jpeg), width (u16), height (u16), sequence number
+ *   (u32), capture timestamp (f64, ms since the epoch on the sender's
+ *   clock), then the pixels or the JPEG file
+ *
+ * Numbers are little-endian. Width and height are informational for JPEG
+ * frames (the image says its own size) and may be 0.
+ */
+
+export const FRAME_PROTOCOL_VERSION = 1;
+export const FRAME_HEADER_LENGTH = 20;
+
+const MAGIC = [0x4f, 0x46]; // 'OF'
+
+export const FRAME_FORMATS = {
+  gray: 1,
+  rgb: 3,
+  rgba: 4,
+  jpeg: 16
+};
+
+const FORMAT_NAMES = Object.fromEntries(Object.entries(FRAME_FORMATS).map(([name, code]) => [code, name]));
+
+const invalidFrame = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_FRAME';
+  return error;
+};
+
+const toBuffer = (message) => {
+  if (Buffer.isBuffer(message)) return message;
+  if (ArrayBuffer.isView(message)) return Buffer.from(message.buffer, message.byteOffset, message.byteLength);
+  if (message instanceof ArrayBuffer) return Buffer.from(message);
+  return null;
+};
+
+/**
+ * Whether a message is a binary frame (rather than a frameData object)
+ */
+export const isBinaryFrame = (message) => toBuffer(message) !== null;
+
+/**
+ * Read a binary frame
+ * @param {Buffer|ArrayBuffer|Uint8Array} message - Header and payload
+ * @returns {Object} - frameData { width, height, format, data, sequence,
+ *   timestamp } for the visual cortex; data is a view of the message
+ * @throws {Error} - code INVALID_FRAME for a malformed header
+ */
+export const decodeFrameMessage = (message) => {
+  const buffer = toBuffer(message);
+  
+  if (!buffer || buffer.length < FRAME_HEADER_LENGTH || buffer[0] !== MAGIC[0] || buffer[1] !== MAGIC[1]) {
+    throw invalidFrame('Not a binary video frame');
+  }
+  
+  const version = buffer.readUInt8(2);
+  if (version !== FRAME_PROTOCOL_VERSION) {
+    throw invalidFrame(`Unsupported frame protocol version ${version}`);
+  }
+  
+  const format = FORMAT_NAMES[buffer.readUInt8(3)];
+  if (!format) {
+    throw invalidFrame(`Unknown frame format code ${buffer.readUInt8(3)}`);
+  }
+  
+  return {
+    width: buffer.readUInt16LE(4),
+    height: buffer.readUInt16LE(6),
+    format,
+    sequence: buffer.readUInt32LE(8),
+    timestamp: buffer.readDoubleLE(12),
+    data: buffer.subarray(FRAME_HEADER_LENGTH)
+  };
+};
+
+/**
+ * Write a binary frame (for clients and tools written against this server)
+ * @param {Object} frame - { width, height, format, sequence, timestamp, data }
+ * @returns {Buffer}
+ */
+export const encodeFrameMessage = ({ width = 0, height = 0, format, sequence = 0, timestamp = Date.now(), data }) => {
+  const code = FRAME_FORMATS[format];
+  const payload = toBuffer(data);
+  
+  if (!code) {
+    throw invalidFrame(`Unknown frame format ${format}`);
+  }
+  if (!payload) {
+    throw invalidFrame('Frame data must be bytes');
+  }
+  
+  const header = Buffer.alloc(FRAME_HEADER_LENGTH);
+  header[0] = MAGIC[0];
+  header[1] = MAGIC[1];
+  header.writeUInt8(FRAME_PROTOCOL_VERSION, 2);
+  header.writeUInt8(code, 3);
+  header.writeUInt16LE(width, 4);
+  header.writeUInt16LE(height, 6);
+  header.writeUInt32LE(sequence >>> 0, 8);
+  header.writeDoubleLE(timestamp, 12);
+  
+  return Buffer.concat([header, payload]);
+};
+
+export default {
+  FRAME_PROTOCOL_VERSION,
+  FRAME_HEADER_LENGTH,
+  FRAME_FORMATS,
+  isBinaryFrame,
+  decodeFrameMessage,
+  encodeFrameMessage
+};
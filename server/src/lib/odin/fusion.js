@@ -1,4 +1,14 @@
 import EventEmitter from 'events';
+import { createRuntime } from '../runtime/index.js';
+import { readJson, writeJsonAtomic } from '../../utils/atomicFile.js';
+import { CausalLearner } from './causalLearner.js';
+
+// Camera's horizontal field of view from ODIN_CAMERA_FOV (degrees), 60
+// (a typical webcam) when unset
+const readFieldOfView = () => {
+  const fov = parseFloat(process.env.ODIN_CAMERA_FOV);
+  return Number.isFinite(fov) && fov > 0 && fov <= 180 ? fov : 60;
+};
 
 /**
  * Sensory Fusion - Gungnir (Odin's Spear)
@@ -6,9 +16,13 @@ import EventEmitter from 'events';
  * Creates cross-modal bindings and emergent perceptual features
  */
 export class SensoryFusion extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
     
+    const runtime = options.runtime || createRuntime();
+    this.random = runtime.random;
+    this.clock = runtime.clock;
+    
     this.isActive = false;
     
     // Fusion state
@@ -42,7 +56,23 @@ export class SensoryFusion extends EventEmitter {
       coherenceThreshold: 0.6,
       associationStrength: 0.5,
       attentionDecay: 0.95,
-      maxPerceptualMoments: 10
+      maxPerceptualMoments: 10,
+      resolution: options.resolution || { width: 640, height: 480 }, // Camera frame size, for positions in view
+      cameraFieldOfView: options.cameraFieldOfView ?? readFieldOfView(), // Horizontal, degrees
+      azimuthTolerance: 30, // Degrees between a sound and a seen object at which they stop matching
+      minJitterMs: 20, // Shortest hold of timestamped inputs before fusing them
+      maxJitterMs: 250, // Longest, however late inputs arrive
+      anticipationStrength: 0.2 // Learned relations this strong (0-1) make their effect expected
+    };
+    
+    // Jitter buffer: timestamped inputs wait here, in capture order, so
+    // ones overtaken on the network are fused in the order they happened
+    this.jitterBuffer = {
+      pending: [],
+      holdMs: this.config.minJitterMs,
+      lateness: 0, // Average ms from capture to arrival
+      releasedUntil: -Infinity, // Capture time of the last input released
+      timer: null
     };
     
     // Statistics
@@ -50,16 +80,33 @@ export class SensoryFusion extends EventEmitter {
       bindingsCreated: 0,
       perceptsFormed: 0,
       attentionSwitches: 0,
-      coherenceScore: 1.0
+      coherenceScore: 1.0,
+      reorderedPackets: 0, // Put back in capture order by the jitter buffer
+      latePackets: 0 // Arrived after the jitter buffer had moved past them
     };
     
     // Emergent features
     this.emergentFeatures = {
       objectPermanence: new Map(), // Track objects across time
-      causalRelations: [], // Detect cause-effect relationships
+      causalRelations: [], // Learned cause-effect relationships (see causalLearner.js)
       patterns: new Map(), // Cross-modal patterns
-      predictions: [] // Predicted next states
+      predictions: [] // Predicted next states, waiting to be checked
     };
+    
+    // How the predictions turned out
+    this.predictionStats = {
+      made: 0,
+      confirmed: 0,
+      missed: 0,
+      totalSurprise: 0,
+      byType: {}
+    };
+    this.predictionCounter = 0;
+    
+    // What follows what, learned from the events perceived (persisted at
+    // causalPath)
+    this.causalLearner = new CausalLearner(options.causal);
+    this.causalPath = options.causalPath || null;
   }
   
   async initialize() {
@@ -68,6 +115,9 @@ export class SensoryFusion extends EventEmitter {
     // Initialize fusion systems
     this.initializeFusionSystems();
     
+    // Cause and effect learned before
+    await this.loadCausalRelations();
+    
     // Start fusion processing
     this.startFusionLoop();
     
@@ -83,51 +133,126 @@ export class SensoryFusion extends EventEmitter {
     console.log('   Initializing Predictive Processing...');
   }
   
+  /**
+   * Take in processed visual data
+   * @param {Object} visualData - From the visual cortex; capturedAt (ms,
+   *   on this clock) when the frame said when it was captured
+   */
   processVisual(visualData) {
-    // Add visual data to buffer with timestamp
-    this.visualBuffer.push({
-      ...visualData,
-      timestamp: Date.now(),
-      modality: 'visual'
-    });
+    this.receive({ ...visualData, modality: 'visual' });
+  }
+  
+  /**
+   * Take in processed audio data
+   * @param {Object} audioData - From the auditory cortex; capturedAt as
+   *   for processVisual
+   */
+  processAuditory(audioData) {
+    this.receive({ ...audioData, modality: 'auditory' });
+  }
+  
+  receive(entry) {
+    const now = this.clock.now();
+    const capturedAt = Number.isFinite(entry.capturedAt) ? Math.min(entry.capturedAt, now) : null;
+    
+    entry.timestamp = capturedAt ?? now;
+    entry.receivedAt = now;
+    
+    // Without a capture time there is nothing to reorder by: fuse it as
+    // it arrives
+    if (capturedAt === null) {
+      this.admit(entry);
+      return;
+    }
     
-    // Maintain buffer size
-    if (this.visualBuffer.length > 30) {
-      this.visualBuffer.shift();
+    // How late inputs arrive after their capture sets how long the jitter
+    // buffer holds them
+    const jitter = this.jitterBuffer;
+    jitter.lateness += ((now - capturedAt) - jitter.lateness) * 0.1;
+    jitter.holdMs = Math.round(Math.max(this.config.minJitterMs, Math.min(this.config.maxJitterMs, jitter.lateness * 2)));
+    
+    // Arrived after inputs captured later than it were already fused: too
+    // late to wait for, so it goes straight in at its place
+    if (entry.timestamp < jitter.releasedUntil) {
+      this.stats.latePackets++;
+      this.admit(entry);
+      return;
+    }
+    
+    // Hold it, in capture order, until anything captured before it has
+    // had time to arrive
+    let index = jitter.pending.length;
+    while (index > 0 && jitter.pending[index - 1].timestamp > entry.timestamp) {
+      index--;
+    }
+    if (index < jitter.pending.length) {
+      this.stats.reorderedPackets++;
     }
+    jitter.pending.splice(index, 0, entry);
     
-    // Attempt fusion with recent auditory data
-    this.attemptFusion('visual');
+    this.releaseJitterBuffer();
   }
   
-  processAuditory(audioData) {
-    // Add auditory data to buffer with timestamp
-    this.auditoryBuffer.push({
-      ...audioData,
-      timestamp: Date.now(),
-      modality: 'auditory'
-    });
+  /**
+   * Fuse the held inputs whose hold is over, oldest capture first, and
+   * come back for the rest
+   */
+  releaseJitterBuffer() {
+    const jitter = this.jitterBuffer;
+    const now = this.clock.now();
+    
+    while (jitter.pending.length > 0 && now - jitter.pending[0].timestamp >= jitter.holdMs) {
+      const entry = jitter.pending.shift();
+      jitter.releasedUntil = entry.timestamp;
+      this.admit(entry);
+    }
+    
+    this.clock.clearTimeout(jitter.timer);
+    jitter.timer = null;
+    
+    if (jitter.pending.length > 0 && this.isActive) {
+      const wait = Math.max(1, jitter.pending[0].timestamp + jitter.holdMs - now);
+      jitter.timer = this.clock.setTimeout(() => this.releaseJitterBuffer(), wait);
+    }
+  }
+  
+  admit(entry) {
+    const buffer = entry.modality === 'visual' ? this.visualBuffer : this.auditoryBuffer;
+    
+    // Keep the buffer in capture order
+    let index = buffer.length;
+    while (index > 0 && buffer[index - 1].timestamp > entry.timestamp) {
+      index--;
+    }
+    buffer.splice(index, 0, entry);
     
     // Maintain buffer size
-    if (this.auditoryBuffer.length > 30) {
-      this.auditoryBuffer.shift();
+    if (buffer.length > 30) {
+      buffer.shift();
+    }
+    
+    // What began, for learning what follows what
+    this.detectCausalRelations(entry);
+    
+    // A sound someone expected to hear
+    if (entry.modality === 'auditory') {
+      this.checkPredictions({ audio: entry });
     }
     
-    // Attempt fusion with recent visual data
-    this.attemptFusion('auditory');
+    // Attempt fusion with the other modality's data from around then
+    this.attemptFusion(entry.modality, entry.timestamp);
   }
   
-  attemptFusion(triggerModality) {
+  attemptFusion(triggerModality, time = this.clock.now()) {
     // Try to create cross-modal bindings
-    const now = Date.now();
     const bindings = [];
     
-    // Get recent data from both modalities
+    // Get data from both modalities captured around the same time
     const recentVisual = this.visualBuffer.filter(v => 
-      now - v.timestamp < this.config.fusionWindowMs
+      Math.abs(time - v.timestamp) < this.config.fusionWindowMs
     );
     const recentAudio = this.auditoryBuffer.filter(a => 
-      now - a.timestamp < this.config.fusionWindowMs
+      Math.abs(time - a.timestamp) < this.config.fusionWindowMs
     );
     
     // Create bindings based on temporal and spatial coherence
@@ -165,6 +290,77 @@ export class SensoryFusion extends EventEmitter {
     }
   }
   
+  /**
+   * Direction of a horizontal position in the camera frame, in degrees
+   * like a sound's azimuth: 0 mid-frame, minus half the field of view at
+   * the left edge (the camera and the microphones face the same way)
+   */
+  visualAzimuth(x) {
+    return (x / this.config.resolution.width - 0.5) * this.config.cameraFieldOfView;
+  }
+  
+  /**
+   * How well a sound's direction matches something in view
+   * @param {Object} visual - Buffered visual data (attention, objects)
+   * @param {Object} sound - Identified sound (azimuth and direction when
+   *   heard in stereo, location otherwise)
+   * @returns {Object} - { coherence: 0-1, source: { target, azimuth } of
+   *   the best-matching thing in view (stereo sounds only), or null }
+   */
+  matchSoundToView(visual, sound) {
+    // Where things are: the attended point and every object's center
+    const positions = [];
+    if (visual.attention) {
+      positions.push({ target: visual.attention.target, x: visual.attention.x });
+    }
+    (visual.objects || []).forEach(obj => {
+      if (obj.boundingBox) {
+        positions.push({ target: obj.type, x: obj.boundingBox.x + obj.boundingBox.width / 2 });
+      }
+    });
+    
+    if (positions.length === 0) {
+      return { coherence: 0, source: null };
+    }
+    
+    if (typeof sound.azimuth === 'number') {
+      // The thing nearest in direction; full match straight on, none from
+      // azimuthTolerance away, weighed by how sure the direction is
+      const certainty = sound.direction?.confidence ?? 1;
+      let best = { coherence: 0, source: null };
+      
+      positions.forEach(({ target, x }) => {
+        const azimuth = this.visualAzimuth(x);
+        const coherence = Math.max(0, 1 - Math.abs(azimuth - sound.azimuth) / this.config.azimuthTolerance) * certainty;
+        
+        if (coherence > best.coherence) {
+          best = { coherence, source: { target, azimuth: Math.round(azimuth * 10) / 10 } };
+        }
+      });
+      
+      return best;
+    }
+    
+    // Mono: only which side the sound is on, against the attended point
+    if (!visual.attention) {
+      return { coherence: 0, source: null };
+    }
+    
+    const soundDirection = sound.location || 'center';
+    const visualX = Math.max(0, Math.min(1, visual.attention.x / this.config.resolution.width));
+    let coherence = 0;
+    
+    if (soundDirection === 'left' && visualX < 0.5) {
+      coherence = 1 - visualX;
+    } else if (soundDirection === 'right' && visualX > 0.5) {
+      coherence = visualX;
+    } else if (soundDirection === 'center') {
+      coherence = 1 - Math.abs(visualX - 0.5) * 2;
+    }
+    
+    return { coherence, source: null };
+  }
+  
   createBinding(visual, audio) {
     // Create cross-modal binding between visual and auditory data
     const binding = {
@@ -175,26 +371,23 @@ export class SensoryFusion extends EventEmitter {
       confidence: 0
     };
     
-    // Temporal coherence - events close in time are likely related
-    const timeDiff = Math.abs(visual.timestamp - audio.timestamp);
+    // Temporal coherence - events close in time are likely related. The
+    // offset is measured between capture times when both inputs had them,
+    // arrival times otherwise (positive: the sound came after the image).
+    binding.audioVisualOffset = audio.timestamp - visual.timestamp;
+    binding.captureAligned = Number.isFinite(visual.capturedAt) && Number.isFinite(audio.capturedAt);
+    const timeDiff = Math.abs(binding.audioVisualOffset);
     const temporalCoherence = 1 - (timeDiff / this.config.fusionWindowMs);
     
     // Spatial coherence - check if sound source matches visual location
     let spatialCoherence = 0;
     
-    if (visual.attention && audio.sounds && audio.sounds.length > 0) {
-      // Check if visual attention aligns with sound direction
-      const soundDirection = audio.sounds[0].location || 'center';
-      const visualX = visual.attention.x / 640; // Normalize
-      
-      if (soundDirection === 'left' && visualX < 0.5) {
-        spatialCoherence = 1 - visualX;
-      } else if (soundDirection === 'right' && visualX > 0.5) {
-        spatialCoherence = visualX;
-      } else if (soundDirection === 'center') {
-        spatialCoherence = 1 - Math.abs(visualX - 0.5) * 2;
-      }
+    if (audio.sounds && audio.sounds.length > 0) {
+      const match = this.matchSoundToView(visual, audio.sounds[0]);
+      spatialCoherence = match.coherence;
+      binding.source = match.source;
     }
+    binding.spatialCoherence = spatialCoherence;
     
     // Content coherence - check if content matches
     let contentCoherence = 0;
@@ -236,9 +429,10 @@ export class SensoryFusion extends EventEmitter {
   createUnifiedPercept(bindings) {
     // Create unified perceptual moment from bindings
     const percept = {
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       bindings: bindings,
       summary: {},
+      people: this.collectPeople(bindings),
       confidence: 0,
       novelty: 0
     };
@@ -251,11 +445,14 @@ export class SensoryFusion extends EventEmitter {
     const bindingTypes = bindings.map(b => b.type);
     
     if (bindingTypes.includes('speaking_face')) {
+      const names = percept.people.map(person => person.name);
+      
       percept.summary = {
         type: 'social_interaction',
-        description: 'Someone is speaking',
+        description: names.length > 0 ? `${names.join(' and ')} ${names.length === 1 ? 'is' : 'are'} here, speaking` : 'Someone is speaking',
         modalities: ['visual', 'auditory'],
-        emotion: bindings[0].audio.emotion?.label || 'neutral'
+        emotion: bindings[0].audio.emotion?.label || 'neutral',
+        people: percept.people.map(person => person.personId)
       };
       percept.confidence = 0.9;
     } else if (bindingTypes.includes('moving_sound_source')) {
@@ -296,6 +493,25 @@ export class SensoryFusion extends EventEmitter {
     return percept;
   }
   
+  collectPeople(bindings) {
+    // Household members whose faces were recognized in the bound frames
+    const people = new Map();
+    
+    bindings.forEach(binding => {
+      (binding.visual?.objects || []).forEach(obj => {
+        if (obj.person?.known && !people.has(obj.person.personId)) {
+          people.set(obj.person.personId, {
+            personId: obj.person.personId,
+            name: obj.person.name,
+            owner: obj.person.owner
+          });
+        }
+      });
+    });
+    
+    return Array.from(people.values());
+  }
+  
   calculateNovelty(percept) {
     // Calculate how novel this percept is
     let novelty = 0.5; // Base novelty
@@ -358,7 +574,7 @@ export class SensoryFusion extends EventEmitter {
         type: percept.summary.type,
         target: percept.summary.description,
         saliency: saliency,
-        timestamp: Date.now()
+        timestamp: this.clock.now()
       };
       
       this.stats.attentionSwitches++;
@@ -379,13 +595,13 @@ export class SensoryFusion extends EventEmitter {
             
             if (!this.emergentFeatures.objectPermanence.has(objKey)) {
               this.emergentFeatures.objectPermanence.set(objKey, {
-                firstSeen: Date.now(),
-                lastSeen: Date.now(),
+                firstSeen: this.clock.now(),
+                lastSeen: this.clock.now(),
                 encounters: 1
               });
             } else {
               const tracking = this.emergentFeatures.objectPermanence.get(objKey);
-              tracking.lastSeen = Date.now();
+              tracking.lastSeen = this.clock.now();
               tracking.encounters++;
             }
           });
@@ -393,53 +609,120 @@ export class SensoryFusion extends EventEmitter {
       });
     }
     
-    // Detect causal relations
-    this.detectCausalRelations(percept);
-    
     // Learn cross-modal patterns
     this.learnCrossModalPatterns(percept);
     
     // Generate predictions
+    this.checkPredictions({ percept });
     this.generatePredictions(percept);
   }
   
-  detectCausalRelations(percept) {
-    // Detect cause-effect relationships between modalities
-    const recentPercepts = this.fusionState.perceptualMoments.slice(-3);
-    
-    if (recentPercepts.length >= 2) {
-      const prev = recentPercepts[recentPercepts.length - 2];
-      const curr = percept;
+  /**
+   * Learn cause and effect from the events an input carries (see
+   * causalLearner.js), and anticipate what the ones that just began
+   * usually bring
+   */
+  detectCausalRelations(entry) {
+    const onsets = this.causalLearner.observe(this.sensoryEvents(entry), entry.timestamp);
+    if (onsets.length === 0) return;
+    
+    // Something a cause was predicted to bring
+    this.checkPredictions({ events: onsets });
+    
+    onsets.forEach(cause => {
+      const relations = this.causalLearner.getRelations({ cause })
+        .filter(relation => relation.strength >= this.config.anticipationStrength);
       
-      // Check for motion -> sound causality
-      if (prev.summary.type === 'visual_only' && 
-          curr.summary.type === 'moving_sound_source') {
-        this.emergentFeatures.causalRelations.push({
-          cause: 'motion',
-          effect: 'sound',
-          confidence: 0.7,
-          timestamp: Date.now()
+      relations.forEach(relation => {
+        this.addPrediction({
+          type: 'causal_effect',
+          cause,
+          effect: relation.effect,
+          confidence: relation.probability,
+          timeframe: relation.lag.max
         });
-      }
-      
-      // Check for sound -> visual attention causality
-      if (prev.summary.type === 'audio_only' && 
-          curr.summary.type === 'dynamic_object') {
-        this.emergentFeatures.causalRelations.push({
-          cause: 'sound',
-          effect: 'visual_attention',
-          confidence: 0.6,
-          timestamp: Date.now()
+        
+        this.emit('anticipation', {
+          cause,
+          effect: relation.effect,
+          expectedWithin: relation.lag,
+          probability: relation.probability,
+          strength: relation.strength,
+          timestamp: this.clock.now()
         });
+      });
+    });
+  }
+  
+  /**
+   * The events in an input, named the way ghost-loop triggers are:
+   * see_<object>, see_<personId> (and see_owner) or see_stranger for
+   * faces, motion, and hear_<sound>
+   */
+  sensoryEvents(entry) {
+    const events = [];
+    const name = (label) => String(label).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    
+    if (entry.modality === 'visual') {
+      (entry.objects || []).forEach(obj => {
+        if (obj.type !== 'face') {
+          events.push(`see_${name(obj.label || obj.type)}`);
+        } else if (!obj.person) {
+          events.push('see_face');
+        } else if (!obj.person.known) {
+          events.push('see_stranger');
+        } else {
+          events.push(`see_${name(obj.person.personId)}`);
+          if (obj.person.owner) events.push('see_owner');
+        }
+      });
+      
+      if (entry.motion?.moving) {
+        events.push('motion');
       }
+    } else {
+      (entry.sounds || []).forEach(sound => {
+        events.push(`hear_${name(sound.label || sound.type)}`);
+      });
     }
     
-    // Keep causal relations limited
-    if (this.emergentFeatures.causalRelations.length > 20) {
-      this.emergentFeatures.causalRelations.shift();
+    return events;
+  }
+  
+  /**
+   * Learned cause-and-effect relations
+   * @param {Object} filters - { cause, effect, all } (see
+   *   CausalLearner.getRelations)
+   */
+  getCausalRelations(filters = {}) {
+    return {
+      relations: this.causalLearner.getRelations(filters),
+      ...this.causalLearner.getStats()
+    };
+  }
+  
+  async loadCausalRelations() {
+    if (!this.causalPath) return;
+    
+    try {
+      this.causalLearner.restore(await readJson(this.causalPath, {}));
+      
+      const count = this.causalLearner.getRelations().length;
+      if (count > 0) {
+        console.log(`   Loaded ${count} learned cause-and-effect relation${count === 1 ? '' : 's'}`);
+      }
+    } catch (error) {
+      console.warn(`⚠️ Could not load causal relations from ${this.causalPath}: ${error.message}`);
     }
   }
   
+  async saveCausalRelations() {
+    if (!this.causalPath || !this.causalLearner.dirty) return;
+    
+    this.causalLearner.dirty = false;
+    await writeJsonAtomic(this.causalPath, this.causalLearner.serialize());
+  }
+  
   learnCrossModalPatterns(percept) {
     // Learn patterns across modalities
     const patternKey = `${percept.summary.type}_pattern`;
@@ -449,25 +732,25 @@ export class SensoryFusion extends EventEmitter {
         occurrences: 1,
         averageConfidence: percept.confidence,
         typicalDuration: 0,
-        lastSeen: Date.now()
+        lastSeen: this.clock.now()
       });
     } else {
       const pattern = this.emergentFeatures.patterns.get(patternKey);
       pattern.occurrences++;
       pattern.averageConfidence = (pattern.averageConfidence + percept.confidence) / 2;
-      pattern.lastSeen = Date.now();
+      pattern.lastSeen = this.clock.now();
     }
   }
   
   generatePredictions(percept) {
     // Generate predictions about what might happen next
-    this.emergentFeatures.predictions = [];
+    const candidates = [];
     
     // Based on learned patterns
     this.emergentFeatures.patterns.forEach((pattern, key) => {
       if (pattern.occurrences > 3) {
         // This pattern is established, predict it might continue
-        this.emergentFeatures.predictions.push({
+        candidates.push({
           type: 'pattern_continuation',
           pattern: key,
           confidence: pattern.averageConfidence,
@@ -479,15 +762,164 @@ export class SensoryFusion extends EventEmitter {
     // Based on causal relations
     if (percept.summary.type === 'visual_only' && percept.bindings[0]?.visual?.motion) {
       // Predict sound might follow motion
-      this.emergentFeatures.predictions.push({
+      candidates.push({
         type: 'expected_sound',
         confidence: 0.5,
         timeframe: 500
       });
     }
     
+    candidates.forEach(candidate => this.addPrediction(candidate));
+  }
+  
+  /**
+   * Make a prediction, with a deadline to come true by; one still waiting
+   * is not made again
+   * @param {Object} candidate - { type, confidence, timeframe: ms } and
+   *   what it is about (pattern, or cause and effect)
+   */
+  addPrediction(candidate) {
+    const now = this.clock.now();
+    const pending = this.emergentFeatures.predictions;
+    const waiting = pending.some(prediction => 
+      prediction.type === candidate.type &&
+      prediction.pattern === candidate.pattern &&
+      prediction.effect === candidate.effect
+    );
+    
     // Keep predictions limited
-    this.emergentFeatures.predictions = this.emergentFeatures.predictions.slice(0, 5);
+    if (waiting || pending.length >= 5) return;
+    
+    pending.push({
+      ...candidate,
+      id: `prediction_${++this.predictionCounter}`,
+      createdAt: now,
+      deadline: now + candidate.timeframe
+    });
+    
+    this.countPrediction(candidate.type, 'made');
+  }
+  
+  /**
+   * Whether an observation is what a prediction said would happen
+   * @param {Object} prediction - A pending prediction
+   * @param {Object} observation - { percept }, { audio } (buffered
+   *   auditory data) or { events } (names of events that just began)
+   */
+  predictionMet(prediction, { percept, audio, events }) {
+    switch (prediction.type) {
+      case 'pattern_continuation':
+        return Boolean(percept) && `${percept.summary.type}_pattern` === prediction.pattern;
+        
+      case 'expected_sound':
+        if (audio) {
+          return audio.sounds?.length > 0 || audio.volume > 0.3;
+        }
+        return Boolean(percept?.summary.modalities?.includes('auditory'));
+        
+      case 'causal_effect':
+        return Boolean(events?.includes(prediction.effect));
+        
+      default:
+        return false;
+    }
+  }
+  
+  /**
+   * Score the pending predictions an observation makes come true
+   */
+  checkPredictions(observation) {
+    const pending = this.emergentFeatures.predictions;
+    if (pending.length === 0) return;
+    
+    this.emergentFeatures.predictions = pending.filter(prediction => {
+      if (!this.predictionMet(prediction, observation)) return true;
+      
+      this.resolvePrediction(prediction, 'confirmed');
+      return false;
+    });
+  }
+  
+  /**
+   * Score the pending predictions whose deadline passed without them
+   * coming true. Inputs captured before the deadline may still be in the
+   * jitter buffer, so they get that much longer.
+   */
+  expirePredictions() {
+    const now = this.clock.now();
+    const grace = this.jitterBuffer.pending.length > 0 ? this.jitterBuffer.holdMs : 0;
+    
+    this.emergentFeatures.predictions = this.emergentFeatures.predictions.filter(prediction => {
+      if (now <= prediction.deadline + grace) return true;
+      
+      this.resolvePrediction(prediction, 'missed');
+      return false;
+    });
+  }
+  
+  /**
+   * Record how a prediction turned out, and how surprising that was: the
+   * prediction error, 1 - confidence when it came true and the confidence
+   * itself when it did not
+   */
+  resolvePrediction(prediction, outcome) {
+    const now = this.clock.now();
+    const confidence = Math.max(0, Math.min(1, prediction.confidence ?? 0.5));
+    const error = outcome === 'confirmed' ? 1 - confidence : confidence;
+    
+    this.countPrediction(prediction.type, outcome);
+    this.predictionStats.totalSurprise += error;
+    
+    this.emit('surprise', {
+      prediction: {
+        id: prediction.id,
+        type: prediction.type,
+        pattern: prediction.pattern ?? null,
+        cause: prediction.cause ?? null,
+        effect: prediction.effect ?? null,
+        confidence,
+        createdAt: prediction.createdAt,
+        deadline: prediction.deadline
+      },
+      outcome,
+      error: Math.round(error * 1000) / 1000,
+      latency: outcome === 'confirmed' ? now - prediction.createdAt : null,
+      timestamp: now
+    });
+  }
+  
+  countPrediction(type, field) {
+    const stats = this.predictionStats;
+    
+    if (!stats.byType[type]) {
+      stats.byType[type] = { made: 0, confirmed: 0, missed: 0 };
+    }
+    
+    stats[field]++;
+    stats.byType[type][field]++;
+  }
+  
+  /**
+   * Prediction accuracy: overall and per kind of prediction, the share of
+   * checked predictions that came true, and the average surprise
+   */
+  getPredictionStats() {
+    const { made, confirmed, missed, totalSurprise, byType } = this.predictionStats;
+    const accuracy = (hits, misses) => (hits + misses > 0 ? Math.round(hits / (hits + misses) * 1000) / 1000 : null);
+    const checked = confirmed + missed;
+    
+    return {
+      made,
+      confirmed,
+      missed,
+      pending: this.emergentFeatures.predictions.length,
+      accuracy: accuracy(confirmed, missed),
+      averageSurprise: checked > 0 ? Math.round(totalSurprise / checked * 1000) / 1000 : null,
+      byType: Object.fromEntries(Object.entries(byType).map(([type, counts]) => [
+        type,
+        { ...counts, accuracy: accuracy(counts.confirmed, counts.missed) }
+      ]))
+    };
   }
   
   learnAssociation(visual, audio, binding) {
@@ -498,14 +930,14 @@ export class SensoryFusion extends EventEmitter {
       this.associations.set(key, {
         strength: binding.strength,
         occurrences: 1,
-        lastSeen: Date.now(),
+        lastSeen: this.clock.now(),
         examples: []
       });
     } else {
       const association = this.associations.get(key);
       association.strength = (association.strength + binding.strength) / 2;
       association.occurrences++;
-      association.lastSeen = Date.now();
+      association.lastSeen = this.clock.now();
     }
     
     // Store example (keep limited)
@@ -514,14 +946,14 @@ export class SensoryFusion extends EventEmitter {
       association.examples.push({
         visual: visual.summary || visual.scene,
         audio: audio.classification || audio.sounds,
-        timestamp: Date.now()
+        timestamp: this.clock.now()
       });
     }
   }
   
   startFusionLoop() {
     // Main fusion processing loop
-    setInterval(() => {
+    this.fusionInterval = this.clock.setInterval(() => {
       if (this.isActive) {
         // Update coherence measures
         this.updateCoherence();
@@ -531,13 +963,23 @@ export class SensoryFusion extends EventEmitter {
         
         // Check for timeout situations
         this.checkTimeouts();
+        
+        // Predictions that ran out of time
+        this.expirePredictions();
       }
     }, 100); // 10Hz
+    
+    // Save what was learned now and then, not on every event
+    this.causalSaveInterval = this.clock.setInterval(() => {
+      this.saveCausalRelations().catch(error => {
+        console.error('Failed to save causal relations:', error.message);
+      });
+    }, 60000);
   }
   
   updateCoherence() {
     // Update temporal and spatial coherence measures
-    const now = Date.now();
+    const now = this.clock.now();
     
     // Temporal coherence - how synchronized are the modalities
     if (this.visualBuffer.length > 0 && this.auditoryBuffer.length > 0) {
@@ -548,13 +990,14 @@ export class SensoryFusion extends EventEmitter {
       this.fusionState.temporalCoherence = Math.max(0, 1 - timeDiff / 1000);
     }
     
-    // Spatial coherence - derived from recent bindings
+    // Spatial coherence - how well recent sounds' directions matched
+    // what was in view
     if (this.fusionState.crossModalBindings.length > 0) {
-      const avgStrength = this.fusionState.crossModalBindings.reduce(
-        (sum, b) => sum + b.strength, 0
+      const avgSpatial = this.fusionState.crossModalBindings.reduce(
+        (sum, b) => sum + (b.spatialCoherence ?? 0), 0
       ) / this.fusionState.crossModalBindings.length;
       
-      this.fusionState.spatialCoherence = avgStrength;
+      this.fusionState.spatialCoherence = avgSpatial;
     }
     
     // Overall coherence score
@@ -564,7 +1007,7 @@ export class SensoryFusion extends EventEmitter {
   
   cleanOldData() {
     // Remove old data from buffers
-    const now = Date.now();
+    const now = this.clock.now();
     const maxAge = 5000; // 5 seconds
     
     this.visualBuffer = this.visualBuffer.filter(v => 
@@ -575,6 +1018,10 @@ export class SensoryFusion extends EventEmitter {
       now - a.timestamp < maxAge
     );
     
+    // Count cause-and-effect trials that are over (allowing for inputs
+    // still in the jitter buffer)
+    this.causalLearner.settle(now - this.jitterBuffer.holdMs);
+    
     // Clean old object permanence tracking
     this.emergentFeatures.objectPermanence.forEach((tracking, key) => {
       if (now - tracking.lastSeen > 10000) { // 10 seconds
@@ -585,7 +1032,7 @@ export class SensoryFusion extends EventEmitter {
   
   checkTimeouts() {
     // Check for sensory timeouts
-    const now = Date.now();
+    const now = this.clock.now();
     
     if (this.visualBuffer.length > 0) {
       const lastVisual = this.visualBuffer[this.visualBuffer.length - 1];
@@ -603,19 +1050,39 @@ export class SensoryFusion extends EventEmitter {
   }
   
   getFusionState() {
+    // The strongest learned relations
+    this.emergentFeatures.causalRelations = this.causalLearner.getRelations().slice(0, 20);
+    
     return {
       fusionState: this.fusionState,
       attention: this.attention,
       emergentFeatures: this.emergentFeatures,
       associations: Array.from(this.associations.entries()),
+      jitterBuffer: {
+        holdMs: this.jitterBuffer.holdMs,
+        pending: this.jitterBuffer.pending.length,
+        lateness: Math.round(this.jitterBuffer.lateness)
+      },
+      predictions: this.getPredictionStats(),
       stats: this.stats
     };
   }
   
   async shutdown() {
     this.isActive = false;
+    this.clock.clearInterval(this.fusionInterval);
+    this.clock.clearInterval(this.causalSaveInterval);
+    this.clock.clearTimeout(this.jitterBuffer.timer);
+    this.jitterBuffer.pending = [];
     this.visualBuffer = [];
     this.auditoryBuffer = [];
+    
+    try {
+      await this.saveCausalRelations();
+    } catch (error) {
+      console.error('Failed to save causal relations:', error.message);
+    }
+    
     this.removeAllListeners();
   }
 }
@@ -0,0 +1,890 @@
+/**
+ * Image processing for the Visual Cortex
+ * Pure functions over raw frames: decoding, grayscale, Canny-style edge
+ * detection (Sobel gradients, non-maximum suppression, hysteresis),
+ * contour-based shape fitting, frame-difference motion analysis and color
+ * description.
+ *
+ * Frame contract (REST body `frameData` or `odin:video:frame` payload):
+ *   { width, height, format: 'rgba' | 'rgb' | 'gray' | 'jpeg', data }
+ * where `data` is a Buffer/typed array, a plain array of bytes, or a base64
+ * string (a `data:` URL prefix is ignored). Without `format` the channel
+ * count is inferred from the data length. JPEG frames carry the JPEG file
+ * and need a decoder (see jpegDecoder.js). Binary frames (frameProtocol.js)
+ * decode to this contract. An optional `timestamp` is the capture time, in
+ * ms since the epoch on the sender's clock; streamed frames that have one
+ * are lined up with audio by it (see clockSync.js).
+ */
+
+const CHANNELS = {
+  rgba: 4,
+  rgb: 3,
+  gray: 1,
+  grayscale: 1
+};
+
+const invalidFrame = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_FRAME';
+  return error;
+};
+
+const toBytes = (data) => {
+  if (typeof data === 'string') {
+    return new Uint8Array(Buffer.from(data.replace(/^data:[^,]*,/, ''), 'base64'));
+  }
+  if (Array.isArray(data)) {
+    return Uint8Array.from(data);
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  return null;
+};
+
+const decodeJpegFrame = (source, decode) => {
+  if (!decode) {
+    throw invalidFrame('JPEG frames are not supported here (no JPEG decoder); send raw pixels');
+  }
+  
+  const data = toBytes(source);
+  if (!data || data.length === 0) {
+    throw invalidFrame('Frame data must be bytes, a byte array or a base64 string');
+  }
+  
+  try {
+    return decode(data);
+  } catch (error) {
+    throw invalidFrame(`Unreadable JPEG frame: ${error.message}`);
+  }
+};
+
+/**
+ * Decode a frame into raw pixels
+ * @param {Object} frameData - Frame in the contract above
+ * @param {Object} decoders - { jpeg: decode(bytes) }, for compressed frames
+ * @returns {Object|null} - { width, height, channels, data } or null when the
+ *   frame carries no pixels
+ * @throws {Error} - code INVALID_FRAME when pixels are present but malformed
+ */
+export const decodeFrame = (frameData, decoders = {}) => {
+  if (!frameData || typeof frameData !== 'object') return null;
+  
+  const source = frameData.data ?? frameData.pixels;
+  if (source === undefined || source === null) return null;
+  
+  if (/^jpe?g$/i.test(String(frameData.format))) {
+    return decodeJpegFrame(source, decoders.jpeg);
+  }
+  
+  const width = Number(frameData.width);
+  const height = Number(frameData.height);
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+    throw invalidFrame('Frame width and height must be positive integers');
+  }
+  
+  const data = toBytes(source);
+  if (!data) {
+    throw invalidFrame('Frame data must be bytes, a byte array or a base64 string');
+  }
+  
+  const pixels = width * height;
+  let channels;
+  
+  if (frameData.format) {
+    channels = CHANNELS[String(frameData.format).toLowerCase()];
+    if (!channels) {
+      throw invalidFrame(`Unsupported frame format: ${frameData.format}`);
+    }
+  } else {
+    channels = data.length / pixels;
+  }
+  
+  if (![1, 3, 4].includes(channels) || data.length < pixels * channels) {
+    throw invalidFrame(`Frame data has ${data.length} bytes, expected ${width}x${height} pixels of 1, 3 or 4 channels`);
+  }
+  
+  return { width, height, channels, data };
+};
+
+/**
+ * Luminance image, box-downscaled by an integer factor
+ * @param {Object} image - Decoded frame
+ * @param {number} scale - Downscale factor (1 = full size)
+ * @returns {Object} - { width, height, scale, pixels: Float32Array }
+ */
+export const toGrayscale = (image, scale = 1) => {
+  const { width, height, channels, data } = image;
+  const outWidth = Math.floor(width / scale);
+  const outHeight = Math.floor(height / scale);
+  const pixels = new Float32Array(outWidth * outHeight);
+  const area = scale * scale;
+  
+  for (let y = 0; y < outHeight; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      let sum = 0;
+      
+      for (let dy = 0; dy < scale; dy++) {
+        let offset = ((y * scale + dy) * width + x * scale) * channels;
+        
+        for (let dx = 0; dx < scale; dx++) {
+          sum += channels >= 3
+            ? 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2]
+            : data[offset];
+          offset += channels;
+        }
+      }
+      
+      pixels[y * outWidth + x] = sum / area;
+    }
+  }
+  
+  return { width: outWidth, height: outHeight, scale, pixels };
+};
+
+/**
+ * Separable 5-tap Gaussian blur (binomial kernel)
+ */
+export const gaussianBlur = ({ width, height, pixels }) => {
+  const kernel = [1, 4, 6, 4, 1];
+  const temp = new Float32Array(pixels.length);
+  const out = new Float32Array(pixels.length);
+  
+  const clampX = (x) => Math.max(0, Math.min(width - 1, x));
+  const clampY = (y) => Math.max(0, Math.min(height - 1, y));
+  
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let k = -2; k <= 2; k++) {
+        sum += kernel[k + 2] * pixels[y * width + clampX(x + k)];
+      }
+      temp[y * width + x] = sum / 16;
+    }
+  }
+  
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let k = -2; k <= 2; k++) {
+        sum += kernel[k + 2] * temp[clampY(y + k) * width + x];
+      }
+      out[y * width + x] = sum / 16;
+    }
+  }
+  
+  return out;
+};
+
+/**
+ * Canny-style edge detection
+ * @param {Object} gray - Grayscale image from toGrayscale()
+ * @param {Object} options - sensitivity (0-1) and minimum gradient
+ * @returns {Object} - { mask, magnitude, direction, maxMagnitude, count }
+ */
+export const detectEdgeMap = (gray, options = {}) => {
+  const { width, height } = gray;
+  const sensitivity = options.sensitivity ?? 0.5;
+  const minGradient = options.minGradient ?? 20;
+  
+  const smooth = gaussianBlur(gray);
+  const size = width * height;
+  const magnitude = new Float32Array(size);
+  const direction = new Float32Array(size);
+  let maxMagnitude = 0;
+  
+  // Sobel gradients
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const tl = smooth[i - width - 1], tc = smooth[i - width], tr = smooth[i - width + 1];
+      const ml = smooth[i - 1], mr = smooth[i + 1];
+      const bl = smooth[i + width - 1], bc = smooth[i + width], br = smooth[i + width + 1];
+      
+      const gx = (tr + 2 * mr + br) - (tl + 2 * ml + bl);
+      const gy = (bl + 2 * bc + br) - (tl + 2 * tc + tr);
+      
+      magnitude[i] = Math.hypot(gx, gy);
+      direction[i] = Math.atan2(gy, gx);
+      maxMagnitude = Math.max(maxMagnitude, magnitude[i]);
+    }
+  }
+  
+  // Non-maximum suppression: keep ridge pixels along the gradient
+  const thin = new Float32Array(size);
+  
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const m = magnitude[i];
+      if (m === 0) continue;
+      
+      let angle = direction[i] * 180 / Math.PI;
+      if (angle < 0) angle += 180;
+      
+      let a, b;
+      if (angle < 22.5 || angle >= 157.5) {
+        a = magnitude[i - 1]; b = magnitude[i + 1];
+      } else if (angle < 67.5) {
+        a = magnitude[i - width - 1]; b = magnitude[i + width + 1];
+      } else if (angle < 112.5) {
+        a = magnitude[i - width]; b = magnitude[i + width];
+      } else {
+        a = magnitude[i - width + 1]; b = magnitude[i + width - 1];
+      }
+      
+      if (m >= a && m >= b) {
+        thin[i] = m;
+      }
+    }
+  }
+  
+  // Double threshold with hysteresis; higher sensitivity lowers the bar
+  const high = Math.max(minGradient, maxMagnitude * (0.5 - 0.4 * sensitivity));
+  const low = high * 0.4;
+  const mask = new Uint8Array(size);
+  const stack = [];
+  
+  for (let i = 0; i < size; i++) {
+    if (thin[i] >= high) {
+      mask[i] = 1;
+      stack.push(i);
+    }
+  }
+  
+  while (stack.length > 0) {
+    const i = stack.pop();
+    const x = i % width;
+    const y = (i - x) / width;
+    
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+        
+        const n = ny * width + nx;
+        if (!mask[n] && thin[n] >= low) {
+          mask[n] = 1;
+          stack.push(n);
+        }
+      }
+    }
+  }
+  
+  let count = 0;
+  for (let i = 0; i < size; i++) {
+    count += mask[i];
+  }
+  
+  return { width, height, mask, magnitude, direction, maxMagnitude, count };
+};
+
+/**
+ * Group edge pixels into contours (8-connected components)
+ * @param {Object} edgeMap - Result of detectEdgeMap()
+ * @param {number} minPoints - Smallest contour kept
+ * @returns {Array<Array<{x: number, y: number}>>}
+ */
+export const findContours = (edgeMap, minPoints = 12) => {
+  const { width, height, mask } = edgeMap;
+  const visited = new Uint8Array(mask.length);
+  const contours = [];
+  
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || visited[start]) continue;
+    
+    const points = [];
+    const stack = [start];
+    visited[start] = 1;
+    
+    while (stack.length > 0) {
+      const i = stack.pop();
+      const x = i % width;
+      const y = (i - x) / width;
+      points.push({ x, y });
+      
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+          
+          const n = ny * width + nx;
+          if (mask[n] && !visited[n]) {
+            visited[n] = 1;
+            stack.push(n);
+          }
+        }
+      }
+    }
+    
+    if (points.length >= minPoints) {
+      contours.push(points);
+    }
+  }
+  
+  return contours;
+};
+
+const principalAxes = (points) => {
+  let cx = 0;
+  let cy = 0;
+  points.forEach(p => { cx += p.x; cy += p.y; });
+  cx /= points.length;
+  cy /= points.length;
+  
+  let sxx = 0;
+  let syy = 0;
+  let sxy = 0;
+  points.forEach(p => {
+    const dx = p.x - cx;
+    const dy = p.y - cy;
+    sxx += dx * dx;
+    syy += dy * dy;
+    sxy += dx * dy;
+  });
+  sxx /= points.length;
+  syy /= points.length;
+  sxy /= points.length;
+  
+  // Eigen decomposition of the 2x2 covariance
+  const trace = sxx + syy;
+  const det = sxx * syy - sxy * sxy;
+  const gap = Math.sqrt(Math.max(0, trace * trace / 4 - det));
+  const major = trace / 2 + gap;
+  const minor = Math.max(0, trace / 2 - gap);
+  const angle = 0.5 * Math.atan2(2 * sxy, sxx - syy);
+  
+  return { cx, cy, major, minor, angle };
+};
+
+const fitLine = (points, axes) => {
+  const ratio = Math.sqrt(axes.minor) / Math.max(1e-6, Math.sqrt(axes.major));
+  if (ratio > 0.1) return null;
+  
+  const ux = Math.cos(axes.angle);
+  const uy = Math.sin(axes.angle);
+  let minT = Infinity;
+  let maxT = -Infinity;
+  
+  points.forEach(p => {
+    const t = (p.x - axes.cx) * ux + (p.y - axes.cy) * uy;
+    minT = Math.min(minT, t);
+    maxT = Math.max(maxT, t);
+  });
+  
+  const length = maxT - minT;
+  if (length < 8) return null;
+  
+  return {
+    type: 'line',
+    start: { x: axes.cx + ux * minT, y: axes.cy + uy * minT },
+    end: { x: axes.cx + ux * maxT, y: axes.cy + uy * maxT },
+    length,
+    orientation: ((axes.angle % Math.PI) + Math.PI) % Math.PI,
+    confidence: 1 - ratio * 5
+  };
+};
+
+const fitCircle = (points, axes) => {
+  const radii = points.map(p => Math.hypot(p.x - axes.cx, p.y - axes.cy));
+  const radius = radii.reduce((sum, r) => sum + r, 0) / radii.length;
+  if (radius < 4) return null;
+  
+  const variance = radii.reduce((sum, r) => sum + (r - radius) ** 2, 0) / radii.length;
+  const spread = Math.sqrt(variance) / radius;
+  // A square's corners put it near 0.1, so stay well below that
+  if (spread > 0.07) return null;
+  
+  // The ring has to go most of the way round
+  const bins = new Set(points.map(p =>
+    Math.floor(((Math.atan2(p.y - axes.cy, p.x - axes.cx) + Math.PI) / (2 * Math.PI)) * 16) % 16
+  ));
+  if (bins.size < 14) return null;
+  
+  return {
+    type: 'circle',
+    center: { x: axes.cx, y: axes.cy },
+    radius,
+    confidence: Math.min(1, (1 - spread * 7) * (bins.size / 16))
+  };
+};
+
+const fitRectangle = (points, axes) => {
+  // Work in the contour's principal frame so rotated rectangles fit too
+  const ux = Math.cos(axes.angle);
+  const uy = Math.sin(axes.angle);
+  const local = points.map(p => {
+    const dx = p.x - axes.cx;
+    const dy = p.y - axes.cy;
+    return { u: dx * ux + dy * uy, v: -dx * uy + dy * ux };
+  });
+  
+  let minU = Infinity, maxU = -Infinity, minV = Infinity, maxV = -Infinity;
+  local.forEach(({ u, v }) => {
+    minU = Math.min(minU, u); maxU = Math.max(maxU, u);
+    minV = Math.min(minV, v); maxV = Math.max(maxV, v);
+  });
+  
+  const width = maxU - minU;
+  const height = maxV - minV;
+  if (width < 6 || height < 6) return null;
+  
+  const tolerance = Math.max(1.5, 0.06 * Math.min(width, height));
+  const sides = [0, 0, 0, 0];
+  let onBorder = 0;
+  
+  local.forEach(({ u, v }) => {
+    const distances = [u - minU, maxU - u, v - minV, maxV - v];
+    const nearest = Math.min(...distances);
+    
+    if (nearest <= tolerance) {
+      onBorder++;
+      sides[distances.indexOf(nearest)]++;
+    }
+  });
+  
+  const borderRatio = onBorder / local.length;
+  if (borderRatio < 0.9) return null;
+  
+  // Every side needs real support, not just the bounding box
+  const expected = [height, height, width, width];
+  const coverage = Math.min(...sides.map((count, i) => count / expected[i]));
+  if (coverage < 0.5) return null;
+  
+  const corners = [
+    [minU, minV], [maxU, minV], [maxU, maxV], [minU, maxV]
+  ].map(([u, v]) => ({
+    x: axes.cx + u * ux - v * uy,
+    y: axes.cy + u * uy + v * ux
+  }));
+  
+  const midU = (minU + maxU) / 2;
+  const midV = (minV + maxV) / 2;
+  
+  return {
+    type: 'rectangle',
+    center: {
+      x: axes.cx + midU * ux - midV * uy,
+      y: axes.cy + midU * uy + midV * ux
+    },
+    width,
+    height,
+    angle: axes.angle,
+    corners,
+    confidence: Math.min(1, borderRatio * Math.min(1, coverage))
+  };
+};
+
+/**
+ * Fit a contour to a line, circle or rectangle
+ * @param {Array<{x: number, y: number}>} points - Contour points
+ * @returns {Object|null} - Shape (in the contour's coordinates) or null
+ */
+export const classifyContour = (points) => {
+  const axes = principalAxes(points);
+  
+  return fitLine(points, axes) || fitCircle(points, axes) || fitRectangle(points, axes);
+};
+
+/**
+ * Thresholded absolute difference between two grayscale frames
+ * @param {Object} prev - Previous grayscale image
+ * @param {Object} curr - Current grayscale image (same size)
+ * @param {number} threshold - Gray-level change that counts as motion
+ * @returns {Object} - { width, height, mask, changed, changedRatio, meanDifference }
+ */
+export const frameDifference = (prev, curr, threshold = 25) => {
+  const { width, height } = curr;
+  const size = width * height;
+  const mask = new Uint8Array(size);
+  let changed = 0;
+  let total = 0;
+  
+  for (let i = 0; i < size; i++) {
+    const diff = Math.abs(curr.pixels[i] - prev.pixels[i]);
+    total += diff;
+    
+    if (diff >= threshold) {
+      mask[i] = 1;
+      changed++;
+    }
+  }
+  
+  return {
+    width,
+    height,
+    mask,
+    changed,
+    changedRatio: changed / size,
+    meanDifference: total / size
+  };
+};
+
+/**
+ * Block-matching optical flow
+ * Each block of the current frame is searched for in the previous frame
+ * (sum of absolute differences); only blocks the difference mask marks as
+ * changed are searched.
+ * @param {Object} prev - Previous grayscale image
+ * @param {Object} curr - Current grayscale image
+ * @param {Object} options - blockSize, searchRadius, mask, minChanged
+ * @returns {Array<Object>} - { x, y, dx, dy, error } per moving block (block centers)
+ */
+export const blockMatchFlow = (prev, curr, options = {}) => {
+  const { width, height } = curr;
+  const blockSize = options.blockSize ?? 8;
+  const radius = options.searchRadius ?? 6;
+  const minChanged = options.minChanged ?? 0.1;
+  const { mask } = options;
+  const vectors = [];
+  
+  const sad = (bx, by, dx, dy) => {
+    let sum = 0;
+    for (let y = 0; y < blockSize; y++) {
+      const rowCurr = (by + y) * width + bx;
+      const rowPrev = (by + y + dy) * width + bx + dx;
+      for (let x = 0; x < blockSize; x++) {
+        sum += Math.abs(curr.pixels[rowCurr + x] - prev.pixels[rowPrev + x]);
+      }
+    }
+    return sum;
+  };
+  
+  for (let by = radius; by + blockSize + radius <= height; by += blockSize) {
+    for (let bx = radius; bx + blockSize + radius <= width; bx += blockSize) {
+      if (mask) {
+        let changed = 0;
+        for (let y = 0; y < blockSize; y++) {
+          for (let x = 0; x < blockSize; x++) {
+            changed += mask[(by + y) * width + bx + x];
+          }
+        }
+        if (changed < minChanged * blockSize * blockSize) continue;
+      }
+      
+      // Start from no motion and prefer the shortest displacement on ties,
+      // so flat blocks stay still and edges don't drift diagonally
+      let best = sad(bx, by, 0, 0);
+      let bestDx = 0;
+      let bestDy = 0;
+      
+      for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+          if (dx === 0 && dy === 0) continue;
+          
+          const score = sad(bx, by, dx, dy);
+          if (score < best || (score === best && dx * dx + dy * dy < bestDx * bestDx + bestDy * bestDy)) {
+            best = score;
+            bestDx = dx;
+            bestDy = dy;
+          }
+        }
+      }
+      
+      if (bestDx !== 0 || bestDy !== 0) {
+        // The block came from (bx + dx, by + dy), so it moved by (-dx, -dy)
+        vectors.push({
+          x: bx + blockSize / 2,
+          y: by + blockSize / 2,
+          dx: -bestDx,
+          dy: -bestDy,
+          error: best / (blockSize * blockSize)
+        });
+      }
+    }
+  }
+  
+  return vectors;
+};
+
+/**
+ * Group changed pixels into motion regions on a coarse cell grid
+ * @param {Object} difference - Result of frameDifference()
+ * @param {number} cellSize - Grid cell size in pixels
+ * @param {number} minChanged - Fraction of a cell that must change
+ * @returns {Array<Object>} - { x, y, width, height, center, changed }
+ */
+export const findMotionRegions = (difference, cellSize = 8, minChanged = 0.1) => {
+  const { width, height, mask } = difference;
+  const cols = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+  const counts = new Uint32Array(cols * rows);
+  
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (mask[y * width + x]) {
+        counts[Math.floor(y / cellSize) * cols + Math.floor(x / cellSize)]++;
+      }
+    }
+  }
+  
+  const active = (cell) => counts[cell] >= minChanged * cellSize * cellSize;
+  const visited = new Uint8Array(cols * rows);
+  const regions = [];
+  
+  for (let start = 0; start < counts.length; start++) {
+    if (visited[start] || !active(start)) continue;
+    
+    let minCol = Infinity, maxCol = -Infinity, minRow = Infinity, maxRow = -Infinity;
+    let changed = 0;
+    let sumX = 0;
+    let sumY = 0;
+    const stack = [start];
+    visited[start] = 1;
+    
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      const col = cell % cols;
+      const row = (cell - col) / cols;
+      
+      minCol = Math.min(minCol, col); maxCol = Math.max(maxCol, col);
+      minRow = Math.min(minRow, row); maxRow = Math.max(maxRow, row);
+      changed += counts[cell];
+      sumX += counts[cell] * (col + 0.5) * cellSize;
+      sumY += counts[cell] * (row + 0.5) * cellSize;
+      
+      for (let dr = -1; dr <= 1; dr++) {
+        for (let dc = -1; dc <= 1; dc++) {
+          const c = col + dc;
+          const r = row + dr;
+          if (c < 0 || r < 0 || c >= cols || r >= rows) continue;
+          
+          const next = r * cols + c;
+          if (!visited[next] && active(next)) {
+            visited[next] = 1;
+            stack.push(next);
+          }
+        }
+      }
+    }
+    
+    const x = minCol * cellSize;
+    const y = minRow * cellSize;
+    
+    regions.push({
+      x,
+      y,
+      width: Math.min(width, (maxCol + 1) * cellSize) - x,
+      height: Math.min(height, (maxRow + 1) * cellSize) - y,
+      center: { x: sumX / changed, y: sumY / changed },
+      changed
+    });
+  }
+  
+  return regions.sort((a, b) => b.changed - a.changed);
+};
+
+/**
+ * Interleaved RGB bytes of a decoded frame (gray is replicated)
+ * @param {Object} image - Decoded frame
+ * @returns {Uint8Array} - width * height * 3 bytes
+ */
+export const toRgb = (image) => {
+  const { width, height, channels, data } = image;
+  const size = width * height;
+  
+  if (channels === 3) {
+    return data.subarray(0, size * 3);
+  }
+  
+  const rgb = new Uint8Array(size * 3);
+  for (let i = 0; i < size; i++) {
+    const offset = i * channels;
+    rgb[i * 3] = data[offset];
+    rgb[i * 3 + 1] = channels >= 3 ? data[offset + 1] : data[offset];
+    rgb[i * 3 + 2] = channels >= 3 ? data[offset + 2] : data[offset];
+  }
+  
+  return rgb;
+};
+
+/**
+ * Name for an HSV color: achromatic names when unsaturated, hue bands otherwise
+ */
+export const colorName = (hue, saturation, value) => {
+  if (value < 0.2) return 'black';
+  if (saturation < 0.2) {
+    return value > 0.8 ? 'white' : 'gray';
+  }
+  
+  if (hue < 15 || hue >= 345) return 'red';
+  if (hue < 40) return value < 0.6 ? 'brown' : 'orange';
+  if (hue < 70) return 'yellow';
+  if (hue < 165) return 'green';
+  if (hue < 200) return 'cyan';
+  if (hue < 255) return 'blue';
+  if (hue < 290) return 'purple';
+  return 'pink';
+};
+
+/**
+ * Mean color of a region
+ * @param {Object} image - Decoded frame
+ * @param {Object} box - { x, y, width, height } in frame pixels
+ * @param {number} step - Sample every step-th pixel in each direction
+ * @returns {Object|null} - { name, rgb, hue, saturation, value }, or null
+ *   when the region is empty
+ */
+export const describeColor = (image, box, step = 2) => {
+  const { width, height, channels, data } = image;
+  const x0 = Math.max(0, Math.floor(box.x));
+  const y0 = Math.max(0, Math.floor(box.y));
+  const x1 = Math.min(width, Math.ceil(box.x + box.width));
+  const y1 = Math.min(height, Math.ceil(box.y + box.height));
+  let r = 0, g = 0, b = 0, count = 0;
+  
+  for (let y = y0; y < y1; y += step) {
+    for (let x = x0; x < x1; x += step) {
+      const offset = (y * width + x) * channels;
+      r += data[offset];
+      g += channels >= 3 ? data[offset + 1] : data[offset];
+      b += channels >= 3 ? data[offset + 2] : data[offset];
+      count++;
+    }
+  }
+  
+  if (count === 0) return null;
+  
+  r /= count * 255;
+  g /= count * 255;
+  b /= count * 255;
+  
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const delta = max - min;
+  let hue = 0;
+  
+  if (delta > 0) {
+    if (max === r) hue = 60 * (((g - b) / delta) % 6);
+    else if (max === g) hue = 60 * ((b - r) / delta + 2);
+    else hue = 60 * ((r - g) / delta + 4);
+  }
+  if (hue < 0) hue += 360;
+  
+  const saturation = max > 0 ? delta / max : 0;
+  
+  return {
+    name: colorName(hue, saturation, max),
+    rgb: { r: Math.round(r * 255), g: Math.round(g * 255), b: Math.round(b * 255) },
+    hue,
+    saturation,
+    value: max
+  };
+};
+
+/**
+ * Regions of one named color on a coarse grid
+ * Each cell is named by its mean color; touching cells with the same name
+ * merge into a region.
+ * @param {Object} image - Decoded frame
+ * @param {number} cellSize - Grid cell size in frame pixels
+ * @returns {Array<Object>} - { color, x, y, width, height, cells, saturation, value },
+ *   largest first
+ */
+export const findColorRegions = (image, cellSize = 32) => {
+  const cols = Math.ceil(image.width / cellSize);
+  const rows = Math.ceil(image.height / cellSize);
+  const cells = [];
+  
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      cells.push(describeColor(image, {
+        x: col * cellSize,
+        y: row * cellSize,
+        width: cellSize,
+        height: cellSize
+      }, 4));
+    }
+  }
+  
+  const visited = new Uint8Array(cells.length);
+  const regions = [];
+  
+  for (let start = 0; start < cells.length; start++) {
+    if (visited[start] || !cells[start]) continue;
+    
+    const { name } = cells[start];
+    let minCol = Infinity, maxCol = -Infinity, minRow = Infinity, maxRow = -Infinity;
+    let count = 0;
+    let saturation = 0;
+    let value = 0;
+    const stack = [start];
+    visited[start] = 1;
+    
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      const col = cell % cols;
+      const row = (cell - col) / cols;
+      
+      minCol = Math.min(minCol, col); maxCol = Math.max(maxCol, col);
+      minRow = Math.min(minRow, row); maxRow = Math.max(maxRow, row);
+      count++;
+      saturation += cells[cell].saturation;
+      value += cells[cell].value;
+      
+      [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dc, dr]) => {
+        const c = col + dc;
+        const r = row + dr;
+        if (c < 0 || r < 0 || c >= cols || r >= rows) return;
+        
+        const next = r * cols + c;
+        if (!visited[next] && cells[next] && cells[next].name === name) {
+          visited[next] = 1;
+          stack.push(next);
+        }
+      });
+    }
+    
+    const x = minCol * cellSize;
+    const y = minRow * cellSize;
+    
+    regions.push({
+      color: name,
+      x,
+      y,
+      width: Math.min(image.width, (maxCol + 1) * cellSize) - x,
+      height: Math.min(image.height, (maxRow + 1) * cellSize) - y,
+      cells: count,
+      saturation: saturation / count,
+      value: value / count
+    });
+  }
+  
+  return regions.sort((a, b) => b.cells - a.cells);
+};
+
+/**
+ * Bounding box of a set of points
+ */
+export const boundingBox = (points) => {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  
+  points.forEach(p => {
+    minX = Math.min(minX, p.x); maxX = Math.max(maxX, p.x);
+    minY = Math.min(minY, p.y); maxY = Math.max(maxY, p.y);
+  });
+  
+  return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+};
+
+export default {
+  decodeFrame,
+  toGrayscale,
+  gaussianBlur,
+  detectEdgeMap,
+  findContours,
+  classifyContour,
+  frameDifference,
+  blockMatchFlow,
+  findMotionRegions,
+  toRgb,
+  colorName,
+  describeColor,
+  findColorRegions,
+  boundingBox
+};
@@ -1,7 +1,10 @@
 import EventEmitter from 'events';
+import path from 'path';
+import { createRuntime } from '../runtime/index.js';
 import { VisualCortex } from './visual.js';
 import { AuditoryCortex } from './auditory.js';
 import { SensoryFusion } from './fusion.js';
+import { SessionManager } from './sessions/index.js';
 
 /**
  * ODIN Sensory System
@@ -9,15 +12,45 @@ import { SensoryFusion } from './fusion.js';
  * Real sensory perception through webcam and microphone
  */
 export class OdinSensorySystem extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
     
     this.isActive = false;
     
+    // Shared clock, separate random stream per cortex
+    const runtime = options.runtime || createRuntime();
+    this.random = runtime.random;
+    this.clock = runtime.clock;
+    
     // Sensory components (Huginn & Muninn - Odin's ravens)
-    this.visualCortex = new VisualCortex();    // Huginn (thought)
-    this.auditoryCortex = new AuditoryCortex(); // Muninn (memory)
-    this.sensoryFusion = new SensoryFusion();   // Gungnir (spear - unified perception)
+    const persistencePath = options.persistencePath || process.env.ODIN_PERSISTENCE_PATH || './data/odin';
+    this.visualCortex = new VisualCortex({ // Huginn (thought)
+      runtime: runtime.fork('visual'),
+      detector: options.detector,
+      detectorOptions: options.detectorOptions,
+      faceDetector: options.faceDetector,
+      facePath: options.facePath || path.join(persistencePath, 'faces.json')
+    });
+    this.auditoryCortex = new AuditoryCortex({ // Muninn (memory)
+      runtime: runtime.fork('auditory'),
+      keywordPath: options.keywordPath || path.join(persistencePath, 'keywords.json'),
+      speakerPath: options.speakerPath || path.join(persistencePath, 'speakers.json'),
+      soundPath: options.soundPath || path.join(persistencePath, 'sounds'),
+      micSpacing: options.micSpacing
+    });
+    this.sensoryFusion = new SensoryFusion({ // Gungnir (spear - unified perception)
+      runtime: runtime.fork('fusion'),
+      resolution: this.visualCortex.config.resolution,
+      cameraFieldOfView: options.cameraFieldOfView,
+      causalPath: options.causalPath || path.join(persistencePath, 'causal.json')
+    });
+    
+    // Recorded sensory sessions, for replaying what ODIN saw and heard
+    this.sessions = new SessionManager({
+      runtime: runtime.fork('sessions'),
+      directory: options.sessionPath || path.join(persistencePath, 'sessions'),
+      maxBytes: options.sessionMaxBytes ?? (Number(process.env.ODIN_SESSION_MAX_MB) || 1024) * 1024 * 1024
+    });
     
     // Perception state
     this.perceptionState = {
@@ -64,6 +97,10 @@ export class OdinSensorySystem extends EventEmitter {
       soundsIdentified: 0,
       fusionEvents: 0
     };
+    
+    // Recent arrival times for rate measurement
+    this.frameTimes = [];
+    this.sampleTimes = [];
   }
   
   async initialize() {
@@ -73,7 +110,8 @@ export class OdinSensorySystem extends EventEmitter {
     await Promise.all([
       this.visualCortex.initialize(),
       this.auditoryCortex.initialize(),
-      this.sensoryFusion.initialize()
+      this.sensoryFusion.initialize(),
+      this.sessions.initialize()
     ]);
     
     // Connect sensory streams
@@ -97,10 +135,11 @@ export class OdinSensorySystem extends EventEmitter {
         ...this.perceptionState.visual,
         ...visualData,
         active: true,
-        lastFrame: Date.now()
+        lastFrame: this.clock.now()
       };
       
       this.stats.framesProcessed++;
+      this.recordArrival(this.frameTimes);
       
       // Send to fusion
       if (this.config.fusionEnabled) {
@@ -114,10 +153,11 @@ export class OdinSensorySystem extends EventEmitter {
         ...this.perceptionState.auditory,
         ...audioData,
         active: true,
-        lastSample: Date.now()
+        lastSample: this.clock.now()
       };
       
       this.stats.audioSamplesProcessed++;
+      this.recordArrival(this.sampleTimes);
       
       // Send to fusion
       if (this.config.fusionEnabled) {
@@ -145,21 +185,67 @@ export class OdinSensorySystem extends EventEmitter {
       this.emit('object_detected', object);
     });
     
+    // Faces: a household member, or a stranger, came into view
+    this.visualCortex.on('face_recognized', (face) => {
+      this.emit('face_recognized', face);
+    });
+    
+    this.visualCortex.on('unknown_face', (face) => {
+      this.emit('unknown_face', face);
+    });
+    
     // Sound identification events
     this.auditoryCortex.on('sound_identified', (sound) => {
       this.stats.soundsIdentified++;
       this.emit('sound_identified', sound);
     });
     
+    // Speech events: someone started or stopped talking, said a trained
+    // command, or turned out to be a known voice or a stranger's
+    this.auditoryCortex.on('voice_activity', (activity) => {
+      this.emit('voice_activity', activity);
+    });
+    
+    this.auditoryCortex.on('speech_detected', (speech) => {
+      this.emit('speech_detected', speech);
+    });
+    
+    this.auditoryCortex.on('speaker_identified', (speaker) => {
+      this.emit('speaker_identified', speaker);
+    });
+    
+    this.auditoryCortex.on('stranger_detected', (speaker) => {
+      this.emit('stranger_detected', speaker);
+    });
+    
     // Attention events
     this.sensoryFusion.on('attention_shift', (focus) => {
       this.emit('attention_shift', focus);
     });
+    
+    // Predictions checked against what happened, and how surprising that was
+    this.sensoryFusion.on('surprise', (surprise) => {
+      this.emit('surprise', surprise);
+    });
+    
+    // Something learned to follow what just happened
+    this.sensoryFusion.on('anticipation', (anticipation) => {
+      this.emit('anticipation', anticipation);
+    });
+    
+    // Session replays starting and ending
+    this.sessions.on('replay_started', (replay) => {
+      this.emit('replay_started', replay);
+    });
+    
+    this.sessions.on('replay_finished', (replay) => {
+      this.emit('replay_finished', replay);
+    });
   }
   
   startPerceptionCycle() {
     // Main perception processing cycle
-    setInterval(() => {
+    this.perceptionInterval = this.clock.setInterval(() => {
       if (this.isActive) {
         this.processPerceptionCycle();
       }
@@ -168,7 +254,7 @@ export class OdinSensorySystem extends EventEmitter {
   
   processPerceptionCycle() {
     // Process one perception cycle
-    const cycleStart = Date.now();
+    const cycleStart = this.clock.now();
     
     // Check for stale sensory data
     this.checkSensoryHealth();
@@ -185,15 +271,30 @@ export class OdinSensorySystem extends EventEmitter {
     }
     
     // Update FPS
-    if (this.perceptionState.visual.lastFrame) {
-      const timeDiff = cycleStart - this.perceptionState.visual.lastFrame;
-      this.perceptionState.visual.fps = timeDiff > 0 ? 1000 / timeDiff : 0;
+    this.perceptionState.visual.fps = this.measureRate(this.frameTimes, cycleStart);
+  }
+  
+  recordArrival(times) {
+    times.push(this.clock.now());
+    
+    if (times.length > 30) {
+      times.shift();
+    }
+  }
+  
+  measureRate(times, now = this.clock.now()) {
+    // Average rate over the recent window; zero once the stream goes quiet
+    if (times.length < 2 || now - times[times.length - 1] > 2000) {
+      return 0;
     }
+    
+    const span = times[times.length - 1] - times[0];
+    return span > 0 ? ((times.length - 1) * 1000) / span : 0;
   }
   
   checkSensoryHealth() {
     // Check if sensory inputs are healthy
-    const now = Date.now();
+    const now = this.clock.now();
     
     // Check visual health
     if (this.perceptionState.visual.lastFrame) {
@@ -260,7 +361,7 @@ export class OdinSensorySystem extends EventEmitter {
   generatePerceptionSnapshot() {
     // Generate complete perception snapshot
     const snapshot = {
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       visual: null,
       auditory: null,
       fusion: null,
@@ -312,7 +413,7 @@ export class OdinSensorySystem extends EventEmitter {
       visual: this.perceptionState.visual,
       auditory: this.perceptionState.auditory,
       fusion: this.perceptionState.fusion,
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       metadata: {
         quality: this.calculatePerceptionQuality(),
         attention: this.perceptionState.fusion.attentionFocus
@@ -331,7 +432,7 @@ export class OdinSensorySystem extends EventEmitter {
     if (this.perceptionState.fusion.active) quality += 0.3;
     
     // Reduce quality if data is stale
-    const now = Date.now();
+    const now = this.clock.now();
     
     if (this.perceptionState.visual.lastFrame) {
       const age = now - this.perceptionState.visual.lastFrame;
@@ -376,21 +477,41 @@ export class OdinSensorySystem extends EventEmitter {
     this.emit('microphone_stopped');
   }
   
-  // Process external sensory input
-  processVideoFrame(frameData) {
+  // Process external sensory input. options.capturedAt is when the input
+  // was captured, on this clock (see ClockSync), for sensory fusion to
+  // line the senses up by.
+  processVideoFrame(frameData, options = {}) {
     // Process video frame from external source
+    this.sessions.record('frame', frameData, options);
+    
     if (this.config.visualEnabled && this.visualCortex) {
-      this.visualCortex.processFrame(frameData);
+      this.visualCortex.processFrame(frameData, options);
     }
   }
   
-  processAudioSample(audioData) {
+  processAudioSample(audioData, options = {}) {
     // Process audio sample from external source
+    this.sessions.record('audio', audioData, options);
+    
     if (this.config.auditoryEnabled && this.auditoryCortex) {
-      this.auditoryCortex.processSample(audioData);
+      this.auditoryCortex.processSample(audioData, options);
     }
   }
   
+  /**
+   * Whether a camera frame arriving now should be processed; frames beyond
+   * what the visual cortex keeps up with are dropped (see getFrameFlowControl)
+   */
+  admitVideoFrame() {
+    if (!this.config.visualEnabled) return true;
+    
+    return this.visualCortex.admitFrame();
+  }
+  
+  getFrameFlowControl() {
+    return this.visualCortex.getFlowControl();
+  }
+  
   // Configuration methods
   setVisualEnabled(enabled) {
     this.config.visualEnabled = enabled;
@@ -429,6 +550,48 @@ export class OdinSensorySystem extends EventEmitter {
     };
   }
   
+  /**
+   * What ODIN has learned follows what (see causalLearner.js)
+   * @param {Object} filters - { cause, effect, all }
+   */
+  getCausalRelations(filters = {}) {
+    return this.sensoryFusion.getCausalRelations(filters);
+  }
+  
+  // Health and throughput summary for diagnostics
+  getMetrics() {
+    const { fusionState, stats: fusionStats } = this.sensoryFusion;
+    
+    return {
+      active: this.isActive,
+      visual: {
+        active: this.visualCortex.isActive,
+        streaming: this.perceptionState.visual.active,
+        fps: this.measureRate(this.frameTimes),
+        lastFrame: this.perceptionState.visual.lastFrame,
+        stats: this.visualCortex.stats
+      },
+      auditory: {
+        active: this.auditoryCortex.isActive,
+        streaming: this.perceptionState.auditory.active,
+        samplesPerSecond: this.measureRate(this.sampleTimes),
+        lastSample: this.perceptionState.auditory.lastSample,
+        stats: this.auditoryCortex.stats
+      },
+      fusion: {
+        active: this.sensoryFusion.isActive,
+        coherence: fusionStats.coherenceScore,
+        temporalCoherence: fusionState.temporalCoherence,
+        spatialCoherence: fusionState.spatialCoherence,
+        jitterBufferMs: this.sensoryFusion.jitterBuffer.holdMs,
+        predictions: this.sensoryFusion.getPredictionStats(),
+        stats: fusionStats
+      },
+      perceptionQuality: this.calculatePerceptionQuality(),
+      stats: this.stats
+    };
+  }
+  
   // Pet-specific perception methods
   lookAt(target) {
     // Direct attention to specific target
@@ -448,10 +611,91 @@ export class OdinSensorySystem extends EventEmitter {
     }
   }
   
+  // Spoken command training
+  trainKeyword(keyword, recordings) {
+    return this.auditoryCortex.trainKeyword(keyword, recordings);
+  }
+  
+  removeKeyword(keyword) {
+    return this.auditoryCortex.removeKeyword(keyword);
+  }
+  
+  getKeywords() {
+    return this.auditoryCortex.getKeywords();
+  }
+  
+  // Household voices
+  trainSpeaker(speakerId, name, recordings) {
+    return this.auditoryCortex.trainSpeaker(speakerId, name, recordings);
+  }
+  
+  removeSpeaker(speakerId) {
+    return this.auditoryCortex.removeSpeaker(speakerId);
+  }
+  
+  getSpeakers() {
+    return this.auditoryCortex.getSpeakers();
+  }
+  
+  // Household faces
+  trainFace(personId, name, images, options) {
+    return this.visualCortex.trainFace(personId, name, images, options);
+  }
+  
+  removeFace(personId) {
+    return this.visualCortex.removeFace(personId);
+  }
+  
+  getFaces() {
+    return this.visualCortex.getFaces();
+  }
+  
+  // Household sound training, per pet
+  trainSound(petId, label, clips) {
+    return this.auditoryCortex.trainSound(petId, label, clips);
+  }
+  
+  removeSound(petId, label) {
+    return this.auditoryCortex.removeSound(petId, label);
+  }
+  
+  removeSounds(petId) {
+    return this.auditoryCortex.removeSounds(petId);
+  }
+  
+  getSounds(petId) {
+    return this.auditoryCortex.getSounds(petId);
+  }
+  
+  recognizeSound(petId, clip) {
+    return this.auditoryCortex.recognizeSound(petId, clip);
+  }
+  
+  // Recorded sessions
+  startRecording(name) {
+    return this.sessions.startRecording(name);
+  }
+  
+  stopRecording() {
+    return this.sessions.stopRecording();
+  }
+  
+  replaySession(sessionId, options) {
+    return this.sessions.startReplay(sessionId, this, options);
+  }
+  
+  stopReplay() {
+    return this.sessions.stopReplay();
+  }
+  
   async shutdown() {
     console.log('🛑 Shutting down ODIN Sensory System...');
     
     this.isActive = false;
+    this.clock.clearInterval(this.perceptionInterval);
+    
+    // Finish recording before the inputs stop
+    await this.sessions.shutdown();
     
     // Stop sensory inputs
     await this.stopCamera();
@@ -0,0 +1,30 @@
+/**
+ * JPEG decoding for camera frames
+ * Decodes through @tensorflow/tfjs-node (libjpeg), loaded lazily so ODIN
+ * runs without the native module; without it JPEG frames are refused and
+ * cameras have to send raw pixels.
+ * @returns {Promise<Function|null>} - decode(bytes) -> { width, height,
+ *   channels: 3, data: Uint8Array }, or null when unavailable
+ */
+export const loadJpegDecoder = async () => {
+  let tf;
+  try {
+    tf = await import('@tensorflow/tfjs-node');
+    tf = tf.default || tf;
+  } catch (error) {
+    return null;
+  }
+  
+  return (bytes) => {
+    const tensor = tf.node.decodeJpeg(bytes, 3);
+    
+    try {
+      const [height, width] = tensor.shape;
+      return { width, height, channels: 3, data: Uint8Array.from(tensor.dataSync()) };
+    } finally {
+      tensor.dispose();
+    }
+  };
+};
+
+export default loadJpegDecoder;
@@ -0,0 +1,441 @@
+import EventEmitter from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { createRuntime } from '../../runtime/index.js';
+import { readJson, writeJsonAtomic } from '../../../utils/atomicFile.js';
+import {
+  SESSION_FORMAT,
+  SESSION_VERSION,
+  encodeRecord,
+  decodeInput,
+  readSession,
+  createSessionWriter
+} from './sessionFormat.js';
+
+const REPLAY_MODES = ['realtime', 'fast'];
+
+// Session ids name files: nothing that could leave the directory
+const SESSION_ID = /^[A-Za-z0-9_-]+$/;
+
+const sessionError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Session Manager
+ * Records what ODIN sees and hears - every frame and audio chunk as it was
+ * sent, with its capture time (or arrival time when it has none) - and feeds recordings back in, at the pace
+ * they were recorded or as fast as the cortices take them. Perception bugs
+ * can then be reproduced from a recording.
+ *
+ * Each session is <id>.odin (see sessionFormat.js) plus <id>.json with its
+ * name, timing and counts, in one directory. One recording and one replay
+ * run at a time.
+ */
+export class SessionManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    
+    const runtime = options.runtime || createRuntime();
+    this.clock = runtime.clock;
+    
+    this.directory = options.directory || null;
+    this.recording = null; // { metadata, writer, startTime, stopping }
+    this.replaying = null; // { status, done, timer, wake, stopped }
+    this.lastReplay = null;
+    
+    this.config = {
+      maxBytes: options.maxBytes ?? 1024 * 1024 * 1024, // Recording stops itself at this file size
+      fastYieldEvery: 20 // Fast replays let other work run every this many records
+    };
+  }
+  
+  async initialize() {
+    if (!this.directory) return;
+    
+    await fs.mkdir(this.directory, { recursive: true });
+  }
+  
+  sessionFile(sessionId) {
+    return path.join(this.directory, `${sessionId}.odin`);
+  }
+  
+  metadataFile(sessionId) {
+    return path.join(this.directory, `${sessionId}.json`);
+  }
+  
+  /**
+   * Start recording the inputs ODIN receives
+   * @param {string} name - Label for the session
+   * @returns {Promise<Object>} - Session metadata
+   * @throws {Error} - code ALREADY_RECORDING while another recording runs
+   */
+  async startRecording(name) {
+    if (!this.directory) {
+      throw sessionError('SESSIONS_DISABLED', 'No session directory configured');
+    }
+    if (this.recording) {
+      throw sessionError('ALREADY_RECORDING', `Already recording session ${this.recording.metadata.id}`);
+    }
+    
+    const id = uuidv4();
+    const now = this.clock.now();
+    const metadata = {
+      id,
+      name: name || `Session ${new Date(now).toISOString()}`,
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      startedAt: now,
+      endedAt: null,
+      duration: 0,
+      frames: 0,
+      audioChunks: 0,
+      bytes: 0,
+      complete: false
+    };
+    
+    // Claim the slot before the first await so two starts cannot both record
+    this.recording = { metadata, writer: null, startTime: now, stopping: null };
+    
+    try {
+      await writeJsonAtomic(this.metadataFile(id), metadata);
+      this.recording.writer = createSessionWriter(this.sessionFile(id));
+    } catch (error) {
+      this.recording = null;
+      throw error;
+    }
+    
+    console.log(`⏺️ Recording ODIN session ${id} (${metadata.name})`);
+    this.emit('recording_started', { ...metadata });
+    
+    return { ...metadata };
+  }
+  
+  /**
+   * Append an input to the running recording, if there is one
+   * @param {string} kind - 'frame' or 'audio'
+   * @param {Object} input - frameData or audioData as sent to ODIN
+   * @param {Object} options - { capturedAt: when the input was captured,
+   *   ms on this clock }
+   */
+  record(kind, input, options = {}) {
+    const recording = this.recording;
+    if (!recording || !recording.writer || recording.stopping) return;
+    
+    const { metadata, writer } = recording;
+    
+    // Stamped with when it was captured, so replays pair audio and video
+    // from one moment however the network delivered them (never later than
+    // it arrived, nor before the recording started)
+    const now = this.clock.now();
+    const capturedAt = Number.isFinite(options.capturedAt) ? Math.min(options.capturedAt, now) : now;
+    const time = Math.max(0, capturedAt - recording.startTime);
+    
+    try {
+      writer.write(encodeRecord(kind, time, input));
+    } catch (error) {
+      console.error(`Session recording failed: ${error.message}`);
+      this.stopRecording().catch(() => {});
+      return;
+    }
+    
+    metadata.duration = Math.max(metadata.duration, time);
+    if (kind === 'frame') {
+      metadata.frames++;
+    } else {
+      metadata.audioChunks++;
+    }
+    
+    if (writer.bytesWritten() >= this.config.maxBytes) {
+      console.warn(`⚠️ Session ${metadata.id} reached ${this.config.maxBytes} bytes, stopping recording`);
+      this.stopRecording().catch(error => {
+        console.error(`Failed to finish session ${metadata.id}: ${error.message}`);
+      });
+    }
+  }
+  
+  /**
+   * Finish the running recording
+   * @returns {Promise<Object>} - Final session metadata
+   * @throws {Error} - code NOT_RECORDING when nothing is being recorded
+   */
+  async stopRecording() {
+    const recording = this.recording;
+    if (!recording) {
+      throw sessionError('NOT_RECORDING', 'No session is being recorded');
+    }
+    if (recording.stopping) return recording.stopping;
+    
+    recording.stopping = (async () => {
+      const { metadata, writer } = recording;
+      
+      try {
+        await writer.close();
+        
+        metadata.endedAt = this.clock.now();
+        metadata.bytes = writer.bytesWritten();
+        metadata.complete = true;
+        await writeJsonAtomic(this.metadataFile(metadata.id), metadata);
+      } finally {
+        this.recording = null;
+      }
+      
+      console.log(`⏹️ Recorded ODIN session ${metadata.id}: ${metadata.frames} frames, ${metadata.audioChunks} audio chunks`);
+      this.emit('recording_stopped', { ...metadata });
+      
+      return { ...metadata };
+    })();
+    
+    return recording.stopping;
+  }
+  
+  async list() {
+    if (!this.directory) return [];
+    
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    
+    const sessions = await Promise.all(
+      files
+        .filter(file => file.endsWith('.json') && !file.startsWith('.'))
+        .map(file => this.get(path.basename(file, '.json')))
+    );
+    
+    return sessions
+      .filter(Boolean)
+      .sort((a, b) => b.startedAt - a.startedAt);
+  }
+  
+  /**
+   * Metadata of one session
+   * @param {string} sessionId - Session
+   * @returns {Promise<Object|null>} - Metadata (live counts while it is
+   *   being recorded), or null when there is no such session
+   */
+  async get(sessionId) {
+    if (!this.directory || !SESSION_ID.test(sessionId)) return null;
+    
+    if (this.recording?.metadata.id === sessionId) {
+      return { ...this.recording.metadata, recording: true };
+    }
+    
+    try {
+      const metadata = await readJson(this.metadataFile(sessionId), null);
+      return metadata && { ...metadata, recording: false };
+    } catch (error) {
+      console.warn(`⚠️ Unreadable session metadata ${sessionId}: ${error.message}`);
+      return null;
+    }
+  }
+  
+  /**
+   * Delete a session
+   * @returns {Promise<boolean>} - Whether there was one
+   * @throws {Error} - code SESSION_BUSY while it is recorded or replayed
+   */
+  async remove(sessionId) {
+    if (this.recording?.metadata.id === sessionId || this.replaying?.status.sessionId === sessionId) {
+      throw sessionError('SESSION_BUSY', `Session ${sessionId} is being recorded or replayed`);
+    }
+    
+    if (!(await this.get(sessionId))) return false;
+    
+    await fs.rm(this.sessionFile(sessionId), { force: true });
+    await fs.rm(this.metadataFile(sessionId), { force: true });
+    
+    return true;
+  }
+  
+  /**
+   * Feed a recorded session back into ODIN
+   * Runs in the background; the returned status is updated as it goes (see
+   * getStatus) and waitForReplay() resolves when it ends.
+   * @param {string} sessionId - Session to replay
+   * @param {Object} target - Receives the inputs: processVideoFrame(frameData,
+   *   { capturedAt }) and processAudioSample(audioData, { capturedAt }), i.e.
+   *   the OdinSensorySystem
+   * @param {Object} options - { mode: 'realtime' (default) or 'fast',
+   *   speed: playback rate for realtime mode (default 1) }. Either way each
+   *   input carries its recorded time as its capture time, so timing-dependent
+   *   perception sees the session as it was recorded.
+   * @returns {Promise<Object>} - Replay status
+   * @throws {Error} - code SESSION_NOT_FOUND, INVALID_REPLAY or REPLAY_RUNNING
+   */
+  async startReplay(sessionId, target, options = {}) {
+    const mode = options.mode || 'realtime';
+    const speed = options.speed ?? 1;
+    
+    if (!REPLAY_MODES.includes(mode)) {
+      throw sessionError('INVALID_REPLAY', `Replay mode must be one of: ${REPLAY_MODES.join(', ')}`);
+    }
+    if (typeof speed !== 'number' || !Number.isFinite(speed) || speed <= 0) {
+      throw sessionError('INVALID_REPLAY', 'Replay speed must be a positive number');
+    }
+    if (this.replaying) {
+      throw sessionError('REPLAY_RUNNING', `Already replaying session ${this.replaying.status.sessionId}`);
+    }
+    
+    const metadata = await this.get(sessionId);
+    if (!metadata) {
+      throw sessionError('SESSION_NOT_FOUND', `No session ${sessionId}`);
+    }
+    if (metadata.recording) {
+      throw sessionError('SESSION_BUSY', `Session ${sessionId} is still being recorded`);
+    }
+    if (this.replaying) {
+      throw sessionError('REPLAY_RUNNING', `Already replaying session ${this.replaying.status.sessionId}`);
+    }
+    
+    const status = {
+      sessionId,
+      name: metadata.name,
+      mode,
+      speed,
+      state: 'running',
+      startedAt: this.clock.now(),
+      endedAt: null,
+      position: 0,
+      duration: metadata.duration,
+      frames: 0,
+      audioChunks: 0,
+      errors: 0,
+      lastError: null
+    };
+    
+    const replay = { status, timer: null, wake: null, stopped: false };
+    this.replaying = replay;
+    replay.done = this.runReplay(replay, target);
+    
+    console.log(`▶️ Replaying ODIN session ${sessionId} (${mode}${mode === 'realtime' ? `, ${speed}x` : ''})`);
+    this.emit('replay_started', { ...status });
+    
+    return { ...status };
+  }
+  
+  async runReplay(replay, target) {
+    const { status } = replay;
+    let fed = 0;
+    let origin = null; // Clock time the recording's time 0 maps to
+    let capturedAt = null;
+    
+    try {
+      for await (const record of readSession(this.sessionFile(status.sessionId))) {
+        if (replay.stopped) break;
+        
+        if (status.mode === 'realtime') {
+          // Paced from the first record, however long the file took to open
+          origin = origin ?? this.clock.now() - record.time / status.speed;
+          const wait = origin + record.time / status.speed - this.clock.now();
+          if (wait > 0) {
+            await new Promise(resolve => {
+              replay.wake = resolve;
+              replay.timer = this.clock.setTimeout(resolve, wait);
+            });
+            replay.timer = null;
+            if (replay.stopped) break;
+          }
+          capturedAt = origin + record.time / status.speed;
+        } else {
+          // A virtual clock is driven through the recording's timing; on the
+          // system clock the recording is laid out as having just ended
+          origin = origin ?? this.clock.now() - (this.clock.virtual ? record.time : status.duration);
+          capturedAt = origin + record.time;
+          if (this.clock.virtual && capturedAt > this.clock.now()) {
+            this.clock.advance(capturedAt - this.clock.now());
+          }
+          
+          if (++fed % this.config.fastYieldEvery === 0) {
+            await new Promise(resolve => setImmediate(resolve));
+            if (replay.stopped) break;
+          }
+        }
+        
+        status.position = record.time;
+        
+        // A bad input fails on replay as it did live; the replay goes on
+        try {
+          if (record.kind === 'frame') {
+            status.frames++;
+            target.processVideoFrame(decodeInput(record), { capturedAt });
+          } else {
+            status.audioChunks++;
+            target.processAudioSample(decodeInput(record), { capturedAt });
+          }
+        } catch (error) {
+          status.errors++;
+          status.lastError = error.message;
+        }
+      }
+      
+      status.state = replay.stopped ? 'stopped' : 'finished';
+    } catch (error) {
+      console.error(`Replay of session ${status.sessionId} failed: ${error.message}`);
+      status.state = 'failed';
+      status.lastError = error.message;
+    }
+    
+    status.endedAt = this.clock.now();
+    this.replaying = null;
+    this.lastReplay = status;
+    
+    console.log(`⏏️ Replay of ODIN session ${status.sessionId} ${status.state}: ${status.frames} frames, ${status.audioChunks} audio chunks`);
+    this.emit('replay_finished', { ...status });
+    
+    return { ...status };
+  }
+  
+  /**
+   * Stop the running replay
+   * @returns {Promise<Object|null>} - Final replay status, or null when none runs
+   */
+  async stopReplay() {
+    const replay = this.replaying;
+    if (!replay) return null;
+    
+    replay.stopped = true;
+    if (replay.timer) {
+      this.clock.clearTimeout(replay.timer);
+    }
+    replay.wake?.();
+    
+    return replay.done;
+  }
+  
+  /**
+   * Resolve when the running replay ends
+   * @returns {Promise<Object|null>} - Final replay status, or null when none runs
+   */
+  waitForReplay() {
+    return this.replaying ? this.replaying.done : Promise.resolve(null);
+  }
+  
+  getStatus() {
+    return {
+      recording: this.recording ? { ...this.recording.metadata } : null,
+      replaying: this.replaying ? { ...this.replaying.status } : null,
+      lastReplay: this.lastReplay
+    };
+  }
+  
+  async shutdown() {
+    await this.stopReplay();
+    
+    if (this.recording) {
+      await this.stopRecording().catch(error => {
+        console.error(`Failed to finish session ${this.recording?.metadata.id}: ${error.message}`);
+      });
+    }
+    
+    this.removeAllListeners();
+  }
+}
+
+export default SessionManager;
@@ -0,0 +1,275 @@
+import fs from 'fs';
+import zlib from 'zlib';
+
+/**
+ * ODIN session files
+ * A gzip stream holding a short header and then one record per input, in
+ * the order they arrived:
+ *
+ *   header: 'ODINSES' (7 bytes), format version (u8)
+ *   record: kind (u8: 1 frame, 2 audio), time (f64, ms since recording
+ *           started, when the input was captured), meta length (u32),
+ *           meta (UTF-8 JSON), payload length (u32), payload (raw bytes)
+ *
+ * Numbers are little-endian. The meta is the input minus its pixels or
+ * samples, which go in the payload as raw bytes instead of base64 or JSON
+ * arrays. A file cut short (the server died while recording) reads up to
+ * its last whole record.
+ */
+
+export const SESSION_FORMAT = 'odin-session';
+export const SESSION_VERSION = 1;
+
+const MAGIC = Buffer.from('ODINSES');
+const HEADER_LENGTH = MAGIC.length + 1;
+
+export const RECORD_KINDS = {
+  frame: 1,
+  audio: 2
+};
+
+const KIND_NAMES = Object.fromEntries(Object.entries(RECORD_KINDS).map(([name, code]) => [code, name]));
+
+const invalidSession = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_SESSION';
+  return error;
+};
+
+const toBuffer = (data) => {
+  if (Buffer.isBuffer(data)) return data;
+  if (ArrayBuffer.isView(data)) return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  if (data instanceof ArrayBuffer) return Buffer.from(data);
+  return null;
+};
+
+/**
+ * Split an input into JSON meta and raw payload bytes
+ * Replaying { ...meta, data: payload } gives the cortex the same pixels or
+ * samples it was sent. Anything that is not pixels or samples (a malformed
+ * input) stays in the meta, so it fails the same way on replay.
+ * @param {string} kind - 'frame' or 'audio'
+ * @param {Object} input - frameData or audioData as sent to ODIN
+ * @returns {Object} - { meta, payload: Buffer|null }
+ */
+export const encodeInput = (kind, input) => {
+  if (!input || typeof input !== 'object') {
+    return { meta: { $input: input ?? null }, payload: null };
+  }
+
+  const field = input.data !== undefined ? 'data' : (kind === 'frame' ? 'pixels' : 'samples');
+  const { [field]: source, ...meta } = input;
+
+  if (source === undefined || source === null) {
+    return { meta: input, payload: null };
+  }
+
+  if (typeof source === 'string') {
+    return { meta, payload: Buffer.from(source.replace(/^data:[^,]*,/, ''), 'base64') };
+  }
+
+  if (kind === 'audio') {
+    // Sample arrays keep their meaning through an explicit format
+    if (source instanceof Float32Array) {
+      return { meta: { ...meta, format: 'float32' }, payload: toBuffer(source) };
+    }
+    if (source instanceof Int16Array) {
+      return { meta: { ...meta, format: 'int16' }, payload: toBuffer(source) };
+    }
+    if (Array.isArray(source)) {
+      const scale = String(meta.format).toLowerCase() === 'int16' ? 1 / 32768 : 1;
+      const samples = Float32Array.from(source, value => Number(value) * scale);
+      return { meta: { ...meta, format: 'float32' }, payload: toBuffer(samples) };
+    }
+  } else if (Array.isArray(source)) {
+    return { meta, payload: toBuffer(Uint8Array.from(source)) };
+  }
+
+  const payload = toBuffer(source);
+  return payload ? { meta, payload } : { meta: input, payload: null };
+};
+
+/**
+ * The input a record was made from (see encodeInput)
+ */
+export const decodeInput = (record) => {
+  if (!record.payload) {
+    return '$input' in record.meta ? record.meta.$input : record.meta;
+  }
+
+  return { ...record.meta, data: record.payload };
+};
+
+/**
+ * Bytes of the file header
+ */
+export const encodeHeader = () => {
+  const header = Buffer.alloc(HEADER_LENGTH);
+  MAGIC.copy(header);
+  header.writeUInt8(SESSION_VERSION, MAGIC.length);
+  return header;
+};
+
+/**
+ * Bytes of one record
+ * @param {string} kind - 'frame' or 'audio'
+ * @param {number} time - ms since recording started
+ * @param {Object} input - frameData or audioData
+ * @returns {Buffer}
+ */
+export const encodeRecord = (kind, time, input) => {
+  const { meta, payload } = encodeInput(kind, input);
+  const metaBytes = Buffer.from(JSON.stringify(meta));
+  const payloadLength = payload ? payload.length : 0;
+  const head = Buffer.alloc(1 + 8 + 4 + metaBytes.length + 4);
+
+  head.writeUInt8(RECORD_KINDS[kind], 0);
+  head.writeDoubleLE(time, 1);
+  head.writeUInt32LE(metaBytes.length, 9);
+  metaBytes.copy(head, 13);
+  head.writeUInt32LE(payloadLength, 13 + metaBytes.length);
+
+  return payload ? Buffer.concat([head, payload]) : head;
+};
+
+/**
+ * Length of the record at the start of a buffer, or of as much of it as
+ * can be told yet
+ * @returns {Object} - { complete, length } (length is a lower bound while incomplete)
+ */
+const measureRecord = (buffer) => {
+  if (buffer.length < 13) return { complete: false, length: 13 };
+
+  const metaLength = buffer.readUInt32LE(9);
+  if (buffer.length < 17 + metaLength) return { complete: false, length: 17 + metaLength };
+
+  const length = 17 + metaLength + buffer.readUInt32LE(13 + metaLength);
+  return { complete: buffer.length >= length, length };
+};
+
+const parseRecord = (buffer) => {
+  const code = buffer.readUInt8(0);
+  const kind = KIND_NAMES[code];
+  if (!kind) {
+    throw invalidSession(`Unknown record kind ${code}`);
+  }
+
+  const metaLength = buffer.readUInt32LE(9);
+  const payloadLength = buffer.readUInt32LE(13 + metaLength);
+
+  return {
+    kind,
+    time: buffer.readDoubleLE(1),
+    meta: JSON.parse(buffer.toString('utf8', 13, 13 + metaLength)),
+    payload: payloadLength > 0 ? buffer.subarray(17 + metaLength, 17 + metaLength + payloadLength) : null
+  };
+};
+
+/**
+ * Read a session file record by record
+ * Only the record being read is held in memory.
+ * @param {string} file - Session file
+ * @returns {AsyncGenerator<Object>} - { kind, time, meta, payload }
+ * @throws {Error} - code INVALID_SESSION when the file is not a session
+ */
+export async function* readSession(file) {
+  const stream = fs.createReadStream(file).pipe(zlib.createGunzip());
+  let chunks = [];
+  let buffered = 0;
+  let needed = HEADER_LENGTH;
+  let headerRead = false;
+
+  try {
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+      buffered += chunk.length;
+
+      while (buffered >= needed) {
+        let buffer = chunks.length === 1 ? chunks[0] : Buffer.concat(chunks, buffered);
+        chunks = [buffer];
+
+        if (!headerRead) {
+          if (!buffer.subarray(0, MAGIC.length).equals(MAGIC)) {
+            throw invalidSession('Not an ODIN session file');
+          }
+          const version = buffer.readUInt8(MAGIC.length);
+          if (version > SESSION_VERSION) {
+            throw invalidSession(`Session format version ${version} is newer than this server reads (${SESSION_VERSION})`);
+          }
+
+          headerRead = true;
+          buffer = buffer.subarray(HEADER_LENGTH);
+        } else {
+          const { complete, length } = measureRecord(buffer);
+          if (!complete) {
+            needed = length;
+            break;
+          }
+
+          yield parseRecord(buffer.subarray(0, length));
+          buffer = buffer.subarray(length);
+        }
+
+        chunks = [buffer];
+        buffered = buffer.length;
+        needed = measureRecord(buffer).length;
+      }
+    }
+  } catch (error) {
+    // A recording cut short ends mid-stream: keep what was whole
+    if (error.code === 'Z_DATA_ERROR') throw invalidSession('Not an ODIN session file');
+    if (error.code !== 'Z_BUF_ERROR') throw error;
+  } finally {
+    stream.destroy();
+  }
+
+  if (!headerRead) {
+    throw invalidSession('Session file is empty or not an ODIN session');
+  }
+}
+
+/**
+ * Open a session file for writing
+ * @param {string} file - Session file (created or truncated)
+ * @returns {Object} - { write(buffer), close(): Promise, bytesWritten() }
+ */
+export const createSessionWriter = (file) => {
+  const output = fs.createWriteStream(file);
+  const gzip = zlib.createGzip({ level: 1 }); // Fast: frames arrive ten times a second
+  let failure = null;
+
+  const fail = (error) => {
+    failure = failure || error;
+  };
+  output.on('error', fail);
+  gzip.on('error', fail);
+  gzip.pipe(output);
+  gzip.write(encodeHeader());
+
+  return {
+    write: (buffer) => {
+      if (failure) throw failure;
+      gzip.write(buffer);
+    },
+    close: () => new Promise((resolve, reject) => {
+      if (failure) return reject(failure);
+
+      output.once('finish', () => (failure ? reject(failure) : resolve()));
+      output.once('error', reject);
+      gzip.end();
+    }),
+    bytesWritten: () => output.bytesWritten
+  };
+};
+
+export default {
+  SESSION_FORMAT,
+  SESSION_VERSION,
+  RECORD_KINDS,
+  encodeInput,
+  decodeInput,
+  encodeHeader,
+  encodeRecord,
+  readSession,
+  createSessionWriter
+};
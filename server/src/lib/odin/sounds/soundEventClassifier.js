@@ -0,0 +1,242 @@
+const round = (value) => Math.round(value * 1e4) / 1e4;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Fixed-length description of a sound event
+ * Timbre (mean and spread of c1..c12 over the frames within 20 dB of the
+ * peak) plus envelope and tonality: how much of the event is loud, how
+ * much the level swings, how often it re-attacks (steps, knocks), whether
+ * it is pitched and at what pitch (bells, beeps), and how long it lasts.
+ * Nothing in it depends on the absolute level.
+ * @param {Array<Object>} frames - { time, duration, rms, pitch, mfcc } per frame
+ * @returns {number[]}
+ */
+export const soundEmbedding = (frames) => {
+  const levels = frames.map(frame => 20 * Math.log10(frame.rms + 1e-9));
+  const peak = Math.max(...levels);
+  const active = frames.filter((frame, i) => levels[i] >= peak - 20);
+  const dimensions = active[0].mfcc.length;
+  
+  const mean = new Array(dimensions).fill(0);
+  const spread = new Array(dimensions).fill(0);
+  active.forEach(frame => frame.mfcc.forEach((value, d) => {
+    mean[d] += value / active.length;
+  }));
+  active.forEach(frame => frame.mfcc.forEach((value, d) => {
+    spread[d] += (value - mean[d]) ** 2 / active.length;
+  }));
+  
+  // Re-attacks: the level jumping 6 dB within two frames
+  let attacks = 0;
+  let refractory = 0;
+  for (let i = 2; i < levels.length; i++) {
+    if (refractory > 0) {
+      refractory--;
+    } else if (levels[i] - levels[i - 2] >= 6 && levels[i] >= peak - 20) {
+      attacks++;
+      refractory = 3;
+    }
+  }
+  
+  const duration = frames.reduce((sum, frame) => sum + frame.duration, 0);
+  const levelMean = levels.reduce((sum, v) => sum + v, 0) / levels.length;
+  const levelSpread = Math.sqrt(levels.reduce((sum, v) => sum + (v - levelMean) ** 2, 0) / levels.length);
+  const voiced = active.filter(frame => frame.pitch > 0);
+  const voicedRatio = voiced.length / active.length;
+  const pitch = voiced.length > 0 ? Math.log2(median(voiced.map(frame => frame.pitch)) / 440) : 0;
+  
+  return [
+    ...mean.slice(1),
+    ...spread.slice(1).map(Math.sqrt),
+    (frames.filter((frame, i) => levels[i] >= peak - 10).length / frames.length) * 4,
+    levelSpread / 4,
+    attacks / Math.max(duration / 1000, 0.25),
+    voicedRatio * 4,
+    pitch * voicedRatio * 3,
+    Math.log2(Math.max(duration, 50) / 1000) * 1.5
+  ].map(round);
+};
+
+const distance = (a, b) => {
+  let sum = 0;
+  for (let d = 0; d < a.length; d++) {
+    sum += (a[d] - b[d]) ** 2;
+  }
+  return Math.sqrt(sum);
+};
+
+/**
+ * Sound Event Classifier
+ * Recognizes one pet's household sounds (its doorbell, the can opener,
+ * the owner's footsteps) from a few labeled clips per class. Each clip's
+ * event becomes a template embedding; a new event takes the label of the
+ * nearest template if it is within that class's threshold and clearly
+ * nearer than the next class. Thresholds grow with how different a
+ * class's own clips are from each other.
+ */
+export class SoundEventClassifier {
+  constructor(options = {}) {
+    // label -> { templates: [{ embedding, duration, sampleRate, createdAt }], threshold }
+    this.classes = new Map();
+    
+    this.config = {
+      defaultThreshold: 7, // Accepted distance while a class has one clip
+      thresholdScale: 2, // Accept up to this times the spread between clips
+      minThreshold: 6,
+      maxThreshold: 14,
+      minMargin: 0.15, // Next class must be at least this much (relatively) further
+      minFrames: 3,
+      maxTemplates: 20,
+      ...options
+    };
+  }
+  
+  /**
+   * Add a labeled clip
+   * @param {string} label - Sound class
+   * @param {Array<Object>} frames - Frames of the clip's sound event
+   * @param {Object} meta - { duration (ms), sampleRate, createdAt }
+   * @returns {Object} - Class summary
+   */
+  enroll(label, frames, meta = {}) {
+    if (frames.length < this.config.minFrames) {
+      const error = new Error(`Clip of "${label}" is too short to learn from`);
+      error.code = 'NO_SOUND';
+      throw error;
+    }
+    
+    const entry = this.classes.get(label) || { templates: [], threshold: this.config.defaultThreshold };
+    entry.templates.push({
+      embedding: soundEmbedding(frames),
+      duration: meta.duration ?? 0,
+      sampleRate: meta.sampleRate ?? null,
+      createdAt: meta.createdAt ?? Date.now()
+    });
+    
+    // Keep the most recent clips
+    if (entry.templates.length > this.config.maxTemplates) {
+      entry.templates.shift();
+    }
+    
+    entry.threshold = this.calibrate(entry.templates);
+    this.classes.set(label, entry);
+    
+    return this.describe(label);
+  }
+  
+  calibrate(templates) {
+    // Mean distance between a class's own clips
+    if (templates.length < 2) {
+      return this.config.defaultThreshold;
+    }
+    
+    let total = 0;
+    let pairs = 0;
+    for (let i = 0; i < templates.length; i++) {
+      for (let j = i + 1; j < templates.length; j++) {
+        total += distance(templates[i].embedding, templates[j].embedding);
+        pairs++;
+      }
+    }
+    
+    const threshold = (total / pairs) * this.config.thresholdScale;
+    return Math.max(this.config.minThreshold, Math.min(this.config.maxThreshold, threshold));
+  }
+  
+  remove(label) {
+    return this.classes.delete(label);
+  }
+  
+  has(label) {
+    return this.classes.has(label);
+  }
+  
+  get size() {
+    return this.classes.size;
+  }
+  
+  describe(label) {
+    const entry = this.classes.get(label);
+    if (!entry) return null;
+    
+    return {
+      label,
+      clips: entry.templates.length,
+      threshold: round(entry.threshold),
+      averageDuration: Math.round(entry.templates.reduce((sum, t) => sum + t.duration, 0) / entry.templates.length),
+      updatedAt: Math.max(...entry.templates.map(t => t.createdAt))
+    };
+  }
+  
+  list() {
+    return Array.from(this.classes.keys()).map(label => this.describe(label));
+  }
+  
+  /**
+   * Label a sound event
+   * @param {Array<Object>} frames - Frames of the event
+   * @returns {Object|null} - { label, confidence, distance, alternatives }
+   *   or null when no class matches well enough
+   */
+  classify(frames) {
+    if (this.classes.size === 0 || frames.length < this.config.minFrames) {
+      return null;
+    }
+    
+    const embedding = soundEmbedding(frames);
+    const scored = [];
+    
+    this.classes.forEach((entry, label) => {
+      const nearest = Math.min(...entry.templates.map(template => distance(embedding, template.embedding)));
+      const relative = nearest / entry.threshold;
+      
+      // 1 at a perfect match, 0.5 at the threshold
+      scored.push({ label, distance: nearest, relative, confidence: Math.max(0, 1 - relative / 2) });
+    });
+    
+    scored.sort((a, b) => a.distance - b.distance);
+    const [best, runnerUp] = scored;
+    
+    if (best.relative > 1) return null;
+    if (runnerUp && runnerUp.distance < best.distance * (1 + this.config.minMargin)) return null;
+    
+    return {
+      label: best.label,
+      confidence: round(best.confidence),
+      distance: round(best.distance),
+      alternatives: scored.slice(1, 4).map(({ label, confidence }) => ({
+        label,
+        confidence: round(confidence)
+      }))
+    };
+  }
+  
+  serialize() {
+    return {
+      classes: Array.from(this.classes.entries()).map(([label, entry]) => ({
+        label,
+        threshold: entry.threshold,
+        templates: entry.templates
+      }))
+    };
+  }
+  
+  restore(data = {}) {
+    this.classes.clear();
+    
+    (data.classes || []).forEach(({ label, threshold, templates }) => {
+      if (!label || !Array.isArray(templates) || templates.length === 0) return;
+      
+      this.classes.set(label, {
+        templates,
+        threshold: threshold ?? this.calibrate(templates)
+      });
+    });
+  }
+}
+
+export default SoundEventClassifier;
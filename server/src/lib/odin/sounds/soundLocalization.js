@@ -0,0 +1,182 @@
+import { fft, nextPowerOfTwo, rms } from '../audioProcessing.js';
+
+const SPEED_OF_SOUND = 343; // m/s at room temperature
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Delay of the right channel behind the left
+ * Generalized cross-correlation with phase transform (GCC-PHAT): every
+ * frequency weighs the same, so the correlation peaks sharply at the delay
+ * even for low-pitched or reverberant sounds.
+ * @param {Float32Array} left - Left channel
+ * @param {Float32Array} right - Right channel, same length
+ * @param {number} maxLag - Largest delay looked for, in samples
+ * @returns {Object} - { lag: samples (fractional; positive when the right
+ *   channel hears it later), peak: correlation at the lag, about 1 for a
+ *   clean delayed copy and near 0 for unrelated channels }
+ */
+export const channelDelay = (left, right, maxLag) => {
+  const n = nextPowerOfTwo(left.length * 2);
+  const leftRe = new Float64Array(n);
+  const leftIm = new Float64Array(n);
+  const rightRe = new Float64Array(n);
+  const rightIm = new Float64Array(n);
+  
+  leftRe.set(left);
+  rightRe.set(right);
+  fft(leftRe, leftIm);
+  fft(rightRe, rightIm);
+  
+  // Cross-spectrum conj(L) * R, whitened; conjugated again for the
+  // inverse transform through the forward FFT. Frequencies the sound has
+  // (next to) no energy at are left out rather than whitened into noise.
+  const crossRe = new Float64Array(n);
+  const crossIm = new Float64Array(n);
+  const magnitudes = new Float64Array(n);
+  let loudest = 0;
+  for (let k = 0; k < n; k++) {
+    crossRe[k] = leftRe[k] * rightRe[k] + leftIm[k] * rightIm[k];
+    crossIm[k] = leftRe[k] * rightIm[k] - leftIm[k] * rightRe[k];
+    magnitudes[k] = Math.hypot(crossRe[k], crossIm[k]);
+    loudest = Math.max(loudest, magnitudes[k]);
+  }
+  
+  let used = 0;
+  for (let k = 0; k < n; k++) {
+    if (magnitudes[k] > loudest * 1e-4) {
+      crossRe[k] /= magnitudes[k];
+      crossIm[k] = -crossIm[k] / magnitudes[k];
+      used++;
+    } else {
+      crossRe[k] = 0;
+      crossIm[k] = 0;
+    }
+  }
+  fft(crossRe, crossIm);
+  
+  const correlation = (lag) => (used > 0 ? crossRe[(lag + n) % n] / used : 0);
+  
+  let best = 0;
+  for (let lag = -maxLag; lag <= maxLag; lag++) {
+    if (correlation(lag) > correlation(best)) best = lag;
+  }
+  
+  // Parabola through the peak and its neighbors for a sub-sample lag
+  let lag = best;
+  if (Math.abs(best) < maxLag) {
+    const before = correlation(best - 1);
+    const at = correlation(best);
+    const after = correlation(best + 1);
+    const curvature = before - 2 * at + after;
+    if (curvature < 0) {
+      lag = best + clamp((before - after) / (2 * curvature), -0.5, 0.5);
+    }
+  }
+  
+  return { lag, peak: clamp(correlation(best), 0, 1) };
+};
+
+/**
+ * The loudest stretch of a two-channel chunk, at most maxSamples long
+ */
+const loudestSpan = (left, right, maxSamples) => {
+  if (left.length <= maxSamples) return [0, left.length];
+  
+  const step = Math.max(1, Math.floor(maxSamples / 8));
+  let bestStart = 0;
+  let bestLevel = -1;
+  
+  for (let start = 0; start + maxSamples <= left.length; start += step) {
+    const level = rms(left, start, start + maxSamples) + rms(right, start, start + maxSamples);
+    if (level > bestLevel) {
+      bestLevel = level;
+      bestStart = start;
+    }
+  }
+  
+  return [bestStart, bestStart + maxSamples];
+};
+
+/**
+ * Direction a sound comes from, heard by a pair of microphones
+ * Two cues: the time difference between the channels (how much later the
+ * far microphone hears it) and their level difference. The time
+ * difference is the precise one when there is one; microphones at the
+ * same spot (an XY stereo pair, or panned audio) have none, and a sound
+ * straight ahead neither, and then the level difference tells left from
+ * right. A pure tone above c / (2 * spacing) - about 1.1 kHz for 15 cm -
+ * fits more than one delay; sounds with a spread of frequencies do not.
+ * @param {Float32Array} left - Left channel
+ * @param {Float32Array} right - Right channel
+ * @param {number} sampleRate - Hz
+ * @param {Object} options - { micSpacing: meters between the microphones,
+ *   ildRange: level difference in dB heard from the side, minPeak: channel
+ *   correlation needed to trust either cue, minIld: dB that count as a
+ *   level difference, maxSamples: analysis length }
+ * @returns {Object|null} - { azimuth: degrees, -90 (left) to 90 (right),
+ *   0 straight ahead; confidence; cue: 'time' or 'level'; itd: ms; ild: dB },
+ *   or null for silence
+ */
+export const estimateDirection = (left, right, sampleRate, options = {}) => {
+  const {
+    micSpacing = 0.15,
+    ildRange = 12,
+    minPeak = 0.2,
+    minIld = 1.5,
+    maxSamples = 4096
+  } = options;
+  
+  const [start, end] = loudestSpan(left, right, maxSamples);
+  const leftSpan = left.subarray(start, end);
+  const rightSpan = right.subarray(start, end);
+  
+  const leftLevel = rms(leftSpan);
+  const rightLevel = rms(rightSpan);
+  if (leftLevel + rightLevel < 1e-4) return null;
+  
+  const ild = 20 * Math.log10((rightLevel + 1e-9) / (leftLevel + 1e-9));
+  const levelAzimuth = clamp(ild / ildRange, -1, 1) * 90;
+  
+  // Farthest the sound can travel between the microphones, plus a sample
+  // of slack for the interpolation
+  const maxLag = Math.max(1, Math.ceil((micSpacing / SPEED_OF_SOUND) * sampleRate) + 1);
+  const { lag, peak } = channelDelay(leftSpan, rightSpan, maxLag);
+  const itd = (lag / sampleRate) * 1000;
+  
+  // Heard later on the right: the sound is on the left
+  const timeAzimuth = micSpacing > 0
+    ? -Math.asin(clamp((lag / sampleRate) * SPEED_OF_SOUND / micSpacing, -1, 1)) * (180 / Math.PI)
+    : 0;
+    
+  let azimuth;
+  let confidence;
+  let cue;
+  
+  if (peak < minPeak) {
+    // Channels too unlike each other (diffuse noise, two sources): only
+    // the levels say anything, and not much
+    [azimuth, confidence, cue] = [levelAzimuth, 0.3, 'level'];
+  } else if (micSpacing > 0 && Math.abs(lag) >= 0.5) {
+    [azimuth, confidence, cue] = [timeAzimuth, peak, 'time'];
+  } else if (Math.abs(ild) >= minIld) {
+    [azimuth, confidence, cue] = [levelAzimuth, 0.7 * peak, 'level'];
+  } else {
+    [azimuth, confidence, cue] = [timeAzimuth, peak, 'time'];
+  }
+  
+  return {
+    azimuth: round(azimuth) || 0,
+    confidence: round(confidence, 3),
+    cue,
+    itd: round(itd, 3),
+    ild: round(ild)
+  };
+};
+
+export default {
+  channelDelay,
+  estimateDirection
+};
@@ -0,0 +1,266 @@
+const round = (value) => Math.round(value * 1e4) / 1e4;
+
+/**
+ * Normalize MFCC frames for matching
+ * @param {Array<number[]>} frames - MFCCs per frame (c0 first)
+ * @returns {Array<number[]>} - c1.. per frame, zero mean and unit variance
+ */
+export const normalizeFrames = (frames) => {
+  const vectors = frames.map(frame => frame.slice(1));
+  const dimensions = vectors[0].length;
+  const mean = new Array(dimensions).fill(0);
+  const deviation = new Array(dimensions).fill(0);
+  
+  vectors.forEach(vector => vector.forEach((value, d) => {
+    mean[d] += value / vectors.length;
+  }));
+  vectors.forEach(vector => vector.forEach((value, d) => {
+    deviation[d] += (value - mean[d]) ** 2 / vectors.length;
+  }));
+  
+  return vectors.map(vector => vector.map((value, d) =>
+    round((value - mean[d]) / Math.max(Math.sqrt(deviation[d]), 1e-6))
+  ));
+};
+
+const frameDistance = (a, b) => {
+  let sum = 0;
+  for (let d = 0; d < a.length; d++) {
+    sum += (a[d] - b[d]) ** 2;
+  }
+  return Math.sqrt(sum);
+};
+
+/**
+ * Dynamic time warping distance within a Sakoe-Chiba band around the
+ * diagonal, normalized by the path length
+ * @param {Array<number[]>} a - Normalized frames
+ * @param {Array<number[]>} b - Normalized frames
+ * @param {number} bandRatio - Band half-width as a share of the longer sequence
+ * @returns {number}
+ */
+export const dtwDistance = (a, b, bandRatio = 0.25) => {
+  const n = a.length;
+  const m = b.length;
+  const band = Math.max(1, Math.ceil(bandRatio * Math.max(n, m)));
+  
+  // Cumulative cost and path length, one row at a time
+  let previousCost = new Float64Array(m + 1).fill(Infinity);
+  let previousSteps = new Float64Array(m + 1);
+  previousCost[0] = 0;
+  
+  for (let i = 1; i <= n; i++) {
+    const cost = new Float64Array(m + 1).fill(Infinity);
+    const steps = new Float64Array(m + 1);
+    const center = Math.round((i * m) / n);
+    
+    for (let j = Math.max(1, center - band); j <= Math.min(m, center + band); j++) {
+      const local = frameDistance(a[i - 1], b[j - 1]);
+      let best = previousCost[j - 1];
+      let bestSteps = previousSteps[j - 1];
+      
+      if (previousCost[j] < best) {
+        best = previousCost[j];
+        bestSteps = previousSteps[j];
+      }
+      if (cost[j - 1] < best) {
+        best = cost[j - 1];
+        bestSteps = steps[j - 1];
+      }
+      
+      cost[j] = best + local;
+      steps[j] = bestSteps + 1;
+    }
+    
+    previousCost = cost;
+    previousSteps = steps;
+  }
+  
+  return previousSteps[m] > 0 ? previousCost[m] / previousSteps[m] : Infinity;
+};
+
+/**
+ * Keyword Spotter
+ * Recognizes a small vocabulary of spoken commands, trained offline from a
+ * handful of recordings per keyword. Every recording is kept as a template:
+ * its utterance's MFCC frames without c0 (loudness), normalized to zero
+ * mean and unit variance per coefficient so microphone and level don't
+ * matter. A new utterance is aligned to each template with dynamic time
+ * warping; the nearest keyword wins if it is within that keyword's
+ * threshold and clearly nearer than the runner-up.
+ *
+ * A keyword's threshold is scaled from how far its own recordings are from
+ * one another, so a command that is always said the same way is matched
+ * more strictly than one said loosely.
+ */
+export class KeywordSpotter {
+  constructor(options = {}) {
+    // keyword -> { templates: [{ frames, duration, sampleRate, createdAt }], threshold }
+    this.keywords = new Map();
+    
+    this.config = {
+      bandRatio: 0.25,
+      defaultThreshold: 3.2, // Accepted distance while a keyword has one recording
+      thresholdScale: 1.5, // Accept up to this times the spread between recordings
+      minThreshold: 2.2,
+      maxThreshold: 3.6,
+      durationRatio: 2, // Templates more than this much longer or shorter are skipped
+      minMargin: 0.1, // Runner-up must be at least this much (relatively) further
+      minFrames: 5,
+      maxTemplates: 10,
+      ...options
+    };
+  }
+  
+  /**
+   * Add a recording of a keyword
+   * @param {string} keyword - Command name
+   * @param {Array<number[]>} frames - MFCCs per frame of the spoken keyword
+   * @param {Object} meta - { duration (ms), sampleRate, createdAt }
+   * @returns {Object} - Keyword summary
+   */
+  enroll(keyword, frames, meta = {}) {
+    if (frames.length < this.config.minFrames) {
+      const error = new Error(`Recording of "${keyword}" is too short to learn from`);
+      error.code = 'NO_SPEECH';
+      throw error;
+    }
+    
+    const entry = this.keywords.get(keyword) || { templates: [], threshold: this.config.defaultThreshold };
+    entry.templates.push({
+      frames: normalizeFrames(frames),
+      duration: meta.duration ?? 0,
+      sampleRate: meta.sampleRate ?? null,
+      createdAt: meta.createdAt ?? Date.now()
+    });
+    
+    // Keep the most recent recordings
+    if (entry.templates.length > this.config.maxTemplates) {
+      entry.templates.shift();
+    }
+    
+    entry.threshold = this.calibrate(entry.templates);
+    this.keywords.set(keyword, entry);
+    
+    return this.describe(keyword);
+  }
+  
+  calibrate(templates) {
+    // Mean distance between a keyword's own recordings
+    if (templates.length < 2) {
+      return this.config.defaultThreshold;
+    }
+    
+    let total = 0;
+    let pairs = 0;
+    for (let i = 0; i < templates.length; i++) {
+      for (let j = i + 1; j < templates.length; j++) {
+        total += dtwDistance(templates[i].frames, templates[j].frames, this.config.bandRatio);
+        pairs++;
+      }
+    }
+    
+    const threshold = (total / pairs) * this.config.thresholdScale;
+    return Math.max(this.config.minThreshold, Math.min(this.config.maxThreshold, threshold));
+  }
+  
+  remove(keyword) {
+    return this.keywords.delete(keyword);
+  }
+  
+  has(keyword) {
+    return this.keywords.has(keyword);
+  }
+  
+  describe(keyword) {
+    const entry = this.keywords.get(keyword);
+    if (!entry) return null;
+    
+    return {
+      keyword,
+      recordings: entry.templates.length,
+      threshold: round(entry.threshold),
+      averageDuration: Math.round(entry.templates.reduce((sum, t) => sum + t.duration, 0) / entry.templates.length),
+      updatedAt: Math.max(...entry.templates.map(t => t.createdAt))
+    };
+  }
+  
+  list() {
+    return Array.from(this.keywords.keys()).map(keyword => this.describe(keyword));
+  }
+  
+  /**
+   * Match an utterance against the trained keywords
+   * @param {Array<number[]>} frames - MFCCs per frame of the utterance
+   * @returns {Object|null} - { keyword, confidence, distance, alternatives }
+   *   or null when nothing matches well enough
+   */
+  spot(frames) {
+    if (this.keywords.size === 0 || frames.length < this.config.minFrames) {
+      return null;
+    }
+    
+    const utterance = normalizeFrames(frames);
+    const scored = [];
+    
+    this.keywords.forEach((entry, keyword) => {
+      let distance = Infinity;
+      
+      entry.templates.forEach(template => {
+        const ratio = utterance.length / template.frames.length;
+        if (ratio > this.config.durationRatio || ratio < 1 / this.config.durationRatio) return;
+        
+        distance = Math.min(distance, dtwDistance(utterance, template.frames, this.config.bandRatio));
+      });
+      
+      if (Number.isFinite(distance)) {
+        // 1 at a perfect match, 0.5 at the threshold
+        const relative = distance / entry.threshold;
+        scored.push({ keyword, distance, relative, confidence: Math.max(0, 1 - relative / 2) });
+      }
+    });
+    
+    if (scored.length === 0) return null;
+    
+    scored.sort((a, b) => a.distance - b.distance);
+    const [best, runnerUp] = scored;
+    
+    if (best.relative > 1) return null;
+    if (runnerUp && runnerUp.distance < best.distance * (1 + this.config.minMargin)) return null;
+    
+    return {
+      keyword: best.keyword,
+      confidence: round(best.confidence),
+      distance: round(best.distance),
+      alternatives: scored.slice(1, 4).map(({ keyword, confidence }) => ({
+        keyword,
+        confidence: round(confidence)
+      }))
+    };
+  }
+  
+  serialize() {
+    return {
+      keywords: Array.from(this.keywords.entries()).map(([keyword, entry]) => ({
+        keyword,
+        threshold: entry.threshold,
+        templates: entry.templates
+      }))
+    };
+  }
+  
+  restore(data = {}) {
+    this.keywords.clear();
+    
+    (data.keywords || []).forEach(({ keyword, threshold, templates }) => {
+      if (!keyword || !Array.isArray(templates) || templates.length === 0) return;
+      
+      this.keywords.set(keyword, {
+        templates,
+        threshold: threshold ?? this.calibrate(templates)
+      });
+    });
+  }
+}
+
+export default KeywordSpotter;
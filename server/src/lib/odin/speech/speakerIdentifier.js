@@ -0,0 +1,248 @@
+const round = (value) => Math.round(value * 1e4) / 1e4;
+
+const percentile = (values, p) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+};
+
+/**
+ * Voiced frames of an utterance: pitched, and within 25 dB of its peak
+ * @param {Array<Object>} frames - { rms, pitch, mfcc } per frame
+ * @returns {Array<Object>}
+ */
+export const voicedFrames = (frames) => {
+  const peak = Math.max(...frames.map(frame => frame.rms));
+  return frames.filter(frame => frame.pitch > 0 && frame.rms >= peak * 0.056);
+};
+
+/**
+ * Fixed-length description of a voice, whatever was said
+ * Median pitch (in octaves) carries most of it; the long-term
+ * average spectral envelope of the voiced frames (mean c1..c12, scaled
+ * down because it also depends on the words) tells apart voices of
+ * similar pitch. Nothing in it depends on the level.
+ * @param {Array<Object>} frames - Voiced frames (see voicedFrames)
+ * @returns {number[]}
+ */
+export const voiceEmbedding = (frames) => {
+  const pitches = frames.map(frame => Math.log2(frame.pitch / 100));
+  const dimensions = frames[0].mfcc.length;
+  const mean = new Array(dimensions).fill(0);
+  
+  frames.forEach(frame => frame.mfcc.forEach((value, d) => {
+    mean[d] += value / frames.length;
+  }));
+  
+  return [
+    percentile(pitches, 0.5) * 10,
+    ...mean.slice(1).map(value => value * 0.3)
+  ].map(round);
+};
+
+const distance = (a, b) => {
+  let sum = 0;
+  for (let d = 0; d < a.length; d++) {
+    sum += (a[d] - b[d]) ** 2;
+  }
+  return Math.sqrt(sum);
+};
+
+/**
+ * Speaker Identifier
+ * Recognizes the people of the household by voice, from a few enrolled
+ * recordings each. A voice is compared with the centroid of each
+ * person's recordings (which averages out what was said in them); it
+ * belongs to the nearest person if it is within that person's threshold
+ * and clearly nearer than anyone else. Otherwise it is a stranger - as
+ * long as there is anyone to compare it with.
+ */
+export class SpeakerIdentifier {
+  constructor(options = {}) {
+    // speakerId -> { name, templates: [{ embedding, pitch, duration, createdAt }], centroid, threshold }
+    this.speakers = new Map();
+    
+    this.config = {
+      defaultThreshold: 2.5, // Accepted distance while a person has one recording
+      thresholdScale: 1.5, // Accept up to this times the recordings' spread around the centroid
+      minThreshold: 1.5,
+      maxThreshold: 3.5,
+      minMargin: 0.1, // Next person must be at least this much (relatively) further
+      minVoicedFrames: 8, // ~130 ms of voice at 16 ms frames
+      maxTemplates: 20,
+      ...options
+    };
+  }
+  
+  /**
+   * Add a recording of a person's voice
+   * @param {string} speakerId - Person
+   * @param {string} name - Display name
+   * @param {Array<Object>} frames - Frames of the utterance
+   * @param {Object} meta - { duration (ms), createdAt }
+   * @returns {Object} - Speaker summary
+   */
+  enroll(speakerId, name, frames, meta = {}) {
+    const voiced = voicedFrames(frames);
+    
+    if (voiced.length < this.config.minVoicedFrames) {
+      const error = new Error(`Recording of ${name} has too little voice to learn from`);
+      error.code = 'NO_SPEECH';
+      throw error;
+    }
+    
+    const entry = this.speakers.get(speakerId) || { name, templates: [] };
+    entry.name = name;
+    entry.templates.push({
+      embedding: voiceEmbedding(voiced),
+      pitch: round(percentile(voiced.map(frame => frame.pitch), 0.5)),
+      duration: meta.duration ?? 0,
+      createdAt: meta.createdAt ?? Date.now()
+    });
+    
+    // Keep the most recent recordings
+    if (entry.templates.length > this.config.maxTemplates) {
+      entry.templates.shift();
+    }
+    
+    this.speakers.set(speakerId, { ...entry, ...this.calibrate(entry.templates) });
+    
+    return this.describe(speakerId);
+  }
+  
+  calibrate(templates) {
+    // Centroid of a person's recordings, and how far they spread around it
+    const centroid = templates[0].embedding.map((_, d) =>
+      round(templates.reduce((sum, template) => sum + template.embedding[d], 0) / templates.length)
+    );
+    
+    if (templates.length < 2) {
+      return { centroid, threshold: this.config.defaultThreshold };
+    }
+    
+    const spread = templates.reduce((sum, template) => sum + distance(template.embedding, centroid), 0) / templates.length;
+    const threshold = spread * this.config.thresholdScale;
+    
+    return {
+      centroid,
+      threshold: Math.max(this.config.minThreshold, Math.min(this.config.maxThreshold, threshold))
+    };
+  }
+  
+  remove(speakerId) {
+    return this.speakers.delete(speakerId);
+  }
+  
+  has(speakerId) {
+    return this.speakers.has(speakerId);
+  }
+  
+  get size() {
+    return this.speakers.size;
+  }
+  
+  describe(speakerId) {
+    const entry = this.speakers.get(speakerId);
+    if (!entry) return null;
+    
+    return {
+      speakerId,
+      name: entry.name,
+      recordings: entry.templates.length,
+      threshold: round(entry.threshold),
+      pitch: Math.round(percentile(entry.templates.map(t => t.pitch), 0.5)),
+      updatedAt: Math.max(...entry.templates.map(t => t.createdAt))
+    };
+  }
+  
+  list() {
+    return Array.from(this.speakers.keys()).map(speakerId => this.describe(speakerId));
+  }
+  
+  /**
+   * Tell whose voice an utterance is
+   * @param {Array<Object>} frames - Frames of the utterance
+   * @returns {Object|null} - { known: true, speakerId, name, confidence,
+   *   distance, alternatives } for a household member, { known: false,
+   *   confidence, distance, nearest } for a stranger (confidence: how sure
+   *   it is nobody known), or null with no one enrolled or too little voice
+   */
+  identify(frames) {
+    if (this.speakers.size === 0) return null;
+    
+    const voiced = voicedFrames(frames);
+    if (voiced.length < this.config.minVoicedFrames) return null;
+    
+    const embedding = voiceEmbedding(voiced);
+    const scored = [];
+    
+    this.speakers.forEach((entry, speakerId) => {
+      const nearest = distance(embedding, entry.centroid);
+      const relative = nearest / entry.threshold;
+      
+      // 1 at a perfect match, 0.5 at the threshold
+      scored.push({
+        speakerId,
+        name: entry.name,
+        distance: nearest,
+        relative,
+        confidence: Math.max(0, 1 - relative / 2)
+      });
+    });
+    
+    scored.sort((a, b) => a.distance - b.distance);
+    const [best, runnerUp] = scored;
+    const ambiguous = runnerUp && runnerUp.distance < best.distance * (1 + this.config.minMargin);
+    
+    if (best.relative > 1) {
+      // Nobody it could be: surer the further it is from the nearest person
+      return {
+        known: false,
+        confidence: round(Math.min(1, 0.5 + (best.relative - 1))),
+        distance: round(best.distance),
+        nearest: { speakerId: best.speakerId, name: best.name }
+      };
+    }
+    
+    // Two people it could equally be: neither, but not a stranger either
+    if (ambiguous) return null;
+    
+    return {
+      known: true,
+      speakerId: best.speakerId,
+      name: best.name,
+      confidence: round(best.confidence),
+      distance: round(best.distance),
+      alternatives: scored.slice(1, 4).map(({ speakerId, name, confidence }) => ({
+        speakerId,
+        name,
+        confidence: round(confidence)
+      }))
+    };
+  }
+  
+  serialize() {
+    return {
+      speakers: Array.from(this.speakers.entries()).map(([speakerId, entry]) => ({
+        speakerId,
+        name: entry.name,
+        templates: entry.templates
+      }))
+    };
+  }
+  
+  restore(data = {}) {
+    this.speakers.clear();
+    
+    (data.speakers || []).forEach(({ speakerId, name, templates }) => {
+      if (!speakerId || !Array.isArray(templates) || templates.length === 0) return;
+      
+      this.speakers.set(speakerId, {
+        name: name || speakerId,
+        templates,
+        ...this.calibrate(templates)
+      });
+    });
+  }
+}
+
+export default SpeakerIdentifier;
@@ -0,0 +1,189 @@
+/**
+ * Voice Activity Detector
+ * Cuts a stream of analysis frames into utterances. A frame is speech when
+ * it stands well above the tracked noise floor, or is voiced and somewhat
+ * above it. An utterance opens after a short run of speech (kept as
+ * pre-roll) and closes after a hangover of non-speech, so a word that
+ * straddles two chunks stays whole.
+ *
+ * Frames: { time (ms), duration (ms), rms, pitch (Hz, 0 when unvoiced), mfcc }
+ */
+export class VoiceActivityDetector {
+  constructor(options = {}) {
+    this.config = {
+      startDb: 9, // Above the floor for an unvoiced frame to count as speech
+      voicedDb: 5, // Above the floor for a voiced frame
+      minLevel: 1e-3, // -60 dBFS: never speech below this
+      onsetMs: 48, // Speech needed to open an utterance
+      hangoverMs: 240, // Non-speech needed to close one
+      paddingMs: 96, // Kept on either side, for weak consonants below the threshold
+      minUtteranceMs: 120, // Shorter utterances are dropped as clicks
+      maxUtteranceMs: 2500, // Longer ones are cut
+      maxGapMs: 500, // Missing audio that ends an open utterance
+      floorAttack: 0.3, // How fast the floor falls to a quieter frame
+      floorRelease: 0.02, // How fast it creeps up outside speech
+      ...options
+    };
+    
+    this.reset(options.noiseFloor);
+  }
+  
+  reset(noiseFloor = null) {
+    this.noiseFloor = noiseFloor;
+    this.speaking = false;
+    this.frames = []; // The open utterance, or the run that may open one
+    this.preRoll = []; // Recent non-speech before the run
+    this.speechRun = 0; // ms of speech before an utterance opens
+    this.silenceRun = 0; // ms of trailing non-speech inside an utterance
+    this.lastSpeechIndex = -1;
+    this.lastTime = null;
+  }
+  
+  /**
+   * Feed analysis frames in time order
+   * @param {Array<Object>} frames - Frames in the shape above
+   * @returns {Array<Object>} - { type: 'start', time } and
+   *   { type: 'end', time, utterance } events
+   */
+  process(frames) {
+    const events = [];
+    
+    frames.forEach(frame => {
+      // A hole in the stream ends whatever was being said
+      if (this.lastTime !== null && frame.time - this.lastTime > this.config.maxGapMs) {
+        events.push(...this.flush());
+      }
+      this.lastTime = frame.time;
+      
+      const speech = this.isSpeech(frame);
+      this.updateNoiseFloor(frame, speech);
+      
+      if (!this.speaking) {
+        if (!speech) {
+          this.preRoll.push(...this.frames, frame);
+          this.frames = [];
+          this.speechRun = 0;
+          
+          const duration = frame.duration || 1;
+          const keep = Math.ceil(this.config.paddingMs / duration);
+          if (this.preRoll.length > keep) {
+            this.preRoll.splice(0, this.preRoll.length - keep);
+          }
+          return;
+        }
+        
+        this.frames.push(frame);
+        this.speechRun += frame.duration;
+        
+        if (this.speechRun >= this.config.onsetMs) {
+          this.speaking = true;
+          this.silenceRun = 0;
+          this.frames = [...this.preRoll, ...this.frames];
+          this.preRoll = [];
+          this.lastSpeechIndex = this.frames.length - 1;
+          events.push({ type: 'start', time: this.frames[0].time });
+        }
+        return;
+      }
+      
+      this.frames.push(frame);
+      
+      if (speech) {
+        this.silenceRun = 0;
+        this.lastSpeechIndex = this.frames.length - 1;
+      } else {
+        this.silenceRun += frame.duration;
+      }
+      
+      const length = frame.time + frame.duration - this.frames[0].time;
+      if (this.silenceRun >= this.config.hangoverMs) {
+        events.push(...this.close());
+      } else if (length >= this.config.maxUtteranceMs) {
+        // Nothing stops for this long: the floor was too low (digital
+        // silence) or the background got louder. Re-learn it from the
+        // quieter frames of what was cut.
+        const levels = this.frames.map(({ rms }) => rms).sort((a, b) => a - b);
+        events.push(...this.close());
+        this.noiseFloor = Math.max(levels[Math.floor(levels.length * 0.1)], this.config.minLevel / 10);
+      }
+    });
+    
+    return events;
+  }
+  
+  /**
+   * Close the open utterance, if any (end of stream)
+   * @returns {Array<Object>} - The 'end' event, when there was one
+   */
+  flush() {
+    const events = this.speaking ? this.close() : [];
+    
+    this.frames = [];
+    this.preRoll = [];
+    this.speechRun = 0;
+    
+    return events;
+  }
+  
+  isSpeech(frame) {
+    if (frame.rms < this.config.minLevel) return false;
+    if (this.noiseFloor === null) return false;
+    
+    const snr = 20 * Math.log10(frame.rms / Math.max(this.noiseFloor, 1e-9));
+    return snr >= this.config.startDb || (frame.pitch > 0 && snr >= this.config.voicedDb);
+  }
+  
+  updateNoiseFloor(frame, speech) {
+    const level = Math.max(frame.rms, this.config.minLevel / 10);
+    
+    if (this.noiseFloor === null) {
+      this.noiseFloor = level;
+    } else if (level < this.noiseFloor) {
+      this.noiseFloor += (level - this.noiseFloor) * this.config.floorAttack;
+    } else if (!speech && !this.speaking) {
+      this.noiseFloor += (level - this.noiseFloor) * this.config.floorRelease;
+    }
+  }
+  
+  close() {
+    // The trailing hangover is silence, not part of the utterance, apart
+    // from the padding
+    let endIndex = this.lastSpeechIndex;
+    let padding = 0;
+    while (endIndex + 1 < this.frames.length && padding < this.config.paddingMs) {
+      endIndex++;
+      padding += this.frames[endIndex].duration;
+    }
+    const frames = this.frames.slice(0, endIndex + 1);
+    const last = frames[frames.length - 1];
+    const start = frames[0].time;
+    const end = last.time + last.duration;
+    
+    this.speaking = false;
+    this.frames = [];
+    this.speechRun = 0;
+    this.silenceRun = 0;
+    this.lastSpeechIndex = -1;
+    
+    if (end - start < this.config.minUtteranceMs) {
+      return [{ type: 'end', time: end, utterance: null }];
+    }
+    
+    const level = frames.reduce((sum, frame) => sum + frame.rms * frame.rms, 0) / frames.length;
+    
+    return [{
+      type: 'end',
+      time: end,
+      utterance: {
+        start,
+        end,
+        duration: end - start,
+        frames,
+        level: Math.sqrt(level),
+        voicedRatio: frames.filter(frame => frame.pitch > 0).length / frames.length
+      }
+    }];
+  }
+}
+
+export default VoiceActivityDetector;
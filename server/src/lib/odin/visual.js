@@ -1,4 +1,23 @@
 import EventEmitter from 'events';
+import { performance } from 'perf_hooks';
+import { createRuntime } from '../runtime/index.js';
+import {
+  decodeFrame,
+  toGrayscale,
+  detectEdgeMap,
+  findContours,
+  classifyContour,
+  frameDifference,
+  blockMatchFlow,
+  findMotionRegions,
+  findColorRegions,
+  boundingBox
+} from './imageProcessing.js';
+import { createObjectDetector } from './detectors/index.js';
+import { SkinFaceDetector } from './faces/faceDetector.js';
+import { FaceRecognizer } from './faces/faceRecognizer.js';
+import { loadJpegDecoder } from './jpegDecoder.js';
+import { readJson, writeJsonAtomic } from '../../utils/atomicFile.js';
 
 /**
  * Visual Cortex - Huginn (Thought)
@@ -6,17 +25,42 @@ import EventEmitter from 'events';
  * Implements layered visual processing similar to biological vision
  */
 export class VisualCortex extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
     
+    const runtime = options.runtime || createRuntime();
+    this.random = runtime.random;
+    this.clock = runtime.clock;
+    
     this.isActive = false;
     this.stream = null;
-    this.frameBuffer = [];
+    this.frameBuffer = []; // Recent frames' analysis images, for motion
+    
+    // V5 object detector; created from detectorOptions on initialize
+    // unless one is handed in
+    this.detector = options.detector || null;
+    this.detectorOptions = options.detectorOptions || {};
+    this.detecting = false;
+    this.lastDetections = [];
+    
+    // Face pipeline: a face detector (synchronous; see detectors/index.js
+    // for the interface) and the household's enrolled faces (persisted to
+    // facePath). Faces come from here only; an object detector's own
+    // face boxes are dropped.
+    this.faceDetector = options.faceDetector || new SkinFaceDetector(options.faceDetectorOptions);
+    this.faceRecognizer = new FaceRecognizer(options.faceRecognizer);
+    this.facePath = options.facePath || null;
+    this.facesInView = new Map(); // personId ('stranger' for any stranger) -> last seen
+    
+    // JPEG camera frames are decoded by this (loaded on initialize unless
+    // handed in); without one only raw frames are taken
+    this.jpegDecoder = options.jpegDecoder || null;
     
     // Visual processing layers (V1-V5 like biological visual cortex)
     this.layers = {
       v1: { // Edge detection & basic features
         edges: [],
+        edgeDensity: 0,
         corners: [],
         lines: []
       },
@@ -49,7 +93,31 @@ export class VisualCortex extends EventEmitter {
       motionThreshold: 0.3,
       objectConfidenceThreshold: 0.5,
       bufferSize: 30,
-      edgeDetectionSensitivity: 0.5
+      edgeDetectionSensitivity: 0.5,
+      analysisWidth: 320, // Frames are downscaled to about this width for V1/V2
+      minContourPoints: 12,
+      maxEdgePoints: 1000,
+      maxContours: 50,
+      maxShapes: 20,
+      motionDiffThreshold: 25, // Gray-level change that counts as motion
+      flowBlockSize: 8,
+      flowSearchRadius: 6,
+      colorCellSize: 32,
+      maxColorRegions: 8,
+      faceAnnounceMs: 10000, // A face out of sight this long is announced again when it returns
+      maxFrameRate: 30, // Camera frames admitted per second, at most...
+      minFrameRate: 1, // ...and at least, however slow processing gets
+      processingBudget: 0.8, // Share of the time frame processing may take
+      frameBurst: 2 // Frames admitted back to back after a pause (absorbs jitter)
+    };
+    
+    // Frame admission: a token bucket refilled at targetFps, the rate
+    // processing keeps up with; frames finding it empty are dropped
+    this.flow = {
+      processingMs: null, // Moving average of processing time per frame
+      targetFps: this.config.maxFrameRate,
+      tokens: this.config.frameBurst,
+      refilledAt: null
     };
     
     // Statistics
@@ -57,7 +125,10 @@ export class VisualCortex extends EventEmitter {
       framesProcessed: 0,
       objectsDetected: 0,
       facesDetected: 0,
+      facesRecognized: 0,
+      strangersSeen: 0,
       motionEvents: 0,
+      framesDropped: 0,
       lastFrameTime: 0
     };
     
@@ -75,8 +146,19 @@ export class VisualCortex extends EventEmitter {
     // Initialize processing layers
     this.initializeLayers();
     
-    // Start frame processing loop
-    this.startProcessingLoop();
+    if (!this.detector) {
+      this.detector = await createObjectDetector(this.detectorOptions);
+    }
+    console.log(`   V5 object detector: ${this.detector.name}`);
+    
+    await this.faceDetector.initialize();
+    await this.loadFaces();
+    console.log(`   V5 face detector: ${this.faceDetector.name}`);
+    
+    if (!this.jpegDecoder) {
+      this.jpegDecoder = await loadJpegDecoder();
+    }
+    console.log(`   JPEG frames: ${this.jpegDecoder ? 'supported' : 'unsupported (raw frames only)'}`);
     
     this.isActive = true;
     
@@ -85,7 +167,6 @@ export class VisualCortex extends EventEmitter {
   
   initializeLayers() {
     // Initialize visual processing layers
-    // In production, these would use TensorFlow.js or similar
     console.log('   Initializing V1 (Edge Detection)...');
     console.log('   Initializing V2 (Shape Processing)...');
     console.log('   Initializing V3 (Motion Detection)...');
@@ -128,39 +209,64 @@ export class VisualCortex extends EventEmitter {
     this.emit('camera_stopped');
   }
   
-  processFrame(frameData) {
-    // Process a single video frame
-    const processingStart = Date.now();
+  /**
+   * Process one camera frame
+   * @param {Object} frameData - See imageProcessing.js for the contract
+   * @param {Object} options - { capturedAt: when the frame was captured,
+   *   ms on this clock, passed on with the result }
+   * @throws {Error} - code INVALID_FRAME when the frame is malformed
+   */
+  processFrame(frameData, options = {}) {
+    // Process a single video frame; what it costs is real time, whatever
+    // the runtime clock says (a virtual one stands still meanwhile)
+    const processingStart = performance.now();
+    
+    // Raw pixels, if the frame carries any (throws on malformed frames)
+    const image = decodeFrame(frameData, { jpeg: this.jpegDecoder });
+    const gray = image ? this.toAnalysisImage(image) : null;
     
     // Add to buffer
-    this.addToBuffer(frameData);
+    this.addToBuffer(gray);
     
     // Layer 1: Edge detection
-    const edges = this.detectEdges(frameData);
-    this.layers.v1.edges = edges;
+    const edges = this.detectEdges(gray);
+    this.layers.v1.edges = edges.points;
+    this.layers.v1.edgeDensity = edges.density;
     
     // Layer 2: Shape detection
-    const shapes = this.detectShapes(edges);
+    const { shapes, contours } = this.detectShapes(edges);
     this.layers.v2.shapes = shapes;
-    
+    this.layers.v2.contours = contours;
+    this.layers.v1.lines = shapes.filter(shape => shape.type === 'line');
+    this.layers.v1.corners = shapes
+      .filter(shape => shape.type === 'rectangle')
+      .flatMap(shape => shape.corners);
+      
     // Layer 3: Motion detection
-    const motion = this.detectMotion(frameData);
+    const motion = this.detectMotion(gray);
     this.layers.v3.motionVectors = motion.vectors;
+    this.layers.v3.opticalFlow = motion.flow;
+    this.layers.v3.movingObjects = motion.regions;
     
     // Layer 4: Color analysis
-    const colors = this.analyzeColors(frameData);
+    const colors = this.analyzeColors(image);
     this.layers.v4.colorRegions = colors;
     
-    // Layer 5: Object recognition
-    const objects = this.recognizeObjects(frameData, shapes, colors);
+    // Layer 5: Object recognition, and whose faces are in view
+    const faces = this.recognizeFaces(image);
+    const objects = [...this.recognizeObjects(image, shapes, colors), ...faces];
     this.layers.v5.objects = objects;
+    this.layers.v5.faces = faces;
     
     // Update attention
     this.updateAttention(objects, motion);
     
     // Statistics
     this.stats.framesProcessed++;
-    this.stats.lastFrameTime = Date.now() - processingStart;
+    this.stats.lastFrameTime = performance.now() - processingStart;
+    if (image) {
+      this.updateFlow(this.stats.lastFrameTime);
+    }
     
     // Emit processed frame
     this.emit('frame_processed', {
@@ -168,30 +274,75 @@ export class VisualCortex extends EventEmitter {
       motion: motion.summary,
       attention: this.attention.focus,
       scene: this.describeScene(),
-      timestamp: Date.now()
+      shapes,
+      edgeDensity: edges.density,
+      capturedAt: options.capturedAt ?? null,
+      timestamp: this.clock.now()
     });
     
     // Emit specific events
-    if (objects.length > 0) {
-      objects.forEach(obj => {
-        if (obj.confidence > this.config.objectConfidenceThreshold) {
-          this.stats.objectsDetected++;
-          this.emit('object_detected', obj);
-        }
-      });
-    }
-    
     if (motion.intensity > this.config.motionThreshold) {
       this.stats.motionEvents++;
       this.emit('motion_detected', motion);
     }
   }
   
-  addToBuffer(frameData) {
-    // Maintain frame buffer for temporal processing
+  /**
+   * Whether to process an incoming camera frame or drop it
+   * Frames are let in at flow.targetFps, with a short burst allowed after a
+   * pause; the rest are dropped before they are decoded. The bucket fills
+   * in real time, like the processing time it is matched to: a virtual
+   * clock standing still must not starve a live camera.
+   * @returns {boolean}
+   */
+  admitFrame() {
+    const now = performance.now();
+    const { flow } = this;
+    
+    if (flow.refilledAt !== null) {
+      flow.tokens = Math.min(this.config.frameBurst, flow.tokens + ((now - flow.refilledAt) / 1000) * flow.targetFps);
+    }
+    flow.refilledAt = now;
+    
+    if (flow.tokens < 1) {
+      this.stats.framesDropped++;
+      return false;
+    }
+    
+    flow.tokens--;
+    return true;
+  }
+  
+  updateFlow(processingMs) {
+    // The frame rate processing sustains within its share of the time
+    const { flow, config } = this;
+    flow.processingMs = flow.processingMs === null ? processingMs : flow.processingMs * 0.8 + processingMs * 0.2;
+    
+    const sustainable = (1000 * config.processingBudget) / Math.max(flow.processingMs, 1);
+    flow.targetFps = Math.max(config.minFrameRate, Math.min(config.maxFrameRate, sustainable));
+  }
+  
+  /**
+   * What cameras should send
+   * @returns {Object} - { targetFps, processingMs, framesDropped, formats }
+   */
+  getFlowControl() {
+    const { targetFps, processingMs } = this.flow;
+    
+    return {
+      targetFps: Math.round(targetFps * 10) / 10,
+      processingMs: processingMs === null ? null : Math.round(processingMs * 10) / 10,
+      framesDropped: this.stats.framesDropped,
+      formats: ['gray', 'rgb', 'rgba', ...(this.jpegDecoder ? ['jpeg'] : [])]
+    };
+  }
+  
+  addToBuffer(gray = null) {
+    // Maintain frame buffer for temporal processing; V3 compares analysis
+    // images only, so the raw frame and its decoded pixels aren't kept
     this.frameBuffer.push({
-      data: frameData,
-      timestamp: Date.now()
+      gray,
+      timestamp: this.clock.now()
     });
     
     // Keep buffer size limited
@@ -200,91 +351,215 @@ export class VisualCortex extends EventEmitter {
     }
   }
   
-  detectEdges(frameData) {
-    // Simplified edge detection
-    // In production, use Sobel or Canny edge detection
-    const edges = [];
+  toAnalysisImage(image) {
+    // Grayscale, downscaled to about analysisWidth; shared by V1-V3
+    const scale = Math.max(1, Math.ceil(image.width / this.config.analysisWidth));
+    return toGrayscale(image, scale);
+  }
+  
+  detectEdges(gray) {
+    // Canny-style edges: Sobel gradients, non-maximum suppression, hysteresis
+    if (!gray) {
+      return { points: [], density: 0, map: null, scale: 1 };
+    }
     
-    // Simulate edge detection
-    const edgeCount = Math.floor(Math.random() * 50) + 10;
-    for (let i = 0; i < edgeCount; i++) {
-      edges.push({
-        x: Math.random() * this.config.resolution.width,
-        y: Math.random() * this.config.resolution.height,
-        orientation: Math.random() * Math.PI,
-        strength: Math.random()
+    const { scale } = gray;
+    const map = detectEdgeMap(gray, {
+      sensitivity: this.config.edgeDetectionSensitivity
+    });
+    
+    const points = [];
+    for (let i = 0; i < map.mask.length; i++) {
+      if (!map.mask[i]) continue;
+      
+      const x = i % map.width;
+      const y = (i - x) / map.width;
+      
+      points.push({
+        x: x * scale,
+        y: y * scale,
+        // Edges run perpendicular to the gradient
+        orientation: ((map.direction[i] + Math.PI / 2) % Math.PI + Math.PI) % Math.PI,
+        strength: map.maxMagnitude > 0 ? map.magnitude[i] / map.maxMagnitude : 0
       });
     }
     
-    return edges;
+    // Keep the strongest edge points
+    if (points.length > this.config.maxEdgePoints) {
+      points.sort((a, b) => b.strength - a.strength);
+      points.length = this.config.maxEdgePoints;
+    }
+    
+    return {
+      points,
+      density: map.count / map.mask.length,
+      map,
+      scale
+    };
   }
   
   detectShapes(edges) {
-    // Detect shapes from edges
-    const shapes = [];
+    // Detect shapes from contours traced through the edge map
+    if (!edges.map) {
+      return { shapes: [], contours: [] };
+    }
     
-    // Simulate shape detection
-    const shapeTypes = ['circle', 'rectangle', 'triangle', 'line'];
-    const shapeCount = Math.floor(Math.random() * 5) + 1;
+    const { scale } = edges;
+    const contours = findContours(edges.map, this.config.minContourPoints)
+      .sort((a, b) => b.length - a.length)
+      .slice(0, this.config.maxContours);
+      
+    const toFrame = (point) => ({ x: point.x * scale, y: point.y * scale });
+    const shapes = [];
     
-    for (let i = 0; i < shapeCount; i++) {
-      shapes.push({
-        type: shapeTypes[Math.floor(Math.random() * shapeTypes.length)],
-        center: {
-          x: Math.random() * this.config.resolution.width,
-          y: Math.random() * this.config.resolution.height
+    const contourSummaries = contours.map(points => {
+      const box = boundingBox(points);
+      const fit = classifyContour(points);
+      
+      if (fit) {
+        shapes.push(this.toFrameShape(fit, scale, box));
+      }
+      
+      return {
+        points: points.length,
+        boundingBox: {
+          x: box.x * scale,
+          y: box.y * scale,
+          width: box.width * scale,
+          height: box.height * scale
         },
-        size: Math.random() * 100 + 20,
-        confidence: Math.random() * 0.5 + 0.5
-      });
-    }
+        start: toFrame(points[0]),
+        shape: fit ? fit.type : null
+      };
+    });
     
-    return shapes;
+    shapes.sort((a, b) => b.confidence - a.confidence);
+    
+    return {
+      shapes: shapes.slice(0, this.config.maxShapes),
+      contours: contourSummaries
+    };
   }
   
-  detectMotion(frameData) {
-    // Detect motion between frames
+  toFrameShape(fit, scale, box) {
+    // Scale a fitted shape back to frame pixels, with the fields every
+    // shape shares (center, size, bounding box)
+    const boundingBox = {
+      x: box.x * scale,
+      y: box.y * scale,
+      width: box.width * scale,
+      height: box.height * scale
+    };
+    const point = (p) => ({ x: p.x * scale, y: p.y * scale });
+    
+    switch (fit.type) {
+      case 'line':
+        return {
+          type: 'line',
+          start: point(fit.start),
+          end: point(fit.end),
+          center: point({ x: (fit.start.x + fit.end.x) / 2, y: (fit.start.y + fit.end.y) / 2 }),
+          size: fit.length * scale,
+          orientation: fit.orientation,
+          boundingBox,
+          confidence: fit.confidence
+        };
+      case 'circle':
+        return {
+          type: 'circle',
+          center: point(fit.center),
+          radius: fit.radius * scale,
+          size: fit.radius * 2 * scale,
+          boundingBox,
+          confidence: fit.confidence
+        };
+      default:
+        return {
+          type: 'rectangle',
+          center: point(fit.center),
+          width: fit.width * scale,
+          height: fit.height * scale,
+          angle: fit.angle,
+          corners: fit.corners.map(point),
+          size: Math.max(fit.width, fit.height) * scale,
+          boundingBox,
+          confidence: fit.confidence
+        };
+    }
+  }
+  
+  detectMotion(gray) {
+    // Detect motion between the current and previous buffered frames
     const motion = {
       vectors: [],
+      regions: [],
+      flow: null,
       intensity: 0,
       direction: null,
       summary: null
     };
     
-    if (this.frameBuffer.length < 2) {
+    const prevFrame = this.frameBuffer.length >= 2
+      ? this.frameBuffer[this.frameBuffer.length - 2]
+      : null;
+    const prevGray = prevFrame && prevFrame.gray;
+    
+    if (!gray || !prevGray || prevGray.width !== gray.width || prevGray.height !== gray.height) {
+      motion.summary = { moving: false, intensity: 0 };
       return motion;
     }
     
-    // Compare with previous frame
-    const prevFrame = this.frameBuffer[this.frameBuffer.length - 2];
+    const { scale } = gray;
+    const difference = frameDifference(prevGray, gray, this.config.motionDiffThreshold);
     
-    // Simulate motion detection
-    motion.intensity = Math.random() * 0.6;
+    // Small moving things matter: 1% of the frame changing reads as 0.2,
+    // 25% or more as full intensity
+    motion.intensity = Math.min(1, Math.sqrt(difference.changedRatio) * 2);
     
-    if (motion.intensity > this.config.motionThreshold) {
-      // Generate motion vectors
-      const vectorCount = Math.floor(motion.intensity * 10);
+    if (difference.changed > 0) {
+      const flow = blockMatchFlow(prevGray, gray, {
+        blockSize: this.config.flowBlockSize,
+        searchRadius: this.config.flowSearchRadius,
+        mask: difference.mask
+      });
       
-      for (let i = 0; i < vectorCount; i++) {
-        motion.vectors.push({
-          start: {
-            x: Math.random() * this.config.resolution.width,
-            y: Math.random() * this.config.resolution.height
-          },
-          end: {
-            x: Math.random() * this.config.resolution.width,
-            y: Math.random() * this.config.resolution.height
-          },
-          magnitude: Math.random() * 50
-        });
+      motion.vectors = flow.map(vector => ({
+        start: { x: vector.x * scale, y: vector.y * scale },
+        end: { x: (vector.x + vector.dx) * scale, y: (vector.y + vector.dy) * scale },
+        magnitude: Math.hypot(vector.dx, vector.dy) * scale
+      }));
+      
+      motion.regions = findMotionRegions(difference, this.config.flowBlockSize)
+        .map(region => this.describeMotionRegion(region, flow, scale, difference));
+        
+      // Dominant direction: magnitude-weighted mean of the flow vectors
+      let sumX = 0;
+      let sumY = 0;
+      motion.vectors.forEach(vector => {
+        sumX += vector.end.x - vector.start.x;
+        sumY += vector.end.y - vector.start.y;
+      });
+      
+      if (motion.vectors.length > 0 && (sumX !== 0 || sumY !== 0)) {
+        motion.direction = (Math.atan2(sumY, sumX) + 2 * Math.PI) % (2 * Math.PI);
       }
       
-      // Overall motion direction
-      motion.direction = Math.random() * 2 * Math.PI;
+      motion.flow = {
+        vectorCount: motion.vectors.length,
+        meanMagnitude: motion.vectors.length > 0
+          ? motion.vectors.reduce((sum, vector) => sum + vector.magnitude, 0) / motion.vectors.length
+          : 0,
+        direction: motion.direction,
+        changedRatio: difference.changedRatio
+      };
+    }
+    
+    if (motion.intensity > this.config.motionThreshold) {
       motion.summary = {
         moving: true,
         intensity: motion.intensity,
-        primaryDirection: this.angleToDirection(motion.direction)
+        primaryDirection: motion.direction !== null ? this.angleToDirection(motion.direction) : null,
+        regions: motion.regions.length
       };
     } else {
       motion.summary = {
@@ -296,86 +571,264 @@ export class VisualCortex extends EventEmitter {
     return motion;
   }
   
-  analyzeColors(frameData) {
-    // Analyze color distribution
-    const colors = [];
+  describeMotionRegion(region, flow, scale, difference) {
+    // Region in frame pixels, with the mean flow of the blocks inside it
+    const inside = flow.filter(vector =>
+      vector.x >= region.x && vector.x < region.x + region.width &&
+      vector.y >= region.y && vector.y < region.y + region.height
+    );
+    
+    const velocity = inside.reduce(
+      (sum, vector) => ({ x: sum.x + vector.dx / inside.length, y: sum.y + vector.dy / inside.length }),
+      { x: 0, y: 0 }
+    );
+    const speed = Math.hypot(velocity.x, velocity.y) * scale;
     
-    // Simulate color analysis
-    const colorNames = ['red', 'blue', 'green', 'yellow', 'purple', 'orange'];
-    const regionCount = Math.floor(Math.random() * 4) + 1;
-    
-    for (let i = 0; i < regionCount; i++) {
-      colors.push({
-        dominantColor: colorNames[Math.floor(Math.random() * colorNames.length)],
+    return {
+      boundingBox: {
+        x: region.x * scale,
+        y: region.y * scale,
+        width: region.width * scale,
+        height: region.height * scale
+      },
+      center: { x: region.center.x * scale, y: region.center.y * scale },
+      // Share of the frame that changed inside this region
+      coverage: region.changed / (difference.width * difference.height),
+      velocity: { x: velocity.x * scale, y: velocity.y * scale },
+      direction: speed > 0
+        ? this.angleToDirection((Math.atan2(velocity.y, velocity.x) + 2 * Math.PI) % (2 * Math.PI))
+        : null
+    };
+  }
+  
+  analyzeColors(image) {
+    // Regions of one named color, largest first
+    if (!image) return [];
+    
+    return findColorRegions(image, this.config.colorCellSize)
+      .slice(0, this.config.maxColorRegions)
+      .map(region => ({
+        dominantColor: region.color,
         region: {
-          x: Math.random() * this.config.resolution.width,
-          y: Math.random() * this.config.resolution.height,
-          width: Math.random() * 200 + 50,
-          height: Math.random() * 200 + 50
+          x: region.x,
+          y: region.y,
+          width: region.width,
+          height: region.height
         },
-        intensity: Math.random(),
-        saturation: Math.random()
-      });
+        coverage: Math.min(1, (region.cells * this.config.colorCellSize ** 2) / (image.width * image.height)),
+        intensity: region.value,
+        saturation: region.saturation
+      }));
+  }
+  
+  recognizeObjects(image, shapes, colors) {
+    // Recognize objects with the V5 detector
+    if (!image || !this.detector) return [];
+    
+    // An async detector still busy with an earlier frame: this frame is
+    // skipped and its last answer stands
+    if (this.detecting) return this.lastDetections;
+    
+    const result = this.detector.detect(image, { shapes, colors });
+    const withoutFaces = (objects) => objects.filter(obj => obj.label !== 'face');
+    
+    if (typeof result?.then !== 'function') {
+      this.lastDetections = withoutFaces(result);
+      this.publishDetections(this.lastDetections);
+      return this.lastDetections;
     }
     
-    return colors;
+    this.detecting = true;
+    result
+      .then(objects => {
+        if (!this.isActive) return;
+        
+        this.lastDetections = withoutFaces(objects);
+        this.layers.v5.objects = [...this.lastDetections, ...this.layers.v5.faces];
+        this.publishDetections(this.lastDetections);
+      })
+      .catch(error => {
+        console.error(`Object detection failed: ${error.message}`);
+      })
+      .finally(() => {
+        this.detecting = false;
+      });
+      
+    return this.lastDetections;
   }
   
-  recognizeObjects(frameData, shapes, colors) {
-    // Recognize objects in the scene
-    const objects = [];
+  recognizeFaces(image) {
+    // Find the faces in view and tell whose they are
+    if (!image || !this.faceDetector) return [];
+    
+    const faces = this.faceDetector.detect(image).map(face => ({
+      ...face,
+      person: this.identifyFace(image, face)
+    }));
+    
+    this.publishDetections(faces);
+    this.announceFaces(faces);
     
-    // Simulate object recognition
-    // In production, use TensorFlow.js with COCO-SSD or similar
-    const objectTypes = [
-      'person', 'cat', 'dog', 'toy', 'ball', 'food',
-      'hand', 'face', 'bottle', 'cup', 'book'
-    ];
+    return faces;
+  }
+  
+  identifyFace(image, face) {
+    // Whose face it is; null when nobody is enrolled or it could equally be two people
+    const match = this.faceRecognizer.identify(this.faceRecognizer.embed(image, face.boundingBox));
+    if (!match) return null;
+    
+    if (!match.known) {
+      return {
+        known: false,
+        personId: null,
+        name: null,
+        owner: false,
+        confidence: match.confidence,
+        nearest: match.nearest
+      };
+    }
     
-    // Detect objects based on shapes and colors
-    shapes.forEach(shape => {
-      if (shape.confidence > 0.6) {
-        const objectType = objectTypes[Math.floor(Math.random() * objectTypes.length)];
+    return {
+      known: true,
+      personId: match.personId,
+      name: match.name,
+      owner: match.owner,
+      confidence: match.confidence,
+      alternatives: match.alternatives
+    };
+  }
+  
+  announceFaces(faces) {
+    // A person is announced when they come into view, not on every frame
+    // they stay in it
+    const now = this.clock.now();
+    
+    faces.forEach(face => {
+      if (!face.person) return;
+      
+      const key = face.person.known ? face.person.personId : 'stranger';
+      const lastSeen = this.facesInView.get(key);
+      this.facesInView.set(key, now);
+      
+      if (lastSeen !== undefined && now - lastSeen < this.config.faceAnnounceMs) return;
+      
+      if (face.person.known) {
+        this.stats.facesRecognized++;
+      } else {
+        this.stats.strangersSeen++;
+      }
+      
+      this.emit(face.person.known ? 'face_recognized' : 'unknown_face', {
+        ...face.person,
+        boundingBox: face.boundingBox,
+        score: face.score,
+        timestamp: now
+      });
+    });
+  }
+  
+  /**
+   * Enroll a household member's face
+   * @param {string} personId - Person, e.g. 'alice'
+   * @param {string} name - Display name
+   * @param {Array<Object>} images - Frames ({ width, height, format, data })
+   *   showing the person's face; the largest face in each is used
+   * @param {Object} options - { owner: whether the person owns the
+   *   household's pets (left out: unchanged, false for someone new) }
+   * @returns {Promise<Object>} - Person summary
+   * @throws {Error} - code INVALID_FRAME or NO_FACE for unusable images
+   */
+  async trainFace(personId, name, images, options = {}) {
+    // Find (and check) every face first so a bad image enrolls nothing
+    const embeddings = images.map(frameData => {
+      const image = decodeFrame(frameData, { jpeg: this.jpegDecoder });
+      if (!image) {
+        const error = new Error('Image carries no pixel data');
+        error.code = 'INVALID_FRAME';
+        throw error;
+      }
+      
+      const [face] = this.faceDetector.detect(image)
+        .sort((a, b) => b.boundingBox.width * b.boundingBox.height - a.boundingBox.width * a.boundingBox.height);
         
-        objects.push({
-          type: objectType,
-          boundingBox: {
-            x: shape.center.x - shape.size / 2,
-            y: shape.center.y - shape.size / 2,
-            width: shape.size,
-            height: shape.size
-          },
-          confidence: shape.confidence,
-          attributes: {
-            shape: shape.type,
-            color: colors.length > 0 ? colors[0].dominantColor : 'unknown',
-            size: shape.size > 100 ? 'large' : shape.size > 50 ? 'medium' : 'small'
-          }
-        });
+      if (!face) {
+        const error = new Error('No face found in image');
+        error.code = 'NO_FACE';
+        throw error;
       }
+      
+      return this.faceRecognizer.embed(image, face.boundingBox);
     });
     
-    // Detect faces specifically
-    if (Math.random() > 0.7) {
-      objects.push({
-        type: 'face',
-        boundingBox: {
-          x: Math.random() * (this.config.resolution.width - 100),
-          y: Math.random() * (this.config.resolution.height - 100),
-          width: 100,
-          height: 100
-        },
-        confidence: Math.random() * 0.3 + 0.7,
-        attributes: {
-          emotion: ['happy', 'neutral', 'surprised'][Math.floor(Math.random() * 3)],
-          looking: Math.random() > 0.5 ? 'at_camera' : 'away'
-        }
+    embeddings.forEach(embedding => {
+      this.faceRecognizer.enroll(personId, name, embedding, {
+        owner: options.owner,
+        createdAt: this.clock.now()
       });
+    });
+    
+    await this.saveFaces();
+    
+    return this.faceRecognizer.describe(personId);
+  }
+  
+  async removeFace(personId) {
+    const removed = this.faceRecognizer.remove(personId);
+    
+    if (removed) {
+      this.facesInView.delete(personId);
+      await this.saveFaces();
+    }
+    
+    return removed;
+  }
+  
+  getFaces() {
+    return this.faceRecognizer.list();
+  }
+  
+  async loadFaces() {
+    if (!this.facePath) return;
+    
+    try {
+      this.faceRecognizer.restore(await readJson(this.facePath, {}));
       
-      this.stats.facesDetected++;
+      const count = this.faceRecognizer.size;
+      if (count > 0) {
+        console.log(`   Loaded ${count} enrolled face${count === 1 ? '' : 's'}`);
+      }
+    } catch (error) {
+      console.warn(`⚠️ Could not load enrolled faces from ${this.facePath}: ${error.message}`);
     }
+  }
+  
+  async saveFaces() {
+    if (!this.facePath) return;
     
-    return objects;
+    await writeJsonAtomic(this.facePath, this.faceRecognizer.serialize());
+  }
+  
+  publishDetections(objects) {
+    objects.forEach(obj => {
+      if (obj.score > this.config.objectConfidenceThreshold) {
+        this.stats.objectsDetected++;
+        if (obj.label === 'face') {
+          this.stats.facesDetected++;
+        }
+        this.emit('object_detected', obj);
+      }
+    });
+  }
+  
+  /**
+   * Swap the V5 object detector
+   * @param {Object} detector - Initialized detector (see detectors/index.js)
+   */
+  setDetector(detector) {
+    if (this.detector && this.detector !== detector) {
+      this.detector.dispose();
+    }
+    this.detector = detector;
   }
   
   updateAttention(objects, motion) {
@@ -393,14 +846,16 @@ export class VisualCortex extends EventEmitter {
       });
     });
     
-    // Motion contributes to saliency
+    // Moving regions contribute to saliency; a region covering 5% of the
+    // frame is as salient as a certain object
     if (motion.intensity > this.config.motionThreshold) {
-      motion.vectors.forEach(vector => {
+      motion.regions.forEach(region => {
         saliencyPoints.push({
-          x: vector.end.x,
-          y: vector.end.y,
-          weight: vector.magnitude / 50,
-          source: 'motion'
+          x: region.center.x,
+          y: region.center.y,
+          weight: Math.min(1, region.coverage * 20),
+          source: 'motion',
+          region: region.boundingBox
         });
       });
     }
@@ -413,7 +868,8 @@ export class VisualCortex extends EventEmitter {
         x: saliencyPoints[0].x,
         y: saliencyPoints[0].y,
         target: saliencyPoints[0].detail || 'movement',
-        confidence: saliencyPoints[0].weight
+        confidence: saliencyPoints[0].weight,
+        region: saliencyPoints[0].region || null
       };
       
       this.attention.interestPoints = saliencyPoints.slice(0, 5);
@@ -435,7 +891,7 @@ export class VisualCortex extends EventEmitter {
       scene.description = 'Empty scene';
     } else if (scene.objectCount === 1) {
       const obj = this.layers.v5.objects[0];
-      scene.description = `${obj.type} in view`;
+      scene.description = `${obj.person?.name || obj.type} in view`;
     } else {
       scene.description = `${scene.objectCount} objects detected`;
     }
@@ -466,20 +922,6 @@ export class VisualCortex extends EventEmitter {
     return directions[index];
   }
   
-  startProcessingLoop() {
-    // Main processing loop
-    setInterval(() => {
-      if (this.isActive && this.frameBuffer.length > 0) {
-        // Process latest frame
-        const latestFrame = this.frameBuffer[this.frameBuffer.length - 1];
-        
-        // Simulate continuous processing
-        // In production, this would process actual video frames
-        this.processFrame(latestFrame.data || {});
-      }
-    }, 1000 / this.config.frameRate);
-  }
-  
   setMotionSensitivity(sensitivity) {
     this.config.motionThreshold = 1 - sensitivity; // Invert for intuitive control
   }
@@ -489,6 +931,10 @@ export class VisualCortex extends EventEmitter {
       layers: this.layers,
       attention: this.attention,
       stats: this.stats,
+      detector: this.detector ? this.detector.name : null,
+      faceDetector: this.faceDetector ? this.faceDetector.name : null,
+      enrolledFaces: this.faceRecognizer.size,
+      flowControl: this.getFlowControl(),
       config: this.config
     };
   }
@@ -496,6 +942,12 @@ export class VisualCortex extends EventEmitter {
   async shutdown() {
     this.isActive = false;
     await this.stopCamera();
+    if (this.detector) {
+      this.detector.dispose();
+    }
+    if (this.faceDetector) {
+      this.faceDetector.dispose();
+    }
     this.frameBuffer = [];
     this.removeAllListeners();
   }
@@ -0,0 +1,172 @@
+import { encodeStructured, decodeStructured } from '../../utils/structuredJson.js';
+
+/**
+ * Pet archives
+ * A portable, versioned file holding a pet record and its whole brain:
+ * SSP symbol vectors and bindings, MPU memories, HASR patterns, hierarchies
+ * and resonance network, ghost loops, Aetheron identity and Wonder state.
+ *
+ *   {
+ *     format: 'lucianpets.pet',
+ *     version: 1,
+ *     exportedAt: ISO timestamp,
+ *     pet: pet record,
+ *     brain: encoded brain snapshot
+ *   }
+ */
+
+export const ARCHIVE_FORMAT = 'lucianpets.pet';
+export const ARCHIVE_VERSION = 1;
+
+// Upgrades from archive version N to N + 1, keyed by N
+const migrations = {};
+
+const archiveError = (message, code = 'INVALID_ARCHIVE') => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Build an archive from a pet record and brain snapshot
+ * @param {Object} pet - Pet record
+ * @param {Object} brainSnapshot - Output of LucianCognitiveSystem.serialize()
+ * @param {number} timestamp - Export time (ms)
+ * @returns {Object} - JSON-safe archive
+ */
+export const createPetArchive = (pet, brainSnapshot, timestamp = Date.now()) => {
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date(timestamp).toISOString(),
+    pet,
+    brain: brainSnapshot ? encodeStructured(brainSnapshot) : null
+  };
+};
+
+/**
+ * Validate an archive and bring it up to the current version
+ * @param {Object} archive - Parsed archive
+ * @returns {{pet: Object, brain: Object|null}} - Pet record and decoded brain snapshot
+ */
+export const readPetArchive = (archive) => {
+  if (!archive || archive.format !== ARCHIVE_FORMAT) {
+    throw archiveError('Not a LucianPets pet archive');
+  }
+  
+  if (!Number.isInteger(archive.version) || archive.version > ARCHIVE_VERSION) {
+    throw archiveError(`Unsupported archive version: ${archive.version}`);
+  }
+  
+  let current = archive;
+  while (current.version < ARCHIVE_VERSION) {
+    const migrate = migrations[current.version];
+    if (!migrate) {
+      throw archiveError(`No migration from archive version ${current.version}`);
+    }
+    current = migrate(current);
+  }
+  
+  if (!current.pet || !current.pet.id || !current.pet.name) {
+    throw archiveError('Archive is missing the pet record');
+  }
+  
+  return {
+    pet: current.pet,
+    brain: current.brain ? decodeStructured(current.brain) : null
+  };
+};
+
+/**
+ * Export a pet and its brain
+ * @param {string} petId - Pet ID
+ * @param {Object} systems - { petRepository, brainManager }
+ * @returns {Promise<Object>} - Archive
+ */
+export const exportPetArchive = async (petId, { petRepository, brainManager }) => {
+  const pet = await petRepository.get(petId);
+  
+  if (!pet) {
+    throw archiveError(`Pet ${petId} not found`, 'PET_NOT_FOUND');
+  }
+  
+  const brain = await brainManager.exportBrain(petId);
+  
+  return createPetArchive(pet, brain, brainManager.clock.now());
+};
+
+/**
+ * Move a brain snapshot's per-pet state to another pet ID
+ * MPU pet memories and HASR learning profiles are keyed by the pet they
+ * belong to, and stored memories name it in their petId.
+ * @param {Object} brain - Decoded brain snapshot
+ * @param {string} fromId - Archived pet ID
+ * @param {string} toId - ID the pet is imported under
+ * @returns {Object} - Snapshot for the new ID
+ */
+const rekeyBrain = (brain, fromId, toId) => {
+  const { mpu, hasr } = brain.components || {};
+  const retag = (memory) => (memory?.petId === fromId ? { ...memory, petId: toId } : memory);
+  const rekey = (map, convert = (value) => value) => new Map(
+    Array.from(map || []).map(([key, value]) => [key === fromId ? toId : key, convert(value)])
+  );
+  
+  const components = { ...brain.components };
+  
+  if (mpu) {
+    components.mpu = {
+      ...mpu,
+      memoryStore: rekey(mpu.memoryStore, retag),
+      episodicMemory: (mpu.episodicMemory || []).map(retag),
+      petMemories: rekey(mpu.petMemories, (memories) => memories.map(retag))
+    };
+  }
+  
+  if (hasr) {
+    components.hasr = { ...hasr, petLearningProfiles: rekey(hasr.petLearningProfiles) };
+  }
+  
+  return { ...brain, petId: toId, components };
+};
+
+/**
+ * Import a pet and its brain from an archive
+ * @param {Object} archive - Parsed archive
+ * @param {Object} systems - { petRepository, brainManager }
+ * @param {Object} options - Import options
+ * @param {string} options.id - Store under this ID instead of the archived one
+ * @param {boolean} options.overwrite - Replace an existing pet with the same ID
+ * @returns {Promise<Object>} - Imported pet record
+ */
+export const importPetArchive = async (archive, { petRepository, brainManager }, options = {}) => {
+  const { pet, brain } = readPetArchive(archive);
+  const record = { ...pet, id: options.id || pet.id };
+  
+  if (await petRepository.has(record.id)) {
+    if (!options.overwrite) {
+      throw archiveError(`Pet ${record.id} already exists`, 'PET_EXISTS');
+    }
+    await petRepository.update(record.id, () => record);
+  } else {
+    await petRepository.create(record);
+  }
+  
+  if (brain) {
+    const snapshot = record.id === pet.id ? brain : rekeyBrain(brain, pet.id, record.id);
+    await brainManager.importBrain(record.id, snapshot);
+  } else {
+    // No brain in the archive: start the pet fresh
+    await brainManager.deleteBrain(record.id);
+  }
+  
+  return petRepository.get(record.id);
+};
+
+export default {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  createPetArchive,
+  readPetArchive,
+  exportPetArchive,
+  importPetArchive
+};
@@ -0,0 +1,83 @@
+/**
+ * Pet record defaults
+ * Shape of the pet records kept by the pet repository
+ */
+
+export const DEFAULT_PET_ID = 'default_pet';
+
+/**
+ * Build the built-in pet every installation starts with
+ * @param {number} timestamp - Epoch ms of its creation (the runtime clock's now)
+ * @returns {Object} - Default pet record
+ */
+export const createDefaultPet = (timestamp = Date.now()) => {
+  const now = new Date(timestamp).toISOString();
+  
+  return {
+    id: DEFAULT_PET_ID,
+    name: 'Zara',
+    species: 'cat',
+    created: now,
+    personality: {
+      playfulness: 0.7,
+      curiosity: 0.8,
+      affection: 0.6,
+      independence: 0.5
+    },
+    stats: {
+      happiness: 85,
+      energy: 72,
+      intelligence: 68,
+      bonding: 91
+    },
+    memories: [],
+    lastInteraction: now
+  };
+};
+
+/**
+ * Build a new pet record from user input
+ * @param {string} id - Pet ID
+ * @param {Object} input - Name, species, personality and hybrid traits
+ * @param {number} timestamp - Epoch ms of its creation (the runtime clock's now)
+ * @returns {Object} - New pet record
+ */
+export const createPetRecord = (id, { name, species, personality, hybridTraits }, timestamp = Date.now()) => {
+  const now = new Date(timestamp).toISOString();
+  
+  return {
+    id,
+    name,
+    species: species || 'hybrid',
+    created: now,
+    personality: personality || {
+      playfulness: 0.5,
+      curiosity: 0.5,
+      affection: 0.5,
+      independence: 0.5
+    },
+    hybridTraits: hybridTraits || {},
+    stats: {
+      happiness: 50,
+      energy: 100,
+      intelligence: 50,
+      bonding: 0
+    },
+    memories: [],
+    lastInteraction: now
+  };
+};
+
+/**
+ * Deep-copy a pet record so callers never share state with the store
+ * @param {Object} pet - Pet record
+ * @returns {Object} - Independent copy
+ */
+export const clonePet = (pet) => (pet ? structuredClone(pet) : null);
+
+export default {
+  DEFAULT_PET_ID,
+  createDefaultPet,
+  createPetRecord,
+  clonePet
+};
@@ -0,0 +1,61 @@
+import { JsonPetRepository } from './jsonRepository.js';
+import { SqlitePetRepository } from './sqliteRepository.js';
+import { createDefaultPet } from './defaults.js';
+
+/**
+ * Pet repository
+ * Durable storage for pet records, backed by JSON files or embedded SQLite.
+ *
+ * Every backend exposes the same async interface:
+ *   initialize(), list(), get(id), has(id), create(pet),
+ *   update(id, mutator), delete(id), close()
+ */
+
+const backends = {
+  json: JsonPetRepository,
+  sqlite: SqlitePetRepository
+};
+
+/**
+ * Create a pet repository for the configured backend
+ * @param {Object} options - Repository options
+ * @param {string} options.backend - 'json' or 'sqlite' (PET_PERSISTENCE_BACKEND)
+ * @param {string} options.path - Storage directory (PET_PERSISTENCE_PATH)
+ * @returns {JsonPetRepository|SqlitePetRepository} - Uninitialized repository
+ */
+export const createPetRepository = (options = {}) => {
+  const backend = options.backend || process.env.PET_PERSISTENCE_BACKEND || 'json';
+  const storagePath = options.path || process.env.PET_PERSISTENCE_PATH || './data/pets';
+  
+  const Repository = backends[backend];
+  
+  if (!Repository) {
+    throw new Error(
+      `Unknown pet persistence backend "${backend}" (expected one of: ${Object.keys(backends).join(', ')})`
+    );
+  }
+  
+  return new Repository({ path: storagePath });
+};
+
+/**
+ * Initialize a repository and make sure the default pet exists
+ * @param {JsonPetRepository|SqlitePetRepository} repository - Pet repository
+ * @param {Object} options - { clock } the default pet's creation time comes from
+ * @returns {Promise<void>}
+ */
+export const initializePetRepository = async (repository, { clock } = {}) => {
+  await repository.initialize();
+  
+  const defaultPet = createDefaultPet(clock?.now());
+  
+  if (!(await repository.has(defaultPet.id))) {
+    await repository.create(defaultPet);
+  }
+};
+
+export { JsonPetRepository, SqlitePetRepository };
+export * from './defaults.js';
+export * from './archive.js';
+
+export default createPetRepository;
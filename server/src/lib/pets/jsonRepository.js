@@ -0,0 +1,130 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { writeJsonAtomic, readJson, cleanupTempFiles } from '../../utils/atomicFile.js';
+import { clonePet } from './defaults.js';
+
+/**
+ * JSON file pet repository
+ * One file per pet under the persistence directory, written atomically.
+ * An in-memory index serves reads; writes to the same pet are serialized.
+ */
+export class JsonPetRepository {
+  constructor(options = {}) {
+    this.backend = 'json';
+    this.directory = options.path;
+    this.pets = new Map();
+    this.locks = new Map();
+    this.isReady = false;
+  }
+  
+  async initialize() {
+    await fs.mkdir(this.directory, { recursive: true });
+    await cleanupTempFiles(this.directory);
+    
+    const files = await fs.readdir(this.directory);
+    
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+      
+      try {
+        const pet = await readJson(path.join(this.directory, file));
+        if (pet && pet.id) {
+          this.pets.set(pet.id, pet);
+        }
+      } catch (error) {
+        console.error(`⚠️ Skipping unreadable pet record ${file}:`, error.message);
+      }
+    }
+    
+    this.isReady = true;
+    console.log(`🐾 JSON pet store ready with ${this.pets.size} pets (${this.directory})`);
+  }
+  
+  async list() {
+    return Array.from(this.pets.values()).map(clonePet);
+  }
+  
+  async get(id) {
+    return clonePet(this.pets.get(id));
+  }
+  
+  async has(id) {
+    return this.pets.has(id);
+  }
+  
+  async create(pet) {
+    return this.withLock(pet.id, async () => {
+      if (this.pets.has(pet.id)) {
+        throw new Error(`Pet ${pet.id} already exists`);
+      }
+      
+      const record = clonePet(pet);
+      await writeJsonAtomic(this.filePath(pet.id), record);
+      this.pets.set(pet.id, record);
+      
+      return clonePet(record);
+    });
+  }
+  
+  /**
+   * Apply a synchronous mutation to a pet and persist it
+   * @param {string} id - Pet ID
+   * @param {Function} mutator - Receives a draft copy; may return a replacement
+   * @returns {Promise<Object|null>} - Updated pet, or null if it does not exist
+   */
+  async update(id, mutator) {
+    return this.withLock(id, async () => {
+      const current = this.pets.get(id);
+      if (!current) return null;
+      
+      const draft = clonePet(current);
+      const record = mutator(draft) || draft;
+      record.id = id;
+      
+      await writeJsonAtomic(this.filePath(id), record);
+      this.pets.set(id, record);
+      
+      return clonePet(record);
+    });
+  }
+  
+  async delete(id) {
+    return this.withLock(id, async () => {
+      if (!this.pets.has(id)) return false;
+      
+      await fs.rm(this.filePath(id), { force: true });
+      this.pets.delete(id);
+      
+      return true;
+    });
+  }
+  
+  withLock(id, task) {
+    // Chain work per pet so concurrent writes never interleave
+    const previous = this.locks.get(id) || Promise.resolve();
+    const run = previous.then(task, task);
+    
+    this.locks.set(id, run);
+    
+    const release = () => {
+      if (this.locks.get(id) === run) {
+        this.locks.delete(id);
+      }
+    };
+    run.then(release, release);
+    
+    return run;
+  }
+  
+  filePath(id) {
+    return path.join(this.directory, `${encodeURIComponent(id)}.json`);
+  }
+  
+  async close() {
+    // Wait for in-flight writes before letting the process exit
+    await Promise.allSettled(Array.from(this.locks.values()));
+    this.isReady = false;
+  }
+}
+
+export default JsonPetRepository;
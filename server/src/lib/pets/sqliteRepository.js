@@ -0,0 +1,117 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { clonePet } from './defaults.js';
+
+/**
+ * Embedded SQLite pet repository
+ * Stores each pet as a JSON document in a single database file.
+ * Every write runs in a transaction with WAL journaling, so a crash
+ * leaves either the old or the new record.
+ */
+export class SqlitePetRepository {
+  constructor(options = {}) {
+    this.backend = 'sqlite';
+    this.directory = options.path;
+    this.filename = options.filename || path.join(this.directory, 'pets.db');
+    this.db = null;
+    this.statements = null;
+    this.isReady = false;
+  }
+  
+  async initialize() {
+    // Loaded lazily so the JSON backend works without the native module
+    const { default: Database } = await import('better-sqlite3');
+    
+    await fs.mkdir(path.dirname(this.filename), { recursive: true });
+    
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = FULL');
+    
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS pets (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at INTEGER NOT NULL
+      )
+    `);
+    
+    this.statements = {
+      list: this.db.prepare('SELECT data FROM pets ORDER BY rowid'),
+      get: this.db.prepare('SELECT data FROM pets WHERE id = ?'),
+      insert: this.db.prepare('INSERT INTO pets (id, data, updated_at) VALUES (?, ?, ?)'),
+      update: this.db.prepare('UPDATE pets SET data = ?, updated_at = ? WHERE id = ?'),
+      delete: this.db.prepare('DELETE FROM pets WHERE id = ?')
+    };
+    
+    // Read-modify-write in one immediate transaction
+    this.updateTransaction = this.db.transaction((id, mutator) => {
+      const row = this.statements.get.get(id);
+      if (!row) return null;
+      
+      const draft = JSON.parse(row.data);
+      const record = mutator(draft) || draft;
+      record.id = id;
+      
+      this.statements.update.run(JSON.stringify(record), Date.now(), id);
+      return record;
+    });
+    
+    this.isReady = true;
+    
+    const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM pets').get();
+    console.log(`🐾 SQLite pet store ready with ${count} pets (${this.filename})`);
+  }
+  
+  async list() {
+    return this.statements.list.all().map(row => JSON.parse(row.data));
+  }
+  
+  async get(id) {
+    const row = this.statements.get.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+  
+  async has(id) {
+    return Boolean(this.statements.get.get(id));
+  }
+  
+  async create(pet) {
+    const record = clonePet(pet);
+    
+    try {
+      this.statements.insert.run(record.id, JSON.stringify(record), Date.now());
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+        throw new Error(`Pet ${pet.id} already exists`);
+      }
+      throw error;
+    }
+    
+    return clonePet(record);
+  }
+  
+  /**
+   * Apply a synchronous mutation to a pet and persist it
+   * @param {string} id - Pet ID
+   * @param {Function} mutator - Receives a draft copy; may return a replacement
+   * @returns {Promise<Object|null>} - Updated pet, or null if it does not exist
+   */
+  async update(id, mutator) {
+    return this.updateTransaction.immediate(id, mutator);
+  }
+  
+  async delete(id) {
+    return this.statements.delete.run(id).changes > 0;
+  }
+  
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+    this.isReady = false;
+  }
+}
+
+export default SqlitePetRepository;
@@ -0,0 +1,200 @@
+/**
+ * Clocks
+ * Every Lucian and ODIN component reads time and schedules work through a
+ * clock instead of Date.now() and the global timers.
+ *
+ * - SystemClock: wall-clock time and real timers
+ * - VirtualClock: simulated time that only moves when advanced, either step
+ *   by step, in large jumps, or continuously at a multiple of real time
+ */
+
+export class SystemClock {
+  constructor() {
+    this.virtual = false;
+  }
+  
+  now() {
+    return Date.now();
+  }
+  
+  setInterval(callback, ms) {
+    return setInterval(callback, ms);
+  }
+  
+  clearInterval(handle) {
+    clearInterval(handle);
+  }
+  
+  setTimeout(callback, ms) {
+    return setTimeout(callback, ms);
+  }
+  
+  clearTimeout(handle) {
+    clearTimeout(handle);
+  }
+}
+
+export class VirtualClock {
+  constructor(options = {}) {
+    this.virtual = true;
+    this.time = options.startTime ?? Date.UTC(2025, 0, 1);
+    this.timers = new Map();
+    this.nextId = 1;
+    this.realTimer = null;
+    this.timeScale = 0;
+    
+    // Guard against intervals shorter than a millisecond spinning forever
+    this.minInterval = 1;
+  }
+  
+  now() {
+    return this.time;
+  }
+  
+  schedule(callback, ms, repeat) {
+    const id = this.nextId++;
+    const delay = Math.max(this.minInterval, Number(ms) || 0);
+    
+    this.timers.set(id, {
+      id,
+      callback,
+      due: this.time + delay,
+      interval: repeat ? delay : null
+    });
+    
+    return id;
+  }
+  
+  setInterval(callback, ms) {
+    return this.schedule(callback, ms, true);
+  }
+  
+  clearInterval(id) {
+    this.timers.delete(id);
+  }
+  
+  setTimeout(callback, ms) {
+    return this.schedule(callback, ms, false);
+  }
+  
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+  
+  nextTimer() {
+    // Earliest due timer; ties run in scheduling order
+    let next = null;
+    
+    this.timers.forEach(timer => {
+      if (!next || timer.due < next.due || (timer.due === next.due && timer.id < next.id)) {
+        next = timer;
+      }
+    });
+    
+    return next;
+  }
+  
+  fire(timer) {
+    this.time = Math.max(this.time, timer.due);
+    
+    if (timer.interval) {
+      timer.due += timer.interval;
+    } else {
+      this.timers.delete(timer.id);
+    }
+    
+    try {
+      timer.callback();
+    } catch (error) {
+      console.error('Virtual timer callback failed:', error);
+    }
+  }
+  
+  /**
+   * Run the next due timer, moving time forward to it
+   * @returns {boolean} - False when nothing is scheduled
+   */
+  step() {
+    const timer = this.nextTimer();
+    if (!timer) return false;
+    
+    this.fire(timer);
+    return true;
+  }
+  
+  /**
+   * Move time forward, running every timer that falls due on the way
+   * @param {number} ms - Milliseconds of simulated time
+   * @returns {number} - Number of timer callbacks run
+   */
+  advance(ms) {
+    const target = this.time + ms;
+    let fired = 0;
+    
+    let timer = this.nextTimer();
+    while (timer && timer.due <= target) {
+      this.fire(timer);
+      fired++;
+      timer = this.nextTimer();
+    }
+    
+    this.time = target;
+    return fired;
+  }
+  
+  /**
+   * Like advance(), but lets the promise continuations a timer starts
+   * settle before the next timer runs, as they would in real time
+   * @param {number} ms - Milliseconds of simulated time
+   * @returns {Promise<number>} - Number of timer callbacks run
+   */
+  async runFor(ms) {
+    const target = this.time + ms;
+    let fired = 0;
+    
+    let timer = this.nextTimer();
+    while (timer && timer.due <= target) {
+      this.fire(timer);
+      fired++;
+      await new Promise(resolve => setImmediate(resolve));
+      timer = this.nextTimer();
+    }
+    
+    this.time = target;
+    return fired;
+  }
+  
+  /**
+   * Keep advancing at a multiple of real time until stopped
+   * @param {number} timeScale - Simulated milliseconds per real millisecond
+   * @param {number} tickMs - Real milliseconds between advances
+   */
+  start(timeScale = 1, tickMs = 10) {
+    this.stop();
+    this.timeScale = timeScale;
+    
+    let last = Date.now();
+    this.realTimer = setInterval(() => {
+      const now = Date.now();
+      this.advance((now - last) * this.timeScale);
+      last = now;
+    }, tickMs);
+  }
+  
+  stop() {
+    if (this.realTimer) {
+      clearInterval(this.realTimer);
+      this.realTimer = null;
+    }
+    this.timeScale = 0;
+  }
+  
+  get pendingTimers() {
+    return this.timers.size;
+  }
+}
+
+export default {
+  SystemClock,
+  VirtualClock
+};
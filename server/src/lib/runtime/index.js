@@ -0,0 +1,87 @@
+import { randomBytes } from 'crypto';
+import { SeededRandom, hashSeed } from './random.js';
+import { SystemClock, VirtualClock } from './clock.js';
+
+/**
+ * Runtime
+ * The random source and clock handed to every Lucian and ODIN component.
+ * Seed it and pair it with a VirtualClock to replay a pet's life exactly.
+ */
+export class Runtime {
+  constructor({ random, clock }) {
+    this.random = random;
+    this.clock = clock;
+  }
+  
+  get seed() {
+    return this.random.seed;
+  }
+  
+  /**
+   * Runtime for a sub-component: its own random stream, the same clock
+   * @param {string} label - Component name
+   * @returns {Runtime}
+   */
+  fork(label) {
+    return new Runtime({
+      random: this.random.fork(label),
+      clock: this.clock
+    });
+  }
+  
+  stop() {
+    if (this.clock.stop) {
+      this.clock.stop();
+    }
+  }
+}
+
+/**
+ * Create a runtime
+ * @param {Object} options - Runtime options
+ * @param {number|string} options.seed - RNG seed (random when omitted)
+ * @param {string|Object} options.clock - 'system', 'virtual' or a clock instance
+ * @param {number} options.timeScale - Run a virtual clock continuously at this multiple of real time
+ * @param {number} options.startTime - Initial virtual time (epoch ms)
+ * @returns {Runtime}
+ */
+export const createRuntime = (options = {}) => {
+  const seed = options.seed ?? randomBytes(4).readUInt32LE(0);
+  
+  let clock = options.clock || 'system';
+  if (typeof clock === 'string') {
+    clock = clock === 'virtual'
+      ? new VirtualClock({ startTime: options.startTime })
+      : new SystemClock();
+  }
+  
+  if (clock.virtual && options.timeScale > 0) {
+    clock.start(options.timeScale);
+  }
+  
+  return new Runtime({
+    random: new SeededRandom(seed),
+    clock
+  });
+};
+
+/**
+ * Create the server runtime from the environment
+ *   LUCIAN_SEED        fixed seed for reproducible runs
+ *   LUCIAN_CLOCK       'system' (default) or 'virtual'
+ *   LUCIAN_TIME_SCALE  virtual time speed-up (default 1)
+ * @returns {Runtime}
+ */
+export const createRuntimeFromEnv = () => {
+  const clock = process.env.LUCIAN_CLOCK || 'system';
+  
+  return createRuntime({
+    seed: process.env.LUCIAN_SEED || undefined,
+    clock,
+    timeScale: clock === 'virtual' ? parseFloat(process.env.LUCIAN_TIME_SCALE) || 1 : undefined
+  });
+};
+
+export { SeededRandom, SystemClock, VirtualClock, hashSeed };
+
+export default createRuntime;
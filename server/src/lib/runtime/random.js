@@ -0,0 +1,73 @@
+/**
+ * Seeded Random
+ * Deterministic pseudo-random source (mulberry32) shared by Lucian and ODIN.
+ * Components take their own fork so that draws in one component never shift
+ * the sequence seen by another.
+ */
+
+/**
+ * Hash any seed value to an unsigned 32-bit integer (FNV-1a)
+ * @param {number|string} value - Seed or label
+ * @returns {number}
+ */
+export const hashSeed = (value) => {
+  const text = String(value);
+  let hash = 0x811c9dc5;
+  
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  
+  return hash >>> 0;
+};
+
+export class SeededRandom {
+  constructor(seed = Date.now()) {
+    this.seed = seed;
+    this.state = hashSeed(seed);
+  }
+  
+  /**
+   * Next value in [0, 1), a drop-in for Math.random()
+   * @returns {number}
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+  
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+  
+  int(min, max) {
+    // Integer in [min, max)
+    return Math.floor(this.range(min, max));
+  }
+  
+  chance(probability) {
+    return this.next() < probability;
+  }
+  
+  pick(items) {
+    return items[Math.floor(this.next() * items.length)];
+  }
+  
+  /**
+   * Derive an independent stream for a named consumer
+   * Depends only on the seed and label, not on how many values were drawn.
+   * @param {string} label - Consumer name
+   * @returns {SeededRandom}
+   */
+  fork(label) {
+    return new SeededRandom(`${this.seed}/${label}`);
+  }
+}
+
+export default SeededRandom;
@@ -0,0 +1,146 @@
+import EventEmitter from 'events';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createHash } from 'crypto';
+import { createRuntime } from './index.js';
+import { LucianCognitiveSystem } from '../lucian/index.js';
+import { OdinSensorySystem } from '../odin/index.js';
+import { encodeStructured } from '../../utils/structuredJson.js';
+
+/**
+ * Simulation
+ * Runs one pet's brain (and optionally ODIN) on a seeded virtual clock, so
+ * days of its life pass in seconds and the same seed always ends in the same
+ * brain state.
+ */
+export class Simulation extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    
+    this.petId = options.petId || 'simulated_pet';
+    this.withOdin = Boolean(options.withOdin);
+    
+    this.runtime = createRuntime({
+      seed: options.seed ?? 1,
+      clock: 'virtual',
+      startTime: options.startTime
+    });
+    this.clock = this.runtime.clock;
+    this.startTime = this.clock.now();
+    
+    // Memories are persisted by the MPU; keep them out of real pet data
+    this.persistencePath = options.persistencePath || null;
+    this.ownsPersistencePath = !this.persistencePath;
+    
+    this.brain = null;
+    this.odin = null;
+    
+    this.stats = {
+      timersFired: 0,
+      perceptions: 0
+    };
+  }
+  
+  async initialize() {
+    if (!this.persistencePath) {
+      this.persistencePath = await fs.mkdtemp(path.join(os.tmpdir(), 'lucian-sim-'));
+    }
+    
+    this.brain = new LucianCognitiveSystem({
+      petId: this.petId,
+      runtime: this.runtime,
+      persistencePath: this.persistencePath
+    });
+    await this.brain.initialize();
+    
+    if (this.withOdin) {
+      this.odin = new OdinSensorySystem({ runtime: this.runtime.fork('odin') });
+      await this.odin.initialize();
+      
+      this.odin.on('perception', (perceptionData) => {
+        this.stats.perceptions++;
+        this.brain.processPerception(perceptionData);
+      });
+    }
+  }
+  
+  /**
+   * Simulated milliseconds since the simulation started
+   */
+  get elapsed() {
+    return this.clock.now() - this.startTime;
+  }
+  
+  /**
+   * Run the simulation forward
+   * @param {number} ms - Simulated milliseconds
+   * @returns {Promise<number>} - Timer callbacks run
+   */
+  async advance(ms) {
+    const fired = await this.clock.runFor(ms);
+    this.stats.timersFired += fired;
+    
+    this.emit('advanced', { elapsed: this.elapsed, fired });
+    return fired;
+  }
+  
+  /**
+   * Run the next few scheduled callbacks one at a time
+   * @param {number} count - Callbacks to run
+   * @returns {Promise<number>} - Callbacks actually run
+   */
+  async step(count = 1) {
+    let fired = 0;
+    
+    while (fired < count && this.clock.step()) {
+      fired++;
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    
+    this.stats.timersFired += fired;
+    
+    this.emit('advanced', { elapsed: this.elapsed, fired });
+    return fired;
+  }
+  
+  /**
+   * SHA-256 of the brain snapshot; equal digests mean identical brains
+   * @returns {string}
+   */
+  digest() {
+    const snapshot = encodeStructured(this.brain.serialize());
+    return createHash('sha256').update(JSON.stringify(snapshot)).digest('hex');
+  }
+  
+  getState() {
+    return {
+      petId: this.petId,
+      seed: this.runtime.seed,
+      simulatedTime: this.clock.now(),
+      elapsed: this.elapsed,
+      cognitiveState: { ...this.brain.cognitiveState },
+      metrics: this.brain.getMetrics(),
+      odin: this.odin ? this.odin.getMetrics() : null,
+      stats: { ...this.stats },
+      digest: this.digest()
+    };
+  }
+  
+  async shutdown() {
+    if (this.odin) {
+      await this.odin.shutdown();
+    }
+    if (this.brain) {
+      await this.brain.shutdown();
+    }
+    
+    if (this.ownsPersistencePath && this.persistencePath) {
+      await fs.rm(this.persistencePath, { recursive: true, force: true });
+    }
+    
+    this.removeAllListeners();
+  }
+}
+
+export default Simulation;
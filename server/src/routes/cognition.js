@@ -1,27 +1,75 @@
 import express from 'express';
+import { DEFAULT_PET_ID } from '../lib/pets/index.js';
 
 /**
  * Cognition routes - Access to Lucian cognitive systems
- * @param {LucianCognitiveSystem} lucianSystem - The cognitive system
+ * Every route targets one pet's brain, chosen by `petId` in the query
+ * string or body (the default pet when omitted)
+ * @param {BrainManager} brainManager - Per-pet cognitive systems
  */
-const cognitionRouter = (lucianSystem) => {
+const cognitionRouter = (brainManager) => {
   const router = express.Router();
   
+  // Resolve the requested pet's brain before running the handler
+  const withBrain = (handler) => async (req, res) => {
+    const petId = req.query.petId || req.body?.petId || DEFAULT_PET_ID;
+    let brain;
+    
+    try {
+      brain = await brainManager.getBrain(petId);
+    } catch (error) {
+      if (error.code === 'PET_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'Pet not found',
+          id: petId
+        });
+      }
+      
+      console.error('Brain load error:', error);
+      return res.status(500).json({
+        error: 'Failed to load pet brain',
+        message: error.message
+      });
+    }
+    
+    // A handler that throws (say, on a malformed body) must answer, not
+    // leave an unhandled rejection behind
+    try {
+      return await handler(req, res, brain);
+    } catch (error) {
+      console.error('Cognition route error:', error);
+      if (res.headersSent) return;
+      
+      return res.status(500).json({
+        error: 'Cognition request failed',
+        message: error.message
+      });
+    }
+  };
+  
+  // GET /api/v1/cognition/status - Every loaded brain with its metrics
+  router.get('/status', (req, res) => {
+    res.json({
+      ...brainManager.getStatus(),
+      timestamp: Date.now()
+    });
+  });
+  
   // GET /api/v1/cognition/state - Get current cognitive state
-  router.get('/state', (req, res) => {
+  router.get('/state', withBrain((req, res, brain) => {
     const state = {
-      active: lucianSystem.isActive,
-      cognitiveState: lucianSystem.cognitiveState,
-      metrics: lucianSystem.getMetrics(),
+      active: brain.isActive,
+      cognitiveState: brain.cognitiveState,
+      metrics: brain.getMetrics(),
       timestamp: Date.now()
     };
     
     res.json(state);
-  });
+  }));
   
   // POST /api/v1/cognition/process - Process input through cognitive system
-  router.post('/process', async (req, res) => {
-    const { input, context, petId } = req.body;
+  router.post('/process', withBrain(async (req, res, brain) => {
+    const { input, context } = req.body;
     
     if (!input) {
       return res.status(400).json({
@@ -31,21 +79,22 @@ const cognitionRouter = (lucianSystem) => {
     
     try {
       // Process through SSP
-      const symbols = lucianSystem.ssp.process(input);
+      const symbols = brain.ssp.process(input);
       
       // Store in memory
-      const memory = await lucianSystem.mpu.storeMemory({
+      const memory = await brain.mpu.storeMemory({
         type: 'input',
         content: symbols,
+        raw: input,
         context,
-        petId
+        petId: brain.petId
       });
       
       // Learn patterns
-      const learning = lucianSystem.hasr.processPattern(symbols);
+      const learning = brain.hasr.processPattern(symbols);
       
       // Update identity
-      lucianSystem.aetheron.integrate({
+      brain.aetheron.integrate({
         symbols,
         learning: learning.learned,
         context
@@ -66,35 +115,35 @@ const cognitionRouter = (lucianSystem) => {
         message: error.message
       });
     }
-  });
+  }));
   
   // GET /api/v1/cognition/memories - Retrieve memories
-  router.get('/memories', (req, res) => {
+  router.get('/memories', withBrain((req, res, brain) => {
     const { query, limit = 10, type } = req.query;
     
     let memories;
     
     if (query) {
-      memories = lucianSystem.mpu.retrieveMemory(query);
+      memories = brain.mpu.retrieveMemory(query, { limit: parseInt(limit) || 10 });
     } else {
-      memories = lucianSystem.mpu.getRecentMemories(parseInt(limit));
+      memories = brain.mpu.getRecentMemories(parseInt(limit));
     }
     
     res.json({
       count: memories.length,
       memories
     });
-  });
+  }));
   
   // GET /api/v1/cognition/personality - Get personality profile
-  router.get('/personality', (req, res) => {
-    const personality = lucianSystem.aetheron.getSelfDescription();
+  router.get('/personality', withBrain((req, res, brain) => {
+    const personality = brain.aetheron.getSelfDescription();
     
     res.json(personality);
-  });
+  }));
   
   // PUT /api/v1/cognition/parameters - Update brain parameters
-  router.put('/parameters', (req, res) => {
+  router.put('/parameters', withBrain((req, res, brain) => {
     const { parameter, value } = req.body;
     
     if (!parameter || value === undefined) {
@@ -107,24 +156,24 @@ const cognitionRouter = (lucianSystem) => {
       // Update specific parameter
       switch(parameter) {
         case 'learning_rate':
-          lucianSystem.hasr.setLearningRate(value);
-          lucianSystem.cognitiveState.learning_rate = value;
+          brain.hasr.setLearningRate(value);
+          brain.cognitiveState.learning_rate = value;
           break;
         case 'curiosity':
-          lucianSystem.wonder.setCuriosityLevel(value);
-          lucianSystem.cognitiveState.curiosity = value;
+          brain.wonder.setCuriosityLevel(value);
+          brain.cognitiveState.curiosity = value;
           break;
         case 'memory_consolidation':
-          lucianSystem.cognitiveState.memory_consolidation = value;
+          brain.cognitiveState.memory_consolidation = value;
           break;
         default:
-          if (parameter in lucianSystem.cognitiveState) {
-            lucianSystem.cognitiveState[parameter] = value;
+          if (parameter in brain.cognitiveState) {
+            brain.cognitiveState[parameter] = value;
           } else {
             return res.status(400).json({
               error: 'Unknown parameter',
               parameter,
-              availableParameters: Object.keys(lucianSystem.cognitiveState)
+              availableParameters: Object.keys(brain.cognitiveState)
             });
           }
       }
@@ -133,7 +182,7 @@ const cognitionRouter = (lucianSystem) => {
         success: true,
         parameter,
         value,
-        updatedState: lucianSystem.cognitiveState
+        updatedState: brain.cognitiveState
       });
       
     } catch (error) {
@@ -143,23 +192,23 @@ const cognitionRouter = (lucianSystem) => {
         message: error.message
       });
     }
-  });
+  }));
   
   // GET /api/v1/cognition/wonder - Get curiosity state
-  router.get('/wonder', (req, res) => {
+  router.get('/wonder', withBrain((req, res, brain) => {
     const wonderState = {
-      curiosityLevel: lucianSystem.wonder.getCuriosityLevel(),
-      discoveries: lucianSystem.wonder.getDiscoveries(),
-      explorationCount: lucianSystem.wonder.getExplorationCount(),
-      topInterests: lucianSystem.wonder.getTopInterests(),
-      suggestion: lucianSystem.wonder.suggestExploration()
+      curiosityLevel: brain.wonder.getCuriosityLevel(),
+      discoveries: brain.wonder.getDiscoveries(),
+      explorationCount: brain.wonder.getExplorationCount(),
+      topInterests: brain.wonder.getTopInterests(),
+      suggestion: brain.wonder.suggestExploration()
     };
     
     res.json(wonderState);
-  });
+  }));
   
   // POST /api/v1/cognition/wonder/explore - Trigger exploration
-  router.post('/wonder/explore', (req, res) => {
+  router.post('/wonder/explore', withBrain((req, res, brain) => {
     const { symbols } = req.body;
     
     if (!symbols) {
@@ -168,40 +217,354 @@ const cognitionRouter = (lucianSystem) => {
       });
     }
     
-    const exploration = lucianSystem.wonder.explore(symbols);
+    const exploration = brain.wonder.explore(symbols);
     
     res.json({
       success: true,
       exploration
     });
-  });
+  }));
   
   // GET /api/v1/cognition/patterns - Get learned patterns
-  router.get('/patterns', (req, res) => {
+  router.get('/patterns', withBrain((req, res, brain) => {
     const patterns = {
-      patternCount: lucianSystem.hasr.getPatternCount(),
-      crystallizedCount: lucianSystem.ghostLoops.getCrystallizedCount(),
-      activeLoops: lucianSystem.ghostLoops.getActiveLoops()
+      patternCount: brain.hasr.getPatternCount(),
+      crystallizedCount: brain.ghostLoops.getCrystallizedCount(),
+      activeLoops: brain.ghostLoops.getActiveLoops()
     };
     
     res.json(patterns);
-  });
+  }));
   
   // POST /api/v1/cognition/reflect - Trigger self-reflection
-  router.post('/reflect', (req, res) => {
-    lucianSystem.aetheron.reflect();
+  router.post('/reflect', withBrain((req, res, brain) => {
+    brain.aetheron.reflect();
     
-    const insights = lucianSystem.aetheron.generateInsights();
-    const selfDescription = lucianSystem.aetheron.getSelfDescription();
+    const insights = brain.aetheron.generateInsights();
+    const selfDescription = brain.aetheron.getSelfDescription();
     
     res.json({
       success: true,
       insights,
       selfDescription,
-      coherence: lucianSystem.aetheron.getCoherence(),
-      identityStrength: lucianSystem.aetheron.getIdentityStrength()
+      coherence: brain.aetheron.getCoherence(),
+      identityStrength: brain.aetheron.getIdentityStrength()
     });
-  });
+  }));
+  
+  // POST /api/v1/cognition/concepts - Concepts in a text, without learning from it
+  router.post('/concepts', withBrain((req, res, brain) => {
+    const { text } = req.body;
+    
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      return res.status(400).json({
+        error: 'Text is required'
+      });
+    }
+    
+    const concepts = brain.ssp.extractConcepts(text);
+    
+    res.json({
+      count: concepts.length,
+      concepts
+    });
+  }));
+  
+  // GET /api/v1/cognition/lexicon - The pet's own words for concepts
+  router.get('/lexicon', withBrain((req, res, brain) => {
+    res.json(brain.ssp.getLexicon());
+  }));
+  
+  // PUT /api/v1/cognition/lexicon - Teach the pet words for concepts
+  // Body: { aliases: { kitty: 'cat', zoomies: ['play', 'movement'] } }
+  router.put('/lexicon', withBrain((req, res, brain) => {
+    const { aliases } = req.body;
+    
+    if (!aliases || typeof aliases !== 'object' || Array.isArray(aliases)) {
+      return res.status(400).json({
+        error: 'Aliases are required, as { word: concept }'
+      });
+    }
+    
+    try {
+      brain.ssp.addAliases(aliases);
+      
+      res.json({
+        success: true,
+        ...brain.ssp.getLexicon()
+      });
+    } catch (error) {
+      if (error.code === 'INVALID_ALIAS') {
+        return res.status(400).json({
+          error: 'Invalid alias',
+          message: error.message
+        });
+      }
+      
+      console.error('Lexicon update error:', error);
+      res.status(500).json({
+        error: 'Failed to update lexicon',
+        message: error.message
+      });
+    }
+  }));
+  
+  // DELETE /api/v1/cognition/lexicon/:alias - Forget one of the pet's words
+  router.delete('/lexicon/:alias', withBrain((req, res, brain) => {
+    if (!brain.ssp.removeAlias(req.params.alias)) {
+      return res.status(404).json({
+        error: 'Alias not found',
+        alias: req.params.alias
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: `Forgot the word ${req.params.alias}`
+    });
+  }));
+  
+  // Vector operations on the symbol space answer 400 for operands that
+  // aren't symbol names or symbol-sized vectors
+  const symbolFailure = (res, error, failure) => {
+    if (error.code === 'INVALID_VECTOR') {
+      return res.status(400).json({
+        error: 'Invalid operand',
+        message: error.message
+      });
+    }
+    
+    console.error(`${failure}:`, error);
+    return res.status(500).json({
+      error: failure,
+      message: error.message
+    });
+  };
+  
+  // GET /api/v1/cognition/symbols/search - Symbols nearest the meaning of a text
+  // Query: q (e.g. q=kitty), limit, threshold
+  router.get('/symbols/search', withBrain((req, res, brain) => {
+    const { q, limit, threshold } = req.query;
+    
+    if (!q) {
+      return res.status(400).json({
+        error: 'A query (q) is required'
+      });
+    }
+    
+    const result = brain.ssp.searchSymbols(q, {
+      limit: limit ? parseInt(limit) : undefined,
+      threshold: threshold ? parseFloat(threshold) : undefined
+    });
+    
+    res.json({
+      query: q,
+      count: result.matches.length,
+      ...result
+    });
+  }));
+  
+  // GET /api/v1/cognition/symbols/:concept/similar - What the pet associates with a concept
+  // Query: threshold (least vector similarity), limit
+  router.get('/symbols/:concept/similar', withBrain((req, res, brain) => {
+    const { concept } = req.params;
+    const limit = req.query.limit ? parseInt(req.query.limit) : 10;
+    
+    if (!brain.ssp.symbolSpace.has(concept)) {
+      return res.status(404).json({
+        error: 'Symbol not found',
+        concept
+      });
+    }
+    
+    res.json({
+      concept,
+      similar: brain.ssp.findSimilarSymbols(
+        concept,
+        req.query.threshold ? parseFloat(req.query.threshold) : undefined,
+        limit
+      ),
+      associations: brain.ssp.getAssociations(concept, { limit })
+    });
+  }));
+  
+  // POST /api/v1/cognition/symbols/bind - Bind two symbols into one vector
+  // Body: { a, b } - symbol names or vectors
+  router.post('/symbols/bind', withBrain((req, res, brain) => {
+    const { a, b } = req.body;
+    
+    if (!a || !b) {
+      return res.status(400).json({
+        error: 'Two operands (a and b) are required'
+      });
+    }
+    
+    try {
+      res.json({
+        vector: Array.from(brain.ssp.bind(a, b))
+      });
+    } catch (error) {
+      symbolFailure(res, error, 'Failed to bind symbols');
+    }
+  }));
+  
+  // POST /api/v1/cognition/symbols/unbind - What a vector holds bound to a key
+  // Body: { vector, key, limit, threshold }
+  router.post('/symbols/unbind', withBrain((req, res, brain) => {
+    const { vector, key, limit, threshold } = req.body;
+    
+    if (!vector || !key) {
+      return res.status(400).json({
+        error: 'A vector and a key are required'
+      });
+    }
+    
+    try {
+      const result = brain.ssp.unbind(vector, key);
+      
+      res.json({
+        vector: Array.from(result),
+        matches: brain.ssp.cleanup(result, { limit, threshold })
+      });
+    } catch (error) {
+      symbolFailure(res, error, 'Failed to unbind symbols');
+    }
+  }));
+  
+  // POST /api/v1/cognition/symbols/bundle - Superpose symbols into one vector
+  // Body: { symbols: [names or vectors], weights }
+  router.post('/symbols/bundle', withBrain((req, res, brain) => {
+    const { symbols, weights } = req.body;
+    
+    if (!Array.isArray(symbols) || symbols.length === 0) {
+      return res.status(400).json({
+        error: 'A list of symbols is required'
+      });
+    }
+    
+    try {
+      const result = brain.ssp.bundle(symbols, Array.isArray(weights) ? weights : []);
+      
+      res.json({
+        vector: Array.from(result),
+        matches: brain.ssp.cleanup(result, { limit: symbols.length })
+      });
+    } catch (error) {
+      symbolFailure(res, error, 'Failed to bundle symbols');
+    }
+  }));
+  
+  // POST /api/v1/cognition/symbols/cleanup - Nearest known symbols to a vector
+  // Body: { vector, limit, threshold, among: [names] }
+  router.post('/symbols/cleanup', withBrain((req, res, brain) => {
+    const { vector, limit, threshold, among } = req.body;
+    
+    if (!vector) {
+      return res.status(400).json({
+        error: 'A vector is required'
+      });
+    }
+    
+    try {
+      res.json({
+        matches: brain.ssp.cleanup(vector, {
+          limit,
+          threshold,
+          among: Array.isArray(among) ? among : null
+        })
+      });
+    } catch (error) {
+      symbolFailure(res, error, 'Failed to clean up vector');
+    }
+  }));
+  
+  // GET /api/v1/cognition/symbols/structures - Stored composite structures
+  router.get('/symbols/structures', withBrain((req, res, brain) => {
+    const structures = brain.ssp.getStructures();
+    
+    res.json({
+      count: structures.length,
+      structures
+    });
+  }));
+  
+  // POST /api/v1/cognition/symbols/structures - Store key -> value pairs as one vector
+  // Body: { name, pairs: { ball: 'kitchen' } or [['object', 'ball'], ...], overwrite }
+  router.post('/symbols/structures', withBrain((req, res, brain) => {
+    const { name, pairs, overwrite = false } = req.body;
+    
+    if (!name || !pairs) {
+      return res.status(400).json({
+        error: 'Name and pairs are required'
+      });
+    }
+    
+    try {
+      const structure = brain.ssp.storeStructure(name, pairs, { overwrite: overwrite === true });
+      
+      res.status(201).json({
+        success: true,
+        structure
+      });
+    } catch (error) {
+      if (error.code === 'STRUCTURE_EXISTS') {
+        return res.status(409).json({
+          error: 'Structure already exists',
+          message: 'Use overwrite: true to replace it'
+        });
+      }
+      
+      symbolFailure(res, error, 'Failed to store structure');
+    }
+  }));
+  
+  // GET /api/v1/cognition/symbols/structures/:name/query - What is bound to a key
+  // Query: key (e.g. key=ball for "where is the ball?"), limit, threshold
+  router.get('/symbols/structures/:name/query', withBrain((req, res, brain) => {
+    const { key, limit, threshold } = req.query;
+    
+    if (!key) {
+      return res.status(400).json({
+        error: 'A key is required'
+      });
+    }
+    
+    try {
+      const result = brain.ssp.queryStructure(req.params.name, key, {
+        limit: limit ? parseInt(limit) : undefined,
+        threshold: threshold ? parseFloat(threshold) : undefined
+      });
+      
+      if (!result) {
+        return res.status(404).json({
+          error: 'Structure not found',
+          name: req.params.name
+        });
+      }
+      
+      res.json({
+        key,
+        ...result
+      });
+    } catch (error) {
+      symbolFailure(res, error, 'Failed to query structure');
+    }
+  }));
+  
+  // DELETE /api/v1/cognition/symbols/structures/:name - Forget a structure
+  router.delete('/symbols/structures/:name', withBrain((req, res, brain) => {
+    if (!brain.ssp.deleteStructure(req.params.name)) {
+      return res.status(404).json({
+        error: 'Structure not found',
+        name: req.params.name
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: `Forgot structure ${req.params.name}`
+    });
+  }));
   
   return router;
 };
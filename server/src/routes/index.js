@@ -11,7 +11,7 @@ import aiRouter from './ai.js';
  * @param {Object} systems - Cognitive and sensory systems
  */
 export const setupRoutes = (app, systems) => {
-  const { lucianSystem, odinSystem } = systems;
+  const { brainManager, odinSystem, petRepository } = systems;
   
   // API version prefix
   const apiPrefix = '/api/v1';
@@ -20,13 +20,13 @@ export const setupRoutes = (app, systems) => {
   app.use(`${apiPrefix}/health`, healthRouter);
   
   // Pet management routes
-  app.use(`${apiPrefix}/pets`, petsRouter(lucianSystem));
+  app.use(`${apiPrefix}/pets`, petsRouter(brainManager, petRepository, odinSystem));
   
   // Cognition routes
-  app.use(`${apiPrefix}/cognition`, cognitionRouter(lucianSystem));
+  app.use(`${apiPrefix}/cognition`, cognitionRouter(brainManager));
   
   // Sensory routes
-  app.use(`${apiPrefix}/sensory`, sensoryRouter(odinSystem));
+  app.use(`${apiPrefix}/sensory`, sensoryRouter(odinSystem, petRepository));
   
   // AI provider routes
   app.use(`${apiPrefix}/ai`, aiRouter);
@@ -45,7 +45,7 @@ export const setupRoutes = (app, systems) => {
         ai: `${apiPrefix}/ai`
       },
       systems: {
-        lucian: lucianSystem.isActive ? 'active' : 'inactive',
+        lucian: brainManager.isActive ? 'active' : 'inactive',
         odin: odinSystem.isActive ? 'active' : 'inactive'
       },
       documentation: '/api/docs'
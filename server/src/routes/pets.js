@@ -1,69 +1,74 @@
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
+import {
+  DEFAULT_PET_ID,
+  createPetRecord,
+  exportPetArchive,
+  importPetArchive
+} from '../lib/pets/index.js';
 
 /**
  * Pet management routes
- * @param {LucianCognitiveSystem} lucianSystem - The cognitive system
+ * @param {BrainManager} brainManager - Per-pet cognitive systems
+ * @param {JsonPetRepository|SqlitePetRepository} petRepository - Durable pet store
+ * @param {OdinSensorySystem} odinSystem - Holds each pet's trained sounds (optional)
  */
-const petsRouter = (lucianSystem) => {
+const petsRouter = (brainManager, petRepository, odinSystem = null) => {
   const router = express.Router();
   
-  // In-memory pet storage (in production, use database)
-  const pets = new Map();
-  
-  // Default pet
-  const defaultPet = {
-    id: 'default_pet',
-    name: 'Zara',
-    species: 'cat',
-    created: new Date().toISOString(),
-    personality: {
-      playfulness: 0.7,
-      curiosity: 0.8,
-      affection: 0.6,
-      independence: 0.5
-    },
-    stats: {
-      happiness: 85,
-      energy: 72,
-      intelligence: 68,
-      bonding: 91
-    },
-    memories: [],
-    lastInteraction: new Date().toISOString()
-  };
-  
-  pets.set(defaultPet.id, defaultPet);
-  
   // GET /api/v1/pets - List all pets
-  router.get('/', (req, res) => {
-    const petList = Array.from(pets.values());
-    res.json({
-      count: petList.length,
-      pets: petList
-    });
+  router.get('/', async (req, res) => {
+    try {
+      const petList = await petRepository.list();
+      
+      res.json({
+        count: petList.length,
+        pets: petList
+      });
+      
+    } catch (error) {
+      console.error('Pet listing error:', error);
+      res.status(500).json({
+        error: 'Failed to list pets',
+        message: error.message
+      });
+    }
   });
   
   // GET /api/v1/pets/:id - Get specific pet
-  router.get('/:id', (req, res) => {
-    const pet = pets.get(req.params.id);
-    
-    if (!pet) {
-      return res.status(404).json({
-        error: 'Pet not found',
-        id: req.params.id
+  router.get('/:id', async (req, res) => {
+    try {
+      const pet = await petRepository.get(req.params.id);
+      
+      if (!pet) {
+        return res.status(404).json({
+          error: 'Pet not found',
+          id: req.params.id
+        });
+      }
+      
+      // Get pet's memories from its brain
+      const brain = await brainManager.getBrain(pet.id);
+      const memories = brain.mpu.getPetMemories(pet.id);
+      pet.memories = memories.slice(-10); // Last 10 memories
+      
+      // Live needs (they keep draining between interactions)
+      pet.needs = brain.needs.getState();
+      pet.stats = brain.needs.applyToStats(pet.stats);
+      
+      res.json(pet);
+      
+    } catch (error) {
+      console.error('Pet lookup error:', error);
+      res.status(500).json({
+        error: 'Failed to load pet',
+        message: error.message
       });
     }
-    
-    // Get pet's memories from cognitive system
-    const memories = lucianSystem.mpu.getPetMemories(pet.id);
-    pet.memories = memories.slice(-10); // Last 10 memories
-    
-    res.json(pet);
   });
   
   // POST /api/v1/pets - Create new pet
-  router.post('/', (req, res) => {
+  router.post('/', async (req, res) => {
     const { name, species, personality, hybridTraits } = req.body;
     
     if (!name) {
@@ -72,153 +77,215 @@ const petsRouter = (lucianSystem) => {
       });
     }
     
-    const newPet = {
-      id: uuidv4(),
-      name,
-      species: species || 'hybrid',
-      created: new Date().toISOString(),
-      personality: personality || {
-        playfulness: 0.5,
-        curiosity: 0.5,
-        affection: 0.5,
-        independence: 0.5
-      },
-      hybridTraits: hybridTraits || {},
-      stats: {
-        happiness: 50,
-        energy: 100,
-        intelligence: 50,
-        bonding: 0
-      },
-      memories: [],
-      lastInteraction: new Date().toISOString()
-    };
-    
-    pets.set(newPet.id, newPet);
-    
-    // Initialize pet in cognitive system
-    lucianSystem.aetheron.setName(name);
-    lucianSystem.hasr.initializePetProfile(newPet.id);
-    
-    res.status(201).json({
-      message: 'Pet created successfully',
-      pet: newPet
-    });
+    try {
+      const newPet = await petRepository.create(
+        createPetRecord(uuidv4(), { name, species, personality, hybridTraits }, brainManager.clock.now())
+      );
+      
+      // Give the new pet its own brain (named from the pet record)
+      const brain = await brainManager.getBrain(newPet.id);
+      brain.hasr.initializePetProfile(newPet.id);
+      
+      res.status(201).json({
+        message: 'Pet created successfully',
+        pet: newPet
+      });
+      
+    } catch (error) {
+      console.error('Pet creation error:', error);
+      res.status(500).json({
+        error: 'Failed to create pet',
+        message: error.message
+      });
+    }
   });
   
-  // PUT /api/v1/pets/:id - Update pet
-  router.put('/:id', (req, res) => {
-    const pet = pets.get(req.params.id);
+  // POST /api/v1/pets/import - Import a pet archive
+  // Query: overwrite=true replaces an existing pet, asNew=true assigns a fresh ID
+  router.post('/import', async (req, res) => {
+    const overwrite = req.query.overwrite === 'true';
+    const asNew = req.query.asNew === 'true';
     
-    if (!pet) {
-      return res.status(404).json({
-        error: 'Pet not found',
-        id: req.params.id
+    try {
+      const pet = await importPetArchive(
+        req.body,
+        { petRepository, brainManager },
+        { id: asNew ? uuidv4() : undefined, overwrite }
+      );
+      
+      res.status(201).json({
+        message: 'Pet imported successfully',
+        pet
+      });
+      
+    } catch (error) {
+      if (error.code === 'INVALID_ARCHIVE') {
+        return res.status(400).json({
+          error: 'Invalid pet archive',
+          message: error.message
+        });
+      }
+      
+      if (error.code === 'PET_EXISTS') {
+        return res.status(409).json({
+          error: 'Pet already exists',
+          message: 'Use overwrite=true to replace it or asNew=true to import a copy'
+        });
+      }
+      
+      console.error('Pet import error:', error);
+      res.status(500).json({
+        error: 'Failed to import pet',
+        message: error.message
       });
     }
-    
+  });
+  
+  // PUT /api/v1/pets/:id - Update pet
+  router.put('/:id', async (req, res) => {
     // Update allowed fields
     const { name, personality, stats } = req.body;
     
-    if (name) pet.name = name;
-    if (personality) pet.personality = { ...pet.personality, ...personality };
-    if (stats) pet.stats = { ...pet.stats, ...stats };
-    
-    pet.lastInteraction = new Date().toISOString();
-    
-    pets.set(pet.id, pet);
-    
-    res.json({
-      message: 'Pet updated successfully',
-      pet
-    });
+    try {
+      const pet = await petRepository.update(req.params.id, (draft) => {
+        if (name) draft.name = name;
+        if (personality) draft.personality = { ...draft.personality, ...personality };
+        if (stats) draft.stats = { ...draft.stats, ...stats };
+        
+        draft.lastInteraction = new Date(brainManager.clock.now()).toISOString();
+      });
+      
+      if (!pet) {
+        return res.status(404).json({
+          error: 'Pet not found',
+          id: req.params.id
+        });
+      }
+      
+      res.json({
+        message: 'Pet updated successfully',
+        pet
+      });
+      
+    } catch (error) {
+      console.error('Pet update error:', error);
+      res.status(500).json({
+        error: 'Failed to update pet',
+        message: error.message
+      });
+    }
   });
   
   // DELETE /api/v1/pets/:id - Remove pet
-  router.delete('/:id', (req, res) => {
-    if (!pets.has(req.params.id)) {
-      return res.status(404).json({
-        error: 'Pet not found',
-        id: req.params.id
-      });
-    }
-    
+  router.delete('/:id', async (req, res) => {
     // Don't allow deleting the default pet
-    if (req.params.id === 'default_pet') {
+    if (req.params.id === DEFAULT_PET_ID) {
       return res.status(400).json({
         error: 'Cannot delete the default pet'
       });
     }
     
-    pets.delete(req.params.id);
-    
-    res.json({
-      message: 'Pet deleted successfully',
-      id: req.params.id
-    });
+    try {
+      const deleted = await petRepository.delete(req.params.id);
+      
+      if (!deleted) {
+        return res.status(404).json({
+          error: 'Pet not found',
+          id: req.params.id
+        });
+      }
+      
+      // Release the pet's brain and its persisted state, and the sounds
+      // trained for it, so a reused ID starts from nothing
+      await brainManager.deleteBrain(req.params.id);
+      if (odinSystem) {
+        await odinSystem.removeSounds(req.params.id);
+      }
+      
+      res.json({
+        message: 'Pet deleted successfully',
+        id: req.params.id
+      });
+      
+    } catch (error) {
+      console.error('Pet deletion error:', error);
+      res.status(500).json({
+        error: 'Failed to delete pet',
+        message: error.message
+      });
+    }
   });
   
   // POST /api/v1/pets/:id/interact - Interact with pet
   router.post('/:id/interact', async (req, res) => {
-    const pet = pets.get(req.params.id);
-    
-    if (!pet) {
-      return res.status(404).json({
-        error: 'Pet not found',
-        id: req.params.id
-      });
-    }
-    
     const { action, data } = req.body;
     
-    if (!action) {
-      return res.status(400).json({
-        error: 'Action is required'
-      });
-    }
-    
     try {
-      // Process interaction through cognitive system
-      const response = await lucianSystem.processPetInteraction(action, pet.id);
-      
-      // Update pet stats based on interaction
-      switch(action) {
-        case 'feed':
-          pet.stats.happiness = Math.min(100, pet.stats.happiness + 10);
-          pet.stats.energy = Math.min(100, pet.stats.energy + 20);
-          break;
-        case 'play':
-          pet.stats.happiness = Math.min(100, pet.stats.happiness + 15);
-          pet.stats.energy = Math.max(0, pet.stats.energy - 10);
-          pet.stats.bonding = Math.min(100, pet.stats.bonding + 5);
-          break;
-        case 'pet':
-          pet.stats.happiness = Math.min(100, pet.stats.happiness + 5);
-          pet.stats.bonding = Math.min(100, pet.stats.bonding + 10);
-          break;
-        case 'teach':
-          pet.stats.intelligence = Math.min(100, pet.stats.intelligence + 3);
-          pet.stats.energy = Math.max(0, pet.stats.energy - 5);
-          break;
+      if (!(await petRepository.has(req.params.id))) {
+        return res.status(404).json({
+          error: 'Pet not found',
+          id: req.params.id
+        });
+      }
+      
+      if (!action) {
+        return res.status(400).json({
+          error: 'Action is required'
+        });
       }
       
-      pet.lastInteraction = new Date().toISOString();
-      pets.set(pet.id, pet);
+      // Process interaction through the pet's own brain
+      const brain = await brainManager.getBrain(req.params.id);
+      const response = await brain.processPetInteraction(action, req.params.id);
+      
+      // Update pet stats based on interaction (energy follows the needs model)
+      const pet = await petRepository.update(req.params.id, (draft) => {
+        switch(action) {
+          case 'feed':
+            draft.stats.happiness = Math.min(100, draft.stats.happiness + 10);
+            break;
+          case 'play':
+            draft.stats.happiness = Math.min(100, draft.stats.happiness + 15);
+            draft.stats.bonding = Math.min(100, draft.stats.bonding + 5);
+            break;
+          case 'pet':
+            draft.stats.happiness = Math.min(100, draft.stats.happiness + 5);
+            draft.stats.bonding = Math.min(100, draft.stats.bonding + 10);
+            break;
+          case 'teach':
+            draft.stats.intelligence = Math.min(100, draft.stats.intelligence + 3);
+            break;
+          case 'groom':
+            draft.stats.happiness = Math.min(100, draft.stats.happiness + 5);
+            break;
+        }
+        
+        draft.stats = brain.needs.applyToStats(draft.stats);
+        draft.lastInteraction = new Date(brain.clock.now()).toISOString();
+      });
+      
+      if (!pet) {
+        return res.status(404).json({
+          error: 'Pet not found',
+          id: req.params.id
+        });
+      }
       
       // Store memory of interaction
-      await lucianSystem.mpu.storePetMemory(pet.id, {
+      await brain.mpu.storePetMemory(pet.id, {
         type: 'interaction',
         action,
         data,
         response,
-        timestamp: Date.now()
+        timestamp: brain.clock.now()
       });
       
       res.json({
         success: true,
         action,
         response,
-        updatedStats: pet.stats
+        updatedStats: pet.stats,
+        needs: brain.needs.getState()
       });
       
     } catch (error) {
@@ -231,60 +298,96 @@ const petsRouter = (lucianSystem) => {
   });
   
   // GET /api/v1/pets/:id/memories - Get pet memories
-  router.get('/:id/memories', (req, res) => {
-    const pet = pets.get(req.params.id);
-    
-    if (!pet) {
-      return res.status(404).json({
-        error: 'Pet not found',
-        id: req.params.id
+  router.get('/:id/memories', async (req, res) => {
+    try {
+      const pet = await petRepository.get(req.params.id);
+      
+      if (!pet) {
+        return res.status(404).json({
+          error: 'Pet not found',
+          id: req.params.id
+        });
+      }
+      
+      const limit = parseInt(req.query.limit) || 50;
+      const brain = await brainManager.getBrain(pet.id);
+      const memories = brain.mpu.getPetMemories(pet.id);
+      
+      res.json({
+        petId: pet.id,
+        count: memories.length,
+        memories: memories.slice(-limit).reverse() // Most recent first
+      });
+      
+    } catch (error) {
+      console.error('Memory lookup error:', error);
+      res.status(500).json({
+        error: 'Failed to load memories',
+        message: error.message
       });
     }
-    
-    const limit = parseInt(req.query.limit) || 50;
-    const memories = lucianSystem.mpu.getPetMemories(pet.id);
-    
-    res.json({
-      petId: pet.id,
-      count: memories.length,
-      memories: memories.slice(-limit).reverse() // Most recent first
-    });
   });
   
-  // POST /api/v1/pets/:id/train - Train pet behavior
-  router.post('/:id/train', async (req, res) => {
-    const pet = pets.get(req.params.id);
-    
-    if (!pet) {
-      return res.status(404).json({
-        error: 'Pet not found',
-        id: req.params.id
+  // GET /api/v1/pets/:id/export - Download the pet and its brain as an archive
+  router.get('/:id/export', async (req, res) => {
+    try {
+      const archive = await exportPetArchive(req.params.id, { petRepository, brainManager });
+      
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="${encodeURIComponent(req.params.id)}.lucianpet.json"`
+      );
+      res.json(archive);
+      
+    } catch (error) {
+      if (error.code === 'PET_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'Pet not found',
+          id: req.params.id
+        });
+      }
+      
+      console.error('Pet export error:', error);
+      res.status(500).json({
+        error: 'Failed to export pet',
+        message: error.message
       });
     }
-    
+  });
+  
+  // POST /api/v1/pets/:id/train - Train pet behavior
+  router.post('/:id/train', async (req, res) => {
     const { behavior, reward } = req.body;
     
-    if (!behavior) {
-      return res.status(400).json({
-        error: 'Behavior to train is required'
-      });
-    }
-    
     try {
-      // Train through HASR learning system
-      const result = lucianSystem.hasr.learnPetBehavior(pet.id, {
+      if (!(await petRepository.has(req.params.id))) {
+        return res.status(404).json({
+          error: 'Pet not found',
+          id: req.params.id
+        });
+      }
+      
+      if (!behavior) {
+        return res.status(400).json({
+          error: 'Behavior to train is required'
+        });
+      }
+      
+      // Train through the pet's HASR learning system
+      const brain = await brainManager.getBrain(req.params.id);
+      const result = brain.hasr.learnPetBehavior(req.params.id, {
         behavior,
         reward: reward || 'positive',
-        timestamp: Date.now()
+        timestamp: brain.clock.now()
       });
       
       // Update intelligence based on learning
       if (result.learned) {
-        pet.stats.intelligence = Math.min(100, pet.stats.intelligence + 1);
+        await petRepository.update(req.params.id, (draft) => {
+          draft.stats.intelligence = Math.min(100, draft.stats.intelligence + 1);
+        });
       }
       
-      pets.set(pet.id, pet);
-      
       res.json({
         success: true,
         learned: result.learned,
@@ -304,4 +407,4 @@ const petsRouter = (lucianSystem) => {
   return router;
 };
 
-export default petsRouter;
\ No newline at end of file
+export default petsRouter;
@@ -1,12 +1,49 @@
 import express from 'express';
+import { decodeFrameMessage } from '../lib/odin/frameProtocol.js';
+import { ClockSync } from '../lib/odin/clockSync.js';
+
+// Person ids are slugs of the given id, or of the name. Voices and faces
+// share them, so a person enrolled both ways is one person to the pets.
+const toPersonId = (id, name) => (typeof id === 'string' && id.trim() ? id : name)
+  .trim()
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
 
 /**
  * Sensory routes - ODIN system control
  * @param {OdinSensorySystem} odinSystem - The sensory system
+ * @param {Object} petRepository - Pet storage, for per-pet sound classes
  */
-const sensoryRouter = (odinSystem) => {
+const sensoryRouter = (odinSystem, petRepository) => {
   const router = express.Router();
   
+  // Each sender's clock, as the socket stream keeps one per client: binary
+  // frames carry their capture timestamp, placed on the server's clock
+  const clockSyncs = new Map();
+  
+  const captureTime = (req, timestamp) => {
+    if (!clockSyncs.has(req.ip)) {
+      clockSyncs.set(req.ip, new ClockSync());
+    }
+    return clockSyncs.get(req.ip).align(timestamp, Date.now());
+  };
+  
+  // Sound class routes only serve pets that exist
+  const requirePet = async (req, res, next) => {
+    try {
+      if (!(await petRepository.has(req.params.petId))) {
+        return res.status(404).json({
+          error: 'Pet not found'
+        });
+      }
+      
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+  
   // GET /api/v1/sensory/state - Get sensory system state
   router.get('/state', (req, res) => {
     const state = odinSystem.getPerceptionState();
@@ -56,6 +93,7 @@ const sensoryRouter = (odinSystem) => {
   });
   
   // POST /api/v1/sensory/visual/frame - Process video frame
+  // frameData: { width, height, format: 'rgba'|'rgb'|'gray', data: base64 or byte array }
   router.post('/visual/frame', (req, res) => {
     const { frameData } = req.body;
     
@@ -65,13 +103,96 @@ const sensoryRouter = (odinSystem) => {
       });
     }
     
-    odinSystem.processVideoFrame(frameData);
+    try {
+      odinSystem.processVideoFrame(frameData);
+      
+      const { v1, v2, v3 } = odinSystem.visualCortex.layers;
+      
+      res.json({
+        success: true,
+        message: 'Frame processed',
+        visual: odinSystem.perceptionState.visual,
+        features: {
+          edgePoints: v1.edges.length,
+          edgeDensity: v1.edgeDensity,
+          lines: v1.lines.length,
+          corners: v1.corners.length,
+          contours: v2.contours.length,
+          shapes: v2.shapes,
+          motionVectors: v3.motionVectors.length,
+          opticalFlow: v3.opticalFlow,
+          movingRegions: v3.movingObjects
+        }
+      });
+      
+    } catch (error) {
+      if (error.code === 'INVALID_FRAME') {
+        return res.status(400).json({
+          error: 'Invalid frame',
+          message: error.message
+        });
+      }
+      
+      console.error('Frame processing error:', error);
+      res.status(500).json({
+        error: 'Failed to process frame',
+        message: error.message
+      });
+    }
+  });
+  
+  // POST /api/v1/sensory/visual/frame/binary - Process a binary video frame
+  // Body: application/octet-stream, one frame as in lib/odin/frameProtocol.js.
+  // Frames sent faster than the visual cortex keeps up with are refused (429)
+  // with the frame rate to use.
+  router.post('/visual/frame/binary', express.raw({ type: 'application/octet-stream', limit: '16mb' }), (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        error: 'Binary frame body is required (application/octet-stream)'
+      });
+    }
     
-    res.json({
-      success: true,
-      message: 'Frame processed',
-      visual: odinSystem.perceptionState.visual
-    });
+    try {
+      const frameData = decodeFrameMessage(req.body);
+      const capturedAt = captureTime(req, frameData.timestamp);
+      
+      if (!odinSystem.admitVideoFrame()) {
+        const flowControl = odinSystem.getFrameFlowControl();
+        
+        return res.status(429)
+          .set('Retry-After', String(Math.ceil(1 / flowControl.targetFps)))
+          .json({
+            error: 'Frame dropped',
+            message: `Send at most ${flowControl.targetFps} frames per second`,
+            sequence: frameData.sequence,
+            flowControl
+          });
+      }
+      
+      odinSystem.processVideoFrame(frameData, { capturedAt });
+      
+      res.json({
+        success: true,
+        message: 'Frame processed',
+        sequence: frameData.sequence,
+        visual: odinSystem.perceptionState.visual,
+        flowControl: odinSystem.getFrameFlowControl()
+      });
+      
+    } catch (error) {
+      if (error.code === 'INVALID_FRAME') {
+        return res.status(400).json({
+          error: 'Invalid frame',
+          message: error.message
+        });
+      }
+      
+      console.error('Frame processing error:', error);
+      res.status(500).json({
+        error: 'Failed to process frame',
+        message: error.message
+      });
+    }
   });
   
   // POST /api/v1/sensory/audio/start - Start microphone
@@ -116,6 +237,8 @@ const sensoryRouter = (odinSystem) => {
   });
   
   // POST /api/v1/sensory/audio/sample - Process audio sample
+  // audioData: { sampleRate (Hz, default 16000), channels (default 1, interleaved),
+  //   format: 'float32' (-1..1) | 'int16' (little-endian), data: base64, byte array or samples }
   router.post('/audio/sample', (req, res) => {
     const { audioData } = req.body;
     
@@ -125,15 +248,574 @@ const sensoryRouter = (odinSystem) => {
       });
     }
     
-    odinSystem.processAudioSample(audioData);
+    try {
+      odinSystem.processAudioSample(audioData);
+      
+      res.json({
+        success: true,
+        message: 'Audio sample processed',
+        auditory: odinSystem.perceptionState.auditory
+      });
+      
+    } catch (error) {
+      if (error.code === 'INVALID_AUDIO') {
+        return res.status(400).json({
+          error: 'Invalid audio sample',
+          message: error.message
+        });
+      }
+      
+      console.error('Audio processing error:', error);
+      res.status(500).json({
+        error: 'Failed to process audio sample',
+        message: error.message
+      });
+    }
+  });
+  
+  // GET /api/v1/sensory/keywords - List trained voice commands
+  router.get('/keywords', (req, res) => {
+    res.json({
+      keywords: odinSystem.getKeywords()
+    });
+  });
+  
+  // POST /api/v1/sensory/keywords - Train a voice command
+  // { keyword, recordings: [audioData, ...] }, each recording the command said once
+  router.post('/keywords', async (req, res) => {
+    const { keyword, recordings } = req.body;
+    const name = typeof keyword === 'string' ? keyword.trim().toLowerCase() : '';
+    
+    if (!name || !Array.isArray(recordings) || recordings.length === 0) {
+      return res.status(400).json({
+        error: 'Keyword and at least one recording are required'
+      });
+    }
+    
+    try {
+      const trained = await odinSystem.trainKeyword(name, recordings);
+      
+      res.status(201).json({
+        success: true,
+        message: `Learned "${name}" from ${recordings.length} recording${recordings.length === 1 ? '' : 's'}`,
+        keyword: trained
+      });
+      
+    } catch (error) {
+      if (error.code === 'INVALID_AUDIO' || error.code === 'NO_SPEECH') {
+        return res.status(400).json({
+          error: 'Unusable recording',
+          message: error.message
+        });
+      }
+      
+      console.error('Keyword training error:', error);
+      res.status(500).json({
+        error: 'Failed to train keyword',
+        message: error.message
+      });
+    }
+  });
+  
+  // DELETE /api/v1/sensory/keywords/:keyword - Forget a voice command
+  router.delete('/keywords/:keyword', async (req, res) => {
+    const name = req.params.keyword.trim().toLowerCase();
+    
+    try {
+      const removed = await odinSystem.removeKeyword(name);
+      
+      if (!removed) {
+        return res.status(404).json({
+          error: 'Keyword not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: `Forgot "${name}"`
+      });
+      
+    } catch (error) {
+      console.error('Keyword removal error:', error);
+      res.status(500).json({
+        error: 'Failed to remove keyword',
+        message: error.message
+      });
+    }
+  });
+  
+  // GET /api/v1/sensory/speakers - List enrolled household voices
+  router.get('/speakers', (req, res) => {
+    res.json({
+      speakers: odinSystem.getSpeakers()
+    });
+  });
+  
+  // POST /api/v1/sensory/speakers - Enroll a household member's voice
+  // { name, speakerId (optional, derived from name), recordings: [audioData, ...] },
+  // each recording the person saying anything
+  router.post('/speakers', async (req, res) => {
+    const { name, speakerId, recordings } = req.body;
+    const displayName = typeof name === 'string' ? name.trim() : '';
+    const id = toPersonId(speakerId, displayName);
+    
+    if (!displayName || !id || !Array.isArray(recordings) || recordings.length === 0) {
+      return res.status(400).json({
+        error: 'Name and at least one recording are required'
+      });
+    }
     
+    try {
+      const enrolled = await odinSystem.trainSpeaker(id, displayName, recordings);
+      
+      res.status(201).json({
+        success: true,
+        message: `Learned ${displayName}'s voice from ${recordings.length} recording${recordings.length === 1 ? '' : 's'}`,
+        speaker: enrolled
+      });
+      
+    } catch (error) {
+      if (error.code === 'INVALID_AUDIO' || error.code === 'NO_SPEECH') {
+        return res.status(400).json({
+          error: 'Unusable recording',
+          message: error.message
+        });
+      }
+      
+      console.error('Speaker enrollment error:', error);
+      res.status(500).json({
+        error: 'Failed to enroll speaker',
+        message: error.message
+      });
+    }
+  });
+  
+  // DELETE /api/v1/sensory/speakers/:speakerId - Forget a voice
+  router.delete('/speakers/:speakerId', async (req, res) => {
+    try {
+      const removed = await odinSystem.removeSpeaker(req.params.speakerId);
+      
+      if (!removed) {
+        return res.status(404).json({
+          error: 'Speaker not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: `Forgot ${req.params.speakerId}'s voice`
+      });
+      
+    } catch (error) {
+      console.error('Speaker removal error:', error);
+      res.status(500).json({
+        error: 'Failed to remove speaker',
+        message: error.message
+      });
+    }
+  });
+  
+  // GET /api/v1/sensory/faces - List enrolled household faces
+  router.get('/faces', (req, res) => {
     res.json({
-      success: true,
-      message: 'Audio sample processed',
-      auditory: odinSystem.perceptionState.auditory
+      faces: odinSystem.getFaces()
     });
   });
   
+  // POST /api/v1/sensory/faces - Enroll a household member's face
+  // { name, personId (optional, derived from name), owner (optional),
+  //   images: [frameData, ...] }, each image showing the person's face;
+  // owners are the people pets greet as their owner
+  router.post('/faces', async (req, res) => {
+    const { name, personId, owner, images } = req.body;
+    const displayName = typeof name === 'string' ? name.trim() : '';
+    const id = toPersonId(personId, displayName);
+    
+    if (!displayName || !id || !Array.isArray(images) || images.length === 0) {
+      return res.status(400).json({
+        error: 'Name and at least one image are required'
+      });
+    }
+    
+    if (owner !== undefined && typeof owner !== 'boolean') {
+      return res.status(400).json({
+        error: 'Owner must be true or false'
+      });
+    }
+    
+    try {
+      const enrolled = await odinSystem.trainFace(id, displayName, images, { owner });
+      
+      res.status(201).json({
+        success: true,
+        message: `Learned ${displayName}'s face from ${images.length} image${images.length === 1 ? '' : 's'}`,
+        face: enrolled
+      });
+      
+    } catch (error) {
+      if (error.code === 'INVALID_FRAME' || error.code === 'NO_FACE') {
+        return res.status(400).json({
+          error: 'Unusable image',
+          message: error.message
+        });
+      }
+      
+      console.error('Face enrollment error:', error);
+      res.status(500).json({
+        error: 'Failed to enroll face',
+        message: error.message
+      });
+    }
+  });
+  
+  // DELETE /api/v1/sensory/faces/:personId - Forget a face
+  router.delete('/faces/:personId', async (req, res) => {
+    try {
+      const removed = await odinSystem.removeFace(req.params.personId);
+      
+      if (!removed) {
+        return res.status(404).json({
+          error: 'Face not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: `Forgot ${req.params.personId}'s face`
+      });
+      
+    } catch (error) {
+      console.error('Face removal error:', error);
+      res.status(500).json({
+        error: 'Failed to remove face',
+        message: error.message
+      });
+    }
+  });
+  
+  // GET /api/v1/sensory/sessions - List recorded sessions
+  router.get('/sessions', async (req, res) => {
+    try {
+      const sessions = await odinSystem.sessions.list();
+      
+      res.json({
+        sessions,
+        ...odinSystem.sessions.getStatus()
+      });
+      
+    } catch (error) {
+      console.error('Session list error:', error);
+      res.status(500).json({
+        error: 'Failed to list sessions',
+        message: error.message
+      });
+    }
+  });
+  
+  // POST /api/v1/sensory/sessions - Start recording the frames and audio
+  // ODIN receives { name }
+  router.post('/sessions', async (req, res) => {
+    const { name } = req.body;
+    
+    if (name !== undefined && typeof name !== 'string') {
+      return res.status(400).json({
+        error: 'Name must be a string'
+      });
+    }
+    
+    try {
+      const session = await odinSystem.startRecording(name?.trim());
+      
+      res.status(201).json({
+        success: true,
+        message: `Recording session ${session.name}`,
+        session
+      });
+      
+    } catch (error) {
+      if (error.code === 'ALREADY_RECORDING') {
+        return res.status(409).json({
+          error: 'Already recording',
+          message: error.message
+        });
+      }
+      
+      console.error('Session recording error:', error);
+      res.status(500).json({
+        error: 'Failed to start recording',
+        message: error.message
+      });
+    }
+  });
+  
+  // GET /api/v1/sensory/sessions/:sessionId - Describe a session
+  router.get('/sessions/:sessionId', async (req, res) => {
+    try {
+      const session = await odinSystem.sessions.get(req.params.sessionId);
+      
+      if (!session) {
+        return res.status(404).json({
+          error: 'Session not found'
+        });
+      }
+      
+      res.json({ session });
+      
+    } catch (error) {
+      console.error('Session lookup error:', error);
+      res.status(500).json({
+        error: 'Failed to get session',
+        message: error.message
+      });
+    }
+  });
+  
+  // POST /api/v1/sensory/sessions/:sessionId/stop - Finish recording
+  router.post('/sessions/:sessionId/stop', async (req, res) => {
+    if (odinSystem.sessions.getStatus().recording?.id !== req.params.sessionId) {
+      return res.status(409).json({
+        error: 'Not recording',
+        message: `Session ${req.params.sessionId} is not being recorded`
+      });
+    }
+    
+    try {
+      const session = await odinSystem.stopRecording();
+      
+      res.json({
+        success: true,
+        message: `Recorded ${session.frames} frames and ${session.audioChunks} audio chunks`,
+        session
+      });
+      
+    } catch (error) {
+      if (error.code === 'NOT_RECORDING') {
+        return res.status(409).json({
+          error: 'Not recording',
+          message: error.message
+        });
+      }
+      
+      console.error('Session stop error:', error);
+      res.status(500).json({
+        error: 'Failed to stop recording',
+        message: error.message
+      });
+    }
+  });
+  
+  // DELETE /api/v1/sensory/sessions/:sessionId - Delete a recorded session
+  router.delete('/sessions/:sessionId', async (req, res) => {
+    try {
+      const removed = await odinSystem.sessions.remove(req.params.sessionId);
+      
+      if (!removed) {
+        return res.status(404).json({
+          error: 'Session not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: `Deleted session ${req.params.sessionId}`
+      });
+      
+    } catch (error) {
+      if (error.code === 'SESSION_BUSY') {
+        return res.status(409).json({
+          error: 'Session in use',
+          message: error.message
+        });
+      }
+      
+      console.error('Session removal error:', error);
+      res.status(500).json({
+        error: 'Failed to delete session',
+        message: error.message
+      });
+    }
+  });
+  
+  // POST /api/v1/sensory/sessions/:sessionId/replay - Feed a session back
+  // into ODIN { mode: 'realtime' | 'fast', speed }
+  router.post('/sessions/:sessionId/replay', async (req, res) => {
+    const { mode, speed } = req.body;
+    
+    try {
+      const replay = await odinSystem.replaySession(req.params.sessionId, { mode, speed });
+      
+      res.status(202).json({
+        success: true,
+        message: `Replaying session ${replay.name}`,
+        replay
+      });
+      
+    } catch (error) {
+      if (error.code === 'INVALID_REPLAY') {
+        return res.status(400).json({
+          error: 'Invalid replay options',
+          message: error.message
+        });
+      }
+      
+      if (error.code === 'SESSION_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'Session not found'
+        });
+      }
+      
+      if (error.code === 'REPLAY_RUNNING' || error.code === 'SESSION_BUSY') {
+        return res.status(409).json({
+          error: 'Cannot replay now',
+          message: error.message
+        });
+      }
+      
+      console.error('Session replay error:', error);
+      res.status(500).json({
+        error: 'Failed to replay session',
+        message: error.message
+      });
+    }
+  });
+  
+  // DELETE /api/v1/sensory/sessions/:sessionId/replay - Stop a replay
+  router.delete('/sessions/:sessionId/replay', async (req, res) => {
+    if (odinSystem.sessions.getStatus().replaying?.sessionId !== req.params.sessionId) {
+      return res.status(409).json({
+        error: 'Not replaying',
+        message: `Session ${req.params.sessionId} is not being replayed`
+      });
+    }
+    
+    try {
+      const replay = await odinSystem.stopReplay();
+      if (!replay) {
+        return res.status(409).json({
+          error: 'Not replaying',
+          message: `Session ${req.params.sessionId} is not being replayed`
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: `Stopped replay after ${replay.frames} frames and ${replay.audioChunks} audio chunks`,
+        replay
+      });
+      
+    } catch (error) {
+      console.error('Replay stop error:', error);
+      res.status(500).json({
+        error: 'Failed to stop replay',
+        message: error.message
+      });
+    }
+  });
+  
+  // GET /api/v1/sensory/sounds/:petId - List a pet's trained household sounds
+  router.get('/sounds/:petId', requirePet, (req, res) => {
+    res.json({
+      petId: req.params.petId,
+      sounds: odinSystem.getSounds(req.params.petId)
+    });
+  });
+  
+  // POST /api/v1/sensory/sounds/:petId - Train a household sound for a pet
+  // { label, clips: [audioData, ...] }, each clip the sound heard once
+  router.post('/sounds/:petId', requirePet, async (req, res) => {
+    const { label, clips } = req.body;
+    const name = typeof label === 'string' ? label.trim().toLowerCase() : '';
+    
+    if (!name || !Array.isArray(clips) || clips.length === 0) {
+      return res.status(400).json({
+        error: 'Label and at least one clip are required'
+      });
+    }
+    
+    try {
+      const trained = await odinSystem.trainSound(req.params.petId, name, clips);
+      
+      res.status(201).json({
+        success: true,
+        message: `Learned "${name}" from ${clips.length} clip${clips.length === 1 ? '' : 's'}`,
+        sound: trained
+      });
+      
+    } catch (error) {
+      if (error.code === 'INVALID_AUDIO' || error.code === 'NO_SOUND') {
+        return res.status(400).json({
+          error: 'Unusable clip',
+          message: error.message
+        });
+      }
+      
+      console.error('Sound training error:', error);
+      res.status(500).json({
+        error: 'Failed to train sound',
+        message: error.message
+      });
+    }
+  });
+  
+  // POST /api/v1/sensory/sounds/:petId/classify - Match a clip against a pet's sounds
+  router.post('/sounds/:petId/classify', requirePet, (req, res) => {
+    const { audioData } = req.body;
+    
+    if (!audioData) {
+      return res.status(400).json({
+        error: 'Audio data is required'
+      });
+    }
+    
+    try {
+      res.json({
+        petId: req.params.petId,
+        match: odinSystem.recognizeSound(req.params.petId, audioData)
+      });
+      
+    } catch (error) {
+      if (error.code === 'INVALID_AUDIO' || error.code === 'NO_SOUND') {
+        return res.status(400).json({
+          error: 'Unusable clip',
+          message: error.message
+        });
+      }
+      
+      console.error('Sound classification error:', error);
+      res.status(500).json({
+        error: 'Failed to classify sound',
+        message: error.message
+      });
+    }
+  });
+  
+  // DELETE /api/v1/sensory/sounds/:petId/:label - Forget a household sound
+  router.delete('/sounds/:petId/:label', requirePet, async (req, res) => {
+    const name = req.params.label.trim().toLowerCase();
+    
+    try {
+      const removed = await odinSystem.removeSound(req.params.petId, name);
+      
+      if (!removed) {
+        return res.status(404).json({
+          error: 'Sound not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: `Forgot "${name}"`
+      });
+      
+    } catch (error) {
+      console.error('Sound removal error:', error);
+      res.status(500).json({
+        error: 'Failed to remove sound',
+        message: error.message
+      });
+    }
+  });
+  
   // GET /api/v1/sensory/perception - Get current unified perception
   router.get('/perception', (req, res) => {
     const perception = {
@@ -216,11 +898,29 @@ const sensoryRouter = (odinSystem) => {
     });
   });
   
+  // GET /api/v1/sensory/causal - What ODIN has learned follows what
+  // (?cause=hear_treat_bag&effect=see_bowl to narrow it down, ?all=true
+  // for pairs not established yet)
+  router.get('/causal', (req, res) => {
+    const { cause, effect, all } = req.query;
+    
+    res.json(odinSystem.getCausalRelations({
+      cause: cause || null,
+      effect: effect || null,
+      all: all === 'true'
+    }));
+  });
+  
   // GET /api/v1/sensory/stats - Get sensory statistics
   router.get('/stats', (req, res) => {
     res.json(odinSystem.stats);
   });
   
+  // GET /api/v1/sensory/metrics - Per-cortex health, FPS and fusion coherence
+  router.get('/metrics', (req, res) => {
+    res.json(odinSystem.getMetrics());
+  });
+  
   return router;
 };
 
@@ -0,0 +1,115 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+/**
+ * Crash-safe file helpers
+ * Writes go to a temporary sibling file that is flushed and renamed over the
+ * target, so readers only ever see the old or the new contents
+ */
+
+/**
+ * Write a file atomically
+ * @param {string} filePath - Destination file
+ * @param {string|Buffer} data - File contents
+ * @returns {Promise<void>}
+ */
+export const writeFileAtomic = async (filePath, data) => {
+  const directory = path.dirname(filePath);
+  
+  // Unique per write: concurrent writes to one file each rename their own
+  const tempPath = path.join(
+    directory,
+    `.${path.basename(filePath)}.${process.pid}.${randomUUID()}.tmp`
+  );
+  
+  await fs.mkdir(directory, { recursive: true });
+  
+  const handle = await fs.open(tempPath, 'w');
+  try {
+    await handle.writeFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  
+  try {
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+  
+  // Flush the directory entry so the rename itself survives a crash
+  try {
+    const dirHandle = await fs.open(directory, 'r');
+    try {
+      await dirHandle.sync();
+    } finally {
+      await dirHandle.close();
+    }
+  } catch (error) {
+    // Directory fsync is not supported on every platform
+  }
+};
+
+/**
+ * Serialize a value as JSON and write it atomically
+ * @param {string} filePath - Destination file
+ * @param {*} value - JSON-serializable value
+ * @returns {Promise<void>}
+ */
+export const writeJsonAtomic = (filePath, value) => {
+  return writeFileAtomic(filePath, JSON.stringify(value, null, 2));
+};
+
+/**
+ * Read and parse a JSON file
+ * @param {string} filePath - File to read
+ * @param {*} fallback - Value returned when the file does not exist
+ * @returns {Promise<*>} - Parsed contents or fallback
+ */
+export const readJson = async (filePath, fallback = null) => {
+  try {
+    const data = await fs.readFile(filePath, 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Remove temporary files left behind by interrupted atomic writes
+ * @param {string} directory - Directory to clean
+ * @returns {Promise<number>} - Number of files removed
+ */
+export const cleanupTempFiles = async (directory) => {
+  let removed = 0;
+  
+  try {
+    const files = await fs.readdir(directory);
+    
+    for (const file of files) {
+      if (file.startsWith('.') && file.endsWith('.tmp')) {
+        await fs.rm(path.join(directory, file), { force: true });
+        removed++;
+      }
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+  
+  return removed;
+};
+
+export default {
+  writeFileAtomic,
+  writeJsonAtomic,
+  readJson,
+  cleanupTempFiles
+};
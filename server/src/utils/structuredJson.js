@@ -0,0 +1,102 @@
+import { types } from 'util';
+
+/**
+ * Structured JSON helpers
+ * Converts values holding Maps, Sets and Float32Arrays into plain JSON and
+ * back, so brain state can be written to disk or sent over HTTP
+ */
+
+const TYPE_KEY = '$type';
+
+/**
+ * Convert a value into a JSON-safe tree
+ * @param {*} value - Value that may contain Maps, Sets and typed arrays
+ * @returns {*} - Plain JSON value
+ */
+export const encodeStructured = (value) => {
+  // Type checks that hold across realms (structuredClone output included)
+  if (types.isMap(value)) {
+    return {
+      [TYPE_KEY]: 'Map',
+      entries: Array.from(value.entries()).map(([key, item]) => [
+        encodeStructured(key),
+        encodeStructured(item)
+      ])
+    };
+  }
+  
+  if (types.isSet(value)) {
+    return {
+      [TYPE_KEY]: 'Set',
+      values: Array.from(value.values()).map(encodeStructured)
+    };
+  }
+  
+  if (types.isFloat32Array(value)) {
+    return {
+      [TYPE_KEY]: 'Float32Array',
+      data: Buffer.from(value.buffer, value.byteOffset, value.byteLength).toString('base64')
+    };
+  }
+  
+  if (Array.isArray(value)) {
+    return value.map(encodeStructured);
+  }
+  
+  if (value && typeof value === 'object') {
+    if (typeof value.toJSON === 'function') {
+      return value.toJSON();
+    }
+    
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => {
+      if (item !== undefined && typeof item !== 'function') {
+        result[key] = encodeStructured(item);
+      }
+    });
+    return result;
+  }
+  
+  return value;
+};
+
+/**
+ * Rebuild Maps, Sets and typed arrays from an encoded tree
+ * @param {*} value - Output of encodeStructured (or its parsed JSON)
+ * @returns {*} - Revived value
+ */
+export const decodeStructured = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(decodeStructured);
+  }
+  
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  
+  switch (value[TYPE_KEY]) {
+    case 'Map':
+      return new Map(value.entries.map(([key, item]) => [
+        decodeStructured(key),
+        decodeStructured(item)
+      ]));
+    case 'Set':
+      return new Set(value.values.map(decodeStructured));
+    case 'Float32Array': {
+      const bytes = Buffer.from(value.data, 'base64');
+      // Copy into a fresh, aligned buffer
+      return new Float32Array(new Uint8Array(bytes).buffer);
+    }
+  }
+  
+  const result = {};
+  Object.entries(value).forEach(([key, item]) => {
+    result[key] = decodeStructured(item);
+  });
+  return result;
+};
+
+export default {
+  encodeStructured,
+  decodeStructured
+};
@@ -1,19 +1,41 @@
+import { DEFAULT_PET_ID } from '../lib/pets/index.js';
+
 /**
  * Brain synchronization WebSocket handler
- * Real-time brain activity monitoring and parameter updates
+ * Real-time brain activity monitoring and parameter updates.
+ * Events act on the brain of `petId` when given, otherwise on the
+ * client's selected pet (see pet:select), otherwise on the default pet.
  */
-const brainSync = (socket, lucianSystem, clients) => {
+const brainSync = (socket, brainManager, clients) => {
+  
+  // Resolve which pet's brain an event targets
+  const resolvePetId = (petId) => {
+    const client = clients.get(socket.id);
+    return petId || client?.activePet || DEFAULT_PET_ID;
+  };
   
   // Subscribe to brain activity
-  socket.on('brain:subscribe', () => {
+  socket.on('brain:subscribe', async (options = {}) => {
     socket.join('brain_activity');
     
-    // Send current state
-    socket.emit('brain:state', {
-      cognitiveState: lucianSystem.cognitiveState,
-      metrics: lucianSystem.getMetrics(),
-      timestamp: Date.now()
-    });
+    try {
+      const petId = resolvePetId(options.petId);
+      const lucianSystem = await brainManager.getBrain(petId);
+      
+      // Send current state
+      socket.emit('brain:state', {
+        petId,
+        cognitiveState: lucianSystem.cognitiveState,
+        metrics: lucianSystem.getMetrics(),
+        timestamp: Date.now()
+      });
+      
+    } catch (error) {
+      socket.emit('brain:error', {
+        error: 'Failed to load brain',
+        message: error.message
+      });
+    }
   });
   
   // Update brain parameters
@@ -28,6 +50,9 @@ const brainSync = (socket, lucianSystem, clients) => {
     }
     
     try {
+      const petId = resolvePetId(data.petId);
+      const lucianSystem = await brainManager.getBrain(petId);
+      
       // Update the parameter
       switch(parameter) {
         case 'learning_rate':
@@ -49,6 +74,7 @@ const brainSync = (socket, lucianSystem, clients) => {
       
       // Notify all clients about the change
       socket.to('brain_activity').emit('brain:parameter_changed', {
+        petId,
         parameter,
         value,
         updatedBy: socket.id,
@@ -56,6 +82,7 @@ const brainSync = (socket, lucianSystem, clients) => {
       });
       
       socket.emit('brain:update_success', {
+        petId,
         parameter,
         value,
         state: lucianSystem.cognitiveState
@@ -70,8 +97,22 @@ const brainSync = (socket, lucianSystem, clients) => {
   });
   
   // Get specific component states
-  socket.on('brain:get_component', (component) => {
+  socket.on('brain:get_component', async (request) => {
+    // Accept either a component name or { component, petId }
+    const component = typeof request === 'string' ? request : request?.component;
+    const petId = resolvePetId(request?.petId);
     let data = null;
+    let lucianSystem;
+    
+    try {
+      lucianSystem = await brainManager.getBrain(petId);
+    } catch (error) {
+      socket.emit('brain:error', {
+        error: 'Failed to load brain',
+        message: error.message
+      });
+      return;
+    }
     
     switch(component) {
       case 'ssp':
@@ -123,6 +164,7 @@ const brainSync = (socket, lucianSystem, clients) => {
     }
     
     socket.emit('brain:component_data', {
+      petId,
       component,
       data,
       timestamp: Date.now()
@@ -132,6 +174,8 @@ const brainSync = (socket, lucianSystem, clients) => {
   // Trigger specific cognitive actions
   socket.on('brain:action', async (action) => {
     try {
+      const petId = resolvePetId(action.petId);
+      const lucianSystem = await brainManager.getBrain(petId);
       let result = null;
       
       switch(action.type) {
@@ -156,6 +200,7 @@ const brainSync = (socket, lucianSystem, clients) => {
       }
       
       socket.emit('brain:action_result', {
+        petId,
         action: action.type,
         result,
         timestamp: Date.now()
@@ -171,10 +216,21 @@ const brainSync = (socket, lucianSystem, clients) => {
   });
   
   // Real-time brain monitoring
-  socket.on('brain:monitor:start', () => {
+  socket.on('brain:monitor:start', async (options = {}) => {
     const client = clients.get(socket.id);
     if (client) {
       client.monitoring = true;
+      const petId = resolvePetId(options.petId);
+      
+      try {
+        await brainManager.getBrain(petId);
+      } catch (error) {
+        socket.emit('brain:error', {
+          error: 'Failed to load brain',
+          message: error.message
+        });
+        return;
+      }
       
       // Start sending regular updates
       const monitorInterval = setInterval(() => {
@@ -183,7 +239,12 @@ const brainSync = (socket, lucianSystem, clients) => {
           return;
         }
         
+        // Skip ticks while the brain is evicted; it reloads on next use
+        const lucianSystem = brainManager.peekBrain(petId);
+        if (!lucianSystem) return;
+        
         socket.emit('brain:monitor:update', {
+          petId,
           state: lucianSystem.cognitiveState,
           metrics: lucianSystem.getMetrics(),
           timestamp: Date.now()
@@ -8,7 +8,7 @@ import petInteraction from './petInteraction.js';
  * @param {Object} systems - Cognitive and sensory systems
  */
 export const setupWebSocket = (io, systems) => {
-  const { lucianSystem, odinSystem } = systems;
+  const { brainManager, odinSystem } = systems;
   
   // Track connected clients
   const clients = new Map();
@@ -28,19 +28,19 @@ export const setupWebSocket = (io, systems) => {
       message: 'Connected to LucianPets',
       socketId: socket.id,
       systems: {
-        lucian: lucianSystem.isActive,
+        lucian: brainManager.isActive,
         odin: odinSystem.isActive
       }
     });
     
     // Setup brain synchronization
-    brainSync(socket, lucianSystem, clients);
+    brainSync(socket, brainManager, clients);
     
     // Setup ODIN streaming
     odinStream(socket, odinSystem, clients);
     
     // Setup pet interactions
-    petInteraction(socket, lucianSystem, odinSystem, clients);
+    petInteraction(socket, brainManager, odinSystem, clients);
     
     // Handle subscriptions
     socket.on('subscribe', (channel) => {
@@ -85,31 +85,64 @@ export const setupWebSocket = (io, systems) => {
   
   // Broadcast system events to clients
   
-  // Lucian cognitive events
-  lucianSystem.on('cognition', (data) => {
+  // Lucian cognitive events (forwarded from every loaded brain, tagged with petId)
+  brainManager.on('cognition', (data) => {
     io.to('brain_activity').emit('brain_activity', data);
   });
   
-  lucianSystem.on('pattern_learned', (pattern) => {
+  brainManager.on('pattern_learned', (pattern) => {
     io.to('learning').emit('pattern_learned', pattern);
   });
   
-  lucianSystem.on('memory_stored', (memory) => {
+  brainManager.on('memory_stored', (memory) => {
     io.to('memory').emit('memory_stored', memory);
   });
   
-  lucianSystem.wonder.on('curiosity_triggered', (exploration) => {
+  // Two symbols became strongly bound: something the pet now associates
+  brainManager.on('binding_formed', (binding) => {
+    io.to('symbols').emit('binding_formed', binding);
+  });
+  
+  brainManager.on('curiosity_triggered', (exploration) => {
     io.to('wonder').emit('curiosity_triggered', exploration);
   });
   
-  lucianSystem.wonder.on('new_discovery', (discovery) => {
+  brainManager.on('new_discovery', (discovery) => {
     io.to('wonder').emit('new_discovery', discovery);
   });
   
-  lucianSystem.aetheron.on('identity_update', (identity) => {
+  brainManager.on('identity_update', (identity) => {
     io.to('identity').emit('identity_update', identity);
   });
   
+  // A pressing need made the pet act (hungry, tired, lonely...)
+  brainManager.on('need_behavior', (behavior) => {
+    io.to(`pet_${behavior.petId}`).emit('pet:need', behavior);
+  });
+  
+  // A pet heard a command it knows
+  brainManager.on('speech_heard', (heard) => {
+    io.to(`pet_${heard.petId}`).emit('pet:heard', heard);
+  });
+  
+  // A pet recognized a household member's voice, or heard a stranger
+  brainManager.on('speaker_heard', (heard) => {
+    io.to(`pet_${heard.petId}`).emit('pet:speaker', heard);
+  });
+  
+  brainManager.on('stranger_heard', (heard) => {
+    io.to(`pet_${heard.petId}`).emit('pet:stranger', heard);
+  });
+  
+  // A pet saw a household member (and greeted its owner), or a stranger
+  brainManager.on('person_seen', (seen) => {
+    io.to(`pet_${seen.petId}`).emit('pet:person', seen);
+  });
+  
+  brainManager.on('stranger_seen', (seen) => {
+    io.to(`pet_${seen.petId}`).emit('pet:stranger_face', seen);
+  });
+  
   // ODIN sensory events
   odinSystem.on('perception', (perception) => {
     io.to('perception').emit('perception', perception);
@@ -123,6 +156,14 @@ export const setupWebSocket = (io, systems) => {
     io.to('visual').emit('motion_detected', motion);
   });
   
+  odinSystem.on('face_recognized', (face) => {
+    io.to('visual').emit('face_recognized', face);
+  });
+  
+  odinSystem.on('unknown_face', (face) => {
+    io.to('visual').emit('unknown_face', face);
+  });
+  
   odinSystem.on('sound_identified', (sound) => {
     io.to('audio').emit('sound_identified', sound);
   });
@@ -131,6 +172,18 @@ export const setupWebSocket = (io, systems) => {
     io.to('audio').emit('speech_detected', speech);
   });
   
+  odinSystem.on('voice_activity', (activity) => {
+    io.to('audio').emit('voice_activity', activity);
+  });
+  
+  odinSystem.on('speaker_identified', (speaker) => {
+    io.to('audio').emit('speaker_identified', speaker);
+  });
+  
+  odinSystem.on('stranger_detected', (speaker) => {
+    io.to('audio').emit('stranger_detected', speaker);
+  });
+  
   odinSystem.on('emotion_detected', (emotion) => {
     io.to('audio').emit('emotion_detected', emotion);
   });
@@ -139,15 +192,28 @@ export const setupWebSocket = (io, systems) => {
     io.to('attention').emit('attention_shift', focus);
   });
   
+  odinSystem.on('surprise', (surprise) => {
+    io.to('perception').emit('surprise', surprise);
+  });
+  
+  odinSystem.on('anticipation', (anticipation) => {
+    io.to('perception').emit('anticipation', anticipation);
+  });
+  
+  odinSystem.on('replay_started', (replay) => {
+    io.to('perception').emit('replay_started', replay);
+  });
+  
+  odinSystem.on('replay_finished', (replay) => {
+    io.to('perception').emit('replay_finished', replay);
+  });
+  
   // System status broadcasting
   setInterval(() => {
     const status = {
       timestamp: Date.now(),
       clients: clients.size,
-      lucian: {
-        active: lucianSystem.isActive,
-        metrics: lucianSystem.getMetrics()
-      },
+      lucian: brainManager.getStatus(),
       odin: {
         active: odinSystem.isActive,
         state: odinSystem.getPerceptionState()
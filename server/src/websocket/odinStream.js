@@ -1,9 +1,54 @@
+import { isBinaryFrame, decodeFrameMessage } from '../lib/odin/frameProtocol.js';
+import { ClockSync } from '../lib/odin/clockSync.js';
+
+// Flow control is resent this often while frames arrive, and whenever the
+// target frame rate moves by more than FLOW_CHANGE
+const FLOW_REFRESH_MS = 5000;
+const FLOW_CHANGE = 0.1;
+
 /**
  * ODIN sensory streaming WebSocket handler
  * Real-time sensory data streaming from webcam/microphone
  */
 const odinStream = (socket, odinSystem, clients) => {
   
+  // Camera frames from this client, and the frame rate it was last told
+  const flow = {
+    received: 0,
+    dropped: 0,
+    targetFps: null,
+    sentAt: 0
+  };
+  
+  // This client's clock: frames and audio chunks carrying a capture
+  // `timestamp` (ms since the epoch, on the client's clock) are placed on
+  // the server's, so sensory fusion pairs them by when they happened
+  // rather than by when the network delivered them
+  const clockSync = new ClockSync();
+  
+  const captureTime = (input) => clockSync.align(input?.timestamp, Date.now());
+  
+  const sendFlowControl = (force = false) => {
+    const control = odinSystem.getFrameFlowControl();
+    const now = Date.now();
+    const changed = flow.targetFps === null || Math.abs(control.targetFps - flow.targetFps) > flow.targetFps * FLOW_CHANGE;
+    
+    if (!force && !changed && now - flow.sentAt < FLOW_REFRESH_MS) return;
+    
+    flow.targetFps = control.targetFps;
+    flow.sentAt = now;
+    
+    socket.emit('odin:video:flow', {
+      targetFps: control.targetFps,
+      processingMs: control.processingMs,
+      formats: control.formats,
+      received: flow.received,
+      dropped: flow.dropped,
+      clock: clockSync.getState(),
+      timestamp: now
+    });
+  };
+  
   // Start ODIN sensory streaming
   socket.on('odin:start', async (config) => {
     const { video, audio, deviceIds } = config;
@@ -27,6 +72,11 @@ const odinStream = (socket, odinSystem, clients) => {
         timestamp: Date.now()
       });
       
+      // Tell the camera what to send before its first frame
+      if (video) {
+        sendFlowControl(true);
+      }
+      
     } catch (error) {
       socket.emit('odin:error', {
         error: 'Failed to start ODIN',
@@ -68,28 +118,74 @@ const odinStream = (socket, odinSystem, clients) => {
     }
   });
   
-  // Process video frame from client
-  socket.on('odin:video:frame', (frameData) => {
-    if (!frameData) return;
+  // Process video frame from client: a binary frame (see frameProtocol.js)
+  // or a frameData object. Frames arriving faster than the visual cortex
+  // keeps up with are dropped, and the client is sent the rate to use.
+  socket.on('odin:video:frame', (message) => {
+    if (!message) return;
+    
+    let frameData;
+    try {
+      frameData = isBinaryFrame(message) ? decodeFrameMessage(message) : message;
+    } catch (error) {
+      socket.emit('odin:error', {
+        error: 'Invalid frame',
+        message: error.message
+      });
+      return;
+    }
+    
+    flow.received++;
+    const capturedAt = captureTime(frameData);
+    
+    if (!odinSystem.admitVideoFrame()) {
+      flow.dropped++;
+      sendFlowControl();
+      return;
+    }
     
     // Process frame through visual cortex
-    odinSystem.processVideoFrame(frameData);
+    try {
+      odinSystem.processVideoFrame(frameData, { capturedAt });
+    } catch (error) {
+      socket.emit('odin:error', {
+        error: error.code === 'INVALID_FRAME' ? 'Invalid frame' : 'Failed to process frame',
+        message: error.message
+      });
+      return;
+    }
     
     // Send back processed visual data
     socket.emit('odin:video:processed', {
       objects: odinSystem.perceptionState.visual.objects,
       motion: odinSystem.perceptionState.visual.motion,
       attention: odinSystem.perceptionState.visual.attention,
+      shapes: odinSystem.perceptionState.visual.shapes,
+      edgeDensity: odinSystem.perceptionState.visual.edgeDensity,
+      sequence: frameData.sequence,
+      captureTimestamp: frameData.timestamp,
       timestamp: Date.now()
     });
+    
+    sendFlowControl();
   });
   
   // Process audio sample from client
   socket.on('odin:audio:sample', (audioData) => {
     if (!audioData) return;
     
+    const capturedAt = captureTime(audioData);
+    
     // Process audio through auditory cortex
-    odinSystem.processAudioSample(audioData);
+    try {
+      odinSystem.processAudioSample(audioData, { capturedAt });
+    } catch (error) {
+      socket.emit('odin:error', {
+        error: error.code === 'INVALID_AUDIO' ? 'Invalid audio sample' : 'Failed to process audio',
+        message: error.message
+      });
+      return;
+    }
     
     // Send back processed audio data
     socket.emit('odin:audio:processed', {
@@ -97,6 +193,7 @@ const odinStream = (socket, odinSystem, clients) => {
       speech: odinSystem.perceptionState.auditory.speech,
       emotion: odinSystem.perceptionState.auditory.emotion,
       volume: odinSystem.perceptionState.auditory.volume,
+      features: odinSystem.perceptionState.auditory.features,
       timestamp: Date.now()
     });
   });
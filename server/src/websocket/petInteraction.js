@@ -1,8 +1,9 @@
 /**
  * Pet interaction WebSocket handler
- * Real-time pet interactions and responses
+ * Real-time pet interactions and responses, each routed to the brain of
+ * the pet named in the event
  */
-const petInteraction = (socket, lucianSystem, odinSystem, clients) => {
+const petInteraction = (socket, brainManager, odinSystem, clients) => {
   
   // Set active pet for client
   socket.on('pet:select', (petId) => {
@@ -31,6 +32,8 @@ const petInteraction = (socket, lucianSystem, odinSystem, clients) => {
     }
     
     try {
+      const lucianSystem = await brainManager.getBrain(petId);
+      
       // Process interaction through cognitive system
       const response = await lucianSystem.processPetInteraction(action, petId);
       
@@ -90,6 +93,8 @@ const petInteraction = (socket, lucianSystem, odinSystem, clients) => {
     }
     
     try {
+      const lucianSystem = await brainManager.getBrain(petId);
+      
       // Process speech through cognitive system
       const symbols = lucianSystem.ssp.process(message);
       
@@ -147,6 +152,8 @@ const petInteraction = (socket, lucianSystem, odinSystem, clients) => {
     }
     
     try {
+      const lucianSystem = await brainManager.getBrain(petId);
+      
       // Process learning through HASR
       const result = lucianSystem.hasr.learnPetBehavior(petId, {
         lesson,
@@ -192,7 +199,7 @@ const petInteraction = (socket, lucianSystem, odinSystem, clients) => {
   });
   
   // Pet emotions
-  socket.on('pet:emotion', (data) => {
+  socket.on('pet:emotion', async (data) => {
     const { petId } = data;
     
     if (!petId) {
@@ -202,22 +209,32 @@ const petInteraction = (socket, lucianSystem, odinSystem, clients) => {
       return;
     }
     
-    // Get current emotional state
-    const emotionalState = {
-      primary: lucianSystem.layers?.emotion || { label: 'content', intensity: 0.5 },
-      personality: lucianSystem.aetheron.getSelfDescription().personality,
-      mood: {
-        happiness: Math.random() * 0.5 + 0.5,
-        energy: Math.random() * 0.5 + 0.5,
-        stress: Math.random() * 0.3
-      },
-      timestamp: Date.now()
-    };
-    
-    socket.emit('pet:emotional_state', {
-      petId,
-      ...emotionalState
-    });
+    try {
+      const lucianSystem = await brainManager.getBrain(petId);
+      
+      // Get current emotional state
+      const emotionalState = {
+        primary: lucianSystem.layers?.emotion || { label: 'content', intensity: 0.5 },
+        personality: lucianSystem.aetheron.getSelfDescription().personality,
+        mood: {
+          happiness: Math.random() * 0.5 + 0.5,
+          energy: Math.random() * 0.5 + 0.5,
+          stress: Math.random() * 0.3
+        },
+        timestamp: Date.now()
+      };
+      
+      socket.emit('pet:emotional_state', {
+        petId,
+        ...emotionalState
+      });
+      
+    } catch (error) {
+      socket.emit('pet:error', {
+        error: 'Emotion retrieval failed',
+        message: error.message
+      });
+    }
   });
   
   // Pet memories
@@ -232,6 +249,7 @@ const petInteraction = (socket, lucianSystem, odinSystem, clients) => {
     }
     
     try {
+      const lucianSystem = await brainManager.getBrain(petId);
       let memories;
       
       if (query) {
@@ -272,6 +290,8 @@ const petInteraction = (socket, lucianSystem, odinSystem, clients) => {
     }
     
     try {
+      const lucianSystem = await brainManager.getBrain(petId);
+      
       // Update personality through Aetheron
       Object.entries(traits).forEach(([trait, value]) => {
         if (lucianSystem.aetheron.personalityDimensions[trait] !== undefined) {
@@ -300,18 +320,32 @@ const petInteraction = (socket, lucianSystem, odinSystem, clients) => {
   });
   
   // Real-time pet monitoring
-  socket.on('pet:monitor:start', (petId) => {
+  socket.on('pet:monitor:start', async (petId) => {
     const client = clients.get(socket.id);
     if (client && petId) {
+      try {
+        await brainManager.getBrain(petId);
+      } catch (error) {
+        socket.emit('pet:error', {
+          error: 'Monitoring failed',
+          message: error.message
+        });
+        return;
+      }
+      
       client.monitoringPet = petId;
       
       // Start sending pet updates
       const monitorInterval = setInterval(() => {
-        if (!client.monitoringPet || !clients.has(socket.id)) {
+        if (client.monitoringPet !== petId || !clients.has(socket.id)) {
           clearInterval(monitorInterval);
           return;
         }
         
+        // Skip ticks while the brain is evicted; it reloads on next use
+        const lucianSystem = brainManager.peekBrain(petId);
+        if (!lucianSystem) return;
+        
         // Compile pet state
         const petState = {
           cognitive: {
@@ -329,7 +363,7 @@ const petInteraction = (socket, lucianSystem, odinSystem, clients) => {
             attention: odinSystem.perceptionState.fusion.attentionFocus
           } : null,
           activity: {
-            thinking: lucianSystem.stats.activeLoopCount > 0,
+            thinking: lucianSystem.ghostLoops.stats.activeLoopCount > 0,
             exploring: lucianSystem.wonder.getCuriosityLevel() > 0.5,
             learning: lucianSystem.hasr.stats.patternsLearned
           },
@@ -0,0 +1,147 @@
+import { AuditoryCortex } from '../../src/lib/odin/auditory.js';
+import { createRuntime, SeededRandom } from '../../src/lib/runtime/index.js';
+
+/**
+ * Frame times come from when a chunk was captured, not when it arrived:
+ * the same audio gives the same detections whether its chunks come in at
+ * the pace they were recorded or all at once.
+ */
+
+const RATE = 16000;
+const CHUNK_MS = 100;
+const START = 1000000;
+
+const SIT = { from: 220, to: 150, ms: 450, bright: 0.2 };
+const COME = { from: 140, to: 260, ms: 600, bright: 1.2 };
+
+const noise = (random, length, level = 0.002) =>
+  Float32Array.from({ length }, () => (random.next() * 2 - 1) * level);
+
+// A voiced "word": a pitch glide with a few harmonics under a smooth envelope
+const word = (random, { from, to, ms, bright }) => {
+  const length = Math.round(RATE * ms / 1000);
+  const samples = noise(random, length);
+  let phase = 0;
+  
+  for (let i = 0; i < length; i++) {
+    const t = i / length;
+    phase += 2 * Math.PI * (from + (to - from) * t) / RATE;
+    
+    let value = 0;
+    for (let harmonic = 1; harmonic <= 8; harmonic++) {
+      value += Math.sin(harmonic * phase) * (harmonic <= 2 ? 1 : bright) / harmonic;
+    }
+    samples[i] += 0.3 * Math.sqrt(Math.sin(Math.PI * t)) * value;
+  }
+  
+  return samples;
+};
+
+const concat = (...parts) => {
+  const samples = new Float32Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    samples.set(part, offset);
+    offset += part.length;
+  });
+  return samples;
+};
+
+const toChunk = (samples) => ({ sampleRate: RATE, channels: 1, format: 'float32', data: samples });
+
+const split = (samples) => {
+  const size = RATE * CHUNK_MS / 1000;
+  const chunks = [];
+  for (let i = 0; i + size <= samples.length; i += size) {
+    chunks.push(samples.slice(i, i + size));
+  }
+  return chunks;
+};
+
+/**
+ * Stream "sit ... come" through a cortex trained on both commands
+ * @param {string} delivery - 'paced', 'burst' or 'captured' (a burst whose
+ *   chunks carry their capture times)
+ * @returns {Promise<Object>} - { words, activity, offset }: detections, with
+ *   times relative to when the first chunk was taken to start
+ */
+const listen = async (delivery) => {
+  const runtime = createRuntime({ seed: 1, clock: 'virtual', startTime: START });
+  const cortex = new AuditoryCortex({ runtime });
+  
+  const training = new SeededRandom('training');
+  for (const [keyword, shape] of [['sit', SIT], ['come', COME]]) {
+    await cortex.trainKeyword(keyword, [0, 1, 2].map(() =>
+      toChunk(concat(noise(training, 4000), word(training, shape), noise(training, 4000)))
+    ));
+  }
+  
+  const recording = new SeededRandom('recording');
+  const chunks = split(concat(
+    noise(recording, 8000),
+    word(recording, SIT),
+    noise(recording, 12000),
+    word(recording, COME),
+    noise(recording, 12000)
+  ));
+  
+  const words = [];
+  const activity = [];
+  cortex.on('speech_detected', ({ word, start, end }) => words.push({ word, start, end }));
+  cortex.on('voice_activity', ({ speaking, time }) => activity.push({ speaking, time }));
+  
+  const recordedAt = runtime.clock.now();
+  if (delivery !== 'paced') {
+    // Everything was recorded before any of it arrives
+    runtime.clock.advance(chunks.length * CHUNK_MS);
+  }
+  
+  let offset = null;
+  chunks.forEach((samples, i) => {
+    if (delivery === 'paced') runtime.clock.advance(CHUNK_MS);
+    
+    const capturedAt = delivery === 'captured' ? recordedAt + i * CHUNK_MS : undefined;
+    cortex.processSample(toChunk(samples), { capturedAt });
+    offset ??= cortex.timelineEnd - CHUNK_MS;
+  });
+  
+  runtime.stop();
+  
+  return {
+    offset,
+    words: words.map(({ word, start, end }) => ({
+      word,
+      start: Math.round(start - offset),
+      end: Math.round(end - offset)
+    })),
+    activity: activity.map(({ speaking, time }) => ({ speaking, time: Math.round(time - offset) }))
+  };
+};
+
+describe('AuditoryCortex chunk timing', () => {
+  let paced;
+  
+  beforeAll(async () => {
+    paced = await listen('paced');
+  });
+  
+  test('hears both commands when chunks arrive as recorded', () => {
+    expect(paced.words.map(({ word }) => word)).toEqual(['sit', 'come']);
+    expect(paced.activity.map(({ speaking }) => speaking)).toEqual([true, false, true, false]);
+  });
+  
+  test('hears the same in a burst of untimed chunks', async () => {
+    const burst = await listen('burst');
+    
+    expect(burst.words).toEqual(paced.words);
+    expect(burst.activity).toEqual(paced.activity);
+  });
+  
+  test('places a burst of chunks at their capture times', async () => {
+    const captured = await listen('captured');
+    
+    expect(captured.offset).toBe(paced.offset);
+    expect(captured.words).toEqual(paced.words);
+    expect(captured.activity).toEqual(paced.activity);
+  });
+});
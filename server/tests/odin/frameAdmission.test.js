@@ -0,0 +1,44 @@
+import { VisualCortex } from '../../src/lib/odin/visual.js';
+import { createRuntime } from '../../src/lib/runtime/index.js';
+
+/**
+ * Live camera frames are admitted at the rate processing keeps up with,
+ * measured in real time: a virtual runtime clock that stands still must
+ * not shut the camera out after its first burst.
+ */
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('VisualCortex frame admission', () => {
+  let runtime;
+  let cortex;
+  
+  beforeEach(() => {
+    runtime = createRuntime({ seed: 1, clock: 'virtual', startTime: Date.UTC(2025, 0, 1) });
+    cortex = new VisualCortex({ runtime });
+  });
+  
+  afterEach(() => {
+    runtime.stop();
+  });
+  
+  test('drops frames sent back to back beyond the burst', () => {
+    const admitted = Array.from({ length: 5 }, () => cortex.admitFrame());
+    
+    expect(admitted).toEqual([true, true, false, false, false]);
+    expect(cortex.getFlowControl().framesDropped).toBe(3);
+  });
+  
+  test('keeps admitting frames at the target rate while the virtual clock stands still', async () => {
+    const interval = 1000 / cortex.getFlowControl().targetFps;
+    const admitted = [];
+    
+    for (let i = 0; i < 6; i++) {
+      admitted.push(cortex.admitFrame());
+      await wait(interval * 1.5);
+    }
+    
+    expect(runtime.clock.now()).toBe(Date.UTC(2025, 0, 1));
+    expect(admitted).toEqual([true, true, true, true, true, true]);
+  });
+});
@@ -0,0 +1,78 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { OdinSensorySystem } from '../../src/lib/odin/index.js';
+import { createRuntime } from '../../src/lib/runtime/index.js';
+
+/**
+ * A recording keeps each input's capture time: audio that arrived in
+ * bursts replays alongside the frames captured with it, not where the
+ * network happened to deliver it.
+ */
+
+const START = Date.UTC(2025, 0, 1);
+const STEP_MS = 100;
+
+describe('replaying a recorded session', () => {
+  let directory;
+  let runtime;
+  let odin;
+  
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'odin-sessions-'));
+    runtime = createRuntime({ seed: 5, clock: 'virtual', startTime: START });
+    
+    odin = new OdinSensorySystem({ runtime, persistencePath: directory });
+    odin.setVisualEnabled(false);
+    odin.setAuditoryEnabled(false);
+    await odin.sessions.initialize();
+  });
+  
+  afterEach(async () => {
+    runtime.stop();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+  
+  test('plays audio and video captured together at the same time', async () => {
+    const { id } = await odin.startRecording('aligned');
+    
+    // Every 100 ms a frame and an audio chunk are captured; frames arrive
+    // 20 ms later, audio in bursts of five chunks every half second
+    const arrivals = [];
+    for (let i = 0; i < 10; i++) {
+      const capturedAt = START + i * STEP_MS;
+      arrivals.push({ kind: 'frame', sequence: i, capturedAt, arrivedAt: capturedAt + 20 });
+      arrivals.push({ kind: 'audio', sequence: i, capturedAt, arrivedAt: START + (Math.floor(i / 5) + 1) * 500 + 20 });
+    }
+    arrivals.sort((a, b) => a.arrivedAt - b.arrivedAt);
+    
+    arrivals.forEach(({ kind, sequence, capturedAt, arrivedAt }) => {
+      runtime.clock.advance(arrivedAt - runtime.clock.now());
+      
+      if (kind === 'frame') {
+        odin.processVideoFrame({ width: 2, height: 2, format: 'gray', sequence, data: [0, 0, 0, 0] }, { capturedAt });
+      } else {
+        odin.processAudioSample({ sampleRate: 16000, channels: 1, sequence, data: [0, 0, 0, 0] }, { capturedAt });
+      }
+    });
+    
+    const metadata = await odin.stopRecording();
+    expect(metadata.duration).toBe(9 * STEP_MS);
+    
+    const replayed = { frame: [], audio: [] };
+    await odin.sessions.startReplay(id, {
+      processVideoFrame: ({ sequence }, { capturedAt }) => replayed.frame.push({ sequence, capturedAt }),
+      processAudioSample: ({ sequence }, { capturedAt }) => replayed.audio.push({ sequence, capturedAt })
+    }, { mode: 'fast' });
+    await odin.sessions.waitForReplay();
+    
+    const bySequence = (inputs) => [...inputs].sort((a, b) => a.sequence - b.sequence);
+    const frames = bySequence(replayed.frame);
+    const audio = bySequence(replayed.audio);
+    
+    expect(audio).toHaveLength(10);
+    expect(audio).toEqual(frames);
+    expect(frames.map(({ capturedAt }) => capturedAt - frames[0].capturedAt))
+      .toEqual(Array.from({ length: 10 }, (_, i) => i * STEP_MS));
+  });
+});
@@ -0,0 +1,94 @@
+import express from 'express';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import petsRouter from '../../src/routes/pets.js';
+import { BrainManager } from '../../src/lib/lucian/brainManager.js';
+import { createPetRepository, initializePetRepository } from '../../src/lib/pets/index.js';
+import { createRuntime } from '../../src/lib/runtime/index.js';
+
+/**
+ * A pet imported as a copy gets a new ID; what its brain remembers of the
+ * original must come along under that ID.
+ */
+
+describe('exporting a pet and importing it as a copy', () => {
+  let directory;
+  let runtime;
+  let petRepository;
+  let brainManager;
+  let server;
+  let baseUrl;
+  
+  const request = async (method, route, body) => {
+    const response = await fetch(`${baseUrl}/api/v1${route}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    
+    return { status: response.status, body: await response.json() };
+  };
+  
+  beforeAll(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'lucian-archive-'));
+    runtime = createRuntime({ seed: 11, clock: 'virtual', startTime: Date.UTC(2025, 0, 1) });
+    
+    petRepository = createPetRepository({ backend: 'json', path: path.join(directory, 'pets') });
+    await initializePetRepository(petRepository, { clock: runtime.clock });
+    
+    brainManager = new BrainManager({
+      petRepository,
+      runtime,
+      persistencePath: path.join(directory, 'lucian')
+    });
+    await brainManager.initialize();
+    
+    const app = express();
+    app.use(express.json({ limit: '200mb' }));
+    app.use('/api/v1/pets', petsRouter(brainManager, petRepository));
+    
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+  
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await brainManager.shutdown();
+    await petRepository.close();
+    runtime.stop();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+  
+  test('the copy keeps the original\'s memories under its new ID', async () => {
+    const created = await request('POST', '/pets', { name: 'Mochi', species: 'cat' });
+    const petId = created.body.pet.id;
+    
+    for (const action of ['feed', 'play', 'pet']) {
+      expect((await request('POST', `/pets/${petId}/interact`, { action })).status).toBe(200);
+    }
+    
+    const original = await request('GET', `/pets/${petId}/memories`);
+    expect(original.body.count).toBe(3);
+    
+    const exported = await request('GET', `/pets/${petId}/export`);
+    expect(exported.status).toBe(200);
+    expect(exported.body.exportedAt).toBe(new Date(brainManager.clock.now()).toISOString());
+    
+    const imported = await request('POST', '/pets/import?asNew=true', exported.body);
+    expect(imported.status).toBe(201);
+    const copyId = imported.body.pet.id;
+    expect(copyId).not.toBe(petId);
+    
+    const copy = await request('GET', `/pets/${copyId}/memories`);
+    expect(copy.body.count).toBe(3);
+    expect(copy.body.memories.map(({ action }) => action))
+      .toEqual(original.body.memories.map(({ action }) => action));
+    expect(copy.body.memories.every(memory => memory.petId === copyId)).toBe(true);
+    
+    const pet = await request('GET', `/pets/${copyId}`);
+    expect(pet.body.memories).toHaveLength(3);
+  });
+});
@@ -0,0 +1,107 @@
+import express from 'express';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import petsRouter from '../../src/routes/pets.js';
+import cognitionRouter from '../../src/routes/cognition.js';
+import { BrainManager } from '../../src/lib/lucian/brainManager.js';
+import { createPetRepository, initializePetRepository } from '../../src/lib/pets/index.js';
+import { createRuntime } from '../../src/lib/runtime/index.js';
+
+/**
+ * Interactions recall the pet's symbolic memories (stored from the symbols
+ * each interaction generates) and learn from them; that must keep working
+ * once there are memories to recall.
+ */
+
+describe('interacting with a pet that has symbolic memories', () => {
+  let directory;
+  let runtime;
+  let petRepository;
+  let brainManager;
+  let server;
+  let baseUrl;
+  
+  const request = async (method, route, body) => {
+    const response = await fetch(`${baseUrl}/api/v1${route}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    
+    return { status: response.status, body: await response.json() };
+  };
+  
+  beforeAll(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'lucian-pets-'));
+    runtime = createRuntime({ seed: 7, clock: 'virtual', startTime: Date.UTC(2025, 0, 1) });
+    
+    petRepository = createPetRepository({ backend: 'json', path: path.join(directory, 'pets') });
+    await initializePetRepository(petRepository, { clock: runtime.clock });
+    
+    brainManager = new BrainManager({
+      petRepository,
+      runtime,
+      persistencePath: path.join(directory, 'lucian')
+    });
+    await brainManager.initialize();
+    
+    const app = express();
+    app.use(express.json());
+    app.use('/api/v1/pets', petsRouter(brainManager, petRepository));
+    app.use('/api/v1/cognition', cognitionRouter(brainManager));
+    
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+  
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await brainManager.shutdown();
+    await petRepository.close();
+    runtime.stop();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+  
+  test('POST /pets/:id/interact keeps answering once memories are stored', async () => {
+    const created = await request('POST', '/pets', { name: 'Pip', species: 'cat' });
+    expect(created.status).toBe(201);
+    const petId = created.body.pet.id;
+    
+    // The first interactions leave symbolic memories for the later ones to recall
+    for (const action of ['play', 'feed', 'play', 'pet']) {
+      const interaction = await request('POST', `/pets/${petId}/interact`, { action });
+      
+      expect(interaction.status).toBe(200);
+      expect(interaction.body.success).toBe(true);
+    }
+    
+    const brain = brainManager.peekBrain(petId);
+    const symbolic = brain.mpu.retrieveMemory({ concept: 'action_play' })
+      .filter(memory => memory.type === 'symbolic');
+    expect(symbolic.length).toBeGreaterThan(0);
+    
+    const again = await request('POST', `/pets/${petId}/interact`, { action: 'play' });
+    expect(again.status).toBe(200);
+  });
+  
+  test('POST /cognition/process learns from what it is told', async () => {
+    for (const input of ['I love playing with the ball!', 'Time to play with the ball', 'Good cat']) {
+      const processed = await request('POST', '/cognition/process', { input });
+      
+      expect(processed.status).toBe(200);
+      expect(processed.body.learned).toBe(true);
+    }
+  });
+  
+  test('a malformed cognition request gets an error response, not a crash', async () => {
+    const explored = await request('POST', '/cognition/wonder/explore', { symbols: 'x' });
+    expect(explored.status).toBe(500);
+    expect(explored.body.error).toBeDefined();
+    
+    const status = await request('GET', '/cognition/wonder');
+    expect(status.status).toBe(200);
+  });
+});
@@ -0,0 +1,30 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { writeJsonAtomic, readJson } from '../../src/utils/atomicFile.js';
+
+describe('writeJsonAtomic', () => {
+  let directory;
+  
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'atomic-file-'));
+  });
+  
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+  
+  test('concurrent writes to one file each land whole', async () => {
+    const filePath = path.join(directory, 'brain.json');
+    const writes = Array.from({ length: 20 }, (_, i) =>
+      writeJsonAtomic(filePath, { write: i, padding: 'x'.repeat(50000) })
+    );
+    
+    const results = await Promise.allSettled(writes);
+    expect(results.filter(({ status }) => status === 'rejected')).toEqual([]);
+    
+    const saved = await readJson(filePath);
+    expect(saved.padding).toHaveLength(50000);
+    expect(await fs.readdir(directory)).toEqual(['brain.json']);
+  });
+});